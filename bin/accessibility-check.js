@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// Command-line checks for pre-commit hooks and CI jobs: checks URLs and local HTML
+// files with the service's analysis, without starting the HTTP service, prints a
+// summary table or a report, and exits non-zero when violations exceed a threshold.
+const fs = require('node:fs/promises');
+const { parseArgs } = require('node:util');
+const axe = require('axe-core');
+const { createService } = require('../lib/service');
+const { createLogger } = require('../lib/logger');
+const { summarizeSite } = require('../lib/crawler');
+const { REPORT_FORMATS } = require('../lib/report-formats');
+const { IMPACT_LEVELS, unwrapResult, isResultData, extractIssues, diffIssues, evaluateGate } = require('../lib/baseline');
+
+const USAGE = `Usage: accessibility-check [options] <url | file.html>...
+
+Checks pages with the accessibility service's analysis, without running the service.
+
+Options:
+  -f, --format <name>       table (default), json, sarif, junit, html or csv
+  -o, --output <file>       write the report to a file instead of stdout
+      --fail-on <impact>    count violations of at least this impact: ${IMPACT_LEVELS.join(', ')} (default: all)
+      --threshold <n>       affected elements allowed before failing (default 0)
+      --baseline <file>     JSON report of an earlier run; only new violations count
+      --preset <name>       axe tag preset (default wcag2aa)
+      --tags <list>         extra axe tags, comma-separated
+      --enable-rules <list> axe rules to turn on, comma-separated
+      --disable-rules <list> axe rules to turn off, comma-separated
+      --include <selector>  analyze only matching elements (repeatable)
+      --exclude <selector>  skip matching elements (repeatable)
+      --detail <level>      summary, standard (default) or full
+      --engine <name>       jsdom (default) or browser
+      --styles              keep the page's CSS so jsdom can check color contrast
+      --base-url <url>      base URL for relative links in local files
+      --locale <tag>        language of axe's rule help and summaries (default en)
+  -v, --verbose             log progress to stderr
+  -h, --help                show this help
+
+Settings (limits, timeouts, network policy) are read from the environment and
+CONFIG_FILE like the service's. Private network addresses are allowed unless
+BLOCK_PRIVATE_NETWORKS is set, so local dev servers can be checked.
+
+Exit status: 0 within the threshold, 1 threshold exceeded, 2 a check failed or
+the command line is invalid.`;
+
+const EXIT_PASSED = 0;
+const EXIT_THRESHOLD_EXCEEDED = 1;
+const EXIT_ERROR = 2;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'table' },
+    output: { type: 'string', short: 'o' },
+    'fail-on': { type: 'string' },
+    threshold: { type: 'string', default: '0' },
+    baseline: { type: 'string' },
+    preset: { type: 'string' },
+    tags: { type: 'string' },
+    'enable-rules': { type: 'string' },
+    'disable-rules': { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    detail: { type: 'string' },
+    engine: { type: 'string' },
+    styles: { type: 'boolean' },
+    'base-url': { type: 'string' },
+    locale: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const usageError = (message) => Object.assign(new Error(message), { code: 'USAGE' });
+
+const isUrl = (target) => /^https?:\/\//i.test(target);
+
+// Command-line flags as the check options of lib/service.js (the API's body fields)
+const toCheckOptions = (values) => {
+    const options = {
+        preset: values.preset,
+        tags: values.tags,
+        enableRules: values['enable-rules'],
+        disableRules: values['disable-rules'],
+        include: values.include,
+        exclude: values.exclude,
+        detail: values.detail,
+        engine: values.engine,
+        styles: values.styles,
+        locale: values.locale
+    };
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+};
+
+const readBaseline = async (file) => {
+    let baseline;
+    try {
+        baseline = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        throw usageError(`Could not read baseline ${file}: ${error.message}`);
+    }
+    if (!isResultData(unwrapResult(baseline))) {
+        throw usageError(`Baseline ${file} is not a check result or report`);
+    }
+    return baseline;
+};
+
+// One target as a scan page: { url, success, data } or { url, success: false, error, message }.
+// Local files have no URL; `baseUrl` resolves their relative links.
+const checkTarget = async (service, target, options, baseUrl) => {
+    try {
+        const data = isUrl(target)
+            ? await service.checkUrl(target, options)
+            : await service.checkHtml(await fs.readFile(target, 'utf8'), { ...options, baseUrl });
+        return { url: target, success: true, data };
+    } catch (error) {
+        return {
+            url: target,
+            success: false,
+            error: error.code === 'ENOENT' || error.code === 'EISDIR' ? 'READ_ERROR' : error.code || 'CHECK_ERROR',
+            message: error.message,
+            details: error.details ?? null
+        };
+    }
+};
+
+const formatTable = (report) => {
+    const lines = [];
+
+    report.pages.forEach((page) => {
+        if (!page.success) {
+            lines.push(`${page.url}  failed: ${page.error} ${page.message}`, '');
+            return;
+        }
+        const { violations } = page.data;
+        lines.push(`${page.url}  ${violations.length === 0 ? 'no violations' : `${violations.length} violated rule${violations.length === 1 ? '' : 's'}`}`);
+
+        const idWidth = Math.max(0, ...violations.map(violation => violation.id.length));
+        violations.forEach((violation) => {
+            const elements = violation.nodeCount ?? violation.nodes?.length ?? 0;
+            lines.push(`  ${String(violation.impact || 'unknown').padEnd(9)} ${violation.id.padEnd(idWidth)}  ${String(elements).padStart(4)} element${elements === 1 ? ' ' : 's'}  ${violation.help}`);
+        });
+        lines.push('');
+    });
+
+    const { gate } = report;
+    lines.push(
+        `${report.summary.pagesScanned} checked, ${report.summary.pagesFailed} failed. `
+        + `${gate.failingCount} ${gate.failOnNew ? 'new ' : ''}violating element${gate.failingCount === 1 ? '' : 's'}`
+        + `${gate.failOn ? ` of ${gate.failOn} impact or worse` : ''} (threshold ${report.threshold}): `
+        + `${report.passed ? 'passed' : 'failed'}`
+    );
+    return `${lines.join('\n')}\n`;
+};
+
+const render = (report, format) => {
+    if (format === 'table') return formatTable(report);
+    if (format === 'json') return `${JSON.stringify(report, null, 2)}\n`;
+    return REPORT_FORMATS[format].render(report, { engine: { name: 'axe-core', version: axe.version } });
+};
+
+const run = async (argv) => {
+    const { values, positionals: targets } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_PASSED;
+    }
+    if (targets.length === 0) {
+        throw usageError('Give at least one URL or HTML file to check');
+    }
+    if (values.format !== 'table' && !Object.hasOwn(REPORT_FORMATS, values.format)) {
+        throw usageError(`--format must be one of: table, ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    if (values['fail-on'] !== undefined && !IMPACT_LEVELS.includes(values['fail-on'])) {
+        throw usageError(`--fail-on must be one of: ${IMPACT_LEVELS.join(', ')}`);
+    }
+    const threshold = Number(values.threshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+        throw usageError('--threshold must be a non-negative integer');
+    }
+    const baseline = values.baseline ? await readBaseline(values.baseline) : null;
+
+    // The CLI runs with its user's own privileges, so the service's SSRF protection
+    // for private networks is off unless the environment asks for it
+    const service = createService({
+        env: { BLOCK_PRIVATE_NETWORKS: 'false', ...process.env },
+        logger: createLogger({ level: values.verbose ? 'info' : 'error', write: (line) => process.stderr.write(`${line}\n`) })
+    });
+
+    const startTime = Date.now();
+    const options = toCheckOptions(values);
+    const pages = [];
+    try {
+        for (const target of targets) {
+            pages.push(await checkTarget(service, target, options, values['base-url']));
+        }
+    } finally {
+        await service.close();
+    }
+
+    // Results share the shape of a list scan, so every report format can render them
+    const issues = extractIssues({ pages });
+    const diff = baseline ? diffIssues(extractIssues(baseline), issues) : null;
+    const gate = evaluateGate({ issues, diff, failOn: values['fail-on'] || null, failOnNew: Boolean(diff) });
+    const report = {
+        mode: 'list',
+        startUrl: null,
+        timestamp: new Date().toISOString(),
+        processingTimeMs: Date.now() - startTime,
+        summary: summarizeSite(pages),
+        pages,
+        ...(diff ? { diff: { baselineId: null, ...diff } } : {}),
+        gate,
+        threshold,
+        passed: gate.failingCount <= threshold
+    };
+
+    const output = render(report, values.format);
+    if (values.output) {
+        await fs.writeFile(values.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (report.summary.pagesFailed > 0) return EXIT_ERROR;
+    return report.passed ? EXIT_PASSED : EXIT_THRESHOLD_EXCEEDED;
+};
+
+run(process.argv.slice(2))
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        if (error.code === 'INVALID_CONFIG') {
+            process.stderr.write(`${error.message}\n`);
+        } else if (error.code === 'USAGE' || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            process.stderr.write(`${error.message}\n\nRun with --help for usage.\n`);
+        } else {
+            process.stderr.write(`${error.stack}\n`);
+        }
+        process.exitCode = EXIT_ERROR;
+    });
@@ -0,0 +1,125 @@
+// Admission control for analyses (checks, scans and monitor runs): at most
+// `maxConcurrent` run at once. Requests beyond that wait in a bounded queue, each for
+// at most `queueTimeoutMs`, and are refused with a 503 OVERLOADED error when the queue
+// is full or the wait runs out. Async jobs and monitor runs already wait in their own
+// queues, so they wait for a slot without these bounds. Once closed (at shutdown) no
+// new requests are admitted, while the running and waiting analyses drain; jobs
+// accepted before the shutdown still get their slot.
+const { createCheckError, createCancelledError } = require('./check-errors');
+
+const createShuttingDownError = () => createCheckError(503, 'Service is shutting down', 'SHUTTING_DOWN', null, 'Please try again in a few moments');
+
+const createAdmissionController = ({ maxConcurrent, maxQueueLength, queueTimeoutMs }) => {
+    let active = 0;
+    let closed = false;
+    const waiting = []; // { admit, bounded } in arrival order
+    const drainWaiters = [];
+
+    const countBounded = () => waiting.filter(entry => entry.bounded).length;
+
+    const stats = () => ({
+        active,
+        queued: waiting.length,
+        maxConcurrent,
+        maxQueueLength,
+        // A request arriving now would be refused
+        saturated: active >= maxConcurrent && countBounded() >= maxQueueLength
+    });
+
+    const overloaded = (message, reason) => Object.assign(
+        createCheckError(503, message, 'OVERLOADED', { active, queued: waiting.length, maxConcurrent, maxQueueLength }, 'Please try again in a few moments'),
+        { reason }
+    );
+
+    const settleDrain = () => {
+        if (active === 0 && waiting.length === 0) {
+            drainWaiters.splice(0).forEach(resolve => resolve());
+        }
+    };
+
+    // Hands a freed slot to the longest-waiting analysis
+    const release = () => {
+        active--;
+        const next = waiting.shift();
+        if (next) next.admit();
+        settleDrain();
+    };
+
+    // Takes a slot; returns the function that gives it back (later calls do nothing)
+    const grant = () => {
+        active++;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            release();
+        };
+    };
+
+    return {
+        /**
+         * Waits for a slot and resolves with a function that gives it back. `bounded`
+         * waits (HTTP requests) count against maxQueueLength and time out after
+         * queueTimeoutMs; unbounded ones wait as long as it takes and are still admitted
+         * while closed. Aborting `signal` gives up the wait with a CANCELLED error.
+         */
+        acquire({ signal = null, bounded = true } = {}) {
+            if (closed && bounded) {
+                return Promise.reject(createShuttingDownError());
+            }
+            if (signal?.aborted) {
+                return Promise.reject(createCancelledError());
+            }
+            if (active < maxConcurrent && waiting.length === 0) {
+                return Promise.resolve(grant());
+            }
+            if (bounded && countBounded() >= maxQueueLength) {
+                return Promise.reject(overloaded('Too many analyses in progress, please retry later', 'QUEUE_FULL'));
+            }
+
+            return new Promise((resolve, reject) => {
+                let timer = null;
+                const leave = (error) => {
+                    clearTimeout(timer);
+                    signal?.removeEventListener('abort', onAbort);
+                    waiting.splice(waiting.indexOf(entry), 1);
+                    settleDrain();
+                    reject(error);
+                };
+                const onAbort = () => leave(createCancelledError());
+                const entry = {
+                    bounded,
+                    admit: () => {
+                        clearTimeout(timer);
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve(grant());
+                    }
+                };
+
+                waiting.push(entry);
+                signal?.addEventListener('abort', onAbort, { once: true });
+                if (bounded) {
+                    timer = setTimeout(() => leave(overloaded(`No analysis slot became free within ${queueTimeoutMs / 1000} seconds`, 'QUEUE_TIMEOUT')), queueTimeoutMs);
+                }
+            });
+        },
+
+        stats,
+
+        isClosed: () => closed,
+
+        // Stops admitting requests; resolves once the running and waiting analyses finished
+        drain() {
+            closed = true;
+            return new Promise((resolve) => {
+                drainWaiters.push(resolve);
+                settleDrain();
+            });
+        }
+    };
+};
+
+module.exports = {
+    createAdmissionController,
+    createShuttingDownError
+};
@@ -0,0 +1,208 @@
+// Worker thread entry for the parse-and-analyze step: builds the JSDOM document and
+// runs axe on it. Runs inside lib/worker-pool.js workers, so the main thread only
+// sees the (trimmed) results and can terminate a worker that takes too long.
+const { parentPort, workerData } = require('node:worker_threads');
+const { JSDOM, VirtualConsole, ResourceLoader } = require('jsdom');
+const axe = require('axe-core');
+const { createNetworkPolicy } = require('./network-policy');
+const { buildAxeOptions, countScopedElements, trimAxeResults } = require('./axe-results');
+const { installStaticLayout } = require('./static-layout');
+const { loadAxeLocale, loadDefaultAxeLocale } = require('./locales');
+
+const { limits, tlsRejectUnauthorized, networkPolicy: networkPolicyOptions } = workerData;
+
+const networkPolicy = createNetworkPolicy(networkPolicyOptions);
+
+// JSDOM fetches subresources with its own HTTP client, so check those URLs against the policy too.
+// Stylesheets are never fetched here: the main thread loads them within its budget.
+class PolicyResourceLoader extends ResourceLoader {
+    fetch(url, options) {
+        if (['link', 'style'].includes(options?.element?.localName)) {
+            return null;
+        }
+        if (!/^https?:/i.test(url)) {
+            return super.fetch(url, options);
+        }
+
+        let request = null;
+        let aborted = false;
+        const promise = networkPolicy.resolveAndCheck(url).then(() => {
+            if (aborted) return null;
+            request = super.fetch(url, options);
+            return request;
+        });
+        promise.abort = () => {
+            aborted = true;
+            if (request) request.abort();
+        };
+        return promise;
+    }
+}
+
+const createAnalysisError = (message, code) => Object.assign(new Error(message), { code });
+
+// Log lines go to the main thread, which writes them with the request's log fields
+const log = (taskId, level, message, fields = {}) => parentPort.postMessage({ taskId, type: 'log', level, message, fields });
+
+// axe context for a scope: the matching elements themselves, since there is no global
+// document for axe to resolve selectors against. ownerDocument lets axe find the window.
+const buildAxeContext = (document, scope) => {
+    if (scope.include.length === 0 && scope.exclude.length === 0) {
+        return document.documentElement;
+    }
+    return {
+        include: scope.include.length > 0 ? [...document.querySelectorAll(scope.include.join(','))] : [document.documentElement],
+        exclude: scope.exclude.length > 0 ? [...document.querySelectorAll(scope.exclude.join(','))] : [],
+        ownerDocument: document
+    };
+};
+
+// Puts the CSS the main thread loaded in place of the stylesheet links; links it
+// skipped are removed
+const inlineStylesheets = (document, stylesheets) => {
+    const cssByUrl = new Map(stylesheets.map(({ url, css }) => [url, css]));
+
+    document.querySelectorAll('link[rel~="stylesheet" i]').forEach((link) => {
+        if (cssByUrl.has(link.href)) {
+            const style = document.createElement('style');
+            if (link.media) style.media = link.media;
+            style.textContent = cssByUrl.get(link.href);
+            link.replaceWith(style);
+        } else {
+            link.remove();
+        }
+    });
+};
+
+const analyze = async ({ taskId, html: htmlContent, url, ruleConfig, detail, scope, stylesheets = null, locale = null }) => {
+    let dom = null;
+    let axeLocale = null;
+    const analysisStart = Date.now();
+
+    try {
+        log(taskId, 'debug', 'Initializing JSDOM with strict security restrictions');
+        parentPort.postMessage({ taskId, type: 'progress', stage: 'parsing' });
+
+        const virtualConsole = new VirtualConsole();
+        virtualConsole.on("error", () => {});
+        virtualConsole.on("warn", () => {});
+        virtualConsole.on("jsdomError", () => {});
+
+        try {
+            dom = new JSDOM(htmlContent, {
+                url: url,
+                runScripts: "dangerously", // THIS IS CRUCIAL: Must be "dangerously" for axe-core to function internally
+                resources: new PolicyResourceLoader({ strictSSL: tlsRejectUnauthorized }),
+                pretendToBeVisual: false,
+                virtualConsole: virtualConsole,
+                beforeParse(window) {
+                    // Disable problematic APIs in the JSDOM window
+                    window.alert = () => {};
+                    window.confirm = () => false;
+                    window.prompt = () => null;
+                    window.open = () => null;
+                    window.setTimeout = () => 0; // Disable real timers
+                    window.setInterval = () => 0; // Disable real intervals
+                    window.requestAnimationFrame = () => 0;
+                    window.fetch = () => Promise.reject(new Error('fetch is disabled'));
+                    window.XMLHttpRequest = class { constructor() { throw new Error('XMLHttpRequest is disabled'); } };
+                }
+            });
+        } catch (error) {
+            throw new Error('JSDOM initialization failed: ' + error.message);
+        }
+
+        const { window } = dom; // Get the window object from the JSDOM instance
+        const { document } = window; // Get the document object from the JSDOM window
+
+        if (stylesheets) {
+            inlineStylesheets(document, stylesheets);
+        }
+
+        let scopeCounts;
+        try {
+            scopeCounts = countScopedElements(scope, document);
+        } catch (error) {
+            throw createAnalysisError(`Invalid scope selector: ${error.message}`, 'INVALID_SCOPE');
+        }
+        if (scopeCounts.includeMatches === 0) {
+            throw createAnalysisError(`No elements match the include selectors: ${scope.include.join(', ')}`, 'SCOPE_NOT_FOUND');
+        }
+
+        // Only the elements in scope count towards the complexity limit
+        const { elementCount } = scopeCounts;
+
+        if (elementCount > limits.maxDomElements) {
+            throw createAnalysisError(`Website too complex: ${elementCount} DOM elements (max: ${limits.maxDomElements}). Try a simpler page.`, 'DOM_TOO_COMPLEX');
+        }
+
+        const isComplexSite = elementCount > limits.complexSiteThreshold;
+        log(taskId, 'debug', 'Document parsed', { elementCount, complexity: isComplexSite ? 'high' : 'normal' });
+        const jsdomMs = Date.now() - analysisStart;
+
+        // The main thread switches from the JSDOM timeout to the analysis timeout here
+        parentPort.postMessage({ taskId, type: 'progress', stage: 'parsed', elementCount });
+
+        // Kept styles: lay the page out so axe can check color contrast
+        if (stylesheets) {
+            installStaticLayout(window);
+        }
+
+        const axeOptions = {
+            ...buildAxeOptions(ruleConfig, detail),
+            performanceTimer: false // axe's timer needs a global window, which Node doesn't have
+        };
+
+        // CRITICAL FIX: Run axe analysis on the JSDOM root element.
+        // When axe-core is required in Node.js there are no window/document
+        // globals, so the context must be an Element: axe derives the window
+        // from its ownerDocument. Passing the document itself fails.
+        log(taskId, 'debug', 'Running axe analysis');
+        const axeStart = Date.now();
+
+        // axe's locale is module state, shared by every task this worker runs. The pool
+        // gives a worker one task at a time, so configuring it here and switching back to
+        // English afterwards can't leak one request's language into another's.
+        axeLocale = loadAxeLocale(locale);
+        if (axeLocale) {
+            axe.configure({ locale: axeLocale });
+        }
+
+        let results;
+        try {
+            results = await axe.run(buildAxeContext(document, scope), axeOptions);
+        } catch (axeRunError) {
+            log(taskId, 'error', 'Axe analysis failed', { error: { message: axeRunError.message, stack: axeRunError.stack } });
+            throw new Error('Analysis failed: ' + axeRunError.message);
+        }
+
+        const analysisTime = Date.now() - analysisStart;
+        log(taskId, 'debug', 'Axe analysis completed', { violations: results.violations.length, analysisTimeMs: analysisTime });
+
+        return {
+            ...trimAxeResults(results, detail),
+            scope: { ...scope, ...scopeCounts },
+            url: url,
+            timestamp: new Date().toISOString(),
+            analysisTimeMs: analysisTime,
+            timings: { jsdomMs, axeMs: Date.now() - axeStart } // per-stage durations for the metrics
+        };
+    } finally {
+        if (axeLocale) {
+            axe.configure({ locale: loadDefaultAxeLocale() });
+        }
+        if (dom && dom.window) {
+            try {
+                dom.window.close();
+            } catch (closeError) {
+                log(taskId, 'warn', 'Error closing JSDOM window', { error: closeError.message });
+            }
+        }
+    }
+};
+
+parentPort.on('message', (task) => {
+    analyze(task)
+        .then(result => parentPort.postMessage({ taskId: task.taskId, type: 'result', result }))
+        .catch(error => parentPort.postMessage({ taskId: task.taskId, type: 'error', message: error.message, code: error.code }));
+});
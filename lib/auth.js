@@ -0,0 +1,135 @@
+// API key authentication with per-key rate limits and daily quotas.
+// Keys are matched by their SHA-256 hash, so a key file can hold hashes only.
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { rateLimit } = require('express-rate-limit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const createConfigError = (message) => new Error(`Invalid API key configuration: ${message}`);
+
+/**
+ * Loads API keys from a "name:key,other:key2" list (bare keys get generated names)
+ * and/or a JSON file holding an array of
+ *   { "name": "ci", "key": "..." | "keySha256": "...", "rateLimit": { "windowMs": 60000, "max": 30 }, "dailyQuota": 1000 }
+ * Throws on malformed entries so a bad configuration fails at startup.
+ */
+const loadApiKeys = ({ keys = '', file = null } = {}) => {
+    const entries = keys.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+        const separator = entry.indexOf(':');
+        return separator === -1
+            ? { name: `key-${index + 1}`, key: entry }
+            : { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    });
+
+    if (file) {
+        let fileEntries;
+        try {
+            fileEntries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw createConfigError(`could not read ${file}: ${error.message}`);
+        }
+        if (!Array.isArray(fileEntries)) {
+            throw createConfigError(`${file} must contain an array of keys`);
+        }
+        entries.push(...fileEntries);
+    }
+
+    const names = new Set();
+    return entries.map((entry) => {
+        if (!entry || typeof entry.name !== 'string' || !entry.name) {
+            throw createConfigError('every key needs a "name"');
+        }
+        if (names.has(entry.name)) {
+            throw createConfigError(`duplicate key name "${entry.name}"`);
+        }
+        names.add(entry.name);
+
+        const keySha256 = entry.keySha256 || (typeof entry.key === 'string' && entry.key ? hashKey(entry.key) : null);
+        if (!keySha256 || !/^[a-f0-9]{64}$/i.test(keySha256)) {
+            throw createConfigError(`key "${entry.name}" needs a non-empty "key" or a hex "keySha256"`);
+        }
+
+        const { windowMs, max } = entry.rateLimit || {};
+        if ((windowMs !== undefined && !(Number.isInteger(windowMs) && windowMs > 0))
+            || (max !== undefined && !(Number.isInteger(max) && max > 0))) {
+            throw createConfigError(`key "${entry.name}" has an invalid rateLimit`);
+        }
+        if (entry.dailyQuota !== undefined && !(Number.isInteger(entry.dailyQuota) && entry.dailyQuota > 0)) {
+            throw createConfigError(`key "${entry.name}" has an invalid dailyQuota`);
+        }
+
+        return {
+            name: entry.name,
+            keySha256: keySha256.toLowerCase(),
+            rateLimit: entry.rateLimit ? { windowMs, max } : null,
+            dailyQuota: entry.dailyQuota ?? null
+        };
+    });
+};
+
+// Reads the key from "Authorization: Bearer <key>"
+const extractBearerToken = (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Builds the authentication middleware. With no keys configured every request is
+ * let through, limited per client IP by the default rate limit. `onUnauthorized`
+ * and `onRateLimited(req, res, details)` send the rejection responses.
+ */
+const createApiKeyAuth = ({ apiKeys, defaultRateLimit, defaultDailyQuota = null, onUnauthorized, onRateLimited }) => {
+    // Limiters are created up front: express-rate-limit refuses instances created per request
+    const createLimiter = ({ windowMs, max }, reason, keyGenerator) => rateLimit({
+        windowMs,
+        limit: max,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        keyGenerator,
+        handler: (req, res) => onRateLimited(req, res, { reason, limit: max, windowMs })
+    });
+
+    const anonymousLimiter = createLimiter(defaultRateLimit, 'rate');
+
+    const keysByHash = new Map(apiKeys.map((apiKey) => {
+        const keyGenerator = () => apiKey.name;
+        const limiters = [createLimiter({ ...defaultRateLimit, ...apiKey.rateLimit }, 'rate', keyGenerator)];
+
+        const dailyQuota = apiKey.dailyQuota ?? defaultDailyQuota;
+        if (dailyQuota) {
+            limiters.push(createLimiter({ windowMs: DAY_MS, max: dailyQuota }, 'quota', keyGenerator));
+        }
+        return [apiKey.keySha256, { apiKey, limiters }];
+    }));
+
+    const runLimiters = (limiters, req, res, next) => {
+        const [limiter, ...rest] = limiters;
+        if (!limiter) return next();
+        return limiter(req, res, (error) => (error ? next(error) : runLimiters(rest, req, res, next)));
+    };
+
+    return (req, res, next) => {
+        if (keysByHash.size === 0) {
+            req.apiKey = null;
+            return anonymousLimiter(req, res, next);
+        }
+
+        const token = extractBearerToken(req);
+        const entry = token ? keysByHash.get(hashKey(token)) : null;
+        if (!entry) {
+            return onUnauthorized(req, res, token ? 'Invalid API key' : 'Missing API key');
+        }
+
+        req.apiKey = { name: entry.apiKey.name };
+        return runLimiters(entry.limiters, req, res, next);
+    };
+};
+
+module.exports = {
+    loadApiKeys,
+    createApiKeyAuth,
+    hashKey
+};
@@ -0,0 +1,148 @@
+// Shared axe-core plumbing for the analysis engines: run options derived from the
+// rule configuration and detail level, element counts for a scoped run, and
+// trimming of raw axe results to the response's detail caps (with exact counts
+// of what was left out), with WCAG criteria and remediation guidance per rule.
+const { fingerprintNode } = require('./baseline');
+const { criteriaForTags, summarizeWcag } = require('./wcag');
+const { remediationFor } = require('./remediation');
+
+const buildAxeOptions = (ruleConfig, detail) => ({
+    runOnly: {
+        type: 'tag',
+        values: ruleConfig.tags
+    },
+    resultTypes: ['violations', 'incomplete'],
+    elementRef: false,
+    selectors: detail.level !== 'summary', // CSS selectors for node targets
+    ancestry: detail.level === 'full',
+    xpath: false,
+    // axe expects rules keyed by rule ID: { 'color-contrast': { enabled: false } }
+    rules: Object.fromEntries([
+        ...ruleConfig.enabledRules.map(id => [id, { enabled: true }]),
+        ...ruleConfig.disabledRules.map(id => [id, { enabled: false }])
+    ])
+});
+
+/**
+ * Counts the elements a scope ({ include, exclude } selector lists) puts in front of
+ * axe: everything under an include match (the whole document when include is empty)
+ * minus excluded subtrees. Also runs inside the page for the browser engine, so it
+ * must not reference anything outside itself.
+ */
+const countScopedElements = (scope, doc = document) => {
+    const subtree = element => [element, ...element.querySelectorAll('*')];
+    const included = scope.include.length > 0 ? [...doc.querySelectorAll(scope.include.join(','))] : [doc.documentElement];
+    const excluded = scope.exclude.length > 0 ? [...doc.querySelectorAll(scope.exclude.join(','))] : [];
+
+    const inScope = new Set(included.flatMap(subtree));
+    excluded.flatMap(subtree).forEach(element => inScope.delete(element));
+
+    return {
+        elementCount: inScope.size,
+        includeMatches: scope.include.length > 0 ? included.length : null,
+        excludeMatches: excluded.length
+    };
+};
+
+const formatRelatedNode = ({ html, target }) => ({ html, target });
+
+// Check results behind a node: what passed or failed, with axe's message and data
+const formatCheck = (check, maxNodes) => ({
+    id: check.id,
+    impact: check.impact,
+    message: check.message,
+    data: check.data ?? null,
+    relatedNodes: (check.relatedNodes || []).slice(0, maxNodes).map(formatRelatedNode),
+    relatedNodesOmitted: Math.max(0, (check.relatedNodes || []).length - maxNodes)
+});
+
+const formatNode = (ruleId, node, detail) => {
+    const formatted = {
+        fingerprint: fingerprintNode(ruleId, node),
+        html: node.html,
+        target: node.target,
+        impact: node.impact,
+        failureSummary: node.failureSummary
+    };
+
+    if (detail.level === 'full') {
+        formatted.ancestry = node.ancestry;
+        ['any', 'all', 'none'].forEach(type => {
+            formatted[type] = (node[type] || []).map(check => formatCheck(check, detail.maxNodesPerViolation));
+        });
+    }
+    return formatted;
+};
+
+/**
+ * Applies the request's detail level and caps to a list of axe rule results.
+ * Every rule keeps its total nodeCount and the number of nodes left out, and gets
+ * the WCAG criteria its tags map to and remediation guidance.
+ */
+const limitResults = (ruleResults, detail) => ruleResults.slice(0, detail.maxViolations).map(({ nodes = [], ...rule }) => {
+    const maxNodes = detail.level === 'summary' ? 0 : detail.maxNodesPerViolation;
+
+    return {
+        ...rule,
+        criteria: criteriaForTags(rule.tags),
+        remediation: remediationFor(rule),
+        nodeCount: nodes.length,
+        nodesOmitted: Math.max(0, nodes.length - maxNodes),
+        nodes: nodes.slice(0, maxNodes).map(node => formatNode(rule.id, node, detail))
+    };
+});
+
+// Exact numbers of rules and nodes the detail caps left out of the response
+const countOmitted = (ruleResults, limited) => ({
+    rules: ruleResults.length - limited.length,
+    nodes: ruleResults.reduce((total, rule) => total + (rule.nodes || []).length, 0)
+        - limited.reduce((total, rule) => total + rule.nodes.length, 0)
+});
+
+// Every violating node as a comparable issue, taken before the detail caps apply, so
+// baseline diffs and gates count what the response leaves out too. Without selectors
+// (detail "summary") nodes have no target to fingerprint and are matched by rule ID only.
+const listIssues = (violations, detail) => violations.flatMap(({ id, impact, nodes = [] }) => {
+    if (nodes.length === 0) {
+        return [{ ruleId: id, impact, fingerprint: null }];
+    }
+    return nodes.map(node => ({
+        ruleId: id,
+        impact: node.impact || impact,
+        fingerprint: detail.level === 'summary' ? null : fingerprintNode(id, node)
+    }));
+});
+
+// Violations and incomplete results trimmed to the detail caps, the rules that passed,
+// totals and omitted counts, the WCAG summary (criteria, impacts, score) of it all and
+// the uncapped issue list
+const trimAxeResults = (results, detail) => {
+    const violations = results.violations || [];
+    const incomplete = results.incomplete || [];
+    const passes = results.passes || [];
+    const limitedViolations = limitResults(violations, detail);
+    const limitedIncomplete = limitResults(incomplete, detail);
+
+    return {
+        violations: limitedViolations,
+        incomplete: limitedIncomplete,
+        passes: passes.map(({ id, help, tags }) => ({ id, help, criteria: criteriaForTags(tags) })),
+        totals: {
+            violations: violations.length,
+            incomplete: incomplete.length,
+            passes: passes.length
+        },
+        wcag: summarizeWcag({ violations, incomplete, passes }),
+        omitted: {
+            violations: countOmitted(violations, limitedViolations),
+            incomplete: countOmitted(incomplete, limitedIncomplete)
+        },
+        issues: listIssues(violations, detail)
+    };
+};
+
+module.exports = {
+    buildAxeOptions,
+    countScopedElements,
+    trimAxeResults
+};
@@ -0,0 +1,126 @@
+// Baseline comparison between two runs. Violations are matched by rule ID plus a
+// node fingerprint (target selector + HTML hash), and by page URL for scans, so
+// a diff lists new, resolved and unchanged issues. The gate turns a diff (or a
+// plain result) into a pass/fail verdict CI can act on.
+const crypto = require('node:crypto');
+
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const formatTarget = (target) => (Array.isArray(target) ? target.flat().join(' ') : target || '');
+
+// Stable across runs as long as the element keeps its selector and markup; whitespace changes don't count
+const fingerprintNode = (ruleId, node) => {
+    const htmlHash = sha256((node.html || '').replace(/\s+/g, ' ').trim());
+    return sha256(`${ruleId}\n${formatTarget(node.target)}\n${htmlHash}`).slice(0, 20);
+};
+
+// Accepts a result `data` object or a full `{ success, data }` response body
+const unwrapResult = (result) => (result && result.data && typeof result.success === 'boolean' ? result.data : result);
+
+const isResultData = (data) => Boolean(data) && typeof data === 'object'
+    && (Array.isArray(data.violations) || Array.isArray(data.pages));
+
+// One issue per reported node; rules reported without nodes become one issue matched by rule ID only
+const issuesFromViolations = (url, violations) => violations.flatMap((violation) => {
+    const nodes = violation.nodes && violation.nodes.length > 0 ? violation.nodes : [null];
+    return nodes.map(node => ({
+        url,
+        ruleId: violation.id,
+        impact: node?.impact || violation.impact,
+        help: violation.help,
+        fingerprint: node ? node.fingerprint || fingerprintNode(violation.id, node) : null,
+        target: node ? node.target : null
+    }));
+});
+
+// The uncapped `issues` list of a result, with help texts and targets from the rules
+// and nodes the detail caps left in
+const issuesFromList = (url, issues, violations) => {
+    const helpByRule = new Map(violations.map(violation => [violation.id, violation.help]));
+    const targetByFingerprint = new Map(violations.flatMap(violation => (violation.nodes || [])
+        .map(node => [node.fingerprint || fingerprintNode(violation.id, node), node.target])));
+
+    return issues.map(issue => ({
+        url,
+        ruleId: issue.ruleId,
+        impact: issue.impact,
+        help: helpByRule.get(issue.ruleId) ?? null,
+        fingerprint: issue.fingerprint,
+        target: targetByFingerprint.get(issue.fingerprint) ?? null
+    }));
+};
+
+/**
+ * Flattens check or scan data into comparable issues. Results carry every violating
+ * node as `issues`, whatever the detail caps left out of `violations`; results without
+ * it (reports from older versions) give one issue per node listed in `violations`.
+ */
+const extractIssues = (result) => {
+    const data = unwrapResult(result);
+    const pages = Array.isArray(data.pages)
+        ? data.pages.filter(page => page.success).map(page => ({ url: page.url, data: page.data }))
+        : [{ url: null, data }];
+
+    return pages.flatMap(({ url, data: pageData }) => (Array.isArray(pageData.issues)
+        ? issuesFromList(url, pageData.issues, pageData.violations || [])
+        : issuesFromViolations(url, pageData.violations || [])));
+};
+
+const issueKey = (issue) => `${issue.url || ''}|${issue.ruleId}|${issue.fingerprint || ''}`;
+
+const countByImpact = (issues) => Object.fromEntries(
+    IMPACT_LEVELS.map(impact => [impact, issues.filter(issue => issue.impact === impact).length])
+);
+
+const diffIssues = (previousIssues, currentIssues) => {
+    const previousKeys = new Set(previousIssues.map(issueKey));
+    const currentKeys = new Set(currentIssues.map(issueKey));
+
+    const added = currentIssues.filter(issue => !previousKeys.has(issueKey(issue)));
+    const resolved = previousIssues.filter(issue => !currentKeys.has(issueKey(issue)));
+    const unchanged = currentIssues.filter(issue => previousKeys.has(issueKey(issue)));
+
+    return {
+        summary: {
+            newCount: added.length,
+            resolvedCount: resolved.length,
+            unchangedCount: unchanged.length,
+            newByImpact: countByImpact(added),
+            hasNewIssues: added.length > 0
+        },
+        new: added,
+        resolved,
+        unchanged
+    };
+};
+
+const meetsThreshold = (impact, failOn) => IMPACT_LEVELS.indexOf(impact) >= IMPACT_LEVELS.indexOf(failOn);
+
+/**
+ * Pass/fail verdict. With failOnNew only new issues count (requires a diff), otherwise
+ * every current issue does; failOn restricts both to that impact or worse.
+ */
+const evaluateGate = ({ issues, diff = null, failOn = null, failOnNew = false }) => {
+    const considered = failOnNew && diff ? diff.new : issues;
+    const failing = failOn ? considered.filter(issue => meetsThreshold(issue.impact, failOn)) : considered;
+
+    return {
+        passed: failing.length === 0,
+        failOn,
+        failOnNew: Boolean(failOnNew && diff),
+        failingCount: failing.length,
+        failingByImpact: countByImpact(failing)
+    };
+};
+
+module.exports = {
+    IMPACT_LEVELS,
+    fingerprintNode,
+    unwrapResult,
+    isResultData,
+    extractIssues,
+    diffIssues,
+    evaluateGate
+};
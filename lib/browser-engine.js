@@ -0,0 +1,295 @@
+// Real-browser analysis engine: loads the page in headless Chromium (Puppeteer),
+// lets its scripts and styles run, then injects axe-core. Unlike the static
+// JSDOM engine this sees JS-rendered content and computed styles, so contrast,
+// focus and visibility rules work. Puppeteer is an optional dependency.
+const { buildAxeOptions, countScopedElements, trimAxeResults } = require('./axe-results');
+const { buildCredentialHeaders } = require('./fetch-options');
+const { createLogger } = require('./logger');
+
+const WAIT_UNTIL = {
+    load: 'load',
+    domcontentloaded: 'domcontentloaded',
+    networkidle: 'networkidle0'
+};
+
+const createEngineError = (message, code, details = null) => {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+};
+
+const isPuppeteerInstalled = () => {
+    try {
+        require.resolve('puppeteer');
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * One shared browser, launched on first use, with a fresh incognito context per
+ * check. At most `maxPages` checks run at once; the rest wait for a slot.
+ * Every request the page makes is checked against `networkPolicy`, and pages with
+ * more than `maxDomElements` elements in scope are refused like in the JSDOM engine.
+ */
+const createBrowserEngine = ({ enabled = false, executablePath = null, args = [], maxPages = 1, maxDomElements = Infinity, networkPolicy, axeSource, userAgent = null, logger = createLogger() }) => {
+    let browserPromise = null;
+    let activePages = 0;
+    const waiting = [];
+
+    const isAvailable = () => enabled && isPuppeteerInstalled();
+
+    const getBrowser = () => {
+        if (!browserPromise) {
+            const puppeteer = require('puppeteer');
+            logger.info('Launching headless Chromium');
+            browserPromise = puppeteer.launch({
+                headless: true,
+                executablePath: executablePath || undefined,
+                args
+            }).then((browser) => {
+                browser.on('disconnected', () => {
+                    logger.warn('Headless Chromium disconnected');
+                    browserPromise = null;
+                });
+                return browser;
+            }).catch((error) => {
+                browserPromise = null;
+                throw createEngineError('Headless Chromium could not be started', 'ENGINE_UNAVAILABLE', error.message);
+            });
+        }
+        return browserPromise;
+    };
+
+    // Waits for a page slot; a check cancelled while waiting gives up its place in the queue
+    const acquire = (signal) => new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(createEngineError('Analysis cancelled', 'CANCELLED'));
+        }
+        if (activePages < maxPages) {
+            activePages++;
+            return resolve();
+        }
+
+        const onAbort = () => {
+            waiting.splice(waiting.indexOf(grant), 1);
+            reject(createEngineError('Analysis cancelled', 'CANCELLED'));
+        };
+        const grant = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(grant);
+    });
+
+    const release = () => {
+        const next = waiting.shift();
+        if (next) return next();
+        activePages--;
+    };
+
+    // Clicks through consent banners, login prompts etc. before the analysis
+    const runActions = async (page, actions) => {
+        for (const [index, action] of actions.entries()) {
+            try {
+                if (action.click) {
+                    await page.click(action.click);
+                } else if (action.waitForSelector) {
+                    await page.waitForSelector(action.waitForSelector);
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, action.waitMs));
+                }
+            } catch (error) {
+                throw createEngineError(`Action ${index + 1} failed: ${error.message}`, 'ACTION_FAILED', { index, action });
+            }
+        }
+    };
+
+    /**
+     * Loads `url` (or renders `html`, served under `url` when one is given), waits
+     * for `wait` ({ until, selector, delayMs }), runs `actions` and then axe. Resolves
+     * with the same trimmed results as the JSDOM engine plus the page's links and size.
+     * `scope` ({ include, exclude } selectors) limits the analysis to part of the page.
+     * `fetchOptions` headers and credentials are only added to requests for their origins.
+     * `locale` is an axe-core locale object (see loadAxeLocale) for translated results.
+     */
+    const analyze = async ({
+        url,
+        html,
+        ruleConfig,
+        detail,
+        scope = { include: [], exclude: [] },
+        wait = {},
+        actions = [],
+        fetchOptions = null,
+        locale = null,
+        timeoutMs,
+        signal = null
+    }) => {
+        if (!isAvailable()) {
+            throw createEngineError('The browser engine is not available on this server', 'ENGINE_UNAVAILABLE');
+        }
+
+        await acquire(signal);
+        const analysisStart = Date.now();
+        let context = null;
+        let timedOut = false;
+
+        const closeContext = () => (context ? context.close().catch(() => {}) : null);
+        const timer = setTimeout(() => {
+            timedOut = true;
+            closeContext();
+        }, timeoutMs);
+        signal?.addEventListener('abort', closeContext, { once: true });
+
+        try {
+            const browser = await getBrowser();
+            context = await browser.createBrowserContext();
+            if (signal?.aborted || timedOut) closeContext();
+
+            const page = await context.newPage();
+            page.setDefaultTimeout(timeoutMs);
+            await page.setBypassCSP(true); // axe is injected as an inline script
+            const pageUserAgent = fetchOptions?.userAgent || userAgent;
+            if (pageUserAgent) await page.setUserAgent(pageUserAgent);
+
+            let documentServed = false;
+            let blockedRequests = 0;
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                const requestUrl = request.url();
+
+                // Submitted HTML with a base URL is served as that URL's document
+                if (html !== undefined && url && !documentServed && request.isNavigationRequest() && requestUrl === url) {
+                    documentServed = true;
+                    return request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+                }
+                if (!/^https?:/i.test(requestUrl)) {
+                    return request.continue();
+                }
+                if (fetchOptions && request.isNavigationRequest() && request.redirectChain().length > fetchOptions.maxRedirects) {
+                    return request.abort('blockedbyclient');
+                }
+
+                const credentialHeaders = buildCredentialHeaders(fetchOptions, requestUrl);
+                networkPolicy.resolveAndCheck(requestUrl).then(
+                    () => request.continue(Object.keys(credentialHeaders).length > 0
+                        ? { headers: { ...request.headers(), ...credentialHeaders } }
+                        : undefined),
+                    () => {
+                        blockedRequests++;
+                        return request.abort('blockedbyclient');
+                    }
+                ).catch(() => {}); // the page may have closed in the meantime
+            });
+
+            const waitUntil = WAIT_UNTIL[wait.until || 'load'];
+            if (html !== undefined && !url) {
+                await page.setContent(html, { waitUntil });
+            } else {
+                const response = await page.goto(url, { waitUntil });
+                if (response && response.status() >= 400) {
+                    throw createEngineError(`Server responded with ${response.status()}: ${response.statusText()}`, 'HTTP_ERROR');
+                }
+            }
+
+            if (wait.selector) {
+                await page.waitForSelector(wait.selector);
+            }
+            if (wait.delayMs) {
+                await new Promise(resolve => setTimeout(resolve, wait.delayMs));
+            }
+            await runActions(page, actions);
+
+            let scopeCounts;
+            try {
+                scopeCounts = await page.evaluate(countScopedElements, scope);
+            } catch (error) {
+                throw createEngineError(`Invalid scope selector: ${error.message}`, 'INVALID_SCOPE');
+            }
+            if (scopeCounts.includeMatches === 0) {
+                throw createEngineError(`No elements match the include selectors: ${scope.include.join(', ')}`, 'SCOPE_NOT_FOUND');
+            }
+            if (scopeCounts.elementCount > maxDomElements) {
+                throw createEngineError(`Website too complex: ${scopeCounts.elementCount} DOM elements (max: ${maxDomElements}). Try a simpler page.`, 'DOM_TOO_COMPLEX');
+            }
+
+            const axeContext = scope.include.length > 0 || scope.exclude.length > 0
+                ? { ...(scope.include.length > 0 ? { include: scope.include } : {}), exclude: scope.exclude }
+                : null;
+
+            // Each check gets its own page and copy of axe, so its locale stays with it
+            await page.addScriptTag({ content: axeSource });
+            const results = await page.evaluate(
+                (options, axeContext, axeLocale) => {
+                    if (axeLocale) window.axe.configure({ locale: axeLocale });
+                    return window.axe.run(axeContext || document, options).then(raw => JSON.parse(JSON.stringify(raw)));
+                },
+                buildAxeOptions(ruleConfig, detail),
+                axeContext,
+                locale
+            );
+
+            const pageInfo = await page.evaluate(() => ({
+                htmlLength: document.documentElement.outerHTML.length,
+                links: [...document.querySelectorAll('a[href]')].map(link => link.href)
+            }));
+
+            return {
+                ...trimAxeResults(results, detail),
+                url: url || null,
+                finalUrl: html === undefined ? page.url() : null,
+                timestamp: new Date().toISOString(),
+                analysisTimeMs: Date.now() - analysisStart,
+                htmlLength: pageInfo.htmlLength,
+                elementCount: scopeCounts.elementCount,
+                scope: { ...scope, ...scopeCounts },
+                links: pageInfo.links.filter(link => /^https?:/i.test(link)),
+                blockedRequests
+            };
+        } catch (error) {
+            if (timedOut) {
+                throw createEngineError(`Browser analysis timeout after ${timeoutMs / 1000} seconds - website too complex`, 'TIMEOUT');
+            }
+            if (signal?.aborted) {
+                throw createEngineError('Analysis cancelled', 'CANCELLED');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', closeContext);
+            await closeContext();
+            release();
+        }
+    };
+
+    return {
+        analyze,
+        isAvailable,
+
+        stats() {
+            return {
+                enabled,
+                available: isAvailable(),
+                launched: Boolean(browserPromise),
+                activePages,
+                queued: waiting.length,
+                maxPages
+            };
+        },
+
+        async close() {
+            if (!browserPromise) return;
+            const browser = await browserPromise.catch(() => null);
+            browserPromise = null;
+            if (browser) await browser.close().catch(() => {});
+        }
+    };
+};
+
+module.exports = {
+    createBrowserEngine
+};
@@ -0,0 +1,35 @@
+// Errors raised by the check pipeline and option validation. They carry the HTTP
+// status and error code the API reports, so the programmatic API and the CLI see
+// the same codes as HTTP clients.
+
+// Error raised by the check pipeline, carrying the HTTP status and error code to report
+const createCheckError = (status, message, code, details = null, suggestion = null) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.details = details;
+    error.suggestion = suggestion;
+    return error;
+};
+
+const createCancelledError = () => createCheckError(409, 'Check was cancelled', 'CANCELLED');
+
+// Response body for a check pipeline error, in the same shape the check routes have always used
+const buildCheckErrorBody = (error, url) => {
+    const errorResponse = {
+        success: false,
+        message: error.message,
+        error: error.code || 'SERVER_ERROR',
+        details: error.details,
+        url: url || null,
+        timestamp: new Date().toISOString()
+    };
+    if (error.suggestion) errorResponse.suggestion = error.suggestion;
+    return errorResponse;
+};
+
+module.exports = {
+    createCheckError,
+    createCancelledError,
+    buildCheckErrorBody
+};
@@ -0,0 +1,344 @@
+// Check options shared by the HTTP routes and the programmatic API: axe rule presets
+// and defaults, plus validation of the engine, rule, detail, scope, cache, fetch and
+// baseline options. Every resolver takes the caller's input (request body fields)
+// and returns the effective options, or throws a 400 check error.
+const axe = require('axe-core');
+const { createCheckError } = require('./check-errors');
+const { IMPACT_LEVELS, unwrapResult, isResultData, extractIssues } = require('./baseline');
+const { parseFetchOptions } = require('./fetch-options');
+
+// Named axe tag presets callers can pick instead of listing tags themselves
+const AXE_PRESETS = {
+    wcag2a: ['wcag2a'],
+    wcag2aa: ['wcag2a', 'wcag2aa'],
+    wcag21a: ['wcag2a', 'wcag21a'],
+    wcag21aa: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+    wcag22aa: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'],
+    section508: ['section508'],
+    'best-practice': ['best-practice']
+};
+
+// Rules that can't produce meaningful results on the sanitized, style-less DOM
+const DEFAULT_DISABLED_RULES = ['color-contrast', 'focus-order-semantics', 'scrollable-region-focusable', 'css-orientation-lock'];
+
+// Rules the JSDOM engine can run once the page's styles are kept ("styles": true)
+const STYLE_RULES = ['color-contrast'];
+
+const DEFAULT_RULE_CONFIG = {
+    preset: 'wcag2aa',
+    tags: AXE_PRESETS.wcag2aa,
+    enabledRules: ['bypass'],
+    disabledRules: DEFAULT_DISABLED_RULES
+};
+
+// How much node-level detail results carry: "summary" (rules only), "standard"
+// (selectors and failure summaries) or "full" (adds axe's check data and related nodes)
+const DETAIL_LEVELS = ['summary', 'standard', 'full'];
+
+// Whole document: no include selectors (everything) and no exclude selectors
+const DEFAULT_SCOPE = { include: [], exclude: [] };
+
+// Known rule IDs and tags, used to validate caller-supplied rule configuration
+const AXE_RULE_IDS = new Set(axe.getRules().map(rule => rule.ruleId));
+const AXE_TAGS = new Set(axe.getRules().flatMap(rule => rule.tags));
+
+// Accepts either an array of strings or a comma-separated string (query parameters)
+const parseList = (value, field, code = 'INVALID_RULE_CONFIG') => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = typeof value === 'string' ? value.split(',') : value;
+
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        throw createCheckError(400, `"${field}" must be an array of strings`, code);
+    }
+    return [...new Set(list.map(item => item.trim()).filter(Boolean))];
+};
+
+// An absolute HTTP(S) URL, normalized; `label` names it in error messages ("URL", "base URL", ...)
+const resolveHttpUrl = (value, label = 'URL') => {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(value);
+    } catch (error) {
+        throw createCheckError(400, `Invalid ${label} format`, 'INVALID_URL_FORMAT');
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw createCheckError(400, `Only HTTP and HTTPS ${label}s are supported`, 'INVALID_PROTOCOL');
+    }
+    return parsedUrl.toString();
+};
+
+// Resolves the caller's preset/tags/rule overrides into the effective axe rule configuration.
+// `styles` tells whether the JSDOM engine keeps the page's styles.
+const resolveRuleConfig = (input = {}, engine = 'jsdom', styles = false) => {
+    const { preset } = input;
+    const tags = parseList(input.tags, 'tags');
+    const enableRules = parseList(input.enableRules, 'enableRules');
+    const disableRules = parseList(input.disableRules, 'disableRules');
+
+    const invalid = (message, details) => createCheckError(400, message, 'INVALID_RULE_CONFIG', details);
+
+    if (preset !== undefined && !Object.hasOwn(AXE_PRESETS, preset)) {
+        throw invalid(`Unknown preset "${preset}"`, { availablePresets: Object.keys(AXE_PRESETS) });
+    }
+
+    const unknownTags = tags.filter(tag => !AXE_TAGS.has(tag));
+    if (unknownTags.length > 0) {
+        throw invalid(`Unknown axe tag(s): ${unknownTags.join(', ')}`, { unknownTags });
+    }
+
+    const unknownRules = [...enableRules, ...disableRules].filter(id => !AXE_RULE_IDS.has(id));
+    if (unknownRules.length > 0) {
+        throw invalid(`Unknown axe rule(s): ${unknownRules.join(', ')}`, { unknownRules });
+    }
+
+    const conflictingRules = enableRules.filter(id => disableRules.includes(id));
+    if (conflictingRules.length > 0) {
+        throw invalid(`Rule(s) both enabled and disabled: ${conflictingRules.join(', ')}`, { conflictingRules });
+    }
+
+    // No preset and no tags means the default preset; explicit tags extend a preset
+    const effectivePreset = preset || (tags.length > 0 ? null : DEFAULT_RULE_CONFIG.preset);
+    const baseTags = effectivePreset ? AXE_PRESETS[effectivePreset] : [];
+    const jsdomDisabledRules = styles
+        ? DEFAULT_RULE_CONFIG.disabledRules.filter(id => !STYLE_RULES.includes(id))
+        : DEFAULT_RULE_CONFIG.disabledRules;
+
+    return {
+        preset: effectivePreset,
+        tags: [...new Set([...baseTags, ...tags])],
+        enabledRules: [...new Set([...DEFAULT_RULE_CONFIG.enabledRules, ...enableRules])]
+            .filter(id => !disableRules.includes(id)),
+        // The browser engine renders styles and focus, so it needs none of the JSDOM workarounds
+        disabledRules: [...new Set([...(engine === 'browser' ? [] : jsdomDisabledRules), ...disableRules])]
+            .filter(id => !enableRules.includes(id))
+    };
+};
+
+/**
+ * Resolvers bound to the service's limits (`config`, see lib/config.js) and its
+ * browser engine, which decides whether "engine": "browser" is available.
+ */
+const createCheckOptions = ({ config, browserEngine }) => {
+    const defaultDetail = {
+        level: 'standard',
+        maxViolations: config.MAX_VIOLATIONS_TO_PROCESS,
+        maxNodesPerViolation: config.MAX_NODES_PER_VIOLATION
+    };
+
+    // Engine selection: "jsdom" (static HTML, the default) or "browser" (headless Chromium),
+    // with the browser's wait conditions: waitUntil, waitForSelector and waitMs. "styles"
+    // makes the JSDOM engine keep the page's CSS; the browser always renders it.
+    const resolveEngine = (input) => {
+        const { engine = 'jsdom', waitUntil, waitForSelector, waitMs, actions } = input;
+
+        const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_ENGINE_OPTIONS', details);
+
+        if (!['jsdom', 'browser'].includes(engine)) {
+            throw invalid('"engine" must be "jsdom" or "browser"', { received: engine });
+        }
+        if (![undefined, true, false, 'true', 'false'].includes(input.styles)) {
+            throw invalid('"styles" must be true or false', { received: input.styles });
+        }
+        const styles = input.styles === true || input.styles === 'true';
+
+        if (engine === 'jsdom') {
+            if (waitUntil !== undefined || waitForSelector !== undefined || waitMs !== undefined) {
+                throw invalid('Wait conditions need "engine": "browser"');
+            }
+            if (actions !== undefined) {
+                throw invalid('Page actions need "engine": "browser"');
+            }
+            return styles ? { name: 'jsdom', styles } : { name: 'jsdom' };
+        }
+        if (styles) {
+            throw invalid('"styles" applies to "engine": "jsdom"; the browser engine always renders styles');
+        }
+
+        if (!browserEngine.isAvailable()) {
+            throw createCheckError(501, 'The browser engine is not available on this server', 'ENGINE_UNAVAILABLE',
+                config.BROWSER_ENGINE_ENABLED ? 'Install the optional "puppeteer" dependency' : 'Set BROWSER_ENGINE=true to enable it');
+        }
+        if (waitUntil !== undefined && !['load', 'domcontentloaded', 'networkidle'].includes(waitUntil)) {
+            throw invalid('"waitUntil" must be one of: load, domcontentloaded, networkidle', { received: waitUntil });
+        }
+        if (waitForSelector !== undefined && (typeof waitForSelector !== 'string' || !waitForSelector.trim())) {
+            throw invalid('"waitForSelector" must be a non-empty CSS selector');
+        }
+        const delayMs = waitMs === undefined ? 0 : Number(waitMs);
+        if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > config.BROWSER_MAX_WAIT_MS) {
+            throw invalid(`"waitMs" must be an integer between 0 and ${config.BROWSER_MAX_WAIT_MS}`);
+        }
+
+        // Pre-analysis actions, run in order once the page is ready: { click }, { waitForSelector } or { waitMs }
+        if (actions !== undefined && (!Array.isArray(actions) || actions.length > config.BROWSER_MAX_ACTIONS)) {
+            throw invalid(`"actions" must be an array of at most ${config.BROWSER_MAX_ACTIONS} actions`);
+        }
+        const isSelector = (value) => typeof value === 'string' && value.trim().length > 0;
+        const invalidActions = (actions || []).filter(action => !(
+            action && typeof action === 'object' && Object.keys(action).length === 1 && (
+                isSelector(action.click)
+                || isSelector(action.waitForSelector)
+                || (Number.isInteger(action.waitMs) && action.waitMs >= 0 && action.waitMs <= config.BROWSER_MAX_WAIT_MS)
+            )
+        ));
+        if (invalidActions.length > 0) {
+            throw invalid(`Each action must be { "click": selector }, { "waitForSelector": selector } or { "waitMs": 0-${config.BROWSER_MAX_WAIT_MS} }`, { invalidActions });
+        }
+
+        return {
+            name: 'browser',
+            wait: { until: waitUntil || 'load', selector: waitForSelector || null, delayMs },
+            actions: actions || []
+        };
+    };
+
+    // Fetch options for pages behind a login ("request": headers, cookies, auth, userAgent,
+    // maxRedirects). Returns { fetchOptions, urls }: credentials embedded in `urls` are
+    // moved into fetchOptions and the URLs come back without them.
+    const resolveFetchOptions = (request, urls) => {
+        try {
+            return parseFetchOptions(request, urls, {
+                defaultMaxRedirects: config.MAX_REDIRECTS,
+                maxRedirectsLimit: config.MAX_REDIRECTS_LIMIT
+            });
+        } catch (error) {
+            throw createCheckError(400, error.message, error.code || 'INVALID_REQUEST_OPTIONS');
+        }
+    };
+
+    // Cache option: "default" serves unchanged pages from the result cache, "bypass" forces a fresh check
+    const resolveCacheMode = ({ cache = 'default' }) => {
+        if (!['default', 'bypass'].includes(cache)) {
+            throw createCheckError(400, '"cache" must be "default" or "bypass"', 'INVALID_CACHE_OPTION', { received: cache });
+        }
+        return cache;
+    };
+
+    // Analysis scope: "include" / "exclude" CSS selector lists mapped onto axe's context
+    const resolveScope = (input) => {
+        const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_SCOPE', details);
+
+        const parseSelectors = (value, field) => {
+            if (value === undefined) return [];
+            const selectors = Array.isArray(value) ? value : [value];
+            if (selectors.length > config.SCOPE_MAX_SELECTORS || selectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+                throw invalid(`"${field}" must be a CSS selector or a list of at most ${config.SCOPE_MAX_SELECTORS} selectors`);
+            }
+            return selectors.map(selector => selector.trim());
+        };
+
+        const scope = {
+            include: parseSelectors(input.include, 'include'),
+            exclude: parseSelectors(input.exclude, 'exclude')
+        };
+
+        // axe's own selector parser, so anything accepted here is also accepted by axe
+        const invalidSelectors = [...scope.include, ...scope.exclude].flatMap((selector) => {
+            try {
+                axe.utils.cssParser.parse(selector);
+                return [];
+            } catch (error) {
+                return [{ selector, reason: error.message }];
+            }
+        });
+        if (invalidSelectors.length > 0) {
+            throw invalid('Invalid CSS selector in "include" or "exclude"', { invalidSelectors });
+        }
+
+        return scope;
+    };
+
+    // Detail options: "detail" level plus optional maxViolations / maxNodesPerViolation caps,
+    // each bounded by the server maximums
+    const resolveDetail = (input) => {
+        const { detail: level = defaultDetail.level } = input;
+
+        const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_DETAIL_OPTIONS', details);
+
+        if (!DETAIL_LEVELS.includes(level)) {
+            throw invalid(`"detail" must be one of: ${DETAIL_LEVELS.join(', ')}`, { received: level });
+        }
+
+        const parseCap = (field, max, fallback) => {
+            if (input[field] === undefined) return fallback;
+            const value = Number(input[field]);
+            if (!Number.isInteger(value) || value < 0 || value > max) {
+                throw invalid(`"${field}" must be an integer between 0 and ${max}`);
+            }
+            return value;
+        };
+
+        return {
+            level,
+            maxViolations: parseCap('maxViolations', config.MAX_VIOLATIONS_LIMIT, defaultDetail.maxViolations),
+            maxNodesPerViolation: parseCap(
+                'maxNodesPerViolation',
+                config.MAX_NODES_LIMIT,
+                level === 'full' ? config.MAX_NODES_LIMIT : defaultDetail.maxNodesPerViolation
+            )
+        };
+    };
+
+    // Baseline comparison and gate options: a previous result ("baseline") or a stored
+    // "baselineId", plus "failOn" (impact threshold) and "failOnNew". `findBaseline(id)`
+    // resolves with the caller's stored baseline or null. Resolves with null when no
+    // comparison was asked for.
+    const resolveComparison = async (input, findBaseline) => {
+        const { baseline, baselineId, failOn } = input;
+        const failOnNew = input.failOnNew === undefined ? undefined : input.failOnNew === true || input.failOnNew === 'true';
+
+        const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_BASELINE', details);
+
+        if (baseline === undefined && baselineId === undefined && failOn === undefined && failOnNew === undefined) {
+            return null;
+        }
+        if (baseline !== undefined && baselineId !== undefined) {
+            throw invalid('Use either "baseline" or "baselineId", not both');
+        }
+        if (failOn !== undefined && !IMPACT_LEVELS.includes(failOn)) {
+            throw invalid(`"failOn" must be one of: ${IMPACT_LEVELS.join(', ')}`, { received: failOn });
+        }
+
+        let reference = null;
+        if (baseline !== undefined) {
+            if (!isResultData(unwrapResult(baseline))) {
+                throw invalid('"baseline" must be a previous check or scan result');
+            }
+            reference = { id: null, issues: extractIssues(baseline) };
+        } else if (baselineId !== undefined) {
+            const stored = await findBaseline(String(baselineId));
+            if (!stored) {
+                throw createCheckError(404, 'Baseline not found', 'BASELINE_NOT_FOUND', 'Stored baselines expire after a while; store it again');
+            }
+            reference = { id: stored.id, issues: stored.issues };
+        }
+
+        return {
+            baseline: reference,
+            failOn: failOn || null,
+            // With a baseline, only new issues fail the gate unless the caller says otherwise
+            failOnNew: failOnNew ?? Boolean(reference)
+        };
+    };
+
+    return {
+        defaultDetail,
+        resolveEngine,
+        resolveFetchOptions,
+        resolveCacheMode,
+        resolveScope,
+        resolveDetail,
+        resolveComparison
+    };
+};
+
+module.exports = {
+    AXE_PRESETS,
+    DEFAULT_RULE_CONFIG,
+    DETAIL_LEVELS,
+    DEFAULT_SCOPE,
+    parseList,
+    resolveHttpUrl,
+    resolveRuleConfig,
+    createCheckOptions
+};
@@ -0,0 +1,267 @@
+// Service configuration: every limit comes from an environment variable, an optional
+// JSON config file (CONFIG_FILE) or its default, in that order of precedence. Values
+// are type- and range-checked at startup; all problems are reported at once so a bad
+// deployment fails before it serves a single request.
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MB = 1024 * 1024;
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One entry per setting. `key` is the name used in code (CONFIG.KEY), `env` the
+ * name used in the environment and the config file (defaults to `key`). Values are
+ * given in the env unit; `toValue` converts them to the unit used in code.
+ * Types: integer, number, boolean, string, list (comma-separated), enum (`values`)
+ * and size (body-parser sizes such as "500kb"). `nullable` settings may be unset.
+ */
+const CONFIG_SCHEMA = [
+    // Server
+    { key: 'PORT', type: 'integer', default: 3001, min: 0, max: 65535, description: 'HTTP port' },
+    { key: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info', description: 'Lowest log level written' },
+    { key: 'METRICS_PUBLIC', type: 'boolean', default: true, description: 'Serve GET /metrics without an API key (for Prometheus scrapers)' },
+    { key: 'ADMIN_KEYS', type: 'list', default: [], description: 'Names of the API keys allowed to use the admin endpoints' },
+    { key: 'TRUST_PROXY', type: 'integer', nullable: true, default: null, min: 0, max: 10, toValue: (hops) => hops ?? false, description: 'Proxy hops in front of the service, for client IPs' },
+    { key: 'CORS_ORIGINS', type: 'list', default: [], description: 'Browser origins allowed to call the API ("*" for any)' },
+    { key: 'JSON_BODY_LIMIT', type: 'size', default: '500kb', description: 'Body limit for JSON requests' },
+    { key: 'HTML_BODY_LIMIT', type: 'size', default: '3mb', description: 'Body limit for submitted HTML documents (and baselines)' },
+
+    // Page fetching
+    { key: 'MAX_HTML_SIZE', env: 'MAX_HTML_SIZE_MB', type: 'number', default: 3, min: 0.1, max: 100, toValue: (mb) => Math.round(mb * MB), description: 'Sanitized HTML analyzed per page (MB); larger documents are cut at an element boundary' },
+    { key: 'MAX_CONTENT_LENGTH', env: 'MAX_CONTENT_LENGTH_MB', type: 'number', default: 5, min: 0.1, max: 200, toValue: (mb) => Math.round(mb * MB), description: 'Page downloads stop after this many MB' },
+    { key: 'REQUEST_TIMEOUT', type: 'integer', default: 20000, min: 1000, max: 300000, description: 'Timeout for a whole page download (ms)' },
+    { key: 'USER_AGENT', type: 'string', default: 'Mozilla/5.0 (compatible; AccessibilityBot/1.0)', description: 'Default User-Agent for page fetches' },
+    { key: 'MAX_REDIRECTS', type: 'integer', default: 1, min: 0, max: 20, description: 'Redirects followed per page fetch unless the request sets request.maxRedirects' },
+    { key: 'MAX_REDIRECTS_LIMIT', type: 'integer', default: 5, min: 0, max: 20, description: 'Upper bound for request.maxRedirects' },
+    { key: 'HTTP_MAX_SOCKETS', type: 'integer', default: 2, min: 1, max: 256, description: 'Outbound connections per host' },
+    { key: 'CONNECTIVITY_TIMEOUT', type: 'integer', default: 10000, min: 1000, max: 120000, description: 'Timeout for POST /test-connectivity (ms)' },
+    { key: 'CONNECTIVITY_MAX_REDIRECTS', type: 'integer', default: 3, min: 0, max: 20, description: 'Redirects followed by POST /test-connectivity unless the request sets request options' },
+
+    // Network policy
+    { key: 'BLOCK_PRIVATE_NETWORKS', type: 'boolean', default: true, description: 'Refuse private, loopback and link-local targets' },
+    { key: 'ALLOWED_HOSTS', type: 'list', default: [], description: 'If set, the only hosts that may be fetched' },
+    { key: 'DENIED_HOSTS', type: 'list', default: [], description: 'Hosts that are never fetched' },
+    { key: 'TLS_REJECT_UNAUTHORIZED', env: 'ALLOW_INSECURE_TLS', type: 'boolean', default: false, toValue: (allowInsecure) => !allowInsecure, description: 'Skip TLS certificate verification (ALLOW_INSECURE_TLS=true)' },
+
+    // Analysis
+    { key: 'ANALYSIS_TIMEOUT', type: 'integer', default: 30000, min: 1000, max: 600000, description: 'Timeout for the axe run (ms)' },
+    { key: 'JSDOM_TIMEOUT', type: 'integer', default: 15000, min: 1000, max: 600000, description: 'Timeout for parsing the document (ms)' },
+    { key: 'MAX_DOM_ELEMENTS', type: 'integer', default: 3000, min: 10, max: 1000000, description: 'Elements in scope above which a page is rejected as too complex' },
+    { key: 'COMPLEX_SITE_THRESHOLD', type: 'integer', default: 1000, min: 1, max: 1000000, description: 'Elements in scope above which a page counts as complex' },
+    { key: 'ANALYSIS_WORKERS', type: 'integer', default: 1, min: 1, max: 64, description: 'Worker threads running JSDOM + axe' },
+    { key: 'ANALYSIS_WORKER_MAX_HEAP_MB', type: 'integer', default: 192, min: 32, max: 65536, description: 'Heap limit per analysis worker' },
+    { key: 'MAX_VIOLATIONS_TO_PROCESS', type: 'integer', default: 30, min: 0, max: 10000, description: 'Default rules reported per result list (violations, incomplete)' },
+    { key: 'MAX_NODES_PER_VIOLATION', type: 'integer', default: 5, min: 0, max: 10000, description: 'Default nodes reported per rule at the "standard" detail level' },
+    { key: 'MAX_VIOLATIONS_LIMIT', type: 'integer', default: 100, min: 0, max: 10000, description: "Upper bound for a request's maxViolations" },
+    { key: 'MAX_NODES_LIMIT', type: 'integer', default: 50, min: 0, max: 10000, description: "Upper bound for a request's maxNodesPerViolation (and the \"full\" default)" },
+    { key: 'SCOPE_MAX_SELECTORS', type: 'integer', default: 20, min: 1, max: 1000, description: 'Upper bound for include/exclude selectors per request' },
+    { key: 'STYLESHEET_MAX_COUNT', type: 'integer', default: 10, min: 0, max: 100, description: 'Linked stylesheets fetched per page when a check keeps styles' },
+    { key: 'STYLESHEET_MAX_SIZE', env: 'STYLESHEET_MAX_SIZE_KB', type: 'integer', default: 1024, min: 1, max: 102400, toValue: (kb) => kb * 1024, description: 'Linked CSS downloaded per page in total (KB); sheets past it are skipped' },
+    { key: 'STYLESHEET_TIMEOUT', type: 'integer', default: 5000, min: 500, max: 120000, description: 'Timeout for a single stylesheet download (ms)' },
+
+    // Memory
+    { key: 'MEMORY_LIMIT_MB', type: 'integer', default: 200, min: 16, max: 65536, description: 'Main thread heap use that forces a cleanup and stops running scans' },
+    { key: 'MEMORY_MONITOR_INTERVAL_MS', type: 'integer', default: 2000, min: 250, max: 3600000, description: 'How often heap use is sampled' },
+    { key: 'MEMORY_ADMISSION_GC_MB', type: 'integer', default: 300, min: 16, max: 65536, description: 'Heap use at the start of a check above which garbage is collected before admitting it' },
+    { key: 'MEMORY_ADMISSION_LIMIT_MB', type: 'integer', default: 250, min: 16, max: 65536, description: 'Heap use after that collection above which the check is rejected with 503' },
+
+    // Admission and shutdown
+    { key: 'MAX_CONCURRENT_ANALYSES', type: 'integer', default: 2, min: 1, max: 256, description: 'Checks, scans and monitor runs analyzed at once' },
+    { key: 'ANALYSIS_QUEUE_LENGTH', type: 'integer', default: 10, min: 0, max: 10000, description: 'Requests waiting for an analysis slot before more get a 503' },
+    { key: 'ANALYSIS_QUEUE_TIMEOUT', type: 'integer', default: 30000, min: 0, max: 600000, description: 'How long a request waits for an analysis slot before a 503 (ms)' },
+    { key: 'SHUTDOWN_TIMEOUT', type: 'integer', default: 120000, min: 1000, max: 3600000, description: 'How long a shutdown waits for running analyses before exiting anyway (ms)' },
+
+    // Scans and async jobs
+    { key: 'SCAN_MAX_PAGES', type: 'integer', default: 20, min: 1, max: 1000, description: 'Upper bound for pages per scan (URL list or crawl)' },
+    { key: 'SCAN_DEFAULT_PAGES', type: 'integer', default: 10, min: 1, max: 1000, description: "Pages crawled when the caller doesn't set maxPages" },
+    { key: 'SCAN_MAX_DEPTH', type: 'integer', default: 3, min: 0, max: 20, description: 'Upper bound for crawl depth' },
+    { key: 'SCAN_DEFAULT_DEPTH', type: 'integer', default: 2, min: 0, max: 20, description: "Crawl depth when the caller doesn't set maxDepth" },
+    { key: 'SCAN_CONCURRENCY', type: 'integer', default: 1, min: 1, max: 32, description: 'Pages analyzed at once during a scan' },
+    { key: 'JOB_CONCURRENCY', type: 'integer', default: 1, min: 1, max: 64, description: 'Async jobs running at once' },
+    { key: 'JOB_MAX_QUEUE_LENGTH', type: 'integer', default: 20, min: 0, max: 100000, description: 'Async jobs waiting before submissions get a 503' },
+    { key: 'JOB_TTL_MS', type: 'integer', default: 60 * 60 * 1000, min: SECOND_MS, max: 30 * DAY_MS, description: 'How long finished jobs are kept (ms)' },
+    { key: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1, max: 20, description: 'Delivery attempts per callback' },
+    { key: 'WEBHOOK_BASE_DELAY_MS', type: 'integer', default: 2000, min: 0, max: 600000, description: 'Backoff before the 2nd attempt, doubled for each retry after that' },
+    { key: 'WEBHOOK_TIMEOUT', type: 'integer', default: 10000, min: 1000, max: 120000, description: 'Timeout for a single callback request (ms)' },
+
+    // Rate limits
+    { key: 'RATE_LIMIT_WINDOW_MS', type: 'integer', default: 60000, min: 1000, max: DAY_MS, description: 'Default rate limit window per API key (or per IP without keys)' },
+    { key: 'RATE_LIMIT_MAX', type: 'integer', default: 30, min: 1, max: 1000000, description: 'Default requests per window' },
+    { key: 'DAILY_QUOTA', type: 'integer', nullable: true, default: null, min: 1, max: 100000000, description: 'Default requests per key per day (unlimited if unset)' },
+
+    // Result cache, baselines, history
+    { key: 'CACHE_ENABLED', type: 'boolean', default: true, description: 'Cache results of unchanged pages' },
+    { key: 'CACHE_TTL_MS', env: 'CACHE_TTL_SECONDS', type: 'integer', default: 600, min: 1, max: 30 * 24 * 60 * 60, toValue: (seconds) => seconds * SECOND_MS, description: 'How long cached results are kept (seconds)' },
+    { key: 'CACHE_MAX_ENTRIES', type: 'integer', default: 100, min: 1, max: 1000000, description: 'LRU bound on cached results and validators' },
+    { key: 'CACHE_MAX_SIZE_MB', type: 'integer', default: 20, min: 1, max: 65536, description: 'LRU bound on the approximate size of cached results' },
+    { key: 'BASELINE_TTL_MS', env: 'BASELINE_TTL_DAYS', type: 'integer', default: 7, min: 1, max: 3650, toValue: (days) => days * DAY_MS, description: 'How long stored baselines are kept (days)' },
+    { key: 'BASELINE_MAX_ENTRIES', type: 'integer', default: 200, min: 1, max: 1000000, description: 'LRU bound on stored baselines' },
+    { key: 'BASELINE_MAX_SIZE_MB', type: 'integer', default: 20, min: 1, max: 65536, description: 'LRU bound on the approximate size of stored baselines' },
+    { key: 'HISTORY_ENABLED', type: 'boolean', default: true, description: 'Save every completed check to the scan history' },
+    { key: 'HISTORY_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'history.json'), description: 'JSON file behind the default history store' },
+    { key: 'HISTORY_RETENTION_MS', env: 'HISTORY_RETENTION_DAYS', type: 'integer', default: 90, min: 1, max: 36500, toValue: (days) => days * DAY_MS, description: 'Saved checks older than this are deleted (days)' },
+    { key: 'HISTORY_MAX_RECORDS', type: 'integer', default: 5000, min: 1, max: 10000000, description: 'Saved checks kept at most (oldest go first)' },
+    { key: 'HISTORY_PAGE_SIZE', type: 'integer', default: 20, min: 1, max: 1000, description: 'Saved checks per page of GET /history unless pageSize is set' },
+    { key: 'HISTORY_MAX_PAGE_SIZE', type: 'integer', default: 100, min: 1, max: 1000, description: 'Upper bound for pageSize' },
+
+    // Monitors
+    { key: 'MONITORS_ENABLED', type: 'boolean', default: true, description: 'Allow scheduled monitors (/monitors) and run them' },
+    { key: 'MONITOR_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'monitors.json'), description: 'JSON file behind the default monitor store' },
+    { key: 'MONITOR_MAX_COUNT', type: 'integer', default: 50, min: 1, max: 100000, description: 'Monitors kept at most, across all API keys' },
+    { key: 'MONITOR_MIN_INTERVAL_MS', env: 'MONITOR_MIN_INTERVAL_MINUTES', type: 'integer', default: 5, min: 1, max: 1440, toValue: (minutes) => minutes * MINUTE_MS, description: 'Shortest time between two runs of a monitor (minutes)' },
+
+    // Browser engine
+    { key: 'BROWSER_ENGINE_ENABLED', env: 'BROWSER_ENGINE', type: 'boolean', default: false, description: 'Allow "engine": "browser" (needs the optional puppeteer dependency)' },
+    { key: 'BROWSER_EXECUTABLE_PATH', type: 'string', nullable: true, default: null, description: "Chromium binary; defaults to Puppeteer's own download" },
+    { key: 'BROWSER_ARGS', type: 'list', default: ['--disable-dev-shm-usage'], description: 'Extra Chromium flags' },
+    { key: 'BROWSER_MAX_PAGES', type: 'integer', default: 1, min: 1, max: 32, description: 'Browser checks running at once' },
+    { key: 'BROWSER_TIMEOUT', type: 'integer', default: 45000, min: 1000, max: 600000, description: 'Page load, waits and analysis in the browser engine (ms)' },
+    { key: 'BROWSER_MAX_WAIT_MS', type: 'integer', default: 10000, min: 0, max: 600000, description: "Upper bound for a request's waitMs" },
+    { key: 'BROWSER_MAX_ACTIONS', type: 'integer', default: 10, min: 0, max: 100, description: 'Pre-analysis actions (clicks, waits) per browser check' }
+];
+
+// Settings that only make sense together, checked after every value is valid
+const CONSISTENCY_RULES = [
+    [(config) => config.MAX_HTML_SIZE <= config.MAX_CONTENT_LENGTH, 'MAX_HTML_SIZE_MB must not exceed MAX_CONTENT_LENGTH_MB'],
+    [(config) => config.MAX_VIOLATIONS_TO_PROCESS <= config.MAX_VIOLATIONS_LIMIT, 'MAX_VIOLATIONS_TO_PROCESS must not exceed MAX_VIOLATIONS_LIMIT'],
+    [(config) => config.MAX_NODES_PER_VIOLATION <= config.MAX_NODES_LIMIT, 'MAX_NODES_PER_VIOLATION must not exceed MAX_NODES_LIMIT'],
+    [(config) => config.MAX_REDIRECTS <= config.MAX_REDIRECTS_LIMIT, 'MAX_REDIRECTS must not exceed MAX_REDIRECTS_LIMIT'],
+    [(config) => config.SCAN_DEFAULT_PAGES <= config.SCAN_MAX_PAGES, 'SCAN_DEFAULT_PAGES must not exceed SCAN_MAX_PAGES'],
+    [(config) => config.SCAN_DEFAULT_DEPTH <= config.SCAN_MAX_DEPTH, 'SCAN_DEFAULT_DEPTH must not exceed SCAN_MAX_DEPTH'],
+    [(config) => config.HISTORY_PAGE_SIZE <= config.HISTORY_MAX_PAGE_SIZE, 'HISTORY_PAGE_SIZE must not exceed HISTORY_MAX_PAGE_SIZE'],
+    [(config) => config.COMPLEX_SITE_THRESHOLD <= config.MAX_DOM_ELEMENTS, 'COMPLEX_SITE_THRESHOLD must not exceed MAX_DOM_ELEMENTS']
+];
+
+const SIZE_PATTERN = /^\d+(\.\d+)?\s*(b|kb|mb)$/i;
+
+const createConfigError = (problems) => {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.code = 'INVALID_CONFIG';
+    error.problems = problems;
+    return error;
+};
+
+const describeRange = ({ min, max }) => (min !== undefined && max !== undefined ? ` between ${min} and ${max}` : '');
+
+/**
+ * Parses one raw value (a string from the environment, or any JSON value from the
+ * config file) into the setting's env unit. Returns { value } or { problem }.
+ */
+const parseValue = (setting, raw) => {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (setting.nullable && (text === '' || text === null)) {
+        return { value: null };
+    }
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const number = typeof text === 'number' ? text : (text === '' ? NaN : Number(text));
+            const valid = setting.type === 'integer' ? Number.isInteger(number) : Number.isFinite(number);
+            if (!valid || (setting.min !== undefined && number < setting.min) || (setting.max !== undefined && number > setting.max)) {
+                return { problem: `must be ${setting.type === 'integer' ? 'an integer' : 'a number'}${describeRange(setting)}` };
+            }
+            return { value: number };
+        }
+        case 'boolean':
+            if (text === true || text === 'true') return { value: true };
+            if (text === false || text === 'false') return { value: false };
+            return { problem: 'must be "true" or "false"' };
+        case 'string':
+            return typeof text === 'string' && text !== '' ? { value: text } : { problem: 'must be a non-empty string' };
+        case 'list': {
+            const items = Array.isArray(text) ? text : (typeof text === 'string' ? text.split(',') : null);
+            if (!items || items.some(item => typeof item !== 'string')) {
+                return { problem: 'must be a comma-separated list (or an array of strings in the config file)' };
+            }
+            return { value: items.map(item => item.trim()).filter(Boolean) };
+        }
+        case 'enum':
+            return setting.values.includes(text) ? { value: text } : { problem: `must be one of: ${setting.values.join(', ')}` };
+        case 'size':
+            return typeof text === 'string' && SIZE_PATTERN.test(text) ? { value: text.toLowerCase().replace(/\s+/g, '') } : { problem: 'must be a size such as "500kb" or "3mb"' };
+        default:
+            return { problem: `has an unknown type "${setting.type}"` };
+    }
+};
+
+const readConfigFile = (file) => {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw createConfigError([`CONFIG_FILE ${file} could not be read: ${error.message}`]);
+    }
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw createConfigError([`CONFIG_FILE ${file} must contain a JSON object of settings`]);
+    }
+    return contents;
+};
+
+/**
+ * Builds the effective configuration. Returns { config, sources, file }: `config`
+ * maps each key to its value in code units, `sources` tells where each value came
+ * from ("env", "file" or "default"). Throws an INVALID_CONFIG error listing every
+ * problem found.
+ */
+const loadConfig = ({ env = process.env, file = env.CONFIG_FILE || null } = {}) => {
+    const fileValues = file ? readConfigFile(file) : {};
+    const envNames = new Set(CONFIG_SCHEMA.map(setting => setting.env || setting.key));
+    const problems = Object.keys(fileValues)
+        .filter(name => !envNames.has(name))
+        .map(name => `${name} in ${file} is not a known setting`);
+
+    const config = {};
+    const sources = {};
+    for (const setting of CONFIG_SCHEMA) {
+        const name = setting.env || setting.key;
+        let source = 'default';
+        let raw = setting.default;
+        // An empty variable counts as unset, so `FOO=` in a compose file keeps the default
+        if (env[name] !== undefined && env[name].trim() !== '') {
+            source = 'env';
+            raw = env[name];
+        } else if (name in fileValues) {
+            source = 'file';
+            raw = fileValues[name];
+        }
+
+        const { value, problem } = source === 'default' ? { value: raw } : parseValue(setting, raw);
+        if (problem) {
+            problems.push(`${name} ${problem} (got ${JSON.stringify(raw)}${source === 'file' ? ` in ${file}` : ''})`);
+            continue;
+        }
+        config[setting.key] = setting.toValue ? setting.toValue(value) : value;
+        sources[setting.key] = source;
+    }
+
+    if (problems.length === 0) {
+        problems.push(...CONSISTENCY_RULES.filter(([isConsistent]) => !isConsistent(config)).map(([, message]) => message));
+    }
+    if (problems.length > 0) {
+        throw createConfigError(problems);
+    }
+
+    return { config, sources, file };
+};
+
+// Effective settings for the admin endpoint: value (code units), env name, source and description
+const describeConfig = ({ config, sources, file }) => ({
+    file,
+    settings: Object.fromEntries(CONFIG_SCHEMA.map(setting => [setting.key, {
+        value: config[setting.key],
+        env: setting.env || setting.key,
+        source: sources[setting.key],
+        description: setting.description
+    }]))
+});
+
+module.exports = {
+    CONFIG_SCHEMA,
+    createConfigError,
+    loadConfig,
+    describeConfig
+};
@@ -0,0 +1,248 @@
+// Bounded site crawler used by the /scan endpoint. It only decides which pages to
+// visit and aggregates their results; fetching and analysis are done by the
+// checkPage callback so every page goes through the regular check pipeline.
+
+// Links to these files are never HTML pages, so they aren't worth a fetch
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|jpe?g|png|gif|webp|avif|svg|ico|bmp|mp3|mp4|webm|mov|avi|woff2?|ttf|eot|otf|css|js|mjs|json|xml|rss|txt|csv|docx?|xlsx?|pptx?)$/i;
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Unknown impacts sort after the known ones
+const impactRank = (impact) => {
+    const rank = IMPACT_ORDER.indexOf(impact);
+    return rank === -1 ? IMPACT_ORDER.length : rank;
+};
+
+// Drops the fragment so "/page" and "/page#section" count as the same page
+const normalizeUrl = (url) => {
+    const parsedUrl = new URL(url);
+    parsedUrl.hash = '';
+    return parsedUrl.toString();
+};
+
+// Turns a path pattern such as "/blog/*" or "*.html" into an anchored RegExp
+const globToRegExp = (pattern) => {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+};
+
+const compilePathPatterns = (patterns = []) => patterns.map(globToRegExp);
+
+// Extracts absolute http(s) link targets from <a href> attributes
+const extractLinks = (html, pageUrl) => {
+    const links = new Set();
+    const hrefPattern = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    let match;
+
+    while ((match = hrefPattern.exec(html)) !== null) {
+        const href = (match[1] ?? match[2] ?? match[3] ?? '').trim();
+        if (!href || href.startsWith('#')) continue;
+
+        try {
+            const linkUrl = new URL(href, pageUrl);
+            if (!['http:', 'https:'].includes(linkUrl.protocol)) continue;
+            if (NON_HTML_EXTENSIONS.test(linkUrl.pathname)) continue;
+            links.add(normalizeUrl(linkUrl.toString()));
+        } catch (error) {
+            // Ignore malformed hrefs
+        }
+    }
+
+    return [...links];
+};
+
+/**
+ * Visits pages breadth-first, either a fixed URL list or a crawl from startUrl.
+ * `checkPage(url)` resolves with { data, links }, links being the page's absolute
+ * link targets (see extractLinks).
+ * At most `concurrency` pages are checked at a time and `canContinue` is asked
+ * before every batch; returning a reason string stops the scan early.
+ * `onPageComplete(page, pagesDone)` is called as each page finishes.
+ */
+const crawlSite = async ({
+    urls,
+    startUrl,
+    maxPages,
+    maxDepth,
+    sameOrigin = true,
+    include = [],
+    exclude = [],
+    concurrency = 1,
+    checkPage,
+    canContinue = () => null,
+    onPageComplete = () => {}
+}) => {
+    const isCrawl = !urls;
+    const startOrigin = isCrawl ? new URL(startUrl).origin : null;
+    const includePatterns = compilePathPatterns(include);
+    const excludePatterns = compilePathPatterns(exclude);
+
+    const seen = new Set();
+    const queue = [];
+    const pages = [];
+    let stoppedReason = null;
+    let skippedLinks = 0;
+
+    const enqueue = (url, depth) => {
+        const normalized = normalizeUrl(url);
+        if (seen.has(normalized)) return;
+        seen.add(normalized);
+        queue.push({ url: normalized, depth });
+    };
+
+    // Start URL and explicitly listed URLs bypass the link filters
+    (isCrawl ? [startUrl] : urls).forEach(url => enqueue(url, 0));
+
+    const isAllowedLink = (linkUrl) => {
+        const { origin, pathname } = new URL(linkUrl);
+        if (sameOrigin && origin !== startOrigin) return false;
+        if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(pathname))) return false;
+        if (excludePatterns.some(pattern => pattern.test(pathname))) return false;
+        return true;
+    };
+
+    const visitPage = async (url, depth) => {
+        try {
+            const { data, links = [] } = await checkPage(url);
+
+            if (isCrawl && depth < maxDepth) {
+                links.forEach(linkUrl => {
+                    if (isAllowedLink(linkUrl)) {
+                        enqueue(linkUrl, depth + 1);
+                    } else {
+                        skippedLinks++;
+                    }
+                });
+            }
+
+            return { url, depth, success: true, data };
+        } catch (error) {
+            return {
+                url,
+                depth,
+                success: false,
+                error: error.code || 'CHECK_ERROR',
+                message: error.message,
+                details: error.details ?? null
+            };
+        }
+    };
+
+    let pagesDone = 0;
+    while (queue.length > 0 && pages.length < maxPages) {
+        stoppedReason = canContinue();
+        if (stoppedReason) break;
+
+        const batch = queue.splice(0, Math.min(concurrency, maxPages - pages.length));
+
+        const batchResults = await Promise.all(batch.map(async ({ url, depth }) => {
+            const page = await visitPage(url, depth);
+            onPageComplete(page, ++pagesDone);
+            return page;
+        }));
+
+        pages.push(...batchResults);
+    }
+
+    if (!stoppedReason && queue.length > 0) {
+        stoppedReason = 'MAX_PAGES_REACHED';
+    }
+
+    return {
+        pages,
+        stoppedReason,
+        unvisitedUrls: queue.length,
+        skippedLinks
+    };
+};
+
+// A page's violated rules with their node counts. Counted from the page's uncapped
+// `issues` when it has them, so rules and nodes the detail caps left out of
+// `violations` still count; a rule's impact is then its worst node's, as in axe.
+const violatedRules = (data) => {
+    if (!Array.isArray(data.issues)) {
+        return data.violations.map(violation => ({
+            id: violation.id,
+            impact: violation.impact,
+            help: violation.help,
+            helpUrl: violation.helpUrl,
+            nodeCount: violation.nodeCount ?? (violation.nodes || []).length
+        }));
+    }
+
+    const listed = new Map(data.violations.map(violation => [violation.id, violation]));
+    const rules = new Map();
+    data.issues.forEach((issue) => {
+        if (!rules.has(issue.ruleId)) {
+            const violation = listed.get(issue.ruleId);
+            rules.set(issue.ruleId, {
+                id: issue.ruleId,
+                impact: issue.impact,
+                help: violation?.help ?? null,
+                helpUrl: violation?.helpUrl ?? null,
+                nodeCount: 0
+            });
+        }
+        const rule = rules.get(issue.ruleId);
+        rule.nodeCount++;
+        if (impactRank(issue.impact) < impactRank(rule.impact)) rule.impact = issue.impact;
+    });
+    return [...rules.values()];
+};
+
+// Site-wide summary: violations grouped by rule ID across all scanned pages
+const summarizeSite = (pages) => {
+    const rules = new Map();
+    const impactCounts = Object.fromEntries(IMPACT_ORDER.map(impact => [impact, 0]));
+    let totalViolations = 0;
+    let totalIncomplete = 0;
+
+    pages.filter(page => page.success).forEach(page => {
+        totalViolations += page.data.summary.totalViolations;
+        totalIncomplete += page.data.summary.totalIncomplete;
+
+        violatedRules(page.data).forEach(violation => {
+            if (!rules.has(violation.id)) {
+                rules.set(violation.id, {
+                    id: violation.id,
+                    impact: violation.impact,
+                    help: violation.help,
+                    helpUrl: violation.helpUrl,
+                    pageCount: 0,
+                    nodeCount: 0,
+                    pages: []
+                });
+                if (violation.impact in impactCounts) impactCounts[violation.impact]++;
+            }
+
+            const rule = rules.get(violation.id);
+            rule.help = rule.help ?? violation.help;
+            rule.helpUrl = rule.helpUrl ?? violation.helpUrl;
+            rule.pageCount++;
+            rule.nodeCount += violation.nodeCount;
+            rule.pages.push(page.url);
+        });
+    });
+
+    const violationsByRule = [...rules.values()].sort((a, b) =>
+        impactRank(a.impact) - impactRank(b.impact) || b.pageCount - a.pageCount
+    );
+
+    return {
+        pagesScanned: pages.length,
+        pagesSucceeded: pages.filter(page => page.success).length,
+        pagesFailed: pages.filter(page => !page.success).length,
+        totalViolations,
+        totalIncomplete,
+        uniqueRulesViolated: violationsByRule.length,
+        rulesByImpact: impactCounts,
+        violationsByRule
+    };
+};
+
+module.exports = {
+    crawlSite,
+    summarizeSite,
+    extractLinks,
+    compilePathPatterns
+};
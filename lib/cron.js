@@ -0,0 +1,125 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) for monitor
+// schedules, evaluated in UTC. Fields take *, numbers, names (jan-dec, sun-sat),
+// ranges, lists and steps ("*/15", "1-5", "mon,wed,fri"); @hourly, @daily, @weekly,
+// @monthly and @yearly are shorthands.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 7 is Sunday too, as in most cron implementations
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTHANDS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// How far ahead nextCronTime looks before deciding an expression never matches (Feb 30)
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const createCronError = (message) => Object.assign(new Error(message), { code: 'INVALID_CRON' });
+
+const parseValue = (text, field) => {
+    const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+
+    const value = /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw createCronError(`Invalid ${field.name} "${text}" (allowed: ${field.min}-${field.max})`);
+    }
+    return value;
+};
+
+// One field as the set of values it matches
+const parseField = (text, field) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || range === '') {
+            throw createCronError(`Invalid ${field.name} "${part}"`);
+        }
+        const step = stepText === undefined ? 1 : parseValue(stepText, { ...field, min: 1, max: field.max });
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [first, last] = range.split('-');
+            start = parseValue(first, field);
+            // "5/15" means from 5 to the end, every 15
+            end = last !== undefined ? parseValue(last, field) : (stepText === undefined ? start : field.max);
+        }
+        if (start > end) {
+            throw createCronError(`Invalid ${field.name} range "${range}"`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+};
+
+/**
+ * Parses a cron expression. Throws an INVALID_CRON error naming the bad field.
+ * Like standard cron, a day matches either day field when both are restricted.
+ */
+const parseCron = (expression) => {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw createCronError('A cron expression must be a non-empty string');
+    }
+    const normalized = SHORTHANDS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw createCronError(`A cron expression has ${FIELDS.length} fields (minute hour day-of-month month day-of-week); got ${parts.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+};
+
+const matchesDay = (cron, date) => {
+    const dayMatches = cron.days.has(date.getUTCDate());
+    const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+    if (cron.anyDay || cron.anyWeekday) {
+        return dayMatches && weekdayMatches;
+    }
+    return dayMatches || weekdayMatches;
+};
+
+// First time (ms, on a whole minute) after `after` that a parsed expression matches, or null
+const nextCronTime = (cron, after) => {
+    const date = new Date(after);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    while (date.getTime() - after <= SEARCH_LIMIT_MS) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    parseCron,
+    nextCronTime
+};
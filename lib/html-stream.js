@@ -0,0 +1,314 @@
+// Streaming HTML intake: reads a response body chunk by chunk with hard size limits,
+// detects its encoding (BOM, Content-Type charset, <meta charset>), and sanitizes it
+// in a single pass over parse5's SAX tokens. Documents over the size limit are cut
+// at a token boundary, so the parser closes open elements itself and no markup is
+// made up; the result reports exactly how many bytes were removed or discarded.
+const htmlEncodingSniffer = require('html-encoding-sniffer');
+const whatwgEncoding = require('whatwg-encoding');
+const { findImports } = require('./stylesheets');
+
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Removed together with their content: scripts, styles and embedded media
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'iframe', 'object', 'video', 'audio', 'canvas']);
+// Removed void elements
+const DROPPED_VOID_ELEMENTS = new Set(['embed', 'meta', 'link']);
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Bytes to look at for a <meta charset> (the HTML prescan limit)
+const PRESCAN_BYTES = 1024;
+
+const isDroppedAttribute = (name, keepStyles) => (name === 'style' && !keepStyles) || /^on/i.test(name);
+
+const isStylesheetLink = (attrs) => {
+    const rel = attrs.find(({ name }) => name === 'rel')?.value || '';
+    return rel.toLowerCase().split(/\s+/).includes('stylesheet') && attrs.some(({ name, value }) => name === 'href' && value.trim());
+};
+
+const escapeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+// parse5-sax-parser is published as an ES module only
+let saxParserModule = null;
+const loadSaxParser = () => {
+    if (!saxParserModule) {
+        saxParserModule = import('parse5-sax-parser');
+    }
+    return saxParserModule;
+};
+
+const createIntakeError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const mimeType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+// Missing Content-Type is accepted: many servers omit it for HTML
+const isHtmlContentType = (contentType) => !contentType || HTML_CONTENT_TYPES.includes(mimeType(contentType));
+
+const charsetLabel = (contentType) => {
+    const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+    return match ? match[1] : undefined;
+};
+
+/**
+ * Picks the document encoding the way browsers do: BOM first, then the Content-Type
+ * charset, then a <meta charset> in the first 1024 bytes. Falls back to UTF-8.
+ * Returns { encoding, source } with source "bom", "header", "meta" or "default".
+ */
+const detectEncoding = (prefix, contentType) => {
+    const bomEncoding = whatwgEncoding.getBOMEncoding(prefix);
+    if (bomEncoding) return { encoding: bomEncoding, source: 'bom' };
+
+    const headerEncoding = whatwgEncoding.labelToName(charsetLabel(contentType) || '');
+    if (headerEncoding) return { encoding: headerEncoding, source: 'header' };
+
+    const metaEncoding = htmlEncodingSniffer(prefix.subarray(0, PRESCAN_BYTES), { defaultEncoding: null });
+    if (metaEncoding) return { encoding: metaEncoding, source: 'meta' };
+
+    return { encoding: 'UTF-8', source: 'default' };
+};
+
+/**
+ * Single-pass sanitizer and truncator. Text written to it is tokenized by parse5's
+ * SAX parser; every kept token is copied from the source as-is, except start tags
+ * that lose event handler or style attributes. Once the output would exceed
+ * `maxBytes`, it is rolled back to the last element boundary (after an end tag or
+ * a void element), so no element is left with half its content, and the rest of
+ * the input is only counted. With `keepStyles`, <style> elements, style attributes
+ * and stylesheet links are kept, and the result lists the links' hrefs, the first
+ * <base href> and the @import URLs of the <style> elements.
+ */
+const createHtmlSanitizer = async ({ maxBytes, keepStyles = false }) => {
+    const { SAXParser } = await loadSaxParser();
+    const parser = new SAXParser({ sourceCodeLocationInfo: true });
+
+    const output = [];
+    let outputBytes = 0;
+    let pending = ''; // source text not yet consumed by a token
+    let pendingOffset = 0; // source offset of pending[0]
+    let sourceBytes = 0; // UTF-8 size of all source text written
+    let consumedBytes = 0; // UTF-8 size of the source consumed by tokens before any cut
+    let droppedElement = null; // { tagName, depth } while inside a dropped element
+    let inStyleElement = false;
+    let truncated = false;
+    const styles = { links: [], baseHref: null, imports: [] };
+    let boundary = { parts: 0, outputBytes: 0, consumedBytes: 0 }; // last safe place to cut
+
+    const markBoundary = () => {
+        boundary = { parts: output.length, outputBytes, consumedBytes };
+    };
+
+    // Source text of a token, consumed up to its end offset (includes any skipped gap)
+    const take = (endOffset) => {
+        const text = pending.slice(0, endOffset - pendingOffset);
+        pending = pending.slice(endOffset - pendingOffset);
+        pendingOffset = endOffset;
+        consumedBytes += Buffer.byteLength(text);
+        return text;
+    };
+
+    const emit = (text) => {
+        const bytes = Buffer.byteLength(text);
+        if (outputBytes + bytes > maxBytes) {
+            truncated = true;
+            parser.stop();
+            output.length = boundary.parts;
+            outputBytes = boundary.outputBytes;
+            consumedBytes = boundary.consumedBytes;
+            return;
+        }
+        output.push(text);
+        outputBytes += bytes;
+    };
+
+    const onToken = (handler) => (token) => {
+        if (truncated || !token.sourceCodeLocation) return;
+
+        const source = take(token.sourceCodeLocation.endOffset);
+        if (droppedElement) {
+            handler.whileDropped?.(token);
+        } else {
+            handler.keep(token, source);
+        }
+    };
+
+    parser.on('startTag', onToken({
+        whileDropped: ({ tagName, selfClosing }) => {
+            if (tagName === droppedElement.tagName && !selfClosing) droppedElement.depth++;
+        },
+        keep: ({ tagName, attrs, selfClosing }, source) => {
+            const keptStyleTag = keepStyles && (tagName === 'style' || (tagName === 'link' && isStylesheetLink(attrs)));
+            if (DROPPED_ELEMENTS.has(tagName) && !keptStyleTag) {
+                droppedElement = { tagName, depth: 1 };
+                return;
+            }
+            if (DROPPED_VOID_ELEMENTS.has(tagName) && !keptStyleTag) {
+                markBoundary();
+                return;
+            }
+
+            if (keepStyles && tagName === 'link') {
+                styles.links.push(attrs.find(({ name }) => name === 'href').value.trim());
+            } else if (keepStyles && tagName === 'base' && styles.baseHref === null) {
+                styles.baseHref = attrs.find(({ name }) => name === 'href')?.value.trim() || null;
+            }
+            inStyleElement = tagName === 'style';
+
+            if (!attrs.some(({ name }) => isDroppedAttribute(name, keepStyles))) {
+                emit(source);
+            } else {
+                const keptAttributes = attrs
+                    .filter(({ name }) => !isDroppedAttribute(name, keepStyles))
+                    .map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`)
+                    .join('');
+                emit(`<${tagName}${keptAttributes}${selfClosing ? ' /' : ''}>`);
+            }
+            if (!truncated && (VOID_ELEMENTS.has(tagName) || selfClosing)) markBoundary();
+        }
+    }));
+
+    parser.on('endTag', onToken({
+        whileDropped: ({ tagName }) => {
+            if (tagName === droppedElement.tagName && --droppedElement.depth === 0) {
+                droppedElement = null;
+                markBoundary();
+            }
+        },
+        keep: ({ tagName }, source) => {
+            inStyleElement = false;
+            if (!DROPPED_VOID_ELEMENTS.has(tagName)) emit(source);
+            if (!truncated) markBoundary();
+        }
+    }));
+
+    parser.on('text', onToken({
+        keep: ({ text }, source) => {
+            if (inStyleElement) styles.imports.push(...findImports(text));
+            emit(source);
+        }
+    }));
+    parser.on('doctype', onToken({ keep: (token, source) => emit(source) }));
+    parser.on('comment', onToken({ keep: () => {} }));
+
+    let sanitizeMs = 0; // time spent tokenizing, excluding waits for input
+
+    return {
+        write(text) {
+            sourceBytes += Buffer.byteLength(text);
+            if (truncated) return;
+            const started = performance.now();
+            pending += text;
+            parser.write(text);
+            sanitizeMs += performance.now() - started;
+        },
+
+        // Resolves with the sanitized document, its byte accounting and the time spent
+        async end() {
+            if (!truncated) {
+                const started = performance.now();
+                await new Promise(resolve => parser.end(resolve));
+                sanitizeMs += performance.now() - started;
+            }
+            const html = output.join('');
+            const discardedBytes = truncated ? sourceBytes - consumedBytes : 0;
+
+            return {
+                html,
+                documentBytes: sourceBytes,
+                analyzedBytes: outputBytes,
+                removedBytes: sourceBytes - discardedBytes - outputBytes,
+                discardedBytes,
+                truncated,
+                sanitizeMs,
+                ...(keepStyles ? { styles } : {})
+            };
+        }
+    };
+};
+
+// Sanitizes an HTML string that is already in memory (submitted documents)
+const sanitizeHtml = async (html, { maxBytes, keepStyles = false }) => {
+    const sanitizer = await createHtmlSanitizer({ maxBytes, keepStyles });
+    sanitizer.write(html);
+    return sanitizer.end();
+};
+
+/**
+ * Reads an HTTP response body stream: stops downloading after `maxDownloadBytes`,
+ * decodes it with the detected encoding and sanitizes it down to `maxBytes`
+ * (`keepStyles` as for createHtmlSanitizer). `signal` aborts the read. Resolves
+ * with the sanitizer result plus the encoding, the bytes received and whether the
+ * whole body was downloaded.
+ */
+const readHtmlStream = async (stream, { contentType, maxBytes, maxDownloadBytes, keepStyles = false, signal = null }) => {
+    const sanitizer = await createHtmlSanitizer({ maxBytes, keepStyles });
+    const prefixChunks = [];
+    let prefixLength = 0;
+    let decoder = null;
+    let detected = null;
+    let receivedBytes = 0;
+    let downloadComplete = true;
+
+    const startDecoding = () => {
+        const prefix = Buffer.concat(prefixChunks);
+        detected = detectEncoding(prefix, contentType);
+        try {
+            decoder = new TextDecoder(detected.encoding);
+        } catch (error) {
+            // Encoding without decoder support in this Node build
+            detected = { encoding: 'UTF-8', source: 'fallback' };
+            decoder = new TextDecoder('utf-8');
+        }
+        sanitizer.write(decoder.decode(prefix, { stream: true }));
+    };
+
+    const onAbort = () => stream.destroy(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        for await (let chunk of stream) {
+            if (receivedBytes + chunk.length > maxDownloadBytes) {
+                chunk = chunk.subarray(0, maxDownloadBytes - receivedBytes);
+                downloadComplete = false;
+            }
+            receivedBytes += chunk.length;
+
+            if (decoder) {
+                sanitizer.write(decoder.decode(chunk, { stream: true }));
+            } else {
+                prefixChunks.push(chunk);
+                prefixLength += chunk.length;
+                if (prefixLength >= PRESCAN_BYTES) startDecoding();
+            }
+
+            if (!downloadComplete) break; // ends the download
+        }
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        throw createIntakeError(`Failed to read the response body: ${error.message}`, 'READ_ERROR');
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (!decoder) startDecoding();
+    sanitizer.write(decoder.decode());
+
+    return {
+        ...(await sanitizer.end()),
+        encoding: detected.encoding,
+        encodingSource: detected.source,
+        receivedBytes,
+        downloadComplete
+    };
+};
+
+module.exports = {
+    isHtmlContentType,
+    detectEncoding,
+    sanitizeHtml,
+    readHtmlStream
+};
@@ -0,0 +1,209 @@
+// In-process job queue for asynchronous checks. Job records live in a pluggable
+// store so status can be polled after the submitting request has returned; the
+// work itself (the `run` closure) always stays in this process.
+const crypto = require('node:crypto');
+const { createLogger } = require('./logger');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+/**
+ * Default job store. Any object with the same async methods can be passed to
+ * createJobQueue instead (e.g. a Redis-backed store shared by several replicas):
+ *   get(id) -> job | null, save(job), delete(id), pruneFinished(beforeTimestamp)
+ */
+const createMemoryJobStore = () => {
+    const jobs = new Map();
+
+    return {
+        async get(id) {
+            return jobs.get(id) || null;
+        },
+        async save(job) {
+            jobs.set(job.id, job);
+        },
+        async delete(id) {
+            jobs.delete(id);
+        },
+        async pruneFinished(before) {
+            for (const [id, job] of jobs) {
+                if (isFinished(job) && Date.parse(job.finishedAt) < before) {
+                    jobs.delete(id);
+                }
+            }
+        }
+    };
+};
+
+const createQueueError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const createJobQueue = ({ concurrency = 1, maxQueueLength = 20, jobTtlMs = 60 * 60 * 1000, store = createMemoryJobStore(), logger = createLogger() } = {}) => {
+    const pending = []; // { job, run, onFinish } waiting for a free slot
+    const running = new Map(); // job id -> AbortController
+    const finishing = new Set(); // onFinish hooks still running
+    let closed = false;
+    const idleWaiters = [];
+
+    const settleIdle = () => {
+        if (pending.length === 0 && running.size === 0 && finishing.size === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    };
+
+    const update = async (job, changes) => {
+        Object.assign(job, changes);
+        await store.save(job);
+        return job;
+    };
+
+    const execute = async ({ job, run, onFinish }) => {
+        const controller = new AbortController();
+        running.set(job.id, controller);
+
+        await update(job, {
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            progress: { stage: 'starting' }
+        });
+
+        try {
+            const result = await run({
+                jobId: job.id,
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    if (!controller.signal.aborted) {
+                        update(job, { progress: { ...job.progress, ...progress } }).catch(() => {});
+                    }
+                }
+            });
+
+            await update(job, controller.signal.aborted
+                ? { status: 'cancelled', finishedAt: new Date().toISOString() }
+                : { status: 'completed', finishedAt: new Date().toISOString(), progress: { stage: 'done', percent: 100 }, result });
+        } catch (error) {
+            await update(job, controller.signal.aborted
+                ? { status: 'cancelled', finishedAt: new Date().toISOString() }
+                : {
+                    status: 'failed',
+                    finishedAt: new Date().toISOString(),
+                    error: {
+                        status: error.status || 500,
+                        code: error.code || 'JOB_ERROR',
+                        message: error.message,
+                        details: error.details ?? null,
+                        suggestion: error.suggestion || null
+                    }
+                });
+        } finally {
+            running.delete(job.id);
+            drain();
+        }
+
+        if (onFinish) {
+            const hook = Promise.resolve()
+                .then(() => onFinish(job))
+                .catch(error => logger.error('Job finish hook failed', { jobId: job.id, error }))
+                .finally(() => {
+                    finishing.delete(hook);
+                    settleIdle();
+                });
+            finishing.add(hook);
+        }
+        settleIdle();
+    };
+
+    const drain = () => {
+        while (running.size < concurrency && pending.length > 0) {
+            const entry = pending.shift();
+            execute(entry).catch(error => logger.error('Job could not be recorded', { jobId: entry.job.id, error }));
+        }
+    };
+
+    return {
+        // Queues `run({ jobId, signal, onProgress })` and resolves with the new job record.
+        // `fields` are extra record properties; `onFinish(job)` runs once the job has finished.
+        async submit({ type, url = null, run, fields = {}, onFinish = null }) {
+            if (closed) {
+                throw createQueueError('Job queue is closed', 'SHUTTING_DOWN');
+            }
+            if (pending.length >= maxQueueLength) {
+                throw createQueueError(`Job queue is full (${maxQueueLength} jobs waiting)`, 'QUEUE_FULL');
+            }
+
+            await store.pruneFinished(Date.now() - jobTtlMs);
+
+            const job = {
+                id: crypto.randomUUID(),
+                type,
+                url,
+                status: 'queued',
+                progress: { stage: 'queued' },
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                result: null,
+                error: null,
+                ...fields
+            };
+            await store.save(job);
+
+            pending.push({ job, run, onFinish });
+            drain();
+            return job;
+        },
+
+        get(id) {
+            return store.get(id);
+        },
+
+        // Applies `changes` to a job record and saves it
+        update,
+
+        // Cancels a queued or running job; resolves with the job, or null if unknown
+        async cancel(id) {
+            const job = await store.get(id);
+            if (!job || isFinished(job)) return job;
+
+            const pendingIndex = pending.findIndex(entry => entry.job.id === id);
+            if (pendingIndex !== -1) {
+                pending.splice(pendingIndex, 1);
+                settleIdle();
+                return update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+            }
+
+            // The running task rejects once it notices the abort; execute() records the cancellation
+            running.get(id)?.abort();
+            return update(job, { progress: { ...job.progress, stage: 'cancelling' } });
+        },
+
+        stats() {
+            return {
+                queued: pending.length,
+                running: running.size,
+                concurrency,
+                maxQueueLength
+            };
+        },
+
+        // Stops taking new jobs; resolves once the queued and running ones (and their
+        // onFinish hooks) have finished
+        close() {
+            closed = true;
+            return new Promise((resolve) => {
+                idleWaiters.push(resolve);
+                settleIdle();
+            });
+        }
+    };
+};
+
+module.exports = {
+    createJobQueue,
+    createMemoryJobStore,
+    isFinished
+};
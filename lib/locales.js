@@ -0,0 +1,97 @@
+// Locale selection for checks: a "locale" option or the Accept-Language header picks
+// one of the languages axe-core ships translations for (its locales/*.json files).
+// axe's own results are English, so "en" needs no file. Unsupported languages fall
+// back to English; the choice is reported in the result's metadata.
+const fs = require('node:fs');
+const path = require('node:path');
+const { createCheckError } = require('./check-errors');
+
+const DEFAULT_LOCALE = 'en';
+
+const AXE_LOCALES_DIR = path.join(path.dirname(require.resolve('axe-core/package.json')), 'locales');
+
+// axe-core's locale names: "de", "pt_BR", "zh_CN", ... ("_template" is not a locale)
+const SUPPORTED_LOCALES = [
+    DEFAULT_LOCALE,
+    ...fs.readdirSync(AXE_LOCALES_DIR)
+        .filter(file => file.endsWith('.json') && !file.startsWith('_'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort()
+];
+
+// Language codes axe files under another name ("nb" is Norwegian Bokmål, filed as no_NB)
+const LANGUAGE_ALIASES = { nb: 'no' };
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:[-_][a-z0-9]{1,8})*$/i;
+
+/**
+ * Maps a BCP 47 tag ("de-AT", "pt-br", "zh_TW") to a supported locale: the exact
+ * language and region, else the language alone, else the language's first regional
+ * variant ("pt" -> "pt_BR"). Null when axe has nothing for the language.
+ */
+const matchLocale = (tag) => {
+    const [first, second] = tag.split(/[-_]/);
+    const language = LANGUAGE_ALIASES[first.toLowerCase()] || first.toLowerCase();
+    const candidates = second ? [`${language}_${second.toUpperCase()}`, language] : [language];
+
+    return candidates.find(candidate => SUPPORTED_LOCALES.includes(candidate))
+        || SUPPORTED_LOCALES.find(locale => locale.startsWith(`${language}_`))
+        || null;
+};
+
+// Language tags of an Accept-Language header, most preferred first ("*" and q=0 left out)
+const parseAcceptLanguage = (header) => String(header || '')
+    .split(',')
+    .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+        return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => LANGUAGE_TAG.test(tag) && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+
+/**
+ * The locale a request asked for: `locale` (the "locale" option) wins over the
+ * Accept-Language header. Resolves to { requested, used, fallback }: `requested` is
+ * the tag asked for (null without one), `used` the supported locale results come out
+ * in and `fallback` whether English was used because nothing requested is supported.
+ * A malformed "locale" option is a 400 INVALID_LOCALE check error.
+ */
+const resolveLocale = ({ locale, acceptLanguage } = {}) => {
+    if (locale !== undefined && locale !== null) {
+        if (typeof locale !== 'string' || !LANGUAGE_TAG.test(locale)) {
+            throw createCheckError(400, '"locale" must be a language tag such as "de" or "pt-BR"', 'INVALID_LOCALE', { received: locale, supported: SUPPORTED_LOCALES });
+        }
+        const used = matchLocale(locale);
+        return { requested: locale, used: used || DEFAULT_LOCALE, fallback: !used };
+    }
+
+    const tags = parseAcceptLanguage(acceptLanguage);
+    for (const tag of tags) {
+        const used = matchLocale(tag);
+        if (used) return { requested: tag, used, fallback: false };
+    }
+    return tags.length > 0
+        ? { requested: tags[0], used: DEFAULT_LOCALE, fallback: true }
+        : { requested: null, used: DEFAULT_LOCALE, fallback: false };
+};
+
+// axe-core's translations for a supported locale (for axe.configure({ locale })), or
+// null for English and anything else. require() loads each file once per thread.
+const loadAxeLocale = (locale) => (locale !== DEFAULT_LOCALE && SUPPORTED_LOCALES.includes(locale)
+    ? require(path.join(AXE_LOCALES_DIR, `${locale}.json`))
+    : null);
+
+// axe-core's English messages in locale form (the template its translations are made
+// from). Configuring it switches axe back to English where axe.reset() can't: reset
+// needs a browser window, which axe running in Node doesn't have.
+const loadDefaultAxeLocale = () => require(path.join(AXE_LOCALES_DIR, '_template.json'));
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    loadAxeLocale,
+    loadDefaultAxeLocale
+};
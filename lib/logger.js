@@ -0,0 +1,77 @@
+// Structured logging: one JSON object per line with the time, level, message and
+// fields. Fields of the current request (its correlation ID, the job it runs) are
+// kept in async-local storage, so every log line written while handling a request
+// carries them without passing a logger through each call.
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const logContext = new AsyncLocalStorage();
+
+// Runs `fn` with `fields` added to every log line written from it (including async work it starts)
+const runWithLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+const getLogContext = () => logContext.getStore() || {};
+
+// Errors don't serialize to JSON on their own; keep what helps debugging
+const serializeValue = (value) => {
+    if (value instanceof Error) {
+        return {
+            message: value.message,
+            ...(value.code !== undefined ? { code: value.code } : {}),
+            ...(value.status !== undefined ? { status: value.status } : {}),
+            stack: value.stack
+        };
+    }
+    return value;
+};
+
+/**
+ * Logger writing JSON lines at or above `level` ("debug", "info", "warn", "error"
+ * or "silent"). `fields` are added to every line; `child(fields)` adds more.
+ * `write` receives each finished line (stdout by default).
+ */
+const createLogger = ({ level = 'info', fields = {}, write = (line) => process.stdout.write(`${line}\n`) } = {}) => {
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`Unknown log level "${level}" (use one of: ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    const threshold = LOG_LEVELS[level];
+
+    const log = (lineLevel, message, lineFields = {}) => {
+        if (LOG_LEVELS[lineLevel] < threshold) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: lineLevel,
+            msg: message,
+            ...fields,
+            ...getLogContext()
+        };
+        Object.entries(lineFields).forEach(([key, value]) => {
+            entry[key] = serializeValue(value);
+        });
+
+        try {
+            write(JSON.stringify(entry));
+        } catch (error) {
+            write(JSON.stringify({ time: entry.time, level: lineLevel, msg: message, logError: error.message }));
+        }
+    };
+
+    return {
+        level,
+        isLevelEnabled: (lineLevel) => LOG_LEVELS[lineLevel] >= threshold,
+        debug: (message, lineFields) => log('debug', message, lineFields),
+        info: (message, lineFields) => log('info', message, lineFields),
+        warn: (message, lineFields) => log('warn', message, lineFields),
+        error: (message, lineFields) => log('error', message, lineFields),
+        child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write })
+    };
+};
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+    runWithLogContext,
+    getLogContext
+};
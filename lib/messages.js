@@ -0,0 +1,514 @@
+// Message catalog for the service's own response text: error `message`, `suggestion`
+// and text `details`. Errors are raised in English, which is also what the logs keep,
+// and translated when a response is written. Entries are keyed by the English text;
+// {placeholders} stand for the variable parts (numbers, names, lists), which are
+// carried over unchanged. Text without an entry stays English.
+
+const CATALOG = {
+    // Requests and authentication
+    'Missing API key': {
+        de: 'API-Schlüssel fehlt',
+        fr: 'Clé d\'API manquante',
+        es: 'Falta la clave de API'
+    },
+    'Invalid API key': {
+        de: 'Ungültiger API-Schlüssel',
+        fr: 'Clé d\'API non valide',
+        es: 'Clave de API no válida'
+    },
+    'Send an API key as "Authorization: Bearer <key>"': {
+        de: 'Senden Sie einen API-Schlüssel als "Authorization: Bearer <key>"',
+        fr: 'Envoyez une clé d\'API sous la forme "Authorization: Bearer <key>"',
+        es: 'Envíe una clave de API como "Authorization: Bearer <key>"'
+    },
+    'Too many requests': {
+        de: 'Zu viele Anfragen',
+        fr: 'Trop de requêtes',
+        es: 'Demasiadas solicitudes'
+    },
+    'Daily quota exceeded': {
+        de: 'Tageskontingent überschritten',
+        fr: 'Quota journalier dépassé',
+        es: 'Cuota diaria superada'
+    },
+    'This endpoint needs an admin API key': {
+        de: 'Dieser Endpunkt erfordert einen Admin-API-Schlüssel',
+        fr: 'Ce point de terminaison nécessite une clé d\'API d\'administration',
+        es: 'Este endpoint requiere una clave de API de administrador'
+    },
+    'Endpoint not found': {
+        de: 'Endpunkt nicht gefunden',
+        fr: 'Point de terminaison introuvable',
+        es: 'Endpoint no encontrado'
+    },
+    'Internal server error': {
+        de: 'Interner Serverfehler',
+        fr: 'Erreur interne du serveur',
+        es: 'Error interno del servidor'
+    },
+    'An unexpected error occurred': {
+        de: 'Ein unerwarteter Fehler ist aufgetreten',
+        fr: 'Une erreur inattendue s\'est produite',
+        es: 'Se produjo un error inesperado'
+    },
+    'Service temporarily unavailable due to high memory usage': {
+        de: 'Dienst wegen hoher Speicherauslastung vorübergehend nicht verfügbar',
+        fr: 'Service temporairement indisponible en raison d\'une forte utilisation de la mémoire',
+        es: 'Servicio no disponible temporalmente por un uso elevado de memoria'
+    },
+    'Please try again in a few moments': {
+        de: 'Bitte versuchen Sie es in wenigen Augenblicken erneut',
+        fr: 'Veuillez réessayer dans quelques instants',
+        es: 'Vuelva a intentarlo en unos momentos'
+    },
+    'Too many analyses in progress, please retry later': {
+        de: 'Zu viele laufende Analysen, bitte später erneut versuchen',
+        fr: 'Trop d\'analyses en cours, veuillez réessayer plus tard',
+        es: 'Demasiados análisis en curso, vuelva a intentarlo más tarde'
+    },
+    'No analysis slot became free within {seconds} seconds': {
+        de: 'Innerhalb von {seconds} Sekunden wurde kein Analyseplatz frei',
+        fr: 'Aucun créneau d\'analyse ne s\'est libéré en {seconds} secondes',
+        es: 'No se liberó ningún espacio de análisis en {seconds} segundos'
+    },
+    'Service is shutting down': {
+        de: 'Der Dienst wird heruntergefahren',
+        fr: 'Le service est en cours d\'arrêt',
+        es: 'El servicio se está cerrando'
+    },
+    'Too many queued checks, please retry later': {
+        de: 'Zu viele Prüfungen in der Warteschlange, bitte später erneut versuchen',
+        fr: 'Trop de vérifications en file d\'attente, veuillez réessayer plus tard',
+        es: 'Demasiadas comprobaciones en cola, vuelva a intentarlo más tarde'
+    },
+
+    // URLs and documents
+    'URL is required': {
+        de: 'Eine URL ist erforderlich',
+        fr: 'Une URL est requise',
+        es: 'Se requiere una URL'
+    },
+    'HTML content is required': {
+        de: 'HTML-Inhalt ist erforderlich',
+        fr: 'Un contenu HTML est requis',
+        es: 'Se requiere contenido HTML'
+    },
+    'Successfully connected to the URL': {
+        de: 'Verbindung zur URL erfolgreich hergestellt',
+        fr: 'Connexion à l\'URL réussie',
+        es: 'Conexión con la URL establecida correctamente'
+    },
+    'Failed to connect to the URL': {
+        de: 'Verbindung zur URL fehlgeschlagen',
+        fr: 'Échec de la connexion à l\'URL',
+        es: 'No se pudo conectar con la URL'
+    },
+    'Invalid URL format': {
+        de: 'Ungültiges URL-Format',
+        fr: 'Format d\'URL non valide',
+        es: 'Formato de URL no válido'
+    },
+    'Invalid base URL format': {
+        de: 'Ungültiges Format der Basis-URL',
+        fr: 'Format de l\'URL de base non valide',
+        es: 'Formato de URL base no válido'
+    },
+    'Invalid callback URL format': {
+        de: 'Ungültiges Format der Callback-URL',
+        fr: 'Format de l\'URL de rappel non valide',
+        es: 'Formato de URL de callback no válido'
+    },
+    'Invalid webhook URL format': {
+        de: 'Ungültiges Format der Webhook-URL',
+        fr: 'Format de l\'URL du webhook non valide',
+        es: 'Formato de URL de webhook no válido'
+    },
+    'Only HTTP and HTTPS URLs are supported': {
+        de: 'Nur HTTP- und HTTPS-URLs werden unterstützt',
+        fr: 'Seules les URL HTTP et HTTPS sont prises en charge',
+        es: 'Solo se admiten URL HTTP y HTTPS'
+    },
+    'Only valid HTTP and HTTPS URLs are supported': {
+        de: 'Nur gültige HTTP- und HTTPS-URLs werden unterstützt',
+        fr: 'Seules les URL HTTP et HTTPS valides sont prises en charge',
+        es: 'Solo se admiten URL HTTP y HTTPS válidas'
+    },
+    'Only HTTP and HTTPS base URLs are supported': {
+        de: 'Nur HTTP- und HTTPS-Basis-URLs werden unterstützt',
+        fr: 'Seules les URL de base HTTP et HTTPS sont prises en charge',
+        es: 'Solo se admiten URL base HTTP y HTTPS'
+    },
+    'Only HTTP and HTTPS callback URLs are supported': {
+        de: 'Nur HTTP- und HTTPS-Callback-URLs werden unterstützt',
+        fr: 'Seules les URL de rappel HTTP et HTTPS sont prises en charge',
+        es: 'Solo se admiten URL de callback HTTP y HTTPS'
+    },
+    'Only HTTP and HTTPS webhook URLs are supported': {
+        de: 'Nur HTTP- und HTTPS-Webhook-URLs werden unterstützt',
+        fr: 'Seules les URL de webhook HTTP et HTTPS sont prises en charge',
+        es: 'Solo se admiten URL de webhook HTTP y HTTPS'
+    },
+    'URL is not allowed by the network policy': {
+        de: 'Die URL ist durch die Netzwerkrichtlinie nicht erlaubt',
+        fr: 'L\'URL n\'est pas autorisée par la politique réseau',
+        es: 'La URL no está permitida por la política de red'
+    },
+    'Callback URL is not allowed by the network policy': {
+        de: 'Die Callback-URL ist durch die Netzwerkrichtlinie nicht erlaubt',
+        fr: 'L\'URL de rappel n\'est pas autorisée par la politique réseau',
+        es: 'La URL de callback no está permitida por la política de red'
+    },
+    'Webhook URL is not allowed by the network policy': {
+        de: 'Die Webhook-URL ist durch die Netzwerkrichtlinie nicht erlaubt',
+        fr: 'L\'URL du webhook n\'est pas autorisée par la politique réseau',
+        es: 'La URL de webhook no está permitida por la política de red'
+    },
+    'Callback URL host could not be resolved': {
+        de: 'Der Host der Callback-URL konnte nicht aufgelöst werden',
+        fr: 'L\'hôte de l\'URL de rappel est introuvable',
+        es: 'No se pudo resolver el host de la URL de callback'
+    },
+    'Webhook URL host could not be resolved': {
+        de: 'Der Host der Webhook-URL konnte nicht aufgelöst werden',
+        fr: 'L\'hôte de l\'URL du webhook est introuvable',
+        es: 'No se pudo resolver el host de la URL de webhook'
+    },
+
+    // Fetching and analysis
+    'Redirect limit reached ({max})': {
+        de: 'Weiterleitungslimit erreicht ({max})',
+        fr: 'Limite de redirections atteinte ({max})',
+        es: 'Se alcanzó el límite de redirecciones ({max})'
+    },
+    'The URL did not return an HTML document': {
+        de: 'Die URL hat kein HTML-Dokument zurückgegeben',
+        fr: 'L\'URL n\'a pas renvoyé de document HTML',
+        es: 'La URL no devolvió un documento HTML'
+    },
+    'Request timed out - website may be too slow or complex': {
+        de: 'Zeitüberschreitung der Anfrage - die Website ist möglicherweise zu langsam oder zu komplex',
+        fr: 'Délai de la requête dépassé - le site est peut-être trop lent ou trop complexe',
+        es: 'Se agotó el tiempo de la solicitud: el sitio web puede ser demasiado lento o complejo'
+    },
+    'Server responded with {status}: {statusText}': {
+        de: 'Der Server antwortete mit {status}: {statusText}',
+        fr: 'Le serveur a répondu {status} : {statusText}',
+        es: 'El servidor respondió con {status}: {statusText}'
+    },
+    'Network error occurred': {
+        de: 'Ein Netzwerkfehler ist aufgetreten',
+        fr: 'Une erreur réseau s\'est produite',
+        es: 'Se produjo un error de red'
+    },
+    'Domain not found - check URL spelling': {
+        de: 'Domain nicht gefunden - prüfen Sie die Schreibweise der URL',
+        fr: 'Domaine introuvable - vérifiez l\'orthographe de l\'URL',
+        es: 'Dominio no encontrado: compruebe cómo está escrita la URL'
+    },
+    'Failed to fetch URL': {
+        de: 'Die URL konnte nicht abgerufen werden',
+        fr: 'Impossible de récupérer l\'URL',
+        es: 'No se pudo obtener la URL'
+    },
+    'Failed to fetch URL content': {
+        de: 'Der Inhalt der URL konnte nicht abgerufen werden',
+        fr: 'Impossible de récupérer le contenu de l\'URL',
+        es: 'No se pudo obtener el contenido de la URL'
+    },
+    'No valid HTML content received': {
+        de: 'Kein gültiger HTML-Inhalt empfangen',
+        fr: 'Aucun contenu HTML valide reçu',
+        es: 'No se recibió contenido HTML válido'
+    },
+    'Invalid HTML content': {
+        de: 'Ungültiger HTML-Inhalt',
+        fr: 'Contenu HTML non valide',
+        es: 'Contenido HTML no válido'
+    },
+    'Failed to perform accessibility analysis': {
+        de: 'Die Barrierefreiheitsprüfung konnte nicht durchgeführt werden',
+        fr: 'Impossible d\'effectuer l\'analyse d\'accessibilité',
+        es: 'No se pudo realizar el análisis de accesibilidad'
+    },
+    'This website is too complex for analysis. Try analyzing a specific page instead of the homepage.': {
+        de: 'Diese Website ist zu komplex für die Analyse. Analysieren Sie statt der Startseite eine bestimmte Unterseite.',
+        fr: 'Ce site est trop complexe pour être analysé. Essayez d\'analyser une page précise plutôt que la page d\'accueil.',
+        es: 'Este sitio web es demasiado complejo para analizarlo. Pruebe a analizar una página concreta en lugar de la página de inicio.'
+    },
+    'Analysis failed due to website complexity or timeout. Please try again or contact support.': {
+        de: 'Die Analyse ist wegen der Komplexität der Website oder einer Zeitüberschreitung fehlgeschlagen. Bitte versuchen Sie es erneut oder wenden Sie sich an den Support.',
+        fr: 'L\'analyse a échoué en raison de la complexité du site ou d\'un délai dépassé. Veuillez réessayer ou contacter le support.',
+        es: 'El análisis falló por la complejidad del sitio web o por tiempo de espera agotado. Vuelva a intentarlo o contacte con soporte.'
+    },
+    'Website too complex: {count} DOM elements (max: {max}). Try a simpler page.': {
+        de: 'Website zu komplex: {count} DOM-Elemente (max.: {max}). Versuchen Sie eine einfachere Seite.',
+        fr: 'Site trop complexe : {count} éléments DOM (max. : {max}). Essayez une page plus simple.',
+        es: 'Sitio web demasiado complejo: {count} elementos DOM (máx.: {max}). Pruebe con una página más sencilla.'
+    },
+    'JSDOM initialization timeout - site too complex': {
+        de: 'Zeitüberschreitung beim Aufbau des Dokuments - Website zu komplex',
+        fr: 'Délai dépassé lors de la construction du document - site trop complexe',
+        es: 'Tiempo agotado al construir el documento: sitio demasiado complejo'
+    },
+    'Analysis timeout after {seconds} seconds - website too complex': {
+        de: 'Zeitüberschreitung der Analyse nach {seconds} Sekunden - Website zu komplex',
+        fr: 'Délai d\'analyse dépassé après {seconds} secondes - site trop complexe',
+        es: 'Tiempo de análisis agotado tras {seconds} segundos: sitio web demasiado complejo'
+    },
+    'Browser analysis timeout after {seconds} seconds - website too complex': {
+        de: 'Zeitüberschreitung der Browser-Analyse nach {seconds} Sekunden - Website zu komplex',
+        fr: 'Délai d\'analyse dans le navigateur dépassé après {seconds} secondes - site trop complexe',
+        es: 'Tiempo de análisis en el navegador agotado tras {seconds} segundos: sitio web demasiado complejo'
+    },
+    'Analysis exceeded the {limit} worker memory limit - website too complex': {
+        de: 'Die Analyse hat das Speicherlimit von {limit} überschritten - Website zu komplex',
+        fr: 'L\'analyse a dépassé la limite de mémoire de {limit} - site trop complexe',
+        es: 'El análisis superó el límite de memoria de {limit}: sitio web demasiado complejo'
+    },
+    'No elements match the include selectors: {selectors}': {
+        de: 'Keine Elemente entsprechen den include-Selektoren: {selectors}',
+        fr: 'Aucun élément ne correspond aux sélecteurs include : {selectors}',
+        es: 'Ningún elemento coincide con los selectores include: {selectors}'
+    },
+    'Check that the page contains the elements your include selectors target.': {
+        de: 'Prüfen Sie, ob die Seite die Elemente enthält, auf die Ihre include-Selektoren zielen.',
+        fr: 'Vérifiez que la page contient les éléments ciblés par vos sélecteurs include.',
+        es: 'Compruebe que la página contiene los elementos a los que apuntan sus selectores include.'
+    },
+    'Check was cancelled': {
+        de: 'Die Prüfung wurde abgebrochen',
+        fr: 'La vérification a été annulée',
+        es: 'La comprobación se canceló'
+    },
+    'Failed to complete scan': {
+        de: 'Der Scan konnte nicht abgeschlossen werden',
+        fr: 'Impossible de terminer l\'analyse du site',
+        es: 'No se pudo completar el escaneo'
+    },
+    'The browser engine is not available on this server': {
+        de: 'Die Browser-Engine ist auf diesem Server nicht verfügbar',
+        fr: 'Le moteur navigateur n\'est pas disponible sur ce serveur',
+        es: 'El motor de navegador no está disponible en este servidor'
+    },
+
+    // Check options
+    '"locale" must be a language tag such as "de" or "pt-BR"': {
+        de: '"locale" muss ein Sprach-Tag wie "de" oder "pt-BR" sein',
+        fr: '"locale" doit être une étiquette de langue comme "de" ou "pt-BR"',
+        es: '"locale" debe ser una etiqueta de idioma como "de" o "pt-BR"'
+    },
+    '"format" must be one of: {values}': {
+        de: '"format" muss einer dieser Werte sein: {values}',
+        fr: '"format" doit valoir l\'une de ces valeurs : {values}',
+        es: '"format" debe ser uno de estos valores: {values}'
+    },
+    '"detail" must be one of: {values}': {
+        de: '"detail" muss einer dieser Werte sein: {values}',
+        fr: '"detail" doit valoir l\'une de ces valeurs : {values}',
+        es: '"detail" debe ser uno de estos valores: {values}'
+    },
+    '"failOn" must be one of: {values}': {
+        de: '"failOn" muss einer dieser Werte sein: {values}',
+        fr: '"failOn" doit valoir l\'une de ces valeurs : {values}',
+        es: '"failOn" debe ser uno de estos valores: {values}'
+    },
+    '"{field}" must be an integer between {min} and {max}': {
+        de: '"{field}" muss eine ganze Zahl zwischen {min} und {max} sein',
+        fr: '"{field}" doit être un entier compris entre {min} et {max}',
+        es: '"{field}" debe ser un número entero entre {min} y {max}'
+    },
+    'Unknown preset "{preset}"': {
+        de: 'Unbekanntes Preset "{preset}"',
+        fr: 'Préréglage inconnu "{preset}"',
+        es: 'Preajuste desconocido "{preset}"'
+    },
+    'Unknown axe tag(s): {tags}': {
+        de: 'Unbekannte axe-Tags: {tags}',
+        fr: 'Tag(s) axe inconnu(s) : {tags}',
+        es: 'Etiquetas de axe desconocidas: {tags}'
+    },
+    'Unknown axe rule(s): {rules}': {
+        de: 'Unbekannte axe-Regeln: {rules}',
+        fr: 'Règle(s) axe inconnue(s) : {rules}',
+        es: 'Reglas de axe desconocidas: {rules}'
+    },
+    'Rule(s) both enabled and disabled: {rules}': {
+        de: 'Regeln sind zugleich aktiviert und deaktiviert: {rules}',
+        fr: 'Règle(s) à la fois activée(s) et désactivée(s) : {rules}',
+        es: 'Reglas activadas y desactivadas a la vez: {rules}'
+    },
+    '"engine" must be "jsdom" or "browser"': {
+        de: '"engine" muss "jsdom" oder "browser" sein',
+        fr: '"engine" doit valoir "jsdom" ou "browser"',
+        es: '"engine" debe ser "jsdom" o "browser"'
+    },
+    '"styles" must be true or false': {
+        de: '"styles" muss true oder false sein',
+        fr: '"styles" doit valoir true ou false',
+        es: '"styles" debe ser true o false'
+    },
+    'Wait conditions need "engine": "browser"': {
+        de: 'Wartebedingungen erfordern "engine": "browser"',
+        fr: 'Les conditions d\'attente nécessitent "engine": "browser"',
+        es: 'Las condiciones de espera requieren "engine": "browser"'
+    },
+    'Page actions need "engine": "browser"': {
+        de: 'Seitenaktionen erfordern "engine": "browser"',
+        fr: 'Les actions sur la page nécessitent "engine": "browser"',
+        es: 'Las acciones en la página requieren "engine": "browser"'
+    },
+    '"cache" must be "default" or "bypass"': {
+        de: '"cache" muss "default" oder "bypass" sein',
+        fr: '"cache" doit valoir "default" ou "bypass"',
+        es: '"cache" debe ser "default" o "bypass"'
+    },
+    'Invalid CSS selector in "include" or "exclude"': {
+        de: 'Ungültiger CSS-Selektor in "include" oder "exclude"',
+        fr: 'Sélecteur CSS non valide dans "include" ou "exclude"',
+        es: 'Selector CSS no válido en "include" o "exclude"'
+    },
+    'Use either "baseline" or "baselineId", not both': {
+        de: 'Verwenden Sie entweder "baseline" oder "baselineId", nicht beides',
+        fr: 'Utilisez soit "baseline", soit "baselineId", pas les deux',
+        es: 'Use "baseline" o "baselineId", pero no ambos'
+    },
+    '"baseline" must be a previous check or scan result': {
+        de: '"baseline" muss ein früheres Prüf- oder Scan-Ergebnis sein',
+        fr: '"baseline" doit être le résultat d\'une vérification ou d\'une analyse précédente',
+        es: '"baseline" debe ser el resultado de una comprobación o un escaneo anterior'
+    },
+    'Either "urls" or "startUrl" is required': {
+        de: 'Entweder "urls" oder "startUrl" ist erforderlich',
+        fr: '"urls" ou "startUrl" est requis',
+        es: 'Se requiere "urls" o "startUrl"'
+    },
+    'Provide either "urls" or "startUrl", not both': {
+        de: 'Geben Sie entweder "urls" oder "startUrl" an, nicht beides',
+        fr: 'Indiquez soit "urls", soit "startUrl", pas les deux',
+        es: 'Indique "urls" o "startUrl", pero no ambos'
+    },
+    'At most {max} URLs can be scanned at once': {
+        de: 'Höchstens {max} URLs können auf einmal gescannt werden',
+        fr: '{max} URL au maximum peuvent être analysées à la fois',
+        es: 'Se pueden escanear como máximo {max} URL a la vez'
+    },
+
+    // Jobs, baselines, history and monitors
+    'Job not found': {
+        de: 'Auftrag nicht gefunden',
+        fr: 'Tâche introuvable',
+        es: 'Trabajo no encontrado'
+    },
+    'Finished jobs are kept for a limited time': {
+        de: 'Abgeschlossene Aufträge werden nur begrenzte Zeit aufbewahrt',
+        fr: 'Les tâches terminées sont conservées pendant une durée limitée',
+        es: 'Los trabajos terminados se conservan durante un tiempo limitado'
+    },
+    'Job was cancelled': {
+        de: 'Der Auftrag wurde abgebrochen',
+        fr: 'La tâche a été annulée',
+        es: 'El trabajo se canceló'
+    },
+    'Job has not finished yet': {
+        de: 'Der Auftrag ist noch nicht abgeschlossen',
+        fr: 'La tâche n\'est pas encore terminée',
+        es: 'El trabajo aún no ha terminado'
+    },
+    'Job has no callback URL': {
+        de: 'Der Auftrag hat keine Callback-URL',
+        fr: 'La tâche n\'a pas d\'URL de rappel',
+        es: 'El trabajo no tiene URL de callback'
+    },
+    'Only completed jobs can be stored as a baseline': {
+        de: 'Nur abgeschlossene Aufträge können als Baseline gespeichert werden',
+        fr: 'Seules les tâches terminées peuvent être enregistrées comme référence',
+        es: 'Solo los trabajos completados se pueden guardar como línea base'
+    },
+    'Baseline not found': {
+        de: 'Baseline nicht gefunden',
+        fr: 'Référence introuvable',
+        es: 'Línea base no encontrada'
+    },
+    'Stored baselines expire after a while; store it again': {
+        de: 'Gespeicherte Baselines verfallen nach einiger Zeit; speichern Sie sie erneut',
+        fr: 'Les références enregistrées expirent au bout d\'un moment ; enregistrez-la de nouveau',
+        es: 'Las líneas base guardadas caducan al cabo de un tiempo; vuelva a guardarla'
+    },
+    'Scan history is disabled on this server': {
+        de: 'Der Prüfverlauf ist auf diesem Server deaktiviert',
+        fr: 'L\'historique des analyses est désactivé sur ce serveur',
+        es: 'El historial de escaneos está desactivado en este servidor'
+    },
+    'Saved check not found': {
+        de: 'Gespeicherte Prüfung nicht gefunden',
+        fr: 'Vérification enregistrée introuvable',
+        es: 'Comprobación guardada no encontrada'
+    },
+    'Saved checks are deleted after the retention period': {
+        de: 'Gespeicherte Prüfungen werden nach Ablauf der Aufbewahrungsfrist gelöscht',
+        fr: 'Les vérifications enregistrées sont supprimées à la fin de la durée de conservation',
+        es: 'Las comprobaciones guardadas se eliminan al terminar el periodo de retención'
+    },
+    'Monitors are disabled on this server': {
+        de: 'Monitore sind auf diesem Server deaktiviert',
+        fr: 'Les moniteurs sont désactivés sur ce serveur',
+        es: 'Los monitores están desactivados en este servidor'
+    },
+    'Monitor not found': {
+        de: 'Monitor nicht gefunden',
+        fr: 'Moniteur introuvable',
+        es: 'Monitor no encontrado'
+    },
+    'Monitor limit reached': {
+        de: 'Maximale Anzahl an Monitoren erreicht',
+        fr: 'Nombre maximal de moniteurs atteint',
+        es: 'Se alcanzó el límite de monitores'
+    },
+    'The cron expression never matches': {
+        de: 'Der Cron-Ausdruck trifft nie zu',
+        fr: 'L\'expression cron ne correspond jamais',
+        es: 'La expresión cron nunca coincide'
+    }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Entries with placeholders, matched as patterns: "Redirect limit reached ({max})"
+// becomes /^Redirect limit reached \((?<max>.+?)\)$/
+const TEMPLATES = Object.entries(CATALOG)
+    .filter(([english]) => /\{\w+\}/.test(english))
+    .map(([english, translations]) => ({
+        pattern: new RegExp(`^${english.split(/(\{\w+\})/).map((part) => {
+            const placeholder = /^\{(\w+)\}$/.exec(part);
+            return placeholder ? `(?<${placeholder[1]}>.+?)` : escapeRegExp(part);
+        }).join('')}$`),
+        translations
+    }));
+
+// Catalog languages; a locale's language part picks one ("pt_BR" -> "pt")
+const MESSAGE_LANGUAGES = ['en', 'de', 'fr', 'es'];
+
+/**
+ * `message` in the language of `locale` (a supported locale such as "de" or
+ * "pt_BR"), or unchanged when the catalog has no translation for it.
+ */
+const translateMessage = (message, locale) => {
+    const language = String(locale || 'en').split('_')[0];
+    if (typeof message !== 'string' || language === 'en') return message;
+
+    if (Object.hasOwn(CATALOG, message)) {
+        return CATALOG[message][language] ?? message;
+    }
+    for (const { pattern, translations } of TEMPLATES) {
+        const match = pattern.exec(message);
+        if (match && translations[language]) {
+            return translations[language].replace(/\{(\w+)\}/g, (placeholder, name) => match.groups[name] ?? placeholder);
+        }
+    }
+    return message;
+};
+
+module.exports = {
+    MESSAGE_LANGUAGES,
+    translateMessage
+};
@@ -0,0 +1,100 @@
+// Prometheus metrics for GET /metrics: HTTP requests, per-stage analysis durations,
+// violations found, rejected requests and failed checks, heap usage and admitted
+// analyses. Each service instance gets its own registry, so nothing leaks between
+// instances.
+const client = require('prom-client');
+
+// Stage durations range from milliseconds (sanitizing) to the analysis timeout
+const STAGE_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 45];
+
+/**
+ * `getPeakHeapBytes` reports the highest heap use seen by the memory monitor and
+ * `getAdmissionStats` the admission controller's { active, queued } (lib/admission.js).
+ * Node's default process metrics (CPU, event loop lag, GC) are included too.
+ */
+const createMetrics = ({ getPeakHeapBytes = () => 0, getAdmissionStats = () => ({ active: 0, queued: 0 }) } = {}) => {
+    const register = new client.Registry();
+    client.collectDefaultMetrics({ register });
+
+    const httpRequests = new client.Counter({
+        name: 'accessibility_http_requests_total',
+        help: 'HTTP requests by method, route and status code',
+        labelNames: ['method', 'route', 'status'],
+        registers: [register]
+    });
+
+    const stageDuration = new client.Histogram({
+        name: 'accessibility_analysis_stage_duration_seconds',
+        help: 'Time spent per check stage: fetch, sanitize, jsdom and axe (browser for the browser engine)',
+        labelNames: ['stage'],
+        buckets: STAGE_BUCKETS,
+        registers: [register]
+    });
+
+    const violationsFound = new client.Counter({
+        name: 'accessibility_violations_found_total',
+        help: 'Violated rules reported by fresh analyses, by impact',
+        labelNames: ['impact'],
+        registers: [register]
+    });
+
+    const rejections = new client.Counter({
+        name: 'accessibility_rejections_total',
+        help: 'Rejected requests and failed checks by error code, with the underlying reason (timeouts, complexity limits) where known',
+        labelNames: ['code', 'reason'],
+        registers: [register]
+    });
+
+    new client.Gauge({
+        name: 'accessibility_heap_bytes',
+        help: 'Main thread heap: used, total and the highest use seen',
+        labelNames: ['type'],
+        registers: [register],
+        collect() {
+            const { heapUsed, heapTotal } = process.memoryUsage();
+            this.set({ type: 'used' }, heapUsed);
+            this.set({ type: 'total' }, heapTotal);
+            this.set({ type: 'peak' }, Math.max(getPeakHeapBytes(), heapUsed));
+        }
+    });
+
+    new client.Gauge({
+        name: 'accessibility_analyses',
+        help: 'Checks, scans and monitor runs being analyzed (active) or waiting for a slot (queued)',
+        labelNames: ['state'],
+        registers: [register],
+        collect() {
+            const { active, queued } = getAdmissionStats();
+            this.set({ state: 'active' }, active);
+            this.set({ state: 'queued' }, queued);
+        }
+    });
+
+    return {
+        contentType: register.contentType,
+
+        render: () => register.metrics(),
+
+        countRequest: ({ method, route, status }) => httpRequests.inc({ method, route, status: String(status) }),
+
+        // `timings` holds stage durations in milliseconds; missing stages are skipped
+        observeStages: (timings) => {
+            Object.entries(timings).forEach(([stage, ms]) => {
+                if (typeof ms === 'number') stageDuration.observe({ stage }, ms / 1000);
+            });
+        },
+
+        // `byImpact` is a check's summary.byImpact, counted before the detail caps apply
+        countViolations: (byImpact) => {
+            Object.entries(byImpact).forEach(([impact, { violations }]) => {
+                if (violations > 0) violationsFound.inc({ impact }, violations);
+            });
+        },
+
+        countRejection: (code, reason = null) => rejections.inc({ code: code || 'SERVER_ERROR', reason: reason || '' })
+    };
+};
+
+module.exports = {
+    createMetrics
+};
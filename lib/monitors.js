@@ -0,0 +1,313 @@
+// Scheduled monitors: URLs the service re-checks on a cron or interval schedule without
+// an external caller. Each run is compared with the previous successful one, and new
+// violations or a crossed impact threshold raise an alert. Monitors live in a pluggable
+// store (a JSON file by default) so they survive restarts; the scheduler runs one check
+// at a time, so runs never overlap.
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { parseCron, nextCronTime } = require('./cron');
+const { IMPACT_LEVELS, diffIssues, evaluateGate } = require('./baseline');
+const { createCheckError } = require('./check-errors');
+const { createLogger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_INTERVAL_MINUTES = 31 * 24 * 60;
+
+// Longest the scheduler sleeps before looking at the store again (timers can't wait
+// longer than about 24 days, and a wall clock change shouldn't delay runs for long)
+const MAX_SLEEP_MS = 60 * MINUTE_MS;
+
+/**
+ * Default monitor store: all monitors in memory, written to `filePath` after every
+ * change (to a temporary file first, then renamed). Any object with the same async
+ * methods can be passed to createMonitorScheduler instead:
+ *   list() -> monitors, get(id) -> monitor | null, save(monitor),
+ *   update(id, change) -> monitor | null, delete(id) -> boolean
+ * update() merges `change(monitor)` into the stored monitor in one step, so concurrent
+ * updates (a finished run, a webhook delivery, a PATCH) never undo each other.
+ */
+const createJsonFileMonitorStore = ({ filePath, logger = createLogger() }) => {
+    let monitors = null;
+    let writing = Promise.resolve();
+
+    const load = async () => {
+        if (monitors) return monitors;
+        try {
+            monitors = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Could not read monitors, starting empty', { filePath, error });
+            }
+            monitors = [];
+        }
+        return monitors;
+    };
+
+    // Writes are chained so they land in order
+    const persist = () => {
+        const snapshot = JSON.stringify(monitors);
+        writing = writing.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(`${filePath}.tmp`, snapshot);
+            await fs.rename(`${filePath}.tmp`, filePath);
+        }).catch(error => logger.error('Could not write monitors', { filePath, error }));
+        return writing;
+    };
+
+    return {
+        async list() {
+            return [...await load()];
+        },
+
+        async get(id) {
+            return (await load()).find(monitor => monitor.id === id) || null;
+        },
+
+        async save(monitor) {
+            const all = await load();
+            const index = all.findIndex(({ id }) => id === monitor.id);
+            if (index === -1) all.push(monitor);
+            else all[index] = monitor;
+            await persist();
+        },
+
+        async update(id, change) {
+            const all = await load();
+            const index = all.findIndex(monitor => monitor.id === id);
+            if (index === -1) return null;
+            all[index] = { ...all[index], ...change(all[index]) };
+            await persist();
+            return all[index];
+        },
+
+        async delete(id) {
+            const all = await load();
+            const index = all.findIndex(monitor => monitor.id === id);
+            if (index === -1) return false;
+            all.splice(index, 1);
+            await persist();
+            return true;
+        }
+    };
+};
+
+// "schedule": { "cron": "*/30 * * * *" } (UTC) or { "intervalMinutes": 60 }; intervals
+// shorter than `minIntervalMs` are refused
+const resolveSchedule = (input, minIntervalMs) => {
+    const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_SCHEDULE', details);
+    const minMinutes = Math.ceil(minIntervalMs / MINUTE_MS);
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('"schedule" must be { "cron": expression } or { "intervalMinutes": number }');
+    }
+    const { cron, intervalMinutes } = input;
+    if ((cron === undefined) === (intervalMinutes === undefined)) {
+        throw invalid('Give "schedule" either a "cron" expression or "intervalMinutes"');
+    }
+
+    if (cron !== undefined) {
+        let parsed;
+        try {
+            parsed = parseCron(cron);
+        } catch (error) {
+            throw invalid(error.message, { received: cron });
+        }
+        if (nextCronTime(parsed, Date.now()) === null) {
+            throw invalid('The cron expression never matches', { received: cron });
+        }
+        return { cron: cron.trim() };
+    }
+
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < minMinutes || intervalMinutes > MAX_INTERVAL_MINUTES) {
+        throw invalid(`"intervalMinutes" must be an integer between ${minMinutes} and ${MAX_INTERVAL_MINUTES}`, { received: intervalMinutes });
+    }
+    return { intervalMinutes };
+};
+
+// "alert": { newViolations, failOn, webhookUrl, webhookSecret }. The webhook URL is only
+// checked for its shape here; the caller applies the network policy.
+const resolveAlert = (input = {}) => {
+    const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_ALERT', details);
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw invalid('"alert" must be an object');
+    }
+    const { newViolations = true, failOn = null, webhookUrl = null, webhookSecret = null } = input;
+
+    if (typeof newViolations !== 'boolean') {
+        throw invalid('"alert.newViolations" must be true or false');
+    }
+    if (failOn !== null && !IMPACT_LEVELS.includes(failOn)) {
+        throw invalid(`"alert.failOn" must be one of: ${IMPACT_LEVELS.join(', ')}`, { received: failOn });
+    }
+    if (webhookUrl !== null && typeof webhookUrl !== 'string') {
+        throw invalid('"alert.webhookUrl" must be a URL');
+    }
+    if (webhookSecret !== null && (typeof webhookSecret !== 'string' || !webhookSecret)) {
+        throw invalid('"alert.webhookSecret" must be a non-empty string');
+    }
+    if (webhookSecret !== null && webhookUrl === null) {
+        throw invalid('"alert.webhookSecret" needs an "alert.webhookUrl"');
+    }
+    return { newViolations, failOn, webhookUrl, webhookSecret };
+};
+
+/**
+ * When a monitor runs next (ms), or null for a cron expression with no later match.
+ * Interval schedules count from the last run's start, and a new monitor runs right
+ * away; cron schedules take the next match. Either way runs start at least
+ * `minIntervalMs` apart.
+ */
+const nextRunTime = (schedule, { now = Date.now(), lastStartedAt = null, minIntervalMs }) => {
+    if (schedule.intervalMinutes) {
+        return lastStartedAt === null ? now : Math.max(now, lastStartedAt + schedule.intervalMinutes * MINUTE_MS);
+    }
+    const earliest = lastStartedAt === null ? now : Math.max(now, lastStartedAt + minIntervalMs);
+    return nextCronTime(parseCron(schedule.cron), earliest - 1);
+};
+
+/**
+ * Compares a run's issues (see extractIssues in lib/baseline.js) with those of the
+ * previous successful run. Reasons to alert: "new-violations" when the run reports
+ * issues the previous one didn't (of failOn impact or worse, if set), "threshold"
+ * when the run fails the failOn gate and the previous one passed it. A first run has
+ * nothing to compare with, so it only alerts on the threshold.
+ */
+const evaluateAlert = (alert, previousIssues, issues) => {
+    const diff = previousIssues ? diffIssues(previousIssues, issues) : null;
+    const newIssues = diff
+        ? diff.new.filter(issue => !alert.failOn || !evaluateGate({ issues: [issue], failOn: alert.failOn }).passed)
+        : [];
+    const reasons = [];
+
+    if (alert.newViolations && newIssues.length > 0) {
+        reasons.push('new-violations');
+    }
+    if (alert.failOn) {
+        const passes = (list) => evaluateGate({ issues: list, failOn: alert.failOn }).passed;
+        if (!passes(issues) && (!previousIssues || passes(previousIssues))) {
+            reasons.push('threshold');
+        }
+    }
+
+    return { reasons, diff, newIssues };
+};
+
+/**
+ * Runs monitors when they are due, one at a time, oldest due first. `runMonitor(monitor,
+ * { signal })` performs a run and resolves with the fields to store on the monitor
+ * (lastRun and so on). A monitor that comes due while another runs waits, and one that
+ * comes due again during its own run runs once afterwards, never twice at once. The
+ * scheduler only runs between start() and stop(); its timers don't keep the process
+ * alive.
+ */
+const createMonitorScheduler = ({ store, runMonitor, minIntervalMs, logger = createLogger() }) => {
+    let started = false;
+    let timer = null;
+    let active = null; // { id, controller, done } while a monitor runs
+
+    const computeNextRun = (monitor, lastStartedAt = monitor.lastRun ? Date.parse(monitor.lastRun.startedAt) : null) => {
+        if (monitor.paused) return null;
+        const time = nextRunTime(monitor.schedule, { lastStartedAt, minIntervalMs });
+        return time === null ? null : new Date(time).toISOString();
+    };
+
+    const runDue = async () => {
+        timer = null;
+        if (!started || active) return;
+
+        const now = Date.now();
+        const due = (await store.list())
+            .filter(monitor => !monitor.paused && monitor.nextRunAt && Date.parse(monitor.nextRunAt) <= now)
+            .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0];
+        if (!due) return wake();
+
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        const done = runMonitor(due, { signal: controller.signal }).catch((error) => {
+            logger.error('Monitor run failed unexpectedly', { monitorId: due.id, error });
+            return {};
+        });
+        active = { id: due.id, controller, done };
+
+        let changes;
+        try {
+            changes = await done;
+        } finally {
+            active = null;
+        }
+
+        // The monitor may have been changed or deleted while it ran. A run cut short by
+        // stop() stays due, so it runs again after a restart.
+        await store.update(due.id, current => ({
+            ...changes,
+            nextRunAt: started ? computeNextRun(current, startedAt) : current.nextRunAt
+        }));
+        return wake();
+    };
+
+    // Sleeps until the next monitor is due (at most MAX_SLEEP_MS)
+    const wake = async () => {
+        clearTimeout(timer);
+        timer = null;
+        if (!started || active) return;
+
+        const times = (await store.list())
+            .filter(monitor => !monitor.paused && monitor.nextRunAt)
+            .map(monitor => Date.parse(monitor.nextRunAt));
+        if (!started || active) return;
+
+        // The last wake-up to read the store sets the timer
+        clearTimeout(timer);
+        const delay = times.length > 0 ? Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_SLEEP_MS) : MAX_SLEEP_MS;
+        timer = setTimeout(() => {
+            runDue().catch(error => logger.error('Monitor scheduler failed', { error }));
+        }, delay);
+        timer.unref();
+    };
+
+    return {
+        computeNextRun,
+
+        // Monitors overdue from before a restart run once, right away
+        async start() {
+            started = true;
+            await wake();
+        },
+
+        // Stops the timer and cancels a running check, waiting for it to finish
+        async stop() {
+            started = false;
+            clearTimeout(timer);
+            timer = null;
+            if (active) {
+                active.controller.abort();
+                await active.done;
+            }
+        },
+
+        // Call after monitors were added or changed, so new due times are picked up
+        reschedule() {
+            return wake();
+        },
+
+        isRunning: (id) => active?.id === id,
+
+        // Cancels the monitor's run if it is running (when it is deleted or paused)
+        cancel(id) {
+            if (active?.id === id) active.controller.abort();
+        }
+    };
+};
+
+const createMonitorId = () => crypto.randomUUID();
+
+module.exports = {
+    createJsonFileMonitorStore,
+    createMonitorScheduler,
+    createMonitorId,
+    resolveSchedule,
+    resolveAlert,
+    evaluateAlert
+};
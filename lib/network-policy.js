@@ -0,0 +1,194 @@
+// Network policy for every outbound request the service makes (page fetches,
+// redirects, connectivity tests, webhook callbacks, JSDOM subresources).
+// Blocks private, loopback, link-local and cloud metadata addresses by default
+// and applies host allow/deny lists. Addresses are checked after DNS
+// resolution, at connection time, so a hostname can't rebind to an internal IP.
+const dns = require('node:dns');
+const net = require('node:net');
+
+// Cloud metadata endpoints stay blocked even for explicitly allowed hosts
+const METADATA_ADDRESSES = ['169.254.169.254', '100.100.100.200', 'fd00:ec2::254'];
+
+const createBlockList = () => {
+    const blockList = new net.BlockList();
+
+    [
+        ['0.0.0.0', 8], // "this" network
+        ['10.0.0.0', 8], // RFC1918
+        ['100.64.0.0', 10], // carrier-grade NAT
+        ['127.0.0.0', 8], // loopback
+        ['169.254.0.0', 16], // link-local (includes the metadata address)
+        ['172.16.0.0', 12], // RFC1918
+        ['192.0.0.0', 24], // IETF protocol assignments
+        ['192.168.0.0', 16], // RFC1918
+        ['198.18.0.0', 15], // benchmarking
+        ['224.0.0.0', 4], // multicast
+        ['240.0.0.0', 4] // reserved and broadcast
+    ].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+
+    [
+        ['::', 128], // unspecified
+        ['::1', 128], // loopback
+        ['fc00::', 7], // unique local
+        ['fe80::', 10], // link-local
+        ['ff00::', 8] // multicast
+    ].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+    return blockList;
+};
+
+const createMetadataList = () => {
+    const metadataList = new net.BlockList();
+    METADATA_ADDRESSES.forEach(address => metadataList.addAddress(address, net.isIPv6(address) ? 'ipv6' : 'ipv4'));
+    return metadataList;
+};
+
+// "::ffff:7f00:1" or "::ffff:127.0.0.1" -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]
+const expandIpv6 = (address) => {
+    let text = address.replace(/%.*$/, ''); // zone ID
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const toHextets = part => (part ? part.split(':').map(hextet => parseInt(hextet, 16)) : []);
+    const [head, tail] = text.split('::');
+    if (tail === undefined) return toHextets(head);
+    const [headHextets, tailHextets] = [toHextets(head), toHextets(tail)];
+    return [...headHextets, ...new Array(8 - headHextets.length - tailHextets.length).fill(0), ...tailHextets];
+};
+
+const toIpv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+// The IPv4 address an IPv6 address carries and may be routed to: IPv4-mapped
+// (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:AABB:CCDD::)
+const embeddedIpv4 = (address) => {
+    const hextets = expandIpv6(address);
+    const isZero = (from, to) => hextets.slice(from, to).every(hextet => hextet === 0);
+
+    if (isZero(0, 5) && hextets[5] === 0xffff) return toIpv4(hextets[6], hextets[7]);
+    if (isZero(0, 6) && (hextets[6] !== 0 || hextets[7] > 1)) return toIpv4(hextets[6], hextets[7]); // not :: or ::1
+    if (hextets[0] === 0x64 && hextets[1] === 0xff9b && isZero(2, 6)) return toIpv4(hextets[6], hextets[7]);
+    if (hextets[0] === 0x2002) return toIpv4(hextets[1], hextets[2]);
+    return null;
+};
+
+const createPolicyError = (message) => {
+    const error = new Error(message);
+    error.code = 'URL_NOT_ALLOWED';
+    return error;
+};
+
+// Policy errors can arrive wrapped by axios and follow-redirects, so walk the cause chain
+const isPolicyError = (error) => {
+    for (let current = error; current; current = current.cause) {
+        if (current.code === 'URL_NOT_ALLOWED') return current;
+    }
+    return null;
+};
+
+// "example.com" matches exactly; "*.example.com" matches subdomains only
+const matchesHost = (hostname, patterns) => patterns.some(pattern =>
+    pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+);
+
+const normalizeHostname = (hostname) => hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+const createNetworkPolicy = ({ blockPrivateNetworks = true, allowedHosts = [], deniedHosts = [] } = {}) => {
+    const blockList = createBlockList();
+    const metadataList = createMetadataList();
+    const allowed = allowedHosts.map(host => host.toLowerCase());
+    const denied = deniedHosts.map(host => host.toLowerCase());
+
+    // Hosts named in the allow list are trusted to live on a private network
+    const isExplicitlyAllowed = (hostname) => allowed.length > 0 && matchesHost(hostname, allowed);
+
+    // IPv6 addresses are checked along with the IPv4 address they embed
+    const checkAddress = (address, hostname) => {
+        const target = hostname === address ? address : `${hostname} (${address})`;
+        const candidates = net.isIPv6(address)
+            ? [[address, 'ipv6'], [embeddedIpv4(address), 'ipv4']].filter(([candidate]) => candidate)
+            : [[address, 'ipv4']];
+
+        if (candidates.some(([candidate, family]) => metadataList.check(candidate, family))) {
+            throw createPolicyError(`${target} is a cloud metadata address`);
+        }
+        if (blockPrivateNetworks && !isExplicitlyAllowed(hostname)
+            && candidates.some(([candidate, family]) => blockList.check(candidate, family))) {
+            throw createPolicyError(`${target} is a private or reserved address`);
+        }
+    };
+
+    // Hostname rules plus the address check for IP literals (which never go through DNS)
+    const checkHostname = (rawHostname) => {
+        const hostname = normalizeHostname(rawHostname);
+
+        if (matchesHost(hostname, denied)) {
+            throw createPolicyError(`Host ${hostname} is on the deny list`);
+        }
+        if (allowed.length > 0 && !isExplicitlyAllowed(hostname)) {
+            throw createPolicyError(`Host ${hostname} is not on the allow list`);
+        }
+        if (net.isIP(hostname)) {
+            checkAddress(hostname, hostname);
+        }
+    };
+
+    const checkUrl = (url) => {
+        const parsedUrl = new URL(url);
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw createPolicyError(`Protocol ${parsedUrl.protocol} is not allowed`);
+        }
+        checkHostname(parsedUrl.hostname);
+    };
+
+    // Drop-in replacement for dns.lookup, for http(s).Agent's `lookup` option
+    const lookup = (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            try {
+                checkHostname(hostname);
+                addresses.forEach(({ address }) => checkAddress(address, hostname));
+            } catch (policyError) {
+                return callback(policyError);
+            }
+
+            if (options.all) return callback(null, addresses);
+            return callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+
+    // Resolves a URL's host and checks every address, for clients that can't use `lookup`
+    const resolveAndCheck = async (url) => {
+        checkUrl(url);
+        const { hostname } = new URL(url);
+        if (net.isIP(normalizeHostname(hostname))) return;
+
+        const addresses = await dns.promises.lookup(normalizeHostname(hostname), { all: true });
+        addresses.forEach(({ address }) => checkAddress(address, hostname));
+    };
+
+    // axios `beforeRedirect` hook: every redirect hop is checked before it is followed
+    const beforeRedirect = (options) => {
+        checkHostname(options.hostname);
+    };
+
+    return {
+        checkUrl,
+        lookup,
+        resolveAndCheck,
+        beforeRedirect
+    };
+};
+
+module.exports = {
+    createNetworkPolicy,
+    isPolicyError
+};
@@ -0,0 +1,544 @@
+// Remediation guidance per axe rule: what to change, and a before/after snippet of
+// the usual fix. Rules missing here (added by a newer axe-core) fall back to axe's
+// own help text; every rule keeps its helpUrl to Deque's full explanation. The
+// guidance is only written in English, whatever locale the results are in.
+
+const REMEDIATION_LOCALE = 'en';
+
+const GUIDANCE = {
+    accesskeys: {
+        fix: 'Give every accesskey a unique key.',
+        before: '<a href="/" accesskey="h">Home</a> <a href="/help" accesskey="h">Help</a>',
+        after: '<a href="/" accesskey="h">Home</a> <a href="/help" accesskey="p">Help</a>'
+    },
+    'area-alt': {
+        fix: 'Give each <area> of an image map an alt text naming its link target.',
+        before: '<area shape="rect" coords="0,0,80,40" href="/pricing">',
+        after: '<area shape="rect" coords="0,0,80,40" href="/pricing" alt="Pricing">'
+    },
+    'aria-allowed-attr': {
+        fix: 'Remove ARIA attributes the element\'s role does not support, or change the role.',
+        before: '<div role="button" aria-checked="true">Bold</div>',
+        after: '<div role="switch" aria-checked="true">Bold</div>'
+    },
+    'aria-allowed-role': {
+        fix: 'Use a role the element is allowed to have, or a native element with that role.',
+        before: '<button role="heading">Settings</button>',
+        after: '<h2>Settings</h2>'
+    },
+    'aria-braille-equivalent': {
+        fix: 'Pair aria-braillelabel and aria-brailleroledescription with a non-braille equivalent.',
+        before: '<button aria-braillelabel="ok"></button>',
+        after: '<button aria-label="OK" aria-braillelabel="ok"></button>'
+    },
+    'aria-command-name': {
+        fix: 'Give elements with role button, link or menuitem an accessible name.',
+        before: '<div role="button"><svg aria-hidden="true">...</svg></div>',
+        after: '<div role="button" aria-label="Close"><svg aria-hidden="true">...</svg></div>'
+    },
+    'aria-conditional-attr': {
+        fix: 'Only use ARIA attributes in the states the role allows them (e.g. no aria-checked on a native checkbox).',
+        before: '<input type="checkbox" aria-checked="true">',
+        after: '<input type="checkbox" checked>'
+    },
+    'aria-deprecated-role': {
+        fix: 'Replace deprecated roles with their current equivalent.',
+        before: '<div role="directory">...</div>',
+        after: '<ul role="list">...</ul>'
+    },
+    'aria-dialog-name': {
+        fix: 'Name dialogs with aria-labelledby pointing at their heading, or aria-label.',
+        before: '<div role="dialog"><h2>Delete file?</h2>...</div>',
+        after: '<div role="dialog" aria-labelledby="dlg-title"><h2 id="dlg-title">Delete file?</h2>...</div>'
+    },
+    'aria-hidden-body': {
+        fix: 'Remove aria-hidden from the <body> element.',
+        before: '<body aria-hidden="true">',
+        after: '<body>'
+    },
+    'aria-hidden-focus': {
+        fix: 'Make focusable content inside aria-hidden unfocusable (tabindex="-1" or inert), or stop hiding it.',
+        before: '<div aria-hidden="true"><a href="/more">More</a></div>',
+        after: '<div aria-hidden="true" inert><a href="/more">More</a></div>'
+    },
+    'aria-input-field-name': {
+        fix: 'Give ARIA input fields (combobox, listbox, searchbox, slider, spinbutton, textbox) an accessible name.',
+        before: '<div role="combobox" aria-expanded="false"></div>',
+        after: '<div role="combobox" aria-expanded="false" aria-label="Country"></div>'
+    },
+    'aria-meter-name': {
+        fix: 'Give meters an accessible name.',
+        before: '<div role="meter" aria-valuenow="70"></div>',
+        after: '<div role="meter" aria-valuenow="70" aria-label="Disk usage"></div>'
+    },
+    'aria-progressbar-name': {
+        fix: 'Give progress bars an accessible name.',
+        before: '<div role="progressbar" aria-valuenow="40"></div>',
+        after: '<div role="progressbar" aria-valuenow="40" aria-label="Upload progress"></div>'
+    },
+    'aria-prohibited-attr': {
+        fix: 'Don\'t name elements whose role prohibits naming; put the text in the content instead.',
+        before: '<span aria-label="New">*</span>',
+        after: '<span>* <span class="visually-hidden">New</span></span>'
+    },
+    'aria-required-attr': {
+        fix: 'Add the ARIA attributes the role requires.',
+        before: '<div role="checkbox">Subscribe</div>',
+        after: '<div role="checkbox" aria-checked="false">Subscribe</div>'
+    },
+    'aria-required-children': {
+        fix: 'Give roles that need specific children those children (e.g. options in a listbox).',
+        before: '<div role="listbox"><div>Red</div></div>',
+        after: '<div role="listbox"><div role="option">Red</div></div>'
+    },
+    'aria-required-parent': {
+        fix: 'Put roles that need a specific parent inside that parent (e.g. a tab inside a tablist).',
+        before: '<div><button role="tab">General</button></div>',
+        after: '<div role="tablist"><button role="tab">General</button></div>'
+    },
+    'aria-roledescription': {
+        fix: 'Only use aria-roledescription on elements with a semantic role.',
+        before: '<div aria-roledescription="slide">...</div>',
+        after: '<section role="group" aria-roledescription="slide">...</section>'
+    },
+    'aria-roles': {
+        fix: 'Use valid, non-abstract ARIA role values.',
+        before: '<div role="btn">Save</div>',
+        after: '<div role="button">Save</div>'
+    },
+    'aria-text': {
+        fix: 'Don\'t put focusable elements inside role="text".',
+        before: '<span role="text">Price <a href="/tax">incl. tax</a></span>',
+        after: '<span>Price <a href="/tax">incl. tax</a></span>'
+    },
+    'aria-toggle-field-name': {
+        fix: 'Give ARIA toggle fields (checkbox, menuitemcheckbox, radio, switch, option) an accessible name.',
+        before: '<div role="switch" aria-checked="false"></div>',
+        after: '<div role="switch" aria-checked="false" aria-label="Dark mode"></div>'
+    },
+    'aria-tooltip-name': {
+        fix: 'Give tooltips text content or an accessible name.',
+        before: '<div role="tooltip" id="tip"></div>',
+        after: '<div role="tooltip" id="tip">Opens in a new tab</div>'
+    },
+    'aria-treeitem-name': {
+        fix: 'Give tree items an accessible name.',
+        before: '<li role="treeitem"><img src="folder.svg"></li>',
+        after: '<li role="treeitem" aria-label="Documents"><img src="folder.svg" alt=""></li>'
+    },
+    'aria-valid-attr': {
+        fix: 'Fix misspelled or invented aria-* attribute names.',
+        before: '<button aria-lable="Close">x</button>',
+        after: '<button aria-label="Close">x</button>'
+    },
+    'aria-valid-attr-value': {
+        fix: 'Use values the ARIA attribute allows, and IDs that exist for ID references.',
+        before: '<button aria-expanded="yes" aria-controls="missing">Menu</button>',
+        after: '<button aria-expanded="true" aria-controls="menu">Menu</button>'
+    },
+    'audio-caption': {
+        fix: 'Provide captions or a transcript for audio content.',
+        before: '<audio src="talk.mp3" controls></audio>',
+        after: '<audio src="talk.mp3" controls></audio> <a href="/talk-transcript">Transcript</a>'
+    },
+    'autocomplete-valid': {
+        fix: 'Use autocomplete tokens from the HTML specification that fit the field.',
+        before: '<input name="email" autocomplete="mail">',
+        after: '<input name="email" autocomplete="email">'
+    },
+    'avoid-inline-spacing': {
+        fix: 'Don\'t set letter, word or line spacing inline with !important, so users can override it.',
+        before: '<p style="line-height: 1.2 !important">...</p>',
+        after: '<p style="line-height: 1.2">...</p>'
+    },
+    blink: {
+        fix: 'Remove <blink> elements; they can\'t be paused.',
+        before: '<blink>Sale!</blink>',
+        after: '<strong>Sale!</strong>'
+    },
+    'button-name': {
+        fix: 'Give buttons visible text, or an aria-label when they only show an icon.',
+        before: '<button><svg aria-hidden="true">...</svg></button>',
+        after: '<button aria-label="Search"><svg aria-hidden="true">...</svg></button>'
+    },
+    bypass: {
+        fix: 'Let keyboard users skip repeated content with a skip link, a heading or a main landmark.',
+        before: '<body><nav>...</nav><div class="content">...</div></body>',
+        after: '<body><a href="#main">Skip to content</a><nav>...</nav><main id="main">...</main></body>'
+    },
+    'color-contrast': {
+        fix: 'Raise the contrast between text and background to at least 4.5:1 (3:1 for large text).',
+        before: '<p style="color: #999; background: #fff">Details</p>',
+        after: '<p style="color: #595959; background: #fff">Details</p>'
+    },
+    'color-contrast-enhanced': {
+        fix: 'Raise the contrast between text and background to at least 7:1 (4.5:1 for large text).',
+        before: '<p style="color: #767676; background: #fff">Details</p>',
+        after: '<p style="color: #4d4d4d; background: #fff">Details</p>'
+    },
+    'css-orientation-lock': {
+        fix: 'Don\'t lock the page to portrait or landscape with CSS transforms.',
+        before: '@media (orientation: portrait) { body { transform: rotate(90deg); } }',
+        after: '/* let the layout follow the device orientation */'
+    },
+    'definition-list': {
+        fix: 'Only put <dt>/<dd> groups (optionally wrapped in <div>) directly inside <dl>.',
+        before: '<dl><p>Term</p><dd>Definition</dd></dl>',
+        after: '<dl><dt>Term</dt><dd>Definition</dd></dl>'
+    },
+    dlitem: {
+        fix: 'Put <dt> and <dd> elements inside a <dl>.',
+        before: '<div><dt>Term</dt><dd>Definition</dd></div>',
+        after: '<dl><dt>Term</dt><dd>Definition</dd></dl>'
+    },
+    'document-title': {
+        fix: 'Give the page a non-empty <title> that describes it.',
+        before: '<head><meta charset="utf-8"></head>',
+        after: '<head><meta charset="utf-8"><title>Order history - Acme</title></head>'
+    },
+    'duplicate-id': {
+        fix: 'Make every id attribute value unique in the page.',
+        before: '<div id="item">A</div><div id="item">B</div>',
+        after: '<div id="item-a">A</div><div id="item-b">B</div>'
+    },
+    'duplicate-id-active': {
+        fix: 'Give focusable elements unique ids.',
+        before: '<button id="save">Save</button><button id="save">Save draft</button>',
+        after: '<button id="save">Save</button><button id="save-draft">Save draft</button>'
+    },
+    'duplicate-id-aria': {
+        fix: 'Make ids referenced by ARIA attributes or labels unique, so they point at one element.',
+        before: '<span id="hint">Required</span><span id="hint">Optional</span><input aria-describedby="hint">',
+        after: '<span id="hint-name">Required</span><span id="hint-note">Optional</span><input aria-describedby="hint-name">'
+    },
+    'empty-heading': {
+        fix: 'Give headings text content, or remove empty ones.',
+        before: '<h2></h2>',
+        after: '<h2>Latest news</h2>'
+    },
+    'empty-table-header': {
+        fix: 'Give table header cells text that names their column or row.',
+        before: '<th></th>',
+        after: '<th>Actions</th>'
+    },
+    'focus-order-semantics': {
+        fix: 'Give focusable elements a role that fits their behaviour.',
+        before: '<div tabindex="0" onclick="save()">Save</div>',
+        after: '<button type="button" onclick="save()">Save</button>'
+    },
+    'form-field-multiple-labels': {
+        fix: 'Label each form field once.',
+        before: '<label for="q">Search</label><label for="q">Find</label><input id="q">',
+        after: '<label for="q">Search</label><input id="q">'
+    },
+    'frame-focusable-content': {
+        fix: 'Don\'t set tabindex="-1" on frames that contain focusable content.',
+        before: '<iframe src="/form" tabindex="-1" title="Contact form"></iframe>',
+        after: '<iframe src="/form" title="Contact form"></iframe>'
+    },
+    'frame-tested': {
+        fix: 'Make axe-core available inside the frame so its content can be tested.',
+        before: '<iframe src="https://other.example/widget" title="Widget"></iframe>',
+        after: '<!-- check the framed page itself as well -->'
+    },
+    'frame-title': {
+        fix: 'Give every <iframe> and <frame> a title describing its content.',
+        before: '<iframe src="/map"></iframe>',
+        after: '<iframe src="/map" title="Store location map"></iframe>'
+    },
+    'frame-title-unique': {
+        fix: 'Give frames unique titles.',
+        before: '<iframe src="/a" title="Video"></iframe><iframe src="/b" title="Video"></iframe>',
+        after: '<iframe src="/a" title="Product tour video"></iframe><iframe src="/b" title="Customer story video"></iframe>'
+    },
+    'heading-order': {
+        fix: 'Don\'t skip heading levels; increase them by one at a time.',
+        before: '<h2>Products</h2><h4>Laptops</h4>',
+        after: '<h2>Products</h2><h3>Laptops</h3>'
+    },
+    'hidden-content': {
+        fix: 'Check hidden content separately once it is shown.',
+        before: '<div hidden>...</div>',
+        after: '<!-- reveal the content and check it again -->'
+    },
+    'html-has-lang': {
+        fix: 'Set the page language on the <html> element.',
+        before: '<html>',
+        after: '<html lang="en">'
+    },
+    'html-lang-valid': {
+        fix: 'Use a valid BCP 47 language tag in the lang attribute.',
+        before: '<html lang="english">',
+        after: '<html lang="en">'
+    },
+    'html-xml-lang-mismatch': {
+        fix: 'Use the same base language in lang and xml:lang.',
+        before: '<html lang="en" xml:lang="fr">',
+        after: '<html lang="en" xml:lang="en">'
+    },
+    'identical-links-same-purpose': {
+        fix: 'Make links with the same name go to the same place, or name them differently.',
+        before: '<a href="/plans">Read more</a> <a href="/team">Read more</a>',
+        after: '<a href="/plans">Read more about plans</a> <a href="/team">Read more about the team</a>'
+    },
+    'image-alt': {
+        fix: 'Give images an alt text describing them, or alt="" when they are decorative.',
+        before: '<img src="chart.png">',
+        after: '<img src="chart.png" alt="Sales grew 20% in 2024">'
+    },
+    'image-redundant-alt': {
+        fix: 'Don\'t repeat the surrounding text in the alt text.',
+        before: '<a href="/"><img src="home.svg" alt="Home"> Home</a>',
+        after: '<a href="/"><img src="home.svg" alt=""> Home</a>'
+    },
+    'input-button-name': {
+        fix: 'Give input buttons a value or an accessible name.',
+        before: '<input type="submit">',
+        after: '<input type="submit" value="Send message">'
+    },
+    'input-image-alt': {
+        fix: 'Give image buttons an alt text naming their action.',
+        before: '<input type="image" src="go.png">',
+        after: '<input type="image" src="go.png" alt="Search">'
+    },
+    label: {
+        fix: 'Associate a visible <label> with every form field.',
+        before: '<input type="email" name="email">',
+        after: '<label for="email">Email</label> <input type="email" id="email" name="email">'
+    },
+    'label-content-name-mismatch': {
+        fix: 'Start the accessible name with the visible text, so speech users can say what they see.',
+        before: '<button aria-label="Submit form">Send</button>',
+        after: '<button aria-label="Send form">Send</button>'
+    },
+    'label-title-only': {
+        fix: 'Label form fields with a <label> rather than a title attribute alone.',
+        before: '<input title="Search">',
+        after: '<label for="q">Search</label> <input id="q">'
+    },
+    'landmark-banner-is-top-level': {
+        fix: 'Don\'t nest the banner landmark (a page <header>) inside another landmark.',
+        before: '<main><header role="banner">...</header></main>',
+        after: '<header>...</header><main>...</main>'
+    },
+    'landmark-complementary-is-top-level': {
+        fix: 'Don\'t nest <aside> complementary landmarks inside other landmarks.',
+        before: '<main>...<aside role="complementary">...</aside></main>',
+        after: '<main>...</main><aside>...</aside>'
+    },
+    'landmark-contentinfo-is-top-level': {
+        fix: 'Don\'t nest the contentinfo landmark (the page <footer>) inside another landmark.',
+        before: '<main><footer role="contentinfo">...</footer></main>',
+        after: '<main>...</main><footer>...</footer>'
+    },
+    'landmark-main-is-top-level': {
+        fix: 'Don\'t nest the main landmark inside another landmark.',
+        before: '<section role="region" aria-label="Page"><main>...</main></section>',
+        after: '<main>...</main>'
+    },
+    'landmark-no-duplicate-banner': {
+        fix: 'Use at most one banner landmark per page.',
+        before: '<header>...</header><div role="banner">...</div>',
+        after: '<header>...</header><div>...</div>'
+    },
+    'landmark-no-duplicate-contentinfo': {
+        fix: 'Use at most one contentinfo landmark per page.',
+        before: '<footer>...</footer><div role="contentinfo">...</div>',
+        after: '<footer>...</footer><div>...</div>'
+    },
+    'landmark-no-duplicate-main': {
+        fix: 'Use at most one main landmark per page.',
+        before: '<main>...</main><main>...</main>',
+        after: '<main>...</main><section>...</section>'
+    },
+    'landmark-one-main': {
+        fix: 'Wrap the page\'s primary content in a <main> element.',
+        before: '<div class="content">...</div>',
+        after: '<main class="content">...</main>'
+    },
+    'landmark-unique': {
+        fix: 'Give landmarks of the same role distinct accessible names.',
+        before: '<nav>...</nav><nav>...</nav>',
+        after: '<nav aria-label="Main">...</nav><nav aria-label="Footer">...</nav>'
+    },
+    'link-in-text-block': {
+        fix: 'Set links in running text apart by more than color, e.g. with an underline.',
+        before: '<p>Read the <a href="/terms" style="text-decoration: none">terms</a>.</p>',
+        after: '<p>Read the <a href="/terms">terms</a>.</p>'
+    },
+    'link-name': {
+        fix: 'Give links text, or an accessible name when they only contain an image or icon.',
+        before: '<a href="/cart"><svg aria-hidden="true">...</svg></a>',
+        after: '<a href="/cart" aria-label="Shopping cart"><svg aria-hidden="true">...</svg></a>'
+    },
+    list: {
+        fix: 'Only put <li> elements (or script/template) directly inside <ul> and <ol>.',
+        before: '<ul><div>Item</div></ul>',
+        after: '<ul><li>Item</li></ul>'
+    },
+    listitem: {
+        fix: 'Put <li> elements inside a <ul>, <ol> or <menu>.',
+        before: '<div><li>Item</li></div>',
+        after: '<ul><li>Item</li></ul>'
+    },
+    marquee: {
+        fix: 'Remove <marquee> elements; moving text can\'t be paused.',
+        before: '<marquee>Breaking news</marquee>',
+        after: '<p>Breaking news</p>'
+    },
+    'meta-refresh': {
+        fix: 'Don\'t refresh or redirect the page on a timer; redirect on the server or let users choose.',
+        before: '<meta http-equiv="refresh" content="30">',
+        after: '<!-- remove the refresh; offer a "Reload" button if needed -->'
+    },
+    'meta-refresh-no-exceptions': {
+        fix: 'Don\'t use delayed refreshes or redirects at all.',
+        before: '<meta http-equiv="refresh" content="5; url=/new">',
+        after: '<!-- redirect with an HTTP 301 from the server -->'
+    },
+    'meta-viewport': {
+        fix: 'Let users zoom: drop user-scalable=no and keep maximum-scale at 2 or more.',
+        before: '<meta name="viewport" content="width=device-width, user-scalable=no">',
+        after: '<meta name="viewport" content="width=device-width, initial-scale=1">'
+    },
+    'meta-viewport-large': {
+        fix: 'Allow zooming to at least 500%.',
+        before: '<meta name="viewport" content="width=device-width, maximum-scale=2">',
+        after: '<meta name="viewport" content="width=device-width, initial-scale=1">'
+    },
+    'nested-interactive': {
+        fix: 'Don\'t put focusable elements inside other interactive controls.',
+        before: '<button>Open <a href="/help">help</a></button>',
+        after: '<button>Open</button> <a href="/help">Help</a>'
+    },
+    'no-autoplay-audio': {
+        fix: 'Don\'t autoplay audio for more than 3 seconds without a way to stop it.',
+        before: '<video src="intro.mp4" autoplay></video>',
+        after: '<video src="intro.mp4" autoplay muted controls></video>'
+    },
+    'object-alt': {
+        fix: 'Give <object> elements a text alternative.',
+        before: '<object data="report.pdf"></object>',
+        after: '<object data="report.pdf" aria-label="Annual report (PDF)"></object>'
+    },
+    'p-as-heading': {
+        fix: 'Mark up headings as headings, not as styled paragraphs.',
+        before: '<p><b>Shipping</b></p>',
+        after: '<h2>Shipping</h2>'
+    },
+    'page-has-heading-one': {
+        fix: 'Give the page a level-one heading.',
+        before: '<div class="title">Checkout</div>',
+        after: '<h1>Checkout</h1>'
+    },
+    'presentation-role-conflict': {
+        fix: 'Don\'t mark focusable elements or elements with global ARIA attributes as presentational.',
+        before: '<img src="logo.png" role="presentation" tabindex="0">',
+        after: '<img src="logo.png" alt="">'
+    },
+    region: {
+        fix: 'Put all content inside landmarks (header, nav, main, footer, ...).',
+        before: '<body><div>Welcome</div></body>',
+        after: '<body><main><div>Welcome</div></main></body>'
+    },
+    'role-img-alt': {
+        fix: 'Give elements with role="img" an accessible name.',
+        before: '<div role="img" class="rating-stars"></div>',
+        after: '<div role="img" class="rating-stars" aria-label="4 out of 5 stars"></div>'
+    },
+    'scope-attr-valid': {
+        fix: 'Only use scope on <th>, with the values row, col, rowgroup or colgroup.',
+        before: '<td scope="column">Name</td>',
+        after: '<th scope="col">Name</th>'
+    },
+    'scrollable-region-focusable': {
+        fix: 'Make scrollable regions keyboard reachable with tabindex="0" and a name.',
+        before: '<div style="overflow: auto; height: 200px">...</div>',
+        after: '<div style="overflow: auto; height: 200px" tabindex="0" role="region" aria-label="Terms">...</div>'
+    },
+    'select-name': {
+        fix: 'Give <select> elements a label.',
+        before: '<select name="size">...</select>',
+        after: '<label for="size">Size</label> <select id="size" name="size">...</select>'
+    },
+    'server-side-image-map': {
+        fix: 'Replace server-side image maps with client-side maps or links.',
+        before: '<a href="/map"><img src="map.png" ismap></a>',
+        after: '<img src="map.png" usemap="#regions" alt="Regions"><map name="regions">...</map>'
+    },
+    'skip-link': {
+        fix: 'Point skip links at an element that exists.',
+        before: '<a href="#content">Skip to content</a> ... <main>',
+        after: '<a href="#content">Skip to content</a> ... <main id="content">'
+    },
+    'summary-name': {
+        fix: 'Give <summary> elements text.',
+        before: '<details><summary></summary>...</details>',
+        after: '<details><summary>Shipping details</summary>...</details>'
+    },
+    'svg-img-alt': {
+        fix: 'Give SVGs with role="img" a <title> or aria-label.',
+        before: '<svg role="img">...</svg>',
+        after: '<svg role="img" aria-label="Company logo">...</svg>'
+    },
+    tabindex: {
+        fix: 'Don\'t use tabindex values above 0; reorder the markup instead.',
+        before: '<input tabindex="3">',
+        after: '<input>'
+    },
+    'table-duplicate-name': {
+        fix: 'Don\'t repeat the <caption> in the summary attribute.',
+        before: '<table summary="Prices"><caption>Prices</caption>',
+        after: '<table><caption>Prices</caption>'
+    },
+    'table-fake-caption': {
+        fix: 'Use <caption> for table captions instead of a spanning first row.',
+        before: '<table><tr><td colspan="3">Prices</td></tr>...',
+        after: '<table><caption>Prices</caption>...'
+    },
+    'target-size': {
+        fix: 'Make touch targets at least 24 by 24 CSS pixels, or space them apart.',
+        before: '<a href="/next" style="font-size: 10px">&gt;</a>',
+        after: '<a href="/next" style="display: inline-block; min-width: 24px; min-height: 24px">&gt;</a>'
+    },
+    'td-has-header': {
+        fix: 'Give data cells of large tables headers.',
+        before: '<tr><td>Name</td><td>Price</td></tr>',
+        after: '<tr><th scope="col">Name</th><th scope="col">Price</th></tr>'
+    },
+    'td-headers-attr': {
+        fix: 'Only reference header cells of the same table in headers attributes.',
+        before: '<td headers="missing">42</td>',
+        after: '<td headers="price">42</td>'
+    },
+    'th-has-data-cells': {
+        fix: 'Remove header cells that head no data cells, or add the data.',
+        before: '<tr><th>Notes</th></tr>',
+        after: '<tr><th>Notes</th><td>None</td></tr>'
+    },
+    'valid-lang': {
+        fix: 'Use valid language tags in lang attributes on page parts.',
+        before: '<span lang="francais">Bonjour</span>',
+        after: '<span lang="fr">Bonjour</span>'
+    },
+    'video-caption': {
+        fix: 'Add a captions track to videos with speech.',
+        before: '<video src="demo.mp4" controls></video>',
+        after: '<video src="demo.mp4" controls><track kind="captions" src="demo.en.vtt" srclang="en" label="English"></video>'
+    }
+};
+
+// Guidance for one axe rule result: { fix, helpUrl, example: { before, after } | null }
+const remediationFor = ({ id, help, helpUrl }) => {
+    const guidance = GUIDANCE[id];
+    return {
+        fix: guidance ? guidance.fix : help,
+        helpUrl: helpUrl || null,
+        example: guidance ? { before: guidance.before, after: guidance.after } : null
+    };
+};
+
+module.exports = {
+    REMEDIATION_LOCALE,
+    remediationFor
+};
@@ -0,0 +1,326 @@
+// Alternative renderings of check and scan results: SARIF 2.1.0 for code scanning,
+// JUnit XML for test runners, a self-contained HTML report and CSV. Every renderer
+// takes the `data` object of a check or scan response.
+
+// Checks and scans both become a list of { url, data } page reports
+const toPageReports = (data) => {
+    if (Array.isArray(data.pages)) {
+        return data.pages.map(page => ({
+            url: page.url,
+            data: page.success ? page.data : null,
+            error: page.success ? null : { code: page.error, message: page.message }
+        }));
+    }
+    return [{ url: data.url, data, error: null }];
+};
+
+// Inline HTML submissions have no URL; reports still need a location for them
+const locationOf = (url) => url || 'submitted.html';
+
+const ruleResults = (report) => [
+    ...(report.data?.violations || []).map(rule => ({ ...rule, outcome: 'violation' })),
+    ...(report.data?.incomplete || []).map(rule => ({ ...rule, outcome: 'incomplete' }))
+];
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatTarget = (target) => (Array.isArray(target) ? target.flat().join(' ') : target || '');
+
+// "1.4.3 Contrast (Minimum) (AA)" for each WCAG criterion of a rule
+const formatCriteria = (criteria = []) => criteria.map(({ id, name, level }) => [id, name, level && `(${level})`].filter(Boolean).join(' '));
+
+// ---- SARIF ----
+
+// critical/serious fail the build, moderate warns, minor is informational
+const SARIF_LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+const renderSarif = (data, { engine }) => {
+    const reports = toPageReports(data);
+    const rules = new Map();
+    const results = [];
+
+    reports.forEach(report => ruleResults(report).forEach(rule => {
+        if (!rules.has(rule.id)) {
+            rules.set(rule.id, {
+                id: rule.id,
+                name: rule.id,
+                shortDescription: { text: rule.help },
+                fullDescription: { text: rule.description },
+                helpUri: rule.helpUrl,
+                help: { text: `${rule.remediation?.fix || rule.help} (${rule.helpUrl})` },
+                properties: { tags: rule.tags, impact: rule.impact, wcag: (rule.criteria || []).map(({ id }) => id) }
+            });
+        }
+        const ruleIndex = [...rules.keys()].indexOf(rule.id);
+
+        // Rules reported without nodes (detail "summary") still produce one result
+        const nodes = rule.nodes.length > 0 ? rule.nodes : [null];
+        nodes.forEach(node => {
+            const location = {
+                physicalLocation: {
+                    artifactLocation: { uri: locationOf(report.url) }
+                }
+            };
+            if (node?.html) {
+                location.physicalLocation.region = { snippet: { text: node.html } };
+            }
+            if (node?.target) {
+                location.logicalLocations = [{ fullyQualifiedName: formatTarget(node.target), kind: 'element' }];
+            }
+
+            results.push({
+                ruleId: rule.id,
+                ruleIndex,
+                // SARIF only allows a level on failing results; "needs review" is a review result
+                kind: rule.outcome === 'violation' ? 'fail' : 'review',
+                level: rule.outcome === 'violation' ? (SARIF_LEVELS[node?.impact || rule.impact] || 'warning') : 'none',
+                message: { text: node?.failureSummary || rule.help },
+                locations: [location]
+            });
+        });
+    }));
+
+    const failedPages = reports.filter(report => report.error);
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: engine.name,
+                    version: engine.version,
+                    informationUri: 'https://github.com/dequelabs/axe-core',
+                    rules: [...rules.values()]
+                }
+            },
+            invocations: [{
+                executionSuccessful: failedPages.length === 0,
+                toolExecutionNotifications: failedPages.map(report => ({
+                    level: 'error',
+                    message: { text: `${report.url}: ${report.error.message}` },
+                    descriptor: { id: report.error.code }
+                }))
+            }],
+            results
+        }]
+    }, null, 2);
+};
+
+// ---- JUnit XML ----
+
+// One testsuite per page, one testcase per reported rule: violations fail, incomplete rules are skipped for review
+const renderJunit = (data) => {
+    const suites = toPageReports(data).map(report => {
+        const location = locationOf(report.url);
+
+        if (report.error) {
+            return {
+                tests: 1,
+                failures: 0,
+                errors: 1,
+                xml: `  <testsuite name="${escapeXml(location)}" tests="1" failures="0" errors="1" skipped="0">\n`
+                    + `    <testcase classname="${escapeXml(location)}" name="page-check">\n`
+                    + `      <error type="${escapeXml(report.error.code)}" message="${escapeXml(report.error.message)}"/>\n`
+                    + '    </testcase>\n'
+                    + '  </testsuite>'
+            };
+        }
+
+        const rules = ruleResults(report);
+        const failures = rules.filter(rule => rule.outcome === 'violation').length;
+        const testcases = rules.map(rule => {
+            const nodeLines = rule.nodes.map(node => `${formatTarget(node.target)}\n${node.failureSummary || ''}`.trim());
+            const body = [rule.description, rule.helpUrl, ...nodeLines].join('\n\n');
+            const testcaseStart = `    <testcase classname="${escapeXml(location)}" name="${escapeXml(`${rule.id}: ${rule.help}`)}">\n`;
+
+            if (rule.outcome === 'incomplete') {
+                return `${testcaseStart}      <skipped message="${escapeXml(`Needs review (${rule.nodeCount} elements)`)}"/>\n    </testcase>`;
+            }
+            return `${testcaseStart}      <failure type="${escapeXml(rule.impact)}" message="${escapeXml(`${rule.help} (${rule.nodeCount} elements)`)}">${escapeXml(body)}</failure>\n    </testcase>`;
+        });
+
+        return {
+            tests: rules.length,
+            failures,
+            errors: 0,
+            xml: `  <testsuite name="${escapeXml(location)}" tests="${rules.length}" failures="${failures}" errors="0" skipped="${rules.length - failures}" timestamp="${escapeXml(report.data.timestamp)}" time="${(report.data.processingTimeMs || 0) / 1000}">\n`
+                + '    <properties>\n'
+                + `      <property name="passes" value="${report.data.summary.totalPasses}"/>\n`
+                + (report.data.summary.score ? `      <property name="score" value="${report.data.summary.score.value}"/>\n` : '')
+                + `      <property name="resultsTruncated" value="${Boolean(report.data.summary.resultsTruncated)}"/>\n`
+                + '    </properties>\n'
+                + testcases.map(testcase => `${testcase}\n`).join('')
+                + '  </testsuite>'
+        };
+    });
+
+    const total = (field) => suites.reduce((sum, suite) => sum + suite[field], 0);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<testsuites name="accessibility" tests="${total('tests')}" failures="${total('failures')}" errors="${total('errors')}">\n`
+        + suites.map(suite => `${suite.xml}\n`).join('')
+        + '</testsuites>\n';
+};
+
+// ---- CSV ----
+
+const CSV_COLUMNS = ['url', 'result', 'ruleId', 'impact', 'help', 'helpUrl', 'tags', 'criteria', 'target', 'html', 'failureSummary'];
+
+const escapeCsv = (value) => {
+    let text = String(value ?? '');
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per reported element; rules without nodes get a single row
+const renderCsv = (data) => {
+    const rows = [];
+
+    toPageReports(data).forEach(report => ruleResults(report).forEach(rule => {
+        const nodes = rule.nodes.length > 0 ? rule.nodes : [{}];
+        nodes.forEach(node => rows.push([
+            locationOf(report.url),
+            rule.outcome,
+            rule.id,
+            node.impact || rule.impact,
+            rule.help,
+            rule.helpUrl,
+            (rule.tags || []).join(' '),
+            (rule.criteria || []).map(({ id }) => id).join(' '),
+            formatTarget(node.target),
+            node.html,
+            node.failureSummary
+        ]));
+    }));
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+// ---- HTML ----
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+const renderRuleSection = (rule) => {
+    const nodes = rule.nodes.map(node => `
+          <li>
+            <code>${escapeHtml(formatTarget(node.target))}</code>
+            ${node.html ? `<pre>${escapeHtml(node.html)}</pre>` : ''}
+            ${node.failureSummary ? `<p class="summary">${escapeHtml(node.failureSummary)}</p>` : ''}
+          </li>`).join('');
+
+    return `
+      <details class="rule ${escapeHtml(rule.impact || 'none')}">
+        <summary><span class="impact">${escapeHtml(rule.impact || (rule.outcome === 'incomplete' ? 'review' : ''))}</span> <strong>${escapeHtml(rule.id)}</strong>: ${escapeHtml(rule.help)} <span class="count">(${rule.nodeCount} elements)</span></summary>
+        <p>${escapeHtml(rule.description)} <a href="${escapeHtml(rule.helpUrl)}">Learn more</a></p>
+        ${rule.criteria?.length ? `<p>WCAG ${escapeHtml(formatCriteria(rule.criteria).join(', '))}</p>` : ''}
+        ${rule.remediation ? `<p><strong>Fix:</strong> ${escapeHtml(rule.remediation.fix)}</p>` : ''}
+        ${rule.remediation?.example ? `<pre>${escapeHtml(`Before: ${rule.remediation.example.before}\nAfter:  ${rule.remediation.example.after}`)}</pre>` : ''}
+        <ul>${nodes}</ul>
+        ${rule.nodesOmitted > 0 ? `<p class="omitted">${rule.nodesOmitted} more elements not shown</p>` : ''}
+      </details>`;
+};
+
+const renderPageSection = (report) => {
+    const heading = `<h2>${escapeHtml(locationOf(report.url))}</h2>`;
+    if (report.error) {
+        return `<section>${heading}<p class="error">Check failed: ${escapeHtml(report.error.message)}</p></section>`;
+    }
+
+    const { summary } = report.data;
+    const byImpact = (rules) => [...rules].sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact));
+    const rules = ruleResults(report);
+    const failedCriteria = (summary.byCriterion || []).filter(criterion => criterion.status === 'failed');
+
+    return `
+    <section>
+      ${heading}
+      <p>${summary.score ? `Score ${summary.score.value}/100 (grade ${escapeHtml(summary.score.grade)}). ` : ''}${summary.totalViolations} violations, ${summary.totalIncomplete} rules need review, ${summary.totalPasses} passed.${summary.resultsTruncated ? ' Some results were omitted by the detail limits.' : ''}</p>
+      ${failedCriteria.length > 0 ? `<h3>Failed WCAG criteria</h3>
+      <ul>${failedCriteria.map(criterion => `<li>${escapeHtml(formatCriteria([criterion])[0])}: ${escapeHtml(criterion.violations.join(', '))}</li>`).join('')}</ul>` : ''}
+      <h3>Violations</h3>
+      ${byImpact(rules.filter(rule => rule.outcome === 'violation')).map(renderRuleSection).join('') || '<p>None</p>'}
+      <h3>Needs review</h3>
+      ${rules.filter(rule => rule.outcome === 'incomplete').map(renderRuleSection).join('') || '<p>None</p>'}
+    </section>`;
+};
+
+const renderHtml = (data, { engine }) => {
+    const reports = toPageReports(data);
+    const title = data.pages ? `Accessibility scan: ${data.startUrl || `${reports.length} pages`}` : `Accessibility report: ${locationOf(data.url)}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #1a1a1a; }
+    .rule { border: 1px solid #ccc; border-left-width: 6px; border-radius: 4px; margin: 0.5rem 0; padding: 0.5rem 1rem; }
+    .rule.critical { border-left-color: #b00020; }
+    .rule.serious { border-left-color: #d9480f; }
+    .rule.moderate { border-left-color: #b8860b; }
+    .rule.minor { border-left-color: #4a6fa5; }
+    .impact { font-size: 0.8rem; text-transform: uppercase; }
+    .count, .omitted, footer { color: #555; }
+    pre { background: #f4f4f4; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+    .summary { white-space: pre-line; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>Generated ${escapeHtml(data.timestamp)} with ${escapeHtml(engine.name)} ${escapeHtml(engine.version)}.</p>
+  ${reports.map(renderPageSection).join('\n')}
+  <footer><p>Automated checks find only part of all accessibility issues; review the results manually as well.</p></footer>
+</body>
+</html>
+`;
+};
+
+// Formats by name, with the media types used for content negotiation (first one is sent)
+const REPORT_FORMATS = {
+    json: { mediaTypes: ['application/json'], render: null },
+    sarif: { mediaTypes: ['application/sarif+json'], render: renderSarif },
+    junit: { mediaTypes: ['application/junit+xml', 'application/xml', 'text/xml'], render: renderJunit },
+    html: { mediaTypes: ['text/html'], render: renderHtml },
+    csv: { mediaTypes: ['text/csv'], render: renderCsv }
+};
+
+/**
+ * Picks the response format: an explicit `format` name wins, otherwise the Accept
+ * header (JSON when nothing else matches). Returns null for an unknown format name.
+ */
+const negotiateFormat = (req, requestedFormat) => {
+    if (requestedFormat !== undefined) {
+        return Object.hasOwn(REPORT_FORMATS, requestedFormat) ? requestedFormat : null;
+    }
+
+    const mediaTypes = Object.values(REPORT_FORMATS).flatMap(format => format.mediaTypes);
+    const accepted = req.accepts(mediaTypes);
+    return Object.keys(REPORT_FORMATS).find(name => REPORT_FORMATS[name].mediaTypes.includes(accepted)) || 'json';
+};
+
+module.exports = {
+    REPORT_FORMATS,
+    negotiateFormat,
+    renderSarif,
+    renderJunit,
+    renderHtml,
+    renderCsv
+};
@@ -0,0 +1,109 @@
+// Result cache for checks. Analysis results are keyed by URL, a hash of the
+// sanitized HTML, the axe-core version and the effective analysis options (rule
+// configuration, detail level), so any change to the page or the options is a
+// miss. Per-URL HTTP validators (ETag / Last-Modified) are cached alongside for
+// conditional fetches.
+const crypto = require('node:crypto');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Default in-memory LRU store, bounded by entry count and approximate size.
+ * Any object with the same async methods can be used instead (e.g. Redis):
+ *   get(key) -> value | undefined, set(key, value, ttlMs), delete(key), stats()
+ */
+const createLruStore = ({ maxEntries = 100, maxSizeBytes = 20 * 1024 * 1024 } = {}) => {
+    const entries = new Map(); // insertion order doubles as recency order
+    let totalSize = 0;
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            totalSize -= entry.size;
+            entries.delete(key);
+        }
+    };
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            if (entry.expiresAt <= Date.now()) {
+                remove(key);
+                return undefined;
+            }
+
+            // Move to the most recently used position
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            const size = Buffer.byteLength(JSON.stringify(value), 'utf8');
+            if (size > maxSizeBytes) return;
+
+            remove(key);
+            entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+            totalSize += size;
+
+            // Evict least recently used entries until both bounds hold
+            for (const oldestKey of entries.keys()) {
+                if (entries.size <= maxEntries && totalSize <= maxSizeBytes) break;
+                remove(oldestKey);
+            }
+        },
+
+        async delete(key) {
+            remove(key);
+        },
+
+        async stats() {
+            return {
+                entries: entries.size,
+                sizeBytes: totalSize,
+                maxEntries,
+                maxSizeBytes
+            };
+        }
+    };
+};
+
+const createResultCache = ({ store = createLruStore(), ttlMs = 10 * 60 * 1000, engineVersion }) => {
+    // Analysis options and engine version are part of every result key
+    const optionsKey = (options) => sha256(JSON.stringify({ engineVersion, options })).slice(0, 16);
+
+    const resultKey = (url, contentHash, options) =>
+        `result:${url || 'inline'}:${contentHash}:${optionsKey(options)}`;
+
+    return {
+        hashContent: sha256,
+
+        getResult(url, contentHash, options) {
+            return store.get(resultKey(url, contentHash, options));
+        },
+
+        setResult(url, contentHash, options, data) {
+            return store.set(resultKey(url, contentHash, options), data, ttlMs);
+        },
+
+        // { etag, lastModified, contentHash } from the last successful fetch of a URL
+        getValidators(url) {
+            return store.get(`validators:${url}`);
+        },
+
+        setValidators(url, validators) {
+            return store.set(`validators:${url}`, validators, ttlMs);
+        },
+
+        stats() {
+            return store.stats ? store.stats() : null;
+        }
+    };
+};
+
+module.exports = {
+    createResultCache,
+    createLruStore
+};
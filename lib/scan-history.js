@@ -0,0 +1,175 @@
+// Scan history: every completed check is saved (URL, time, configuration, summary and
+// violations) so earlier audits can be looked up and trends followed per URL. Records
+// live in a pluggable store; the default keeps them in a JSON file.
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { IMPACT_LEVELS } = require('./baseline');
+const { createLogger } = require('./logger');
+
+const matchesFilter = (record, { owner = null, url = null, from = null, to = null }) =>
+    record.owner === owner
+    && (!url || record.url === url)
+    && (from === null || Date.parse(record.timestamp) >= from)
+    && (to === null || Date.parse(record.timestamp) <= to);
+
+/**
+ * Default history store: all records in memory, written to `filePath` after every
+ * change (to a temporary file first, then renamed, so a crash never leaves half a
+ * file). Any object with the same async methods can be passed to createScanHistory
+ * instead (e.g. backed by SQLite):
+ *   insert(record), get(id) -> record | null, delete(id) -> boolean,
+ *   query(filter, { offset, limit }) -> { records, total } (newest first),
+ *   prune({ before, maxRecords }) -> number of records removed
+ */
+const createJsonFileHistoryStore = ({ filePath, logger = createLogger() }) => {
+    let records = null;
+    let writing = Promise.resolve();
+
+    const load = async () => {
+        if (records) return records;
+        try {
+            records = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Could not read scan history, starting empty', { filePath, error });
+            }
+            records = [];
+        }
+        return records;
+    };
+
+    // Writes are chained so they land in order
+    const persist = () => {
+        const snapshot = JSON.stringify(records);
+        writing = writing.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(`${filePath}.tmp`, snapshot);
+            await fs.rename(`${filePath}.tmp`, filePath);
+        }).catch(error => logger.error('Could not write scan history', { filePath, error }));
+        return writing;
+    };
+
+    return {
+        async insert(record) {
+            (await load()).push(record);
+            await persist();
+        },
+
+        async get(id) {
+            return (await load()).find(record => record.id === id) || null;
+        },
+
+        async delete(id) {
+            const all = await load();
+            const index = all.findIndex(record => record.id === id);
+            if (index === -1) return false;
+            all.splice(index, 1);
+            await persist();
+            return true;
+        },
+
+        async query(filter, { offset = 0, limit = Infinity } = {}) {
+            const matching = (await load())
+                .filter(record => matchesFilter(record, filter))
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+            return { records: matching.slice(offset, offset + limit), total: matching.length };
+        },
+
+        async prune({ before, maxRecords }) {
+            const all = await load();
+            const kept = all
+                .filter(record => Date.parse(record.timestamp) >= before)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+                .slice(-maxRecords);
+            const removed = all.length - kept.length;
+            if (removed > 0) {
+                records = kept;
+                await persist();
+            }
+            return removed;
+        }
+    };
+};
+
+// Violated rules and affected elements per impact level, counted over the reported
+// violations (the request's maxViolations cap applies). Only for results without
+// summary.byImpact, which counts everything.
+const countByImpact = (violations) => Object.fromEntries(IMPACT_LEVELS.map(impact => {
+    const matching = violations.filter(violation => violation.impact === impact);
+    return [impact, {
+        violations: matching.length,
+        nodes: matching.reduce((total, violation) => total + (violation.nodeCount ?? violation.nodes.length), 0)
+    }];
+}));
+
+/**
+ * History on top of a store. Records older than `retentionMs` are dropped, and at
+ * most `maxRecords` are kept (oldest go first); both are applied on every save.
+ */
+const createScanHistory = ({ store, retentionMs, maxRecords }) => {
+    /**
+     * Saves one check result (the `data` object of a check response). Pages of one
+     * scan are saved one by one and share a `runId`.
+     */
+    const save = async ({ data, owner = null, runId = null }) => {
+        const record = {
+            id: crypto.randomUUID(),
+            owner,
+            source: data.metadata?.source ?? null,
+            runId,
+            url: data.url || null,
+            // A cached result is saved as checked now; its data dates from the original run
+            timestamp: data.metadata?.cached ? new Date().toISOString() : data.timestamp,
+            cached: Boolean(data.metadata?.cached),
+            processingTimeMs: data.processingTimeMs ?? null,
+            config: {
+                engine: data.metadata?.engine ?? null,
+                ruleConfig: data.metadata?.ruleConfig ?? null,
+                detail: data.metadata?.detail ?? null,
+                scope: data.metadata?.scope ? { include: data.metadata.scope.include, exclude: data.metadata.scope.exclude } : null
+            },
+            summary: {
+                totalViolations: data.summary.totalViolations,
+                totalIncomplete: data.summary.totalIncomplete,
+                totalPasses: data.summary.totalPasses,
+                resultsTruncated: data.summary.resultsTruncated,
+                byImpact: data.summary.byImpact || countByImpact(data.violations),
+                score: data.summary.score?.value ?? null
+            },
+            violations: data.violations
+        };
+
+        await store.prune({ before: Date.now() - retentionMs, maxRecords: maxRecords - 1 });
+        await store.insert(record);
+        return record;
+    };
+
+    return {
+        save,
+
+        get: (id) => store.get(id),
+
+        delete: (id) => store.delete(id),
+
+        list: (filter, page) => store.query(filter, page),
+
+        // Violation counts per impact over time for one URL, oldest first
+        async trend(filter) {
+            const { records } = await store.query(filter);
+            return records.reverse().map(record => ({
+                id: record.id,
+                timestamp: record.timestamp,
+                totalViolations: record.summary.totalViolations,
+                score: record.summary.score ?? null,
+                byImpact: Object.fromEntries(IMPACT_LEVELS.map(impact => [impact, record.summary.byImpact[impact].violations])),
+                nodesByImpact: Object.fromEntries(IMPACT_LEVELS.map(impact => [impact, record.summary.byImpact[impact].nodes]))
+            }));
+        }
+    };
+};
+
+module.exports = {
+    createJsonFileHistoryStore,
+    createScanHistory
+};
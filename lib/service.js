@@ -0,0 +1,2390 @@
+// The accessibility service as a factory: configuration, analysis workers, caches, job
+// queue and the Express app with every route, plus the same checks as functions for
+// programmatic use. Nothing listens or touches process-wide state until the caller
+// starts the app; index.js does that for `npm start`.
+const express = require('express');
+const axios = require('axios');
+const axe = require('axe-core');
+const http = require('node:http');
+const https = require('node:https');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { crawlSite, summarizeSite, extractLinks } = require('./crawler');
+const { createJobQueue, isFinished: isJobFinished } = require('./job-queue');
+const { deliverWebhook } = require('./webhooks');
+const { createNetworkPolicy, isPolicyError } = require('./network-policy');
+const { loadApiKeys, createApiKeyAuth } = require('./auth');
+const { createResultCache, createLruStore } = require('./result-cache');
+const { createWorkerPool } = require('./worker-pool');
+const { REPORT_FORMATS, negotiateFormat } = require('./report-formats');
+const { createBrowserEngine } = require('./browser-engine');
+const { unwrapResult, isResultData, extractIssues, diffIssues, evaluateGate } = require('./baseline');
+const { isHtmlContentType, sanitizeHtml, readHtmlStream } = require('./html-stream');
+const { createStylesheetLoader } = require('./stylesheets');
+const { hasCredentials, buildCredentialHeaders, redactHeaders, redactUrl, describeFetchOptions } = require('./fetch-options');
+const { createJsonFileHistoryStore, createScanHistory } = require('./scan-history');
+const { createJsonFileMonitorStore, createMonitorScheduler, createMonitorId, resolveSchedule, resolveAlert, evaluateAlert } = require('./monitors');
+const { createLogger, runWithLogContext } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { loadConfig, describeConfig, createConfigError } = require('./config');
+const { createCheckError, createCancelledError, buildCheckErrorBody } = require('./check-errors');
+const { resolveLocale, loadAxeLocale } = require('./locales');
+const { createAdmissionController, createShuttingDownError } = require('./admission');
+const { translateMessage } = require('./messages');
+const { REMEDIATION_LOCALE } = require('./remediation');
+const { DEFAULT_RULE_CONFIG, DEFAULT_SCOPE, parseList, resolveHttpUrl, resolveRuleConfig, createCheckOptions } = require('./check-options');
+
+/**
+ * Creates a service instance. `env` holds the settings (see lib/config.js) and API
+ * keys; `logger` replaces the default JSON logger on stdout. Throws an INVALID_CONFIG
+ * error (with `problems`) for invalid settings. Returns { app, config, logger,
+ * checkUrl, checkHtml, startMonitors, close }; close() stops the workers, browser,
+ * monitors and timers.
+ */
+const createService = ({ env = process.env, logger: customLogger = null } = {}) => {
+    // Effective configuration: environment, optional CONFIG_FILE, defaults (see lib/config.js)
+    const loadedConfig = loadConfig({ env });
+    const CONFIG = loadedConfig.config;
+
+    // JSON lines on stdout; request-scoped fields (requestId, jobId) are added automatically
+    const logger = customLogger || createLogger({ level: CONFIG.LOG_LEVEL, fields: { service: 'accessibility-microservice' } });
+
+    // API keys from API_KEYS ("name:key,...") and/or the JSON file named by API_KEYS_FILE
+    const API_KEYS = loadApiKeys({ keys: env.API_KEYS, file: env.API_KEYS_FILE });
+
+    const unknownAdminKeys = CONFIG.ADMIN_KEYS.filter(name => !API_KEYS.some(apiKey => apiKey.name === name));
+    if (unknownAdminKeys.length > 0) {
+        throw createConfigError([`ADMIN_KEYS names unknown API keys: ${unknownAdminKeys.join(', ')}`]);
+    }
+
+    const app = express();
+
+    let peakMemoryUsage = 0; // Initialize peakMemoryUsage for tracking
+
+    // Prometheus metrics served on GET /metrics
+    const metrics = createMetrics({
+        getPeakHeapBytes: () => peakMemoryUsage * 1024 * 1024,
+        getAdmissionStats: () => admission.stats()
+    });
+
+    // Memory monitoring for the main thread. JSDOM and axe run on analysis workers with
+    // their own heap limit, so this heap only holds requests, jobs and cached results.
+    const monitorMemory = () => {
+        const usage = process.memoryUsage();
+        const currentMB = usage.heapUsed / 1024 / 1024;
+        const totalMB = usage.heapTotal / 1024 / 1024;
+
+        peakMemoryUsage = Math.max(peakMemoryUsage, currentMB);
+
+        logger.debug('Memory usage', { heapUsedMB: Number(currentMB.toFixed(1)), heapTotalMB: Number(totalMB.toFixed(1)) });
+
+        if (currentMB > CONFIG.MEMORY_LIMIT_MB) {
+            logger.warn('High memory usage - forcing cleanup', { heapUsedMB: Number(currentMB.toFixed(2)) });
+            if (global.gc) global.gc();
+        }
+    };
+
+    // More frequent memory monitoring for resource-constrained environment; the timer
+    // alone doesn't keep the process alive, so scripts using checkUrl can exit
+    const memoryMonitor = setInterval(monitorMemory, CONFIG.MEMORY_MONITOR_INTERVAL_MS);
+    memoryMonitor.unref();
+
+    // Every outbound connection resolves DNS through the network policy (SSRF protection)
+    const networkPolicy = createNetworkPolicy({
+        blockPrivateNetworks: CONFIG.BLOCK_PRIVATE_NETWORKS,
+        allowedHosts: CONFIG.ALLOWED_HOSTS,
+        deniedHosts: CONFIG.DENIED_HOSTS
+    });
+
+    // More aggressive HTTP agents for memory efficiency
+    const httpAgent = new http.Agent({
+        lookup: networkPolicy.lookup,
+        keepAlive: false,
+        timeout: CONFIG.REQUEST_TIMEOUT,
+        maxSockets: CONFIG.HTTP_MAX_SOCKETS,
+        maxFreeSockets: 0 // No free sockets
+    });
+
+    const httpsAgent = new https.Agent({
+        lookup: networkPolicy.lookup,
+        keepAlive: false,
+        timeout: CONFIG.REQUEST_TIMEOUT,
+        maxSockets: CONFIG.HTTP_MAX_SOCKETS,
+        maxFreeSockets: 0, // No free sockets
+        rejectUnauthorized: CONFIG.TLS_REJECT_UNAUTHORIZED
+    });
+
+    if (!CONFIG.TLS_REJECT_UNAUTHORIZED) {
+        logger.warn('TLS certificate verification is disabled (ALLOW_INSECURE_TLS=true)');
+    }
+
+    // JSDOM + axe run on worker threads with their own heap limit, off the main event loop
+    const analysisPool = createWorkerPool({
+        filename: path.join(__dirname, 'analysis-worker.js'),
+        size: CONFIG.ANALYSIS_WORKERS,
+        resourceLimits: { maxOldGenerationSizeMb: CONFIG.ANALYSIS_WORKER_MAX_HEAP_MB },
+        workerData: {
+            limits: {
+                maxDomElements: CONFIG.MAX_DOM_ELEMENTS,
+                complexSiteThreshold: CONFIG.COMPLEX_SITE_THRESHOLD
+            },
+            tlsRejectUnauthorized: CONFIG.TLS_REJECT_UNAUTHORIZED,
+            networkPolicy: {
+                blockPrivateNetworks: CONFIG.BLOCK_PRIVATE_NETWORKS,
+                allowedHosts: CONFIG.ALLOWED_HOSTS,
+                deniedHosts: CONFIG.DENIED_HOSTS
+            }
+        }
+    });
+
+    // axios instance with stricter limits for page fetches, connectivity tests and callbacks
+    // (an instance rather than axios.defaults, so several services can share a process)
+    const httpClient = axios.create({
+        timeout: CONFIG.REQUEST_TIMEOUT,
+        maxContentLength: CONFIG.MAX_CONTENT_LENGTH,
+        maxBodyLength: CONFIG.MAX_CONTENT_LENGTH,
+        httpAgent,
+        httpsAgent,
+        maxRedirects: CONFIG.MAX_REDIRECTS,
+        beforeRedirect: networkPolicy.beforeRedirect
+    });
+
+    // Same-origin linked stylesheets for checks that keep the page's styles
+    const stylesheetLoader = createStylesheetLoader({
+        httpClient,
+        networkPolicy,
+        maxCount: CONFIG.STYLESHEET_MAX_COUNT,
+        maxBytes: CONFIG.STYLESHEET_MAX_SIZE,
+        timeoutMs: CONFIG.STYLESHEET_TIMEOUT
+    });
+
+    app.set('trust proxy', CONFIG.TRUST_PROXY);
+
+    // Result cache (in-memory LRU by default); null when caching is disabled
+    const resultCache = CONFIG.CACHE_ENABLED
+        ? createResultCache({
+            store: createLruStore({ maxEntries: CONFIG.CACHE_MAX_ENTRIES, maxSizeBytes: CONFIG.CACHE_MAX_SIZE_MB * 1024 * 1024 }),
+            ttlMs: CONFIG.CACHE_TTL_MS,
+            engineVersion: axe.version
+        })
+        : null;
+
+    // Headless Chromium engine for JS-rendered pages; launched on the first browser check
+    const browserEngine = createBrowserEngine({
+        enabled: CONFIG.BROWSER_ENGINE_ENABLED,
+        executablePath: CONFIG.BROWSER_EXECUTABLE_PATH,
+        args: CONFIG.BROWSER_ARGS,
+        maxPages: CONFIG.BROWSER_MAX_PAGES,
+        maxDomElements: CONFIG.MAX_DOM_ELEMENTS,
+        networkPolicy,
+        axeSource: axe.source,
+        userAgent: CONFIG.USER_AGENT,
+        logger
+    });
+
+    // Option validation shared by the routes and checkUrl/checkHtml (see lib/check-options.js)
+    const checkOptions = createCheckOptions({ config: CONFIG, browserEngine });
+    const DEFAULT_DETAIL = checkOptions.defaultDetail;
+    const ENGLISH = resolveLocale();
+
+    // Stored baselines (issue fingerprints of a previous run), referenced by baselineId
+    const baselineStore = createLruStore({ maxEntries: CONFIG.BASELINE_MAX_ENTRIES, maxSizeBytes: CONFIG.BASELINE_MAX_SIZE_MB * 1024 * 1024 });
+
+    // Saved checks for GET /history (JSON file store by default); null when history is disabled
+    const scanHistory = CONFIG.HISTORY_ENABLED
+        ? createScanHistory({
+            store: createJsonFileHistoryStore({ filePath: CONFIG.HISTORY_FILE, logger }),
+            retentionMs: CONFIG.HISTORY_RETENTION_MS,
+            maxRecords: CONFIG.HISTORY_MAX_RECORDS
+        })
+        : null;
+
+    // Scheduled monitors (JSON file store by default); null when monitors are disabled
+    const monitorStore = CONFIG.MONITORS_ENABLED
+        ? createJsonFileMonitorStore({ filePath: CONFIG.MONITOR_FILE, logger })
+        : null;
+
+    // Queue for async checks (in-memory job store by default)
+    const jobQueue = createJobQueue({
+        concurrency: CONFIG.JOB_CONCURRENCY,
+        maxQueueLength: CONFIG.JOB_MAX_QUEUE_LENGTH,
+        jobTtlMs: CONFIG.JOB_TTL_MS,
+        logger
+    });
+
+    // Limits the checks, scans and monitor runs analyzed at once (see lib/admission.js)
+    const admission = createAdmissionController({
+        maxConcurrent: CONFIG.MAX_CONCURRENT_ANALYSES,
+        maxQueueLength: CONFIG.ANALYSIS_QUEUE_LENGTH,
+        queueTimeoutMs: CONFIG.ANALYSIS_QUEUE_TIMEOUT
+    });
+
+    // Refusals that go away on their own carry a Retry-After header
+    const RETRY_LATER_CODES = new Set(['OVERLOADED', 'SHUTTING_DOWN', 'MEMORY_EXHAUSTED', 'QUEUE_FULL']);
+    const RETRY_AFTER_SEC = String(Math.ceil(CONFIG.ANALYSIS_TIMEOUT / 1000));
+
+    // Incoming X-Request-Id values are reused as the correlation ID when they look like one
+    const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+    // Scrapes and health probes are logged at debug level so they don't drown out real traffic
+    const QUIET_PATHS = new Set(['/health', '/health/live', '/health/ready', '/metrics']);
+
+    // Correlation ID, access log and request metrics. The ID is echoed as X-Request-Id and
+    // added to every log line written while the request (or the job it queues) runs.
+    app.use((req, res, next) => {
+        const incomingId = req.get('X-Request-Id');
+        req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+
+        const startTime = performance.now();
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            metrics.countRequest({ method: req.method, route, status: res.statusCode });
+            logger[QUIET_PATHS.has(req.path) ? 'debug' : 'info']('Request completed', {
+                requestId: req.id,
+                method: req.method,
+                route,
+                status: res.statusCode,
+                durationMs: Math.round(performance.now() - startTime),
+                apiKey: req.apiKey?.name
+            });
+        });
+
+        runWithLogContext({ requestId: req.id }, next);
+    });
+
+    // CORS: only origins on the allow-list (CORS_ORIGINS) may call the API from a browser
+    app.use((req, res, next) => {
+        const { origin } = req.headers;
+        const allowAnyOrigin = CONFIG.CORS_ORIGINS.includes('*');
+
+        if (origin && (allowAnyOrigin || CONFIG.CORS_ORIGINS.includes(origin))) {
+            res.setHeader('Access-Control-Allow-Origin', allowAnyOrigin ? '*' : origin);
+        }
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, GET, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After, RateLimit, RateLimit-Policy, X-Accessibility-Gate, X-Request-Id');
+        res.setHeader('Access-Control-Max-Age', '3600');
+
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(200);
+        }
+        next();
+    });
+
+    // API key authentication and per-key rate limiting; runs before body parsing so
+    // rejected requests never have their bodies read
+    const authenticate = createApiKeyAuth({
+        apiKeys: API_KEYS,
+        defaultRateLimit: { windowMs: CONFIG.RATE_LIMIT_WINDOW_MS, max: CONFIG.RATE_LIMIT_MAX },
+        defaultDailyQuota: CONFIG.DAILY_QUOTA,
+        onUnauthorized: (req, res, reason) => {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return sendErrorResponse(res, 401, reason, 'UNAUTHORIZED', 'Send an API key as "Authorization: Bearer <key>"');
+        },
+        onRateLimited: (req, res, { reason, limit, windowMs }) => sendErrorResponse(
+            res,
+            429,
+            reason === 'quota' ? 'Daily quota exceeded' : 'Too many requests',
+            'RATE_LIMITED',
+            { reason, limit, windowSec: windowMs / 1000 }
+        )
+    });
+
+    const PUBLIC_PATHS = new Set(['/health', '/health/live', '/health/ready', ...(CONFIG.METRICS_PUBLIC ? ['/metrics'] : [])]);
+
+    app.use((req, res, next) => (PUBLIC_PATHS.has(req.path) ? next() : authenticate(req, res, next)));
+
+    // Submitted HTML documents get their own, larger body limit. These parsers run
+    // first so the global JSON parser below skips the already-parsed body.
+    app.use('/check-accessibility-html', express.json({ limit: CONFIG.HTML_BODY_LIMIT }));
+    app.use('/check-accessibility-html', express.text({ type: ['text/html', 'application/xhtml+xml'], limit: CONFIG.HTML_BODY_LIMIT }));
+    app.use('/baselines', express.json({ limit: CONFIG.HTML_BODY_LIMIT }));
+    app.use(express.json({ limit: CONFIG.JSON_BODY_LIMIT }));
+
+    // Body parsers resume in the socket's async context; restore the request's log fields
+    app.use((req, res, next) => runWithLogContext({ requestId: req.id }, next));
+
+    // Check options come from the JSON body, or from the query string for raw HTML bodies
+    const requestInput = (req) => (typeof req.body === 'string' ? req.query : req.body);
+
+    // Response language (see lib/locales.js): the "locale" option, from the body or the
+    // query string, or Accept-Language. Results and the service's messages use it.
+    app.use((req, res, next) => {
+        const input = requestInput(req) || req.query;
+        try {
+            req.locale = resolveLocale({ locale: input.locale, acceptLanguage: req.get('Accept-Language') });
+        } catch (error) {
+            req.locale = resolveLocale({ acceptLanguage: req.get('Accept-Language') });
+            return sendErrorResponse(res, error.status, error.message, error.code, error.details);
+        }
+        next();
+    });
+
+    // The catalog's translation of one of the service's messages for the request's locale
+    const translateFor = (req, message) => translateMessage(message, req.locale?.used);
+
+    // Middleware storing `resolve(req)` (a lib/check-options.js resolver) on req[field];
+    // invalid options are answered with the resolver's status and error code
+    const validateWith = (field, resolve) => async (req, res, next) => {
+        try {
+            req[field] = await resolve(req);
+        } catch (error) {
+            if (!error.status) throw error;
+            return sendErrorResponse(res, error.status, error.message, error.code, error.details);
+        }
+        next();
+    };
+
+    // Input validation middleware
+    const validateUrl = (req, res, next) => {
+        const { url } = req.body;
+
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                message: translateFor(req, 'URL is required'),
+                error: 'MISSING_URL'
+            });
+        }
+
+        try {
+            req.validatedUrl = resolveHttpUrl(url);
+            next();
+        } catch (error) {
+            return res.status(400).json({ success: false, message: translateFor(req, error.message), error: error.code });
+        }
+    };
+
+    // Input validation for submitted HTML documents (JSON body or raw text/html body)
+    const validateHtml = (req, res, next) => {
+        const isRawBody = typeof req.body === 'string';
+        const html = isRawBody ? req.body : req.body?.html;
+        const baseUrl = isRawBody ? req.query.baseUrl : req.body?.baseUrl;
+
+        if (!html || typeof html !== 'string' || !html.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: translateFor(req, 'HTML content is required'),
+                error: 'MISSING_HTML'
+            });
+        }
+
+        if (baseUrl) {
+            try {
+                req.validatedUrl = resolveHttpUrl(baseUrl, 'base URL');
+            } catch (error) {
+                return res.status(400).json({ success: false, message: translateFor(req, error.message), error: error.code });
+            }
+        }
+
+        req.validatedHtml = html;
+        next();
+    };
+
+    const validateEngine = validateWith('engine', req => checkOptions.resolveEngine(requestInput(req)));
+
+    // Credentials are kept on req.fetchOptions only: never stored on jobs, logged or
+    // returned. Credentials embedded in the URL are moved there too.
+    const validateFetchOptions = (req, res, next) => {
+        const scan = req.scan;
+        const targetUrls = scan ? (scan.urls || [scan.startUrl]) : [req.validatedUrl];
+
+        try {
+            const { fetchOptions, urls } = checkOptions.resolveFetchOptions(req.body.request, targetUrls);
+
+            if (!scan) {
+                req.validatedUrl = urls[0];
+            } else if (scan.urls) {
+                scan.urls = urls;
+            } else {
+                scan.startUrl = urls[0];
+            }
+            req.fetchOptions = fetchOptions;
+            next();
+        } catch (error) {
+            return sendErrorResponse(res, error.status, error.message, error.code);
+        }
+    };
+
+    const validateRuleConfig = validateWith('ruleConfig', req => resolveRuleConfig(requestInput(req), req.engine?.name, req.engine?.styles));
+
+    const validateCacheOption = validateWith('cacheMode', req => checkOptions.resolveCacheMode(requestInput(req)));
+
+    // Scans take the selectors as "scope": { include, exclude }, since their include/exclude filter URLs
+    const validateScope = validateWith('scope', (req) => {
+        if (!req.scan) return checkOptions.resolveScope(requestInput(req));
+
+        const input = req.body.scope ?? {};
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            throw createCheckError(400, '"scope" must be an object with "include" and/or "exclude" selector lists', 'INVALID_SCOPE');
+        }
+        return checkOptions.resolveScope(input);
+    });
+
+    const validateDetailOptions = validateWith('detail', req => checkOptions.resolveDetail(requestInput(req)));
+
+    // Response format: "format" in the body or query string, otherwise the Accept header.
+    // Only successful results are rendered in other formats; errors stay JSON.
+    const validateFormat = (req, res, next) => {
+        const requested = (req.body && typeof req.body === 'object' ? req.body.format : undefined) ?? req.query.format;
+        const format = negotiateFormat(req, requested);
+
+        if (!format) {
+            return sendErrorResponse(res, 400, `"format" must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`, 'INVALID_FORMAT', { received: requested });
+        }
+
+        req.format = format;
+        next();
+    };
+
+    // Stored baselines are only visible to the API key that stored them
+    const findOwnBaseline = (owner) => async (id) => {
+        const stored = await baselineStore.get(id);
+        return stored && stored.owner === owner ? stored : null;
+    };
+
+    const validateComparison = validateWith('comparison', req => checkOptions.resolveComparison(requestInput(req), findOwnBaseline(req.apiKey?.name || null)));
+
+    // Scan request validation: a URL list, or a start URL plus crawl limits
+    const validateScanRequest = (req, res, next) => {
+        const { urls, startUrl, maxPages, maxDepth, sameOrigin } = req.body;
+
+        const invalid = (message, error = 'INVALID_SCAN_CONFIG', details = null) =>
+            sendErrorResponse(res, 400, message, error, details);
+
+        const parseHttpUrl = (value) => {
+            try {
+                const parsedUrl = new URL(value);
+                return ['http:', 'https:'].includes(parsedUrl.protocol) ? parsedUrl.toString() : null;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        if (!urls && !startUrl) {
+            return invalid('Either "urls" or "startUrl" is required', 'MISSING_URL');
+        }
+        if (urls && startUrl) {
+            return invalid('Provide either "urls" or "startUrl", not both');
+        }
+
+        const isPositiveInteger = (value, min) => Number.isInteger(value) && value >= min;
+        if (maxPages !== undefined && (!isPositiveInteger(maxPages, 1) || maxPages > CONFIG.SCAN_MAX_PAGES)) {
+            return invalid(`"maxPages" must be an integer between 1 and ${CONFIG.SCAN_MAX_PAGES}`);
+        }
+        if (maxDepth !== undefined && (!isPositiveInteger(maxDepth, 0) || maxDepth > CONFIG.SCAN_MAX_DEPTH)) {
+            return invalid(`"maxDepth" must be an integer between 0 and ${CONFIG.SCAN_MAX_DEPTH}`);
+        }
+        if (sameOrigin !== undefined && typeof sameOrigin !== 'boolean') {
+            return invalid('"sameOrigin" must be a boolean');
+        }
+
+        let include, exclude;
+        try {
+            include = parseList(req.body.include, 'include', 'INVALID_SCAN_CONFIG');
+            exclude = parseList(req.body.exclude, 'exclude', 'INVALID_SCAN_CONFIG');
+        } catch (error) {
+            return invalid(error.message);
+        }
+
+        const scan = {
+            maxPages: maxPages ?? Math.min(CONFIG.SCAN_DEFAULT_PAGES, CONFIG.SCAN_MAX_PAGES),
+            maxDepth: maxDepth ?? CONFIG.SCAN_DEFAULT_DEPTH,
+            sameOrigin: sameOrigin ?? true,
+            include,
+            exclude,
+            concurrency: CONFIG.SCAN_CONCURRENCY
+        };
+
+        if (urls) {
+            if (!Array.isArray(urls) || urls.length === 0) {
+                return invalid('"urls" must be a non-empty array');
+            }
+            if (urls.length > CONFIG.SCAN_MAX_PAGES) {
+                return invalid(`At most ${CONFIG.SCAN_MAX_PAGES} URLs can be scanned at once`);
+            }
+
+            const parsedUrls = urls.map(parseHttpUrl);
+            const invalidUrls = urls.filter((url, index) => !parsedUrls[index]);
+            if (invalidUrls.length > 0) {
+                return invalid('Only valid HTTP and HTTPS URLs are supported', 'INVALID_URL_FORMAT', { invalidUrls });
+            }
+
+            scan.urls = parsedUrls;
+            scan.maxPages = parsedUrls.length;
+        } else {
+            const parsedStartUrl = parseHttpUrl(startUrl);
+            if (!parsedStartUrl) {
+                return invalid('Only valid HTTP and HTTPS URLs are supported', 'INVALID_URL_FORMAT', { invalidUrls: [startUrl] });
+            }
+            scan.startUrl = parsedStartUrl;
+        }
+
+        req.scan = scan;
+        next();
+    };
+
+    // Resolves a callback or webhook URL (HTTP/HTTPS only) and checks its host against the
+    // network policy; `kind` ("callback", "webhook") names it in error messages and codes
+    const resolveWebhookUrl = async (value, kind) => {
+        const label = `${kind[0].toUpperCase()}${kind.slice(1)} URL`;
+        const code = `INVALID_${kind.toUpperCase()}_URL`;
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(value);
+        } catch (error) {
+            throw createCheckError(400, `Invalid ${kind} URL format`, code);
+        }
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw createCheckError(400, `Only HTTP and HTTPS ${kind} URLs are supported`, 'INVALID_PROTOCOL');
+        }
+
+        try {
+            await networkPolicy.resolveAndCheck(parsedUrl.toString());
+        } catch (error) {
+            const policyError = isPolicyError(error);
+            throw policyError
+                ? createCheckError(403, `${label} is not allowed by the network policy`, 'URL_NOT_ALLOWED', policyError.message)
+                : createCheckError(400, `${label} host could not be resolved`, code, error.code);
+        }
+        return parsedUrl.toString();
+    };
+
+    // Callback validation: "callbackUrl" (same protocol rules as validateUrl) and an optional "callbackSecret"
+    const validateCallback = async (req, res, next) => {
+        const input = typeof req.body === 'string' ? req.query : req.body;
+        const { callbackUrl, callbackSecret } = input;
+
+        if (callbackUrl === undefined) {
+            return next();
+        }
+
+        try {
+            req.callback = { url: await resolveWebhookUrl(callbackUrl, 'callback') };
+        } catch (error) {
+            return sendErrorResponse(res, error.status, error.message, error.code, error.details);
+        }
+
+        if (callbackSecret !== undefined) {
+            if (typeof callbackSecret !== 'string' || !callbackSecret) {
+                return sendErrorResponse(res, 400, '"callbackSecret" must be a non-empty string', 'INVALID_CALLBACK_SECRET');
+            }
+            req.callback.secret = callbackSecret;
+        }
+
+        next();
+    };
+
+    // Memory admission check shared by the analysis routes and monitor runs: false when
+    // the heap stays above MEMORY_ADMISSION_LIMIT_MB even after garbage collection
+    const hasMemoryHeadroom = () => {
+        const initialMemory = process.memoryUsage().heapUsed / 1024 / 1024;
+        logger.debug('Initial memory usage', { heapUsedMB: Number(initialMemory.toFixed(2)) });
+
+        // Force garbage collection before starting
+        if (global.gc) {
+            global.gc();
+            const afterGcMemory = process.memoryUsage().heapUsed / 1024 / 1024;
+            logger.debug('Memory after GC', { heapUsedMB: Number(afterGcMemory.toFixed(2)) });
+        }
+
+        // Check if we have enough memory to proceed
+        if (initialMemory > CONFIG.MEMORY_ADMISSION_GC_MB) {
+            logger.warn('High initial memory usage - may fail', { heapUsedMB: Number(initialMemory.toFixed(2)) });
+
+            if (global.gc) {
+                for (let i = 0; i < 3; i++) {
+                    global.gc();
+                }
+            }
+
+            const cleanedMemory = process.memoryUsage().heapUsed / 1024 / 1024;
+            if (cleanedMemory > CONFIG.MEMORY_ADMISSION_LIMIT_MB) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    const ensureMemoryHeadroom = (req, res, next) => {
+        if (!hasMemoryHeadroom()) {
+            res.setHeader('Retry-After', RETRY_AFTER_SEC);
+            return sendErrorResponse(
+                res,
+                503,
+                'Service temporarily unavailable due to high memory usage',
+                'MEMORY_EXHAUSTED',
+                'Please try again in a few moments'
+            );
+        }
+        next();
+    };
+
+    // Enhanced error response function
+    // Messages are logged in English and sent in the request's locale; before the locale
+    // middleware ran (authentication), Accept-Language picks it
+    const sendErrorResponse = (res, status, message, error, details = null, url = null) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const { used: locale } = res.req.locale || resolveLocale({ acceptLanguage: res.req.get('Accept-Language') });
+        const errorResponse = {
+            success: false,
+            message: translateMessage(message, locale),
+            error,
+            timestamp: new Date().toISOString()
+        };
+
+        if (details) errorResponse.details = translateMessage(details, locale);
+        if (url) errorResponse.url = url;
+
+        metrics.countRejection(error);
+        logger[status >= 500 ? 'error' : 'warn']('Error response', { status, code: error, message, details, url: url ? redactUrl(url) : undefined });
+        return res.status(status).json(errorResponse);
+    };
+
+    // Sanitizes an HTML document that is already in memory (submitted HTML) with the same
+    // single-pass sanitizer fetched pages are streamed through (see lib/html-stream.js)
+    const sanitizeAndValidateHtml = async (htmlContent, keepStyles = false) => {
+        if (!htmlContent || typeof htmlContent !== 'string') {
+            throw new Error('No valid HTML content received');
+        }
+
+        const document = await sanitizeHtml(htmlContent, { maxBytes: CONFIG.MAX_HTML_SIZE, keepStyles });
+        logger.debug('HTML cleaned', {
+            documentBytes: document.documentBytes,
+            analyzedBytes: document.analyzedBytes,
+            discardedBytes: document.discardedBytes
+        });
+
+        return document;
+    };
+
+    // Runs JSDOM + axe on a pool worker. The JSDOM timeout covers parsing, the analysis
+    // timeout starts once the worker reports the parsed document; on either timeout
+    // (or cancellation) the worker is terminated, which also stops synchronous axe work.
+    // `stylesheets` ([{ url, css }], or null) keeps the page's styles and lays it out;
+    // `locale` is the axe locale the results are written in.
+    const runAccessibilityAnalysis = async (htmlContent, url, ruleConfig = DEFAULT_RULE_CONFIG, detail = DEFAULT_DETAIL, scope = DEFAULT_SCOPE, signal = null, stylesheets = null, locale = ENGLISH.used) => {
+        const controller = new AbortController();
+        const abortWith = (message, code) => controller.abort(Object.assign(new Error(message), { code }));
+        const onAbort = () => abortWith('Analysis cancelled', 'CANCELLED');
+
+        let timer = null;
+        const startTimer = (ms, message, code) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => abortWith(message, code), ms);
+        };
+
+        if (signal) {
+            if (signal.aborted) onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            return await analysisPool.run({ html: htmlContent, url, ruleConfig, detail, scope, stylesheets, locale }, {
+                signal: controller.signal,
+                onMessage: (message) => {
+                    if (message.type === 'log') {
+                        logger[message.level](message.message, message.fields);
+                    } else if (message.stage === 'parsing') {
+                        startTimer(CONFIG.JSDOM_TIMEOUT, 'JSDOM initialization timeout - site too complex', 'JSDOM_TIMEOUT');
+                    } else if (message.stage === 'parsed') {
+                        startTimer(CONFIG.ANALYSIS_TIMEOUT, `Analysis timeout after ${CONFIG.ANALYSIS_TIMEOUT / 1000} seconds - website too complex`, 'ANALYSIS_TIMEOUT');
+                    }
+                }
+            });
+        } catch (error) {
+            if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                throw Object.assign(new Error(`Analysis exceeded the ${CONFIG.ANALYSIS_WORKER_MAX_HEAP_MB}MB worker memory limit - website too complex`), { code: 'WORKER_OUT_OF_MEMORY' });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    };
+
+    // Enhanced error handling middleware
+    const handleError = (error, req, res, next) => {
+        logger.error('Unhandled error', { error });
+
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        return sendErrorResponse(
+            res,
+            500,
+            'Internal server error',
+            'SERVER_ERROR',
+            env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+        );
+    };
+
+    // A check error body with its message, suggestion and text details in `locale`
+    const localizeErrorBody = (errorResponse, locale) => ({
+        ...errorResponse,
+        message: translateMessage(errorResponse.message, locale),
+        details: translateMessage(errorResponse.details, locale),
+        ...(errorResponse.suggestion ? { suggestion: translateMessage(errorResponse.suggestion, locale) } : {})
+    });
+
+    const sendCheckError = (res, error, url) => {
+        const errorResponse = buildCheckErrorBody(error, url);
+
+        logger[(error.status || 500) >= 500 ? 'error' : 'warn']('Error response', {
+            status: error.status || 500,
+            code: errorResponse.error,
+            message: errorResponse.message,
+            details: errorResponse.details,
+            reason: error.reason,
+            url: errorResponse.url ? redactUrl(errorResponse.url) : undefined
+        });
+        if (RETRY_LATER_CODES.has(errorResponse.error)) {
+            res.setHeader('Retry-After', RETRY_AFTER_SEC);
+        }
+        return res.status(error.status || 500).json(localizeErrorBody(errorResponse, res.req.locale?.used));
+    };
+
+    // axios `beforeRedirect` hook for requests carrying caller credentials: applies the
+    // network policy and drops the credential headers once a redirect leaves their origins
+    const credentialRedirectGuard = (fetchOptions, credentialHeaders) => (options) => {
+        networkPolicy.beforeRedirect(options);
+        if (!fetchOptions?.origins.includes(`${options.protocol}//${options.host}`)) {
+            for (const name of Object.keys(credentialHeaders)) {
+                delete options.headers[name];
+            }
+        }
+    };
+
+    // How the analyzed document was obtained from the original: encoding and exact byte counts
+    const describeDocument = (document, contentType = null) => ({
+        contentType,
+        encoding: document.encoding ?? null,
+        encodingSource: document.encodingSource ?? null,
+        receivedBytes: document.receivedBytes ?? null,
+        downloadComplete: document.downloadComplete ?? true,
+        documentBytes: document.documentBytes, // UTF-8 size of the decoded document (as far as it was downloaded)
+        analyzedBytes: document.analyzedBytes,
+        removedBytes: document.removedBytes, // scripts, styles, media, comments and event handlers
+        discardedBytes: document.discardedBytes, // cut off by the MAX_HTML_SIZE limit
+        truncated: document.truncated || !(document.downloadComplete ?? true)
+    });
+
+    // Fetches a URL and streams its body through lib/html-stream.js: non-HTML responses are
+    // rejected before the body is read, downloads stop at MAX_CONTENT_LENGTH, and the
+    // decoded document comes back sanitized and cut to MAX_HTML_SIZE. With cached
+    // validators ({ etag, lastModified }) the request is conditional and an unchanged page
+    // resolves with notModified: true. `fetchOptions` (see lib/fetch-options.js) adds the
+    // caller's headers and credentials for its own origins; they are dropped if a redirect
+    // leaves those origins. `keepStyles` keeps the page's CSS and its stylesheet links.
+    const fetchHtml = async (url, signal = null, validators = null, fetchOptions = null, keepStyles = false) => {
+        logger.debug('Fetching HTML content', { url: redactUrl(url), conditional: Boolean(validators) });
+
+        const conditionalHeaders = {};
+        if (validators?.etag) conditionalHeaders['If-None-Match'] = validators.etag;
+        if (validators?.lastModified) conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+
+        const credentialHeaders = buildCredentialHeaders(fetchOptions, url);
+        const headers = {
+            'User-Agent': fetchOptions?.userAgent || CONFIG.USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Accept-Encoding': 'gzip, deflate',
+            'Cache-Control': 'no-cache',
+            'Connection': 'close',
+            ...credentialHeaders,
+            ...conditionalHeaders
+        };
+
+        // REQUEST_TIMEOUT covers the whole download, not just the response headers
+        const timeoutSignal = AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT);
+        const fetchSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+        try {
+            networkPolicy.checkUrl(url);
+
+            const response = await httpClient.get(url, {
+                signal: fetchSignal,
+                timeout: CONFIG.REQUEST_TIMEOUT,
+                maxRedirects: fetchOptions?.maxRedirects ?? CONFIG.MAX_REDIRECTS,
+                beforeRedirect: credentialRedirectGuard(fetchOptions, credentialHeaders),
+                headers,
+                validateStatus: (status) => status >= 200 && status < 400,
+                responseType: 'stream'
+            });
+
+            const cacheValidators = { etag: response.headers.etag || null, lastModified: response.headers['last-modified'] || null };
+            if (response.status === 304) {
+                response.data.destroy();
+                return { html: null, notModified: true, ...cacheValidators };
+            }
+            if (response.status >= 300) {
+                response.data.destroy();
+                throw createCheckError(400, `Redirect limit reached (${fetchOptions?.maxRedirects ?? CONFIG.MAX_REDIRECTS})`, 'TOO_MANY_REDIRECTS', response.status);
+            }
+
+            const contentType = response.headers['content-type'];
+            if (!isHtmlContentType(contentType)) {
+                response.data.destroy();
+                throw createCheckError(415, 'The URL did not return an HTML document', 'UNSUPPORTED_CONTENT_TYPE', contentType);
+            }
+
+            const document = await readHtmlStream(response.data, {
+                contentType,
+                maxBytes: CONFIG.MAX_HTML_SIZE,
+                maxDownloadBytes: CONFIG.MAX_CONTENT_LENGTH,
+                keepStyles,
+                signal: fetchSignal
+            });
+
+            logger.debug('HTML fetched and cleaned', {
+                receivedBytes: document.receivedBytes,
+                encoding: document.encoding,
+                encodingSource: document.encodingSource,
+                analyzedBytes: document.analyzedBytes,
+                discardedBytes: document.discardedBytes,
+                heapUsedMB: Number((process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2))
+            });
+
+            return {
+                html: document.html,
+                styles: document.styles,
+                document: describeDocument(document, contentType),
+                sanitizeMs: document.sanitizeMs, // part of the download time spent sanitizing
+                finalUrl: response.request?.res?.responseUrl || url, // after redirects
+                notModified: false,
+                ...cacheValidators
+            };
+        } catch (error) {
+            if (signal?.aborted) {
+                throw createCancelledError();
+            }
+            if (error.status && !axios.isAxiosError(error)) {
+                throw error; // already a check error (axios errors carry a status too)
+            }
+            error.response?.data?.destroy?.();
+
+            logger.warn('Fetch error', {
+                message: error.message,
+                code: error.code,
+                status: error.response?.status,
+                url: redactUrl(url),
+                headers: redactHeaders(headers, [
+                    ...Object.keys(credentialHeaders),
+                    ...(fetchOptions?.userAgent ? ['User-Agent'] : [])
+                ])
+            });
+
+            const policyError = isPolicyError(error);
+            if (policyError) {
+                throw createCheckError(403, 'URL is not allowed by the network policy', 'URL_NOT_ALLOWED', policyError.message);
+            }
+
+            if (timeoutSignal.aborted) {
+                throw Object.assign(createCheckError(500, 'Request timed out - website may be too slow or complex', 'NETWORK_ERROR', 'ETIMEDOUT'), { reason: 'FETCH_TIMEOUT' });
+            }
+
+            if (axios.isAxiosError(error)) {
+                if (error.response) {
+                    throw createCheckError(
+                        400,
+                        `Server responded with ${error.response.status}: ${error.response.statusText}`,
+                        'HTTP_ERROR',
+                        error.response.status
+                    );
+                }
+
+                if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+                    throw createCheckError(400, `Redirect limit reached (${fetchOptions?.maxRedirects ?? CONFIG.MAX_REDIRECTS})`, 'TOO_MANY_REDIRECTS');
+                }
+
+                let networkMessage = 'Network error occurred';
+                if (error.code === 'ETIMEDOUT') {
+                    networkMessage = 'Request timed out - website may be too slow or complex';
+                } else if (error.code === 'ENOTFOUND') {
+                    networkMessage = 'Domain not found - check URL spelling';
+                }
+
+                throw Object.assign(createCheckError(500, networkMessage, 'NETWORK_ERROR', error.code), { reason: error.code });
+            }
+
+            throw createCheckError(500, 'Failed to fetch URL content', 'FETCH_ERROR', error.message);
+        }
+    };
+
+    // Serves a cached result in the regular response shape, marked as cached. Results are
+    // cached per locale used, but the locale requested can differ from the cached one's.
+    const fromCache = (entry, cacheStatus, startTime, locale) => {
+        logger.info('Serving cached result', { cacheStatus, url: entry.data.url ? redactUrl(entry.data.url) : null });
+
+        return {
+            data: {
+                ...entry.data,
+                processingTimeMs: Date.now() - startTime,
+                metadata: {
+                    ...entry.data.metadata,
+                    locale,
+                    cached: true,
+                    cacheStatus,
+                    cachedAt: entry.data.timestamp
+                }
+            },
+            links: entry.links
+        };
+    };
+
+    // Analysis failures become ANALYSIS_ERROR (or CANCELLED) check errors with a suggestion
+    const toAnalysisError = (error, signal) => {
+        if (signal?.aborted) {
+            return createCancelledError();
+        }
+
+        logger.warn('Analysis error', { error });
+
+        if (error.code === 'INVALID_SCOPE') {
+            return createCheckError(400, error.message, 'INVALID_SCOPE');
+        }
+        if (error.code === 'SCOPE_NOT_FOUND') {
+            return createCheckError(422, error.message, 'SCOPE_NOT_FOUND', null, 'Check that the page contains the elements your include selectors target.');
+        }
+
+        // The underlying cause (DOM_TOO_COMPLEX, ANALYSIS_TIMEOUT, ...) is kept as `reason` for the metrics
+        return Object.assign(createCheckError(
+            500,
+            'Failed to perform accessibility analysis',
+            'ANALYSIS_ERROR',
+            error.message,
+            error.message.includes('too complex')
+                ? 'This website is too complex for analysis. Try analyzing a specific page instead of the homepage.'
+                : 'Analysis failed due to website complexity or timeout. Please try again or contact support.'
+        ), { reason: error.code || null });
+    };
+
+    // The `data` object of a check response, built the same way for both engines
+    const buildCheckData = ({ url, source, engine, ruleConfig, detail, axeResults, htmlLength, startTime, cacheStatus, document = null, fetchOptions = null, stylesheets = null, locale = ENGLISH }) => {
+        const endTime = Date.now();
+        const processingTime = endTime - startTime;
+        const resultsTruncated = Object.values(axeResults.omitted).some(({ rules, nodes }) => rules > 0 || nodes > 0);
+        const finalMemory = process.memoryUsage().heapUsed / 1024 / 1024;
+
+        logger.info('Accessibility check completed', {
+            url: url ? redactUrl(url) : null,
+            engine,
+            processingTimeMs: processingTime,
+            violations: axeResults.totals.violations,
+            heapUsedMB: Number(finalMemory.toFixed(2)),
+            peakHeapMB: Number(peakMemoryUsage.toFixed(2))
+        });
+        metrics.countViolations(axeResults.wcag.byImpact);
+
+        // Force cleanup after completion
+        if (global.gc) {
+            global.gc();
+        }
+
+        return {
+            url: url || null,
+            timestamp: new Date().toISOString(),
+            processingTimeMs: processingTime,
+            performance: {
+                memoryUsedMB: finalMemory.toFixed(2),
+                peakMemoryMB: peakMemoryUsage.toFixed(2),
+                htmlSizeKB: Math.round(htmlLength / 1024),
+                analysisTimeMs: axeResults.analysisTimeMs || 0
+            },
+            summary: {
+                totalViolations: axeResults.totals.violations,
+                totalIncomplete: axeResults.totals.incomplete,
+                totalPasses: axeResults.totals.passes,
+                isComplexWebsite: htmlLength > 1024 * 1024,
+                resultsTruncated: resultsTruncated,
+                omitted: axeResults.omitted,
+                // Counted over all results, whatever the detail caps left out (see lib/wcag.js)
+                byImpact: axeResults.wcag.byImpact,
+                byCriterion: axeResults.wcag.byCriterion,
+                score: axeResults.wcag.score
+            },
+            violations: axeResults.violations,
+            incomplete: axeResults.incomplete,
+            passes: axeResults.passes,
+            issues: axeResults.issues, // every violating node, for baselines and gates (see lib/baseline.js)
+            metadata: {
+                source: source,
+                engine: engine,
+                rendered: engine === 'browser', // false: static HTML without scripts
+                // Kept page styles ("styles": true): linked stylesheets loaded or skipped, and why
+                styles: stylesheets ? {
+                    loaded: stylesheets.filter(({ status }) => status === 'loaded').length,
+                    skipped: stylesheets.filter(({ status }) => status === 'skipped').length,
+                    stylesheets
+                } : null,
+                ruleConfig: ruleConfig,
+                detail: detail,
+                scope: axeResults.scope, // include/exclude selectors and the number of elements in scope
+                request: describeFetchOptions(fetchOptions), // header names and auth type only, never values
+                locale: locale, // locale requested and used, and whether it fell back to English
+                remediationLocale: REMEDIATION_LOCALE, // the remediation guidance is English-only
+                analysisLimited: resultsTruncated,
+                truncatedHtml: Boolean(document?.truncated),
+                document: document, // encoding and exact byte counts of what was analyzed, removed and discarded
+                complexSiteOptimizations: htmlLength > 1024 * 1024,
+                cached: false,
+                cacheStatus
+            }
+        };
+    };
+
+    // Browser engine check: Chromium loads (or renders) the page itself, so there is no
+    // fetch or sanitize step, and live pages are never served from the result cache
+    const performBrowserCheck = async ({ url, html, ruleConfig, detail, scope, engine, fetchOptions, locale, startTime, signal, onProgress }) => {
+        const source = html === undefined ? 'url' : 'html';
+
+        if (source === 'url') {
+            try {
+                networkPolicy.checkUrl(url);
+            } catch (error) {
+                throw createCheckError(403, 'URL is not allowed by the network policy', 'URL_NOT_ALLOWED', error.message);
+            }
+        }
+
+        let axeResults;
+        try {
+            onProgress({ stage: 'rendering' });
+            logger.debug('Rendering in headless Chromium', { url: url ? redactUrl(url) : null });
+            const renderStart = performance.now();
+            axeResults = await browserEngine.analyze({
+                url,
+                html,
+                ruleConfig,
+                detail,
+                scope,
+                wait: engine.wait,
+                actions: engine.actions,
+                fetchOptions,
+                locale: loadAxeLocale(locale.used),
+                timeoutMs: CONFIG.BROWSER_TIMEOUT,
+                signal
+            });
+            metrics.observeStages({ browser: performance.now() - renderStart });
+            logger.debug('Browser analysis completed', { violations: axeResults.violations.length, blockedRequests: axeResults.blockedRequests });
+        } catch (error) {
+            if (error.code === 'HTTP_ERROR') {
+                throw createCheckError(400, 'Failed to fetch URL', 'HTTP_ERROR', error.message);
+            }
+            if (error.code === 'ACTION_FAILED') {
+                throw createCheckError(400, error.message, 'ACTION_FAILED', error.details);
+            }
+            if (error.code === 'ENGINE_UNAVAILABLE') {
+                throw createCheckError(503, error.message, 'ENGINE_UNAVAILABLE', error.details);
+            }
+            throw toAnalysisError(error, signal);
+        }
+
+        const data = buildCheckData({
+            url,
+            source,
+            engine: 'browser',
+            ruleConfig,
+            detail,
+            axeResults,
+            htmlLength: axeResults.htmlLength,
+            startTime,
+            cacheStatus: 'disabled',
+            fetchOptions,
+            locale
+        });
+
+        return { data, links: axeResults.links };
+    };
+
+    /**
+     * Runs the full check pipeline: fetch (unless HTML is supplied), sanitize, analyze.
+     * Resolves with the `data` object of the check response plus the page's links (for
+     * the crawler); rejects with a check error (see createCheckError). `signal` cancels
+     * the check and `onProgress` is told about each stage (used by async jobs).
+     * Results are cached unless `cacheMode` is "bypass", which skips cache reads
+     * (and conditional fetches) but still stores the fresh result. `engine` picks
+     * the static JSDOM analysis (default; { name: 'jsdom', styles: true } keeps the page's
+     * CSS and loads its linked stylesheets) or { name: 'browser', wait, actions } for Chromium.
+     * Pages fetched with credentials (`fetchOptions`) are private to the request and
+     * bypass the result cache entirely. `locale` (see resolveLocale) is the language of
+     * axe's help texts and failure summaries.
+     */
+    const performCheck = async ({
+        url,
+        html,
+        ruleConfig = DEFAULT_RULE_CONFIG,
+        detail = DEFAULT_DETAIL,
+        scope = DEFAULT_SCOPE,
+        engine = { name: 'jsdom' },
+        cacheMode = 'default',
+        fetchOptions = null,
+        locale = ENGLISH,
+        startTime = Date.now(),
+        signal = null,
+        onProgress = () => {}
+    }) => {
+        if (engine.name === 'browser') {
+            return performBrowserCheck({ url, html, ruleConfig, detail, scope, engine, fetchOptions, locale, startTime, signal, onProgress });
+        }
+
+        const source = html === undefined ? 'url' : 'html';
+        const isPrivate = hasCredentials(fetchOptions);
+        const cache = isPrivate ? null : resultCache;
+        const keepStyles = Boolean(engine.styles);
+        // Everything besides the HTML that shapes a result
+        const analysisOptions = {
+            ...(fetchOptions
+                ? { ruleConfig, detail, scope, fetch: { userAgent: fetchOptions.userAgent, maxRedirects: fetchOptions.maxRedirects } }
+                : { ruleConfig, detail, scope }),
+            ...(keepStyles ? { styles: true } : {}),
+            ...(locale.used !== ENGLISH.used ? { locale: locale.used } : {})
+        };
+        const readCache = Boolean(cache) && cacheMode !== 'bypass';
+
+        let htmlContent;
+        let finalUrl = url;
+        let documentInfo;
+        let styles = null;
+        if (source === 'url') {
+            // A page that didn't change can still have changed stylesheets, so checks that
+            // keep styles always fetch it and compare the CSS as well
+            const validators = readCache && !keepStyles ? await cache.getValidators(url) : null;
+
+            onProgress({ stage: 'fetching' });
+            const fetchStart = performance.now();
+            let fetched = await fetchHtml(url, signal, validators, fetchOptions, keepStyles);
+
+            if (fetched.notModified) {
+                const cached = await cache.getResult(url, validators.contentHash, analysisOptions);
+                if (cached) {
+                    return fromCache(cached, 'revalidated', startTime, locale);
+                }
+                // Unchanged page, but never analyzed with these rules: fetch the body after all
+                fetched = await fetchHtml(url, signal, null, fetchOptions);
+            }
+            // Sanitizing happens while the body streams in; split the time between the two stages
+            metrics.observeStages({ fetch: performance.now() - fetchStart - fetched.sanitizeMs, sanitize: fetched.sanitizeMs });
+
+            // Fetched pages are sanitized while they stream in
+            if (!fetched.html.trim()) {
+                throw createCheckError(500, 'Failed to fetch URL content', 'FETCH_ERROR', 'No valid HTML content received');
+            }
+            htmlContent = fetched.html;
+            finalUrl = fetched.finalUrl;
+            documentInfo = fetched.document;
+            styles = fetched.styles;
+
+            if (cache && (fetched.etag || fetched.lastModified)) {
+                await cache.setValidators(url, {
+                    etag: fetched.etag,
+                    lastModified: fetched.lastModified,
+                    contentHash: cache.hashContent(htmlContent)
+                });
+            }
+        } else {
+            onProgress({ stage: 'sanitizing' });
+            try {
+                const document = await sanitizeAndValidateHtml(html, keepStyles);
+                metrics.observeStages({ sanitize: document.sanitizeMs });
+                htmlContent = document.html;
+                documentInfo = describeDocument(document);
+                styles = document.styles;
+            } catch (error) {
+                throw createCheckError(400, 'Invalid HTML content', 'INVALID_HTML', error.message);
+            }
+        }
+
+        let loadedStyles = null;
+        if (keepStyles) {
+            try {
+                loadedStyles = await stylesheetLoader.loadStylesheets(styles, {
+                    pageUrl: url,
+                    headersFor: (sheetUrl) => ({
+                        'User-Agent': fetchOptions?.userAgent || CONFIG.USER_AGENT,
+                        ...buildCredentialHeaders(fetchOptions, sheetUrl)
+                    }),
+                    signal
+                });
+            } catch (error) {
+                if (signal?.aborted) throw createCancelledError();
+                throw error;
+            }
+            logger.debug('Stylesheets loaded', { loaded: loadedStyles.stylesheets.length, linked: styles.links.length });
+        }
+
+        const contentHash = cache
+            ? cache.hashContent(loadedStyles ? [htmlContent, ...loadedStyles.stylesheets.map(({ css }) => css)].join('\n') : htmlContent)
+            : null;
+        if (readCache) {
+            const cached = await cache.getResult(url, contentHash, analysisOptions);
+            if (cached) {
+                return fromCache(cached, 'hit', startTime, locale);
+            }
+        }
+
+        if (signal?.aborted) {
+            throw createCancelledError();
+        }
+
+        // Run accessibility analysis with improved error handling
+        let axeResults;
+        try {
+            onProgress({ stage: 'analyzing' });
+            logger.debug('Running accessibility analysis', {
+                htmlLength: htmlContent.length,
+                heapUsedMB: Number((process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2))
+            });
+
+            axeResults = await runAccessibilityAnalysis(htmlContent, url, ruleConfig, detail, scope, signal, loadedStyles?.stylesheets ?? null, locale.used);
+            metrics.observeStages({ jsdom: axeResults.timings.jsdomMs, axe: axeResults.timings.axeMs });
+        } catch (error) {
+            throw toAnalysisError(error, signal);
+        }
+
+        const data = buildCheckData({
+            url,
+            source,
+            engine: 'jsdom',
+            ruleConfig,
+            detail,
+            axeResults,
+            htmlLength: htmlContent.length,
+            startTime,
+            cacheStatus: isPrivate ? 'private' : (!resultCache ? 'disabled' : (readCache ? 'miss' : 'bypass')),
+            document: documentInfo,
+            fetchOptions,
+            stylesheets: loadedStyles?.report ?? null,
+            locale
+        });
+
+        // Relative links resolve against the page a redirect ended on, not the requested URL
+        const links = source === 'url' ? extractLinks(htmlContent, finalUrl) : [];
+
+        if (cache) {
+            await cache.setResult(url, contentHash, analysisOptions, { data, links });
+        }
+
+        return { data, links };
+    };
+
+    // Memory guard between scan batches: stop the scan instead of pushing past MEMORY_LIMIT_MB
+    const scanMemoryGuard = () => {
+        let heapUsedMB = process.memoryUsage().heapUsed / 1024 / 1024;
+        if (heapUsedMB <= CONFIG.MEMORY_LIMIT_MB) return null;
+
+        if (global.gc) {
+            global.gc();
+            heapUsedMB = process.memoryUsage().heapUsed / 1024 / 1024;
+        }
+
+        if (heapUsedMB > CONFIG.MEMORY_LIMIT_MB) {
+            logger.warn('Stopping scan: memory limit exceeded', { heapUsedMB: Number(heapUsedMB.toFixed(2)), limitMB: CONFIG.MEMORY_LIMIT_MB });
+            return 'MEMORY_LIMIT';
+        }
+        return null;
+    };
+
+    // Scans several pages of a site and resolves with the `data` object of the scan response
+    const performScan = async ({ scan, ruleConfig, detail, scope, engine, cacheMode, fetchOptions = null, locale = ENGLISH, startTime = Date.now(), signal = null, onProgress = () => {} }) => {
+        logger.info('Starting scan', { mode: scan.startUrl ? 'crawl' : 'list', startUrl: scan.startUrl ? redactUrl(scan.startUrl) : null, urlCount: scan.urls?.length, maxPages: scan.maxPages });
+
+        let crawl;
+        try {
+            crawl = await crawlSite({
+                ...scan,
+                canContinue: () => (signal?.aborted ? 'CANCELLED' : scanMemoryGuard()),
+                checkPage: (url) => {
+                    logger.info('Scanning page', { url: redactUrl(url) });
+                    return performCheck({ url, ruleConfig, detail, scope, engine, cacheMode, fetchOptions, locale, signal }).catch((error) => {
+                        // A failed page doesn't fail the scan, but still counts as a failed check
+                        metrics.countRejection(error.code, error.reason);
+                        throw error;
+                    });
+                },
+                onPageComplete: (page, pagesDone) => onProgress({
+                    stage: 'scanning',
+                    pagesDone,
+                    maxPages: scan.maxPages,
+                    percent: Math.round((pagesDone / scan.maxPages) * 100),
+                    lastUrl: page.url
+                })
+            });
+        } catch (error) {
+            throw createCheckError(500, 'Failed to complete scan', 'SCAN_ERROR', error.message);
+        }
+
+        if (signal?.aborted) {
+            throw createCancelledError();
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info('Scan completed', { pages: crawl.pages.length, processingTimeMs: processingTime, stoppedReason: crawl.stoppedReason });
+
+        return {
+            mode: scan.startUrl ? 'crawl' : 'list',
+            startUrl: scan.startUrl || null,
+            timestamp: new Date().toISOString(),
+            processingTimeMs: processingTime,
+            limits: {
+                maxPages: scan.maxPages,
+                maxDepth: scan.startUrl ? scan.maxDepth : 0,
+                sameOrigin: scan.sameOrigin,
+                include: scan.include,
+                exclude: scan.exclude,
+                concurrency: scan.concurrency
+            },
+            summary: {
+                ...summarizeSite(crawl.pages),
+                stoppedReason: crawl.stoppedReason,
+                unvisitedUrls: crawl.unvisitedUrls,
+                skippedLinks: crawl.skippedLinks
+            },
+            pages: crawl.pages,
+            metadata: {
+                engine: engine.name,
+                ruleConfig: ruleConfig,
+                detail: detail,
+                scope: scope,
+                request: describeFetchOptions(fetchOptions),
+                locale: locale,
+                remediationLocale: REMEDIATION_LOCALE
+            }
+        };
+    };
+
+    // Adds the baseline diff and gate verdict requested by validateComparison to a result
+    const applyComparison = (data, comparison) => {
+        if (!comparison) return data;
+
+        const issues = extractIssues(data);
+        const diff = comparison.baseline ? diffIssues(comparison.baseline.issues, issues) : null;
+
+        return {
+            ...data,
+            ...(diff ? { diff: { baselineId: comparison.baseline.id, ...diff } } : {}),
+            gate: evaluateGate({ issues, diff, failOn: comparison.failOn, failOnNew: comparison.failOnNew })
+        };
+    };
+
+    // checkUrl/checkHtml options, validated like the check routes' body fields. Stored
+    // baselines are looked up without an owner, as for requests without API keys.
+    const resolveOptions = async (options) => {
+        const engine = checkOptions.resolveEngine(options);
+        return {
+            engine,
+            ruleConfig: resolveRuleConfig(options, engine.name, engine.styles),
+            detail: checkOptions.resolveDetail(options),
+            scope: checkOptions.resolveScope(options),
+            cacheMode: checkOptions.resolveCacheMode(options),
+            locale: resolveLocale({ locale: options.locale }),
+            comparison: await checkOptions.resolveComparison(options, findOwnBaseline(null))
+        };
+    };
+
+    /**
+     * Checks a page without going through HTTP. `options` takes the body fields of
+     * POST /check-accessibility-static (engine, styles and wait options, preset, tags,
+     * enableRules, disableRules, detail, maxViolations, maxNodesPerViolation, include,
+     * exclude, cache, request, locale, baseline, baselineId, failOn, failOnNew) plus `signal`
+     * and `onProgress`. Resolves with the `data` object of the response; rejects with
+     * a check error (`status`, `code`, `details`), for invalid options too.
+     */
+    const checkUrl = async (url, { signal = null, onProgress, ...options } = {}) => {
+        if (!url) {
+            throw createCheckError(400, 'URL is required', 'MISSING_URL');
+        }
+        const { fetchOptions, urls } = checkOptions.resolveFetchOptions(options.request, [resolveHttpUrl(url)]);
+        const { comparison, ...resolved } = await resolveOptions(options);
+
+        const { data } = await performCheck({ url: urls[0], ...resolved, fetchOptions, signal, onProgress });
+        return applyComparison(data, comparison);
+    };
+
+    // Same as checkUrl for an HTML document; `options.baseUrl` resolves its relative links
+    const checkHtml = async (html, { signal = null, onProgress, baseUrl, ...options } = {}) => {
+        if (!html || typeof html !== 'string' || !html.trim()) {
+            throw createCheckError(400, 'HTML content is required', 'MISSING_HTML');
+        }
+        const url = baseUrl ? resolveHttpUrl(baseUrl, 'base URL') : undefined;
+        const { comparison, ...resolved } = await resolveOptions(options);
+
+        const { data } = await performCheck({ url, html, ...resolved, signal, onProgress });
+        return applyComparison(data, comparison);
+    };
+
+    // Sends a check or scan result as JSON ({ success, data }) or rendered in the negotiated report format
+    const sendResult = (res, format, data) => {
+        res.vary('Accept');
+        if (data.gate) {
+            res.setHeader('X-Accessibility-Gate', data.gate.passed ? 'passed' : 'failed');
+        }
+
+        if (format === 'json') {
+            return res.status(200).json({ success: true, data });
+        }
+
+        const { mediaTypes, render } = REPORT_FORMATS[format];
+        res.setHeader('Content-Type', `${mediaTypes[0]}; charset=utf-8`);
+        return res.status(200).send(render(data, { engine: { name: 'axe-core', version: axe.version } }));
+    };
+
+    // Async mode is requested with "async": true in the JSON body, or ?async=true for raw HTML bodies.
+    // A callback URL implies async mode: the result is pushed once the job finishes.
+    const isAsyncRequest = (req) => Boolean(req.callback)
+        || (typeof req.body === 'string' ? req.query.async === 'true' : req.body?.async === true);
+
+    // Pushes a finished job's response body to its callback URL, recording every attempt on the job.
+    // Failure messages are in the locale of the request that queued the job.
+    const deliverJobCallback = async (job, secret, locale) => {
+        if (job.status === 'cancelled') return;
+
+        const payload = job.status === 'completed'
+            ? { success: true, data: job.result }
+            : localizeErrorBody(buildCheckErrorBody(createCheckError(job.error.status, job.error.message, job.error.code, job.error.details, job.error.suggestion), job.url), locale);
+
+        await jobQueue.update(job, { callback: { ...job.callback, status: 'delivering' } });
+
+        const { delivered } = await deliverWebhook({
+            url: job.callback.url,
+            secret,
+            event: `${job.type}.${job.status}`,
+            payload: { ...payload, jobId: job.id },
+            maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+            baseDelayMs: CONFIG.WEBHOOK_BASE_DELAY_MS,
+            timeoutMs: CONFIG.WEBHOOK_TIMEOUT,
+            httpClient,
+            onAttempt: (attempt) => {
+                jobQueue.update(job, { callback: { ...job.callback, attempts: [...job.callback.attempts, attempt] } }).catch(() => {});
+            }
+        });
+
+        await jobQueue.update(job, { callback: { ...job.callback, status: delivered ? 'delivered' : 'failed' } });
+        logger[delivered ? 'info' : 'warn'](delivered ? 'Callback delivered' : 'Callback failed', { jobId: job.id, attempts: job.callback.attempts.length });
+    };
+
+    // Saves a finished check, or every analyzed page of a scan, to the scan history.
+    // History is a side record: a failure to save is logged and never fails the check.
+    const recordHistory = async (type, data, owner) => {
+        if (!scanHistory) return;
+
+        try {
+            if (type === 'scan') {
+                const runId = crypto.randomUUID();
+                for (const page of data.pages.filter(page => page.success)) {
+                    await scanHistory.save({ data: page.data, owner, runId });
+                }
+            } else {
+                await scanHistory.save({ data, owner });
+            }
+        } catch (error) {
+            logger.error('Failed to save scan history', { error });
+        }
+    };
+
+    /**
+     * Runs `task({ signal, onProgress })` and responds with its result, or, in async
+     * mode, queues it and responds 202 with the job ID to poll. Completed results are
+     * saved to the scan history either way, and failures are counted by error code.
+     * Queued tasks keep the request's correlation ID in their log lines. Tasks run once
+     * the admission controller gives them a slot, and a client that disconnects before
+     * its response cancels the task.
+     */
+    const respondWithTask = async (req, res, { type, url, task: runTask }) => {
+        // Nothing new starts once the service is draining for shutdown
+        if (admission.isClosed()) {
+            metrics.countRejection('SHUTTING_DOWN');
+            return sendCheckError(res, createShuttingDownError(), url);
+        }
+
+        const owner = req.apiKey?.name || null;
+        const task = (context) => runWithLogContext({ requestId: req.id, ...(context.jobId ? { jobId: context.jobId } : {}) }, async () => {
+            let release = null;
+            try {
+                // Jobs already waited in the job queue, so they wait for a slot without a limit
+                release = await admission.acquire({ signal: context.signal, bounded: !context.jobId });
+                const data = await runTask(context);
+                recordHistory(type, data, owner);
+                return data;
+            } catch (error) {
+                metrics.countRejection(error.code, error.reason);
+                throw error;
+            } finally {
+                if (release) release();
+            }
+        });
+
+        if (isAsyncRequest(req)) {
+            const { callback } = req;
+
+            try {
+                const job = await jobQueue.submit({
+                    type,
+                    url,
+                    run: task,
+                    // The secret stays in this closure; only the URL and delivery log are stored on the job
+                    fields: {
+                        owner,
+                        ...(callback ? { callback: { url: callback.url, status: 'pending', attempts: [] } } : {})
+                    },
+                    onFinish: callback ? (finishedJob) => deliverJobCallback(finishedJob, callback.secret, req.locale.used) : null
+                });
+                logger.info('Queued job', { jobId: job.id, type, url: url ? redactUrl(url) : null });
+
+                return res.status(202).json({
+                    success: true,
+                    data: {
+                        jobId: job.id,
+                        status: job.status,
+                        statusUrl: `/jobs/${job.id}`,
+                        resultUrl: `/jobs/${job.id}/result`
+                    }
+                });
+            } catch (error) {
+                if (error.code === 'QUEUE_FULL') {
+                    res.setHeader('Retry-After', RETRY_AFTER_SEC);
+                    return sendErrorResponse(res, 503, 'Too many queued checks, please retry later', 'QUEUE_FULL', jobQueue.stats(), url);
+                }
+                if (error.code === 'SHUTTING_DOWN') {
+                    metrics.countRejection('SHUTTING_DOWN');
+                    return sendCheckError(res, createShuttingDownError(), url);
+                }
+                throw error;
+            }
+        }
+
+        const controller = new AbortController();
+        const onClose = () => {
+            if (!res.writableFinished) {
+                logger.info('Client disconnected, cancelling the check', { requestId: req.id, url: url ? redactUrl(url) : null });
+                controller.abort();
+            }
+        };
+        res.on('close', onClose);
+
+        try {
+            const data = await task({ signal: controller.signal });
+
+            // Return structured response with performance metrics
+            return sendResult(res, req.format, data);
+        } catch (error) {
+            // No one is left to answer after a disconnect
+            if (controller.signal.aborted) return;
+            return sendCheckError(res, error, url);
+        } finally {
+            res.off('close', onClose);
+        }
+    };
+
+    app.post('/check-accessibility-static', validateUrl, validateFetchOptions, validateEngine, validateRuleConfig, validateDetailOptions, validateScope, validateCacheOption, validateFormat, validateComparison, validateCallback, ensureMemoryHeadroom, async (req, res) => {
+        const url = req.validatedUrl;
+        const { engine, ruleConfig, detail, scope, cacheMode, fetchOptions, comparison } = req;
+
+        return respondWithTask(req, res, {
+            type: 'check',
+            url,
+            task: async ({ signal, onProgress }) => {
+                logger.info('Starting accessibility check', { url: redactUrl(url), engine: engine.name });
+                const { data } = await performCheck({ url, ruleConfig, detail, scope, engine, cacheMode, fetchOptions, locale: req.locale, signal, onProgress });
+                return applyComparison(data, comparison);
+            }
+        });
+    });
+
+    // Analyze an HTML document submitted in the request body (build output, pages behind a login)
+    app.post('/check-accessibility-html', validateHtml, validateEngine, validateRuleConfig, validateDetailOptions, validateScope, validateCacheOption, validateFormat, validateComparison, validateCallback, ensureMemoryHeadroom, async (req, res) => {
+        const url = req.validatedUrl;
+        const { validatedHtml: html, engine, ruleConfig, detail, scope, cacheMode, comparison } = req;
+
+        return respondWithTask(req, res, {
+            type: 'html',
+            url,
+            task: async ({ signal, onProgress }) => {
+                logger.info('Starting accessibility check for submitted HTML', { baseUrl: url, engine: engine.name });
+                const { data } = await performCheck({ url, html, ruleConfig, detail, scope, engine, cacheMode, locale: req.locale, signal, onProgress });
+                return applyComparison(data, comparison);
+            }
+        });
+    });
+
+    // Scan several pages of a site: a URL list, or a bounded crawl from a start URL
+    app.post('/scan', validateScanRequest, validateFetchOptions, validateEngine, validateRuleConfig, validateDetailOptions, validateScope, validateCacheOption, validateFormat, validateComparison, validateCallback, ensureMemoryHeadroom, async (req, res) => {
+        const { scan, engine, ruleConfig, detail, scope, cacheMode, fetchOptions, comparison } = req;
+
+        if (!isAsyncRequest(req)) {
+            // A scan runs far longer than a single check; keep the socket open for the worst case
+            req.setTimeout(scan.maxPages * (CONFIG.REQUEST_TIMEOUT + CONFIG.ANALYSIS_TIMEOUT));
+        }
+
+        return respondWithTask(req, res, {
+            type: 'scan',
+            url: scan.startUrl,
+            task: async ({ signal, onProgress }) => applyComparison(await performScan({ scan, ruleConfig, detail, scope, engine, cacheMode, fetchOptions, locale: req.locale, signal, onProgress }), comparison)
+        });
+    });
+
+    // Job status without the (potentially large) result
+    const describeJob = (job) => ({
+        jobId: job.id,
+        type: job.type,
+        url: job.url,
+        status: job.status,
+        progress: job.progress,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        resultUrl: job.status === 'completed' ? `/jobs/${job.id}/result` : null,
+        error: job.error ? { code: job.error.code, message: job.error.message } : null,
+        callback: job.callback
+            ? { url: job.callback.url, status: job.callback.status, attempts: job.callback.attempts.length, deliveriesUrl: `/jobs/${job.id}/callback` }
+            : null
+    });
+
+    const findJob = async (req, res, next) => {
+        const job = await jobQueue.get(req.params.id);
+
+        // Jobs are only visible to the API key that submitted them
+        if (!job || job.owner !== (req.apiKey?.name || null)) {
+            return sendErrorResponse(res, 404, 'Job not found', 'JOB_NOT_FOUND', 'Finished jobs are kept for a limited time');
+        }
+        req.job = job;
+        next();
+    };
+
+    // Poll job status and progress
+    app.get('/jobs/:id', findJob, (req, res) => {
+        res.status(200).json({ success: true, data: describeJob(req.job) });
+    });
+
+    // Fetch a finished job's result, in the same shape as the synchronous response
+    app.get('/jobs/:id/result', findJob, validateFormat, (req, res) => {
+        const { job } = req;
+
+        if (job.status === 'completed') {
+            return sendResult(res, req.format, job.result);
+        }
+        if (job.status === 'failed') {
+            const { status, code, message, details, suggestion } = job.error;
+            return sendCheckError(res, createCheckError(status, message, code, details, suggestion), job.url);
+        }
+        if (job.status === 'cancelled') {
+            return sendErrorResponse(res, 409, 'Job was cancelled', 'JOB_CANCELLED', null, job.url);
+        }
+
+        res.setHeader('Retry-After', '2');
+        return sendErrorResponse(res, 409, 'Job has not finished yet', 'JOB_NOT_FINISHED', describeJob(job), job.url);
+    });
+
+    // Callback delivery log for a job
+    app.get('/jobs/:id/callback', findJob, (req, res) => {
+        if (!req.job.callback) {
+            return sendErrorResponse(res, 404, 'Job has no callback URL', 'NO_CALLBACK', null, req.job.url);
+        }
+        return res.status(200).json({ success: true, data: { jobId: req.job.id, ...req.job.callback } });
+    });
+
+    // Cancel a queued or running job
+    app.delete('/jobs/:id', findJob, async (req, res) => {
+        if (isJobFinished(req.job)) {
+            return sendErrorResponse(res, 409, `Job already ${req.job.status}`, 'JOB_ALREADY_FINISHED', describeJob(req.job), req.job.url);
+        }
+
+        const job = await jobQueue.cancel(req.job.id);
+        logger.info('Cancelled job', { jobId: job.id });
+        return res.status(202).json({ success: true, data: describeJob(job) });
+    });
+
+    // Baseline metadata without the (potentially long) issue list
+    const describeBaseline = (baseline) => ({
+        baselineId: baseline.id,
+        type: baseline.type,
+        url: baseline.url,
+        createdAt: baseline.createdAt,
+        issueCount: baseline.issues.length
+    });
+
+    const findBaseline = async (req, res, next) => {
+        const baseline = await baselineStore.get(req.params.id);
+
+        // Baselines are only visible to the API key that stored them
+        if (!baseline || baseline.owner !== (req.apiKey?.name || null)) {
+            return sendErrorResponse(res, 404, 'Baseline not found', 'BASELINE_NOT_FOUND', 'Stored baselines expire after a while; store it again');
+        }
+        req.baseline = baseline;
+        next();
+    };
+
+    // Store a result as a baseline: { "result": <check or scan result> } or { "jobId": "<completed job>" }
+    app.post('/baselines', async (req, res) => {
+        const { result, jobId } = req.body || {};
+        const owner = req.apiKey?.name || null;
+
+        let data;
+        if (jobId !== undefined) {
+            const job = await jobQueue.get(String(jobId));
+            if (!job || job.owner !== owner) {
+                return sendErrorResponse(res, 404, 'Job not found', 'JOB_NOT_FOUND', 'Finished jobs are kept for a limited time');
+            }
+            if (job.status !== 'completed') {
+                return sendErrorResponse(res, 409, 'Only completed jobs can be stored as a baseline', 'JOB_NOT_COMPLETED', describeJob(job));
+            }
+            data = job.result;
+        } else {
+            data = unwrapResult(result);
+            if (!isResultData(data)) {
+                return sendErrorResponse(res, 400, 'Send a previous check or scan result as "result", or a "jobId"', 'INVALID_BASELINE');
+            }
+        }
+
+        const baseline = {
+            id: crypto.randomUUID(),
+            owner,
+            type: Array.isArray(data.pages) ? 'scan' : 'check',
+            url: data.url || data.startUrl || null,
+            createdAt: new Date().toISOString(),
+            issues: extractIssues(data)
+        };
+        await baselineStore.set(baseline.id, baseline, CONFIG.BASELINE_TTL_MS);
+
+        logger.info('Stored baseline', { baselineId: baseline.id, issueCount: baseline.issues.length });
+        return res.status(201).json({ success: true, data: describeBaseline(baseline) });
+    });
+
+    app.get('/baselines/:id', findBaseline, (req, res) => {
+        res.status(200).json({ success: true, data: { ...describeBaseline(req.baseline), issues: req.baseline.issues } });
+    });
+
+    app.delete('/baselines/:id', findBaseline, async (req, res) => {
+        await baselineStore.delete(req.baseline.id);
+        res.status(200).json({ success: true, data: describeBaseline(req.baseline) });
+    });
+
+    const ensureHistoryEnabled = (req, res, next) => {
+        if (!scanHistory) {
+            return sendErrorResponse(res, 404, 'Scan history is disabled on this server', 'HISTORY_DISABLED');
+        }
+        next();
+    };
+
+    // History filters from the query string: url, from/to (ISO dates), page and pageSize
+    const validateHistoryQuery = (req, res, next) => {
+        const { url, from, to, page, pageSize } = req.query;
+
+        const parseDate = (field, value) => {
+            if (value === undefined) return null;
+            const time = Date.parse(String(value));
+            if (Number.isNaN(time)) {
+                throw new Error(`"${field}" must be an ISO 8601 date or timestamp`);
+            }
+            return time;
+        };
+
+        const parsePositive = (field, value, max, fallback) => {
+            if (value === undefined) return fallback;
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 1 || number > max) {
+                throw new Error(`"${field}" must be an integer between 1 and ${max}`);
+            }
+            return number;
+        };
+
+        try {
+            req.historyFilter = {
+                owner: req.apiKey?.name || null,
+                url: url === undefined ? null : String(url),
+                from: parseDate('from', from),
+                to: parseDate('to', to)
+            };
+            if (req.historyFilter.from !== null && req.historyFilter.to !== null && req.historyFilter.from > req.historyFilter.to) {
+                throw new Error('"from" must not be later than "to"');
+            }
+            req.historyPage = {
+                page: parsePositive('page', page, Number.MAX_SAFE_INTEGER, 1),
+                pageSize: parsePositive('pageSize', pageSize, CONFIG.HISTORY_MAX_PAGE_SIZE, CONFIG.HISTORY_PAGE_SIZE)
+            };
+            next();
+        } catch (error) {
+            return sendErrorResponse(res, 400, error.message, 'INVALID_HISTORY_QUERY');
+        }
+    };
+
+    // Saved check without the (potentially long) violation list
+    const describeHistoryRecord = ({ violations, ...record }) => record;
+
+    const findHistoryRecord = async (req, res, next) => {
+        const record = await scanHistory.get(req.params.id);
+
+        // Saved checks are only visible to the API key that ran them
+        if (!record || record.owner !== (req.apiKey?.name || null)) {
+            return sendErrorResponse(res, 404, 'Saved check not found', 'HISTORY_NOT_FOUND', 'Saved checks are deleted after the retention period');
+        }
+        req.historyRecord = record;
+        next();
+    };
+
+    // Saved checks, newest first: ?url=&from=&to=&page=&pageSize=
+    app.get('/history', ensureHistoryEnabled, validateHistoryQuery, async (req, res) => {
+        const { page, pageSize } = req.historyPage;
+        const { records, total } = await scanHistory.list(req.historyFilter, { offset: (page - 1) * pageSize, limit: pageSize });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                checks: records.map(describeHistoryRecord),
+                pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+            }
+        });
+    });
+
+    // Violation counts by impact over time for one URL: ?url=&from=&to=
+    app.get('/history/trends', ensureHistoryEnabled, validateHistoryQuery, async (req, res) => {
+        if (!req.historyFilter.url) {
+            return sendErrorResponse(res, 400, '"url" is required for trends', 'INVALID_HISTORY_QUERY');
+        }
+        const points = await scanHistory.trend(req.historyFilter);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                url: req.historyFilter.url,
+                from: req.historyFilter.from === null ? null : new Date(req.historyFilter.from).toISOString(),
+                to: req.historyFilter.to === null ? null : new Date(req.historyFilter.to).toISOString(),
+                points
+            }
+        });
+    });
+
+    app.get('/history/:id', ensureHistoryEnabled, findHistoryRecord, (req, res) => {
+        res.status(200).json({ success: true, data: req.historyRecord });
+    });
+
+    app.delete('/history/:id', ensureHistoryEnabled, findHistoryRecord, async (req, res) => {
+        await scanHistory.delete(req.historyRecord.id);
+        logger.info('Deleted saved check', { historyId: req.historyRecord.id });
+        res.status(200).json({ success: true, data: describeHistoryRecord(req.historyRecord) });
+    });
+
+    // Body fields of POST /check-accessibility-static a monitor can keep in "options".
+    // Fetch options ("request") are left out so no credentials are stored with monitors.
+    const MONITOR_OPTION_FIELDS = [
+        'engine', 'styles', 'waitUntil', 'waitForSelector', 'waitMs', 'actions', 'preset', 'tags',
+        'enableRules', 'disableRules', 'include', 'exclude', 'detail', 'maxViolations', 'maxNodesPerViolation', 'locale'
+    ];
+
+    // Validates a monitor from a POST body, or a PATCH body merged into `existing`: top-level
+    // fields replace the stored ones, except "alert", whose fields are merged (null clears one)
+    const resolveMonitorInput = async (body, existing = null) => {
+        const invalid = (message, details = null) => createCheckError(400, message, 'INVALID_MONITOR', details);
+
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw invalid('Send the monitor as a JSON object');
+        }
+        const input = existing
+            ? { ...existing, ...body, alert: body.alert === undefined ? existing.alert : { ...existing.alert, ...body.alert } }
+            : body;
+        const { name = null, options = {} } = input;
+
+        if (name !== null && (typeof name !== 'string' || !name.trim() || name.length > 200)) {
+            throw invalid('"name" must be a non-empty string of at most 200 characters');
+        }
+
+        if (!input.url) {
+            throw createCheckError(400, 'URL is required', 'MISSING_URL');
+        }
+        let url;
+        try {
+            url = resolveHttpUrl(input.url);
+            networkPolicy.checkUrl(url);
+        } catch (error) {
+            const policyError = isPolicyError(error);
+            throw policyError
+                ? createCheckError(403, 'URL is not allowed by the network policy', 'URL_NOT_ALLOWED', policyError.message)
+                : error;
+        }
+
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw createCheckError(400, '"options" must be an object', 'INVALID_MONITOR_OPTIONS');
+        }
+        if (options.request !== undefined) {
+            throw createCheckError(400, 'Monitors can\'t store fetch options ("request"); monitor public pages', 'INVALID_MONITOR_OPTIONS');
+        }
+        const unsupported = Object.keys(options).filter(field => !MONITOR_OPTION_FIELDS.includes(field));
+        if (unsupported.length > 0) {
+            throw createCheckError(400, `Unsupported monitor options: ${unsupported.join(', ')}`, 'INVALID_MONITOR_OPTIONS', { supported: MONITOR_OPTION_FIELDS });
+        }
+        const engine = checkOptions.resolveEngine(options);
+        resolveRuleConfig(options, engine.name, engine.styles);
+        checkOptions.resolveDetail(options);
+        checkOptions.resolveScope(options);
+        resolveLocale({ locale: options.locale });
+
+        const alert = resolveAlert(input.alert);
+        if (alert.webhookUrl) {
+            alert.webhookUrl = await resolveWebhookUrl(alert.webhookUrl, 'webhook');
+        }
+
+        return {
+            name: name === null ? null : name.trim(),
+            url,
+            schedule: resolveSchedule(input.schedule, CONFIG.MONITOR_MIN_INTERVAL_MS),
+            options,
+            alert
+        };
+    };
+
+    // Logs an alert and, with a webhook URL, posts it there; the outcome is kept as lastAlert
+    const raiseMonitorAlert = async (monitor, payload) => {
+        logger.warn('Monitor alert', {
+            monitorId: monitor.id,
+            url: redactUrl(monitor.url),
+            reasons: payload.reasons,
+            newIssueCount: payload.newIssues.length
+        });
+
+        const { webhookUrl, webhookSecret } = monitor.alert;
+        const lastAlert = {
+            raisedAt: payload.checkedAt,
+            reasons: payload.reasons,
+            webhook: webhookUrl ? { url: webhookUrl, status: 'delivering', attempts: [] } : null
+        };
+        await monitorStore.update(monitor.id, () => ({ lastAlert }));
+        if (!webhookUrl) return;
+
+        const { delivered, attempts } = await deliverWebhook({
+            url: webhookUrl,
+            secret: webhookSecret,
+            event: 'monitor.alert',
+            payload,
+            maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+            baseDelayMs: CONFIG.WEBHOOK_BASE_DELAY_MS,
+            timeoutMs: CONFIG.WEBHOOK_TIMEOUT,
+            httpClient
+        });
+
+        // A newer alert may have replaced this one in the meantime
+        await monitorStore.update(monitor.id, current => (current.lastAlert?.raisedAt === lastAlert.raisedAt
+            ? { lastAlert: { ...lastAlert, webhook: { ...lastAlert.webhook, status: delivered ? 'delivered' : 'failed', attempts } } }
+            : {}));
+        logger[delivered ? 'info' : 'warn'](delivered ? 'Monitor alert delivered' : 'Monitor alert delivery failed', { monitorId: monitor.id, attempts: attempts.length });
+    };
+
+    /**
+     * One scheduled run of a monitor: checks its URL like POST /check-accessibility-static,
+     * saves the result to the scan history and compares it with the last successful run.
+     * Resolves with the fields the scheduler stores on the monitor: lastRun, plus
+     * lastResult (summary and issues, the next run's reference) when the check succeeded.
+     * Runs are skipped while memory is short, like requests are refused.
+     */
+    const runMonitor = (monitor, { signal }) => runWithLogContext({ monitorId: monitor.id }, async () => {
+        const startedAt = new Date();
+        const finishRun = (status, fields) => ({
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            status,
+            ...fields
+        });
+
+        if (!hasMemoryHeadroom()) {
+            metrics.countRejection('MEMORY_EXHAUSTED');
+            logger.warn('Skipped monitor run due to high memory usage', { url: redactUrl(monitor.url) });
+            return { lastRun: finishRun('skipped', { error: { code: 'MEMORY_EXHAUSTED', message: 'Service temporarily unavailable due to high memory usage' } }) };
+        }
+
+        logger.info('Starting monitor run', { url: redactUrl(monitor.url) });
+        let data;
+        let release = null;
+        try {
+            // The scheduler already runs one monitor at a time, so the wait for a slot is unbounded
+            release = await admission.acquire({ signal, bounded: false });
+            data = await checkUrl(monitor.url, { ...monitor.options, signal });
+        } catch (error) {
+            metrics.countRejection(error.code, error.reason);
+            const status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+            logger[status === 'failed' ? 'warn' : 'info'](`Monitor run ${status}`, { url: redactUrl(monitor.url), code: error.code, error: error.message });
+            return { lastRun: finishRun(status, { error: { code: error.code || 'SERVER_ERROR', message: error.message, details: error.details ?? null } }) };
+        } finally {
+            if (release) release();
+        }
+
+        const issues = extractIssues(data);
+        const { reasons, diff, newIssues } = evaluateAlert(monitor.alert, monitor.lastResult?.issues || null, issues);
+
+        let historyId = null;
+        if (scanHistory) {
+            try {
+                historyId = (await scanHistory.save({ data, owner: monitor.owner })).id;
+            } catch (error) {
+                logger.error('Failed to save scan history', { error });
+            }
+        }
+
+        const summary = {
+            totalViolations: data.summary.totalViolations,
+            totalIncomplete: data.summary.totalIncomplete,
+            byImpact: data.summary.byImpact,
+            score: data.summary.score
+        };
+        const lastRun = finishRun('completed', {
+            summary,
+            diff: diff ? diff.summary : null,
+            alertReasons: reasons,
+            historyId
+        });
+        logger.info('Monitor run completed', { url: redactUrl(monitor.url), violations: summary.totalViolations, newIssues: diff ? diff.summary.newCount : null });
+
+        if (reasons.length > 0) {
+            raiseMonitorAlert(monitor, {
+                monitorId: monitor.id,
+                name: monitor.name,
+                url: monitor.url,
+                reasons,
+                checkedAt: lastRun.finishedAt,
+                summary,
+                diff: lastRun.diff,
+                newIssues,
+                historyId
+            }).catch(error => logger.error('Failed to raise monitor alert', { monitorId: monitor.id, error }));
+        }
+
+        // Every violating element, whatever the detail options left out of the result; the next
+        // run only needs what diffIssues matches on, so help texts and targets aren't stored
+        const storedIssues = issues.map(({ url, ruleId, impact, fingerprint }) => ({ url, ruleId, impact, fingerprint }));
+        return { lastRun, lastResult: { timestamp: data.timestamp, summary, issues: storedIssues } };
+    });
+
+    // Runs due monitors between startMonitors() and close(); null when monitors are disabled
+    const monitorScheduler = monitorStore
+        ? createMonitorScheduler({ store: monitorStore, runMonitor, minIntervalMs: CONFIG.MONITOR_MIN_INTERVAL_MS, logger })
+        : null;
+
+    // Monitor as returned by the API: the webhook secret and the stored issues stay out
+    const describeMonitor = (monitor) => ({
+        monitorId: monitor.id,
+        name: monitor.name,
+        url: monitor.url,
+        schedule: monitor.schedule,
+        options: monitor.options,
+        alert: {
+            newViolations: monitor.alert.newViolations,
+            failOn: monitor.alert.failOn,
+            webhookUrl: monitor.alert.webhookUrl,
+            hasWebhookSecret: Boolean(monitor.alert.webhookSecret)
+        },
+        paused: monitor.paused,
+        running: monitorScheduler.isRunning(monitor.id),
+        createdAt: monitor.createdAt,
+        updatedAt: monitor.updatedAt,
+        nextRunAt: monitor.nextRunAt,
+        lastRun: monitor.lastRun,
+        lastResult: monitor.lastResult
+            ? { timestamp: monitor.lastResult.timestamp, summary: monitor.lastResult.summary, issueCount: monitor.lastResult.issues.length }
+            : null,
+        lastAlert: monitor.lastAlert
+    });
+
+    const ensureMonitorsEnabled = (req, res, next) => {
+        if (!monitorStore) {
+            return sendErrorResponse(res, 404, 'Monitors are disabled on this server', 'MONITORS_DISABLED');
+        }
+        next();
+    };
+
+    const findMonitor = async (req, res, next) => {
+        const monitor = await monitorStore.get(req.params.id);
+
+        // Monitors are only visible to the API key that created them
+        if (!monitor || monitor.owner !== (req.apiKey?.name || null)) {
+            return sendErrorResponse(res, 404, 'Monitor not found', 'MONITOR_NOT_FOUND');
+        }
+        req.monitor = monitor;
+        next();
+    };
+
+    const validateMonitor = validateWith('monitorInput', req => resolveMonitorInput(req.body, req.monitor));
+
+    // Monitors of the calling API key, oldest first
+    app.get('/monitors', ensureMonitorsEnabled, async (req, res) => {
+        const owner = req.apiKey?.name || null;
+        const monitors = (await monitorStore.list())
+            .filter(monitor => monitor.owner === owner)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        res.status(200).json({ success: true, data: { monitors: monitors.map(describeMonitor) } });
+    });
+
+    app.post('/monitors', ensureMonitorsEnabled, validateMonitor, async (req, res) => {
+        if ((await monitorStore.list()).length >= CONFIG.MONITOR_MAX_COUNT) {
+            return sendErrorResponse(res, 409, 'Monitor limit reached', 'MONITOR_LIMIT_REACHED', { maxMonitors: CONFIG.MONITOR_MAX_COUNT });
+        }
+
+        const now = new Date().toISOString();
+        const monitor = {
+            id: createMonitorId(),
+            owner: req.apiKey?.name || null,
+            ...req.monitorInput,
+            paused: false,
+            createdAt: now,
+            updatedAt: now,
+            lastRun: null,
+            lastResult: null,
+            lastAlert: null
+        };
+        monitor.nextRunAt = monitorScheduler.computeNextRun(monitor);
+        await monitorStore.save(monitor);
+        monitorScheduler.reschedule();
+
+        logger.info('Created monitor', { monitorId: monitor.id, url: redactUrl(monitor.url), schedule: monitor.schedule });
+        res.status(201).json({ success: true, data: describeMonitor(monitor) });
+    });
+
+    app.get('/monitors/:id', ensureMonitorsEnabled, findMonitor, (req, res) => {
+        res.status(200).json({ success: true, data: describeMonitor(req.monitor) });
+    });
+
+    // Changes name, url, schedule, options or alert; the next run is recomputed
+    app.patch('/monitors/:id', ensureMonitorsEnabled, findMonitor, validateMonitor, async (req, res) => {
+        const monitor = await monitorStore.update(req.monitor.id, current => ({
+            ...req.monitorInput,
+            updatedAt: new Date().toISOString(),
+            nextRunAt: monitorScheduler.computeNextRun({ ...current, ...req.monitorInput })
+        }));
+        if (!monitor) {
+            return sendErrorResponse(res, 404, 'Monitor not found', 'MONITOR_NOT_FOUND');
+        }
+        monitorScheduler.reschedule();
+
+        logger.info('Updated monitor', { monitorId: monitor.id });
+        res.status(200).json({ success: true, data: describeMonitor(monitor) });
+    });
+
+    // Pausing cancels a run in progress; resuming schedules the next run from the last one
+    const setMonitorPaused = (paused) => async (req, res) => {
+        const monitor = await monitorStore.update(req.monitor.id, current => ({
+            paused,
+            updatedAt: new Date().toISOString(),
+            nextRunAt: monitorScheduler.computeNextRun({ ...current, paused })
+        }));
+        if (!monitor) {
+            return sendErrorResponse(res, 404, 'Monitor not found', 'MONITOR_NOT_FOUND');
+        }
+        if (paused) monitorScheduler.cancel(monitor.id);
+        monitorScheduler.reschedule();
+
+        logger.info(paused ? 'Paused monitor' : 'Resumed monitor', { monitorId: monitor.id });
+        res.status(200).json({ success: true, data: describeMonitor(monitor) });
+    };
+
+    app.post('/monitors/:id/pause', ensureMonitorsEnabled, findMonitor, setMonitorPaused(true));
+
+    app.post('/monitors/:id/resume', ensureMonitorsEnabled, findMonitor, setMonitorPaused(false));
+
+    app.delete('/monitors/:id', ensureMonitorsEnabled, findMonitor, async (req, res) => {
+        await monitorStore.delete(req.monitor.id);
+        monitorScheduler.cancel(req.monitor.id);
+        monitorScheduler.reschedule();
+
+        logger.info('Deleted monitor', { monitorId: req.monitor.id });
+        res.status(200).json({ success: true, data: describeMonitor(req.monitor) });
+    });
+
+    // Why the service can't take more checks right now: "shutting-down" while it
+    // drains, "saturated" while every analysis slot and queue place is taken
+    const readinessProblems = () => [
+        ...(admission.isClosed() ? ['shutting-down'] : []),
+        ...(admission.stats().saturated ? ['saturated'] : [])
+    ];
+
+    // Liveness probe: the process is up and its event loop answers
+    app.get('/health/live', (req, res) => {
+        res.status(200).json({ success: true, status: 'alive', timestamp: new Date().toISOString() });
+    });
+
+    // Readiness probe: 503 while the service can't take more checks, so load balancers
+    // send traffic elsewhere without restarting it
+    app.get('/health/ready', (req, res) => {
+        const reasons = readinessProblems();
+
+        res.status(reasons.length === 0 ? 200 : 503).json({
+            success: reasons.length === 0,
+            status: reasons.length === 0 ? 'ready' : 'not-ready',
+            reasons,
+            timestamp: new Date().toISOString(),
+            admission: admission.stats()
+        });
+    });
+
+    // Health check endpoint with enhanced memory info. It answers 200 as long as the
+    // process runs; `status` says whether it is ready for more checks.
+    app.get('/health', (req, res) => {
+        const memUsage = process.memoryUsage();
+        const uptime = process.uptime();
+        const reasons = readinessProblems();
+
+        res.status(200).json({
+            success: true,
+            status: reasons.length === 0 ? 'healthy' : 'not-ready',
+            reasons,
+            timestamp: new Date().toISOString(),
+            service: 'accessibility-microservice',
+            version: process.env.npm_package_version || '1.0.0',
+            uptime: `${Math.floor(uptime / 60)}m ${Math.floor(uptime % 60)}s`,
+            memory: {
+                heapUsedMB: (memUsage.heapUsed / 1024 / 1024).toFixed(2),
+                heapTotalMB: (memUsage.heapTotal / 1024 / 1024).toFixed(2),
+                peakUsageMB: peakMemoryUsage.toFixed(2)
+            },
+            config: {
+                maxHtmlSizeMB: CONFIG.MAX_HTML_SIZE / 1024 / 1024,
+                maxDomElements: CONFIG.MAX_DOM_ELEMENTS,
+                analysisTimeoutSec: CONFIG.ANALYSIS_TIMEOUT / 1000
+            },
+            admission: admission.stats(),
+            analysisWorkers: {
+                ...analysisPool.stats(),
+                maxHeapMB: CONFIG.ANALYSIS_WORKER_MAX_HEAP_MB
+            },
+            browserEngine: browserEngine.stats()
+        });
+    });
+
+    // Admin endpoints need an API key named in ADMIN_KEYS; without configured keys they are closed
+    const requireAdmin = (req, res, next) => {
+        if (!req.apiKey || !CONFIG.ADMIN_KEYS.includes(req.apiKey.name)) {
+            return sendErrorResponse(res, 403, 'This endpoint needs an admin API key', 'FORBIDDEN', 'List the key\'s name in ADMIN_KEYS');
+        }
+        next();
+    };
+
+    // Effective configuration with the source (env, file, default) of every setting
+    app.get('/admin/config', requireAdmin, (req, res) => {
+        res.status(200).json({ success: true, data: describeConfig(loadedConfig) });
+    });
+
+    // Prometheus metrics in the text exposition format
+    app.get('/metrics', async (req, res) => {
+        res.setHeader('Content-Type', metrics.contentType);
+        res.status(200).send(await metrics.render());
+    });
+
+    // Enhanced connectivity test
+    app.post('/test-connectivity', validateUrl, validateFetchOptions, async (req, res) => {
+        const url = req.validatedUrl;
+        const { fetchOptions } = req;
+
+        try {
+            logger.info('Testing connectivity', { url: redactUrl(url) });
+
+            networkPolicy.checkUrl(url);
+
+            const credentialHeaders = buildCredentialHeaders(fetchOptions, url);
+            const response = await httpClient.head(url, {
+                timeout: CONFIG.CONNECTIVITY_TIMEOUT,
+                validateStatus: () => true,
+                maxRedirects: fetchOptions ? fetchOptions.maxRedirects : CONFIG.CONNECTIVITY_MAX_REDIRECTS,
+                beforeRedirect: credentialRedirectGuard(fetchOptions, credentialHeaders),
+                headers: {
+                    'User-Agent': fetchOptions?.userAgent || CONFIG.USER_AGENT,
+                    ...credentialHeaders
+                }
+            });
+
+            res.status(200).json({
+                success: true,
+                url: url,
+                status: response.status,
+                statusText: response.statusText,
+                contentLength: response.headers['content-length'],
+                contentType: response.headers['content-type'],
+                server: response.headers['server'],
+                message: translateFor(req, 'Successfully connected to the URL')
+            });
+
+        } catch (error) {
+            logger.warn('Connectivity test failed', { url: redactUrl(url), error });
+
+            const policyError = isPolicyError(error);
+            if (policyError) {
+                return sendErrorResponse(res, 403, 'URL is not allowed by the network policy', 'URL_NOT_ALLOWED', policyError.message, url);
+            }
+
+            res.status(500).json({
+                success: false,
+                url: url,
+                error: error.code || 'UNKNOWN_ERROR',
+                message: error.message,
+                details: translateFor(req, 'Failed to connect to the URL')
+            });
+        }
+    });
+
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({
+            success: false,
+            message: translateFor(req, 'Endpoint not found'),
+            error: 'NOT_FOUND'
+        });
+    });
+
+    // Global error handler
+    app.use(handleError);
+
+    // Starts running monitors when they are due; only the HTTP service does this, so
+    // instances created for the CLI or the programmatic API never run monitors
+    const startMonitors = async () => {
+        if (monitorScheduler) await monitorScheduler.start();
+    };
+
+    /**
+     * First step of a graceful shutdown: stops admitting checks (they get 503
+     * SHUTTING_DOWN, /health/ready reports not ready) and stops the monitors, cancelling
+     * a running monitor check, which runs again after the restart. Async jobs queued
+     * before the shutdown still run. Resolves once the running and waiting checks and
+     * scans and every queued job (including its callback delivery) have finished.
+     */
+    const drain = async () => {
+        const drained = Promise.all([admission.drain(), jobQueue.close()]);
+        if (monitorScheduler) await monitorScheduler.stop();
+        logger.info('Draining analyses', {
+            active: admission.stats().active,
+            queued: admission.stats().queued,
+            queuedJobs: jobQueue.stats().queued
+        });
+        await drained;
+    };
+
+    // Stops the monitors, memory monitor, analysis workers, browser and outbound connections.
+    // An HTTP server listening with `app` belongs to the caller and is closed separately.
+    // Running checks are cut short; call drain() first to let them finish.
+    const close = async () => {
+        if (monitorScheduler) await monitorScheduler.stop();
+        clearInterval(memoryMonitor);
+        httpAgent.destroy();
+        httpsAgent.destroy();
+        await Promise.allSettled([analysisPool.destroy(), browserEngine.close()]);
+    };
+
+    return {
+        app,
+        config: CONFIG,
+        logger,
+        authEnabled: API_KEYS.length > 0,
+        checkUrl,
+        checkHtml,
+        startMonitors,
+        drain,
+        close
+    };
+};
+
+module.exports = {
+    createService
+};
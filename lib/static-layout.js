@@ -0,0 +1,234 @@
+// Synthetic layout for JSDOM, which computes styles but never lays anything out: every
+// rect it reports is empty, so axe skips all text as invisible. Installed when a check
+// keeps the page's styles, it stacks the rendered elements as full-width blocks in
+// document order, one line per element with its own text, so each text line sits on
+// top of exactly its ancestors. That is enough for axe's color-contrast rule to walk
+// the backgrounds behind the text. Positioned content is laid out in flow like the
+// rest; backgrounds axe can't resolve (images, gradients) it reports as incomplete.
+
+const LINE_HEIGHT_PX = 20;
+
+// System colors as a light-themed browser renders them. JSDOM's default stylesheet and
+// initial values use them (text is "canvastext"), and axe can't parse them.
+const SYSTEM_COLORS = {
+    canvas: 'rgb(255, 255, 255)',
+    canvastext: 'rgb(0, 0, 0)',
+    field: 'rgb(255, 255, 255)',
+    fieldtext: 'rgb(0, 0, 0)',
+    buttonface: 'rgb(240, 240, 240)',
+    buttontext: 'rgb(0, 0, 0)',
+    buttonborder: 'rgb(118, 118, 118)',
+    linktext: 'rgb(0, 0, 238)',
+    visitedtext: 'rgb(85, 26, 139)',
+    activetext: 'rgb(238, 0, 0)',
+    graytext: 'rgb(109, 109, 109)',
+    highlight: 'rgb(0, 120, 215)',
+    highlighttext: 'rgb(255, 255, 255)',
+    mark: 'rgb(255, 255, 0)',
+    marktext: 'rgb(0, 0, 0)'
+};
+const BLACK = 'rgb(0, 0, 0)';
+const TRANSPARENT = 'rgba(0, 0, 0, 0)';
+
+// Elements that take up a line even without text content
+const REPLACED_ELEMENTS = new Set(['img', 'input', 'select', 'textarea', 'button', 'video', 'audio', 'canvas', 'svg', 'iframe', 'object', 'embed', 'meter', 'progress']);
+
+const DEFAULT_FONT_SIZE_PX = 16;
+const FONT_SIZE_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48 };
+const FONT_SIZE_UNITS = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+// JSDOM returns font-size and font-weight as declared on the element itself, neither
+// inherited nor resolved, while axe reads them as pixels and numeric weights to tell
+// large text from normal text. Values it can't resolve (calc(), viewport units) inherit.
+const resolveFontSize = (value, parentPx, rootPx) => {
+    if (Object.hasOwn(FONT_SIZE_KEYWORDS, value)) return FONT_SIZE_KEYWORDS[value];
+    if (value === 'larger') return parentPx * 1.2;
+    if (value === 'smaller') return parentPx / 1.2;
+
+    const match = /^(\d*\.?\d+)(px|pt|pc|in|cm|mm|em|rem|%)$/.exec(value);
+    if (!match) return parentPx;
+    const number = Number(match[1]);
+    if (match[2] === 'em') return number * parentPx;
+    if (match[2] === 'rem') return number * rootPx;
+    if (match[2] === '%') return (number * parentPx) / 100;
+    return number * FONT_SIZE_UNITS[match[2]];
+};
+
+const resolveFontWeight = (value, parentWeight) => {
+    if (value === 'normal') return 400;
+    if (value === 'bold') return 700;
+    if (value === 'bolder') return parentWeight < 400 ? 400 : (parentWeight < 600 ? 700 : 900);
+    if (value === 'lighter') return parentWeight < 600 ? 100 : (parentWeight < 800 ? 400 : 700);
+    const weight = Number(value);
+    return value !== '' && Number.isFinite(weight) ? weight : parentWeight;
+};
+
+// Initial values of the properties axe reads that JSDOM leaves empty when undeclared;
+// an empty background-image, for one, reads as an image behind the text
+const INITIAL_VALUES = {
+    'background-image': 'none',
+    'text-shadow': 'none',
+    opacity: '1',
+    filter: 'none',
+    'mix-blend-mode': 'normal',
+    transform: 'none',
+    position: 'static',
+    'z-index': 'auto',
+    float: 'none',
+    overflow: 'visible',
+    'clip-path': 'none'
+};
+
+const hasOwnText = (element) => [...element.childNodes].some(node => node.nodeType === 3 && node.nodeValue.trim() !== '');
+
+// Computes the block rects: elements map to their block, elements with own text also
+// to their text line, and every rendered element to its resolved font. Elements that
+// aren't rendered (display: none) get no entry. Blocks are added children first, so
+// the blocks around a point come innermost first.
+const computeLayout = (window) => {
+    const { document, DOMRect } = window;
+    const width = window.innerWidth;
+    const blocks = new Map();
+    const lines = new Map();
+    const fonts = new Map();
+    const rootStyle = window.getComputedStyle(document.documentElement);
+    const rootPx = resolveFontSize(rootStyle.getPropertyValue('font-size'), DEFAULT_FONT_SIZE_PX, DEFAULT_FONT_SIZE_PX);
+
+    const place = (element, top, parentFont) => {
+        const style = window.getComputedStyle(element);
+        if (style.display === 'none') return top;
+
+        const font = {
+            size: resolveFontSize(style.getPropertyValue('font-size'), parentFont.size, rootPx),
+            weight: resolveFontWeight(style.getPropertyValue('font-weight'), parentFont.weight)
+        };
+        fonts.set(element, font);
+
+        let bottom = top;
+        if (hasOwnText(element) || REPLACED_ELEMENTS.has(element.localName)) {
+            lines.set(element, new DOMRect(0, top, width, LINE_HEIGHT_PX));
+            bottom += LINE_HEIGHT_PX;
+        }
+        for (const child of element.children) {
+            bottom = place(child, bottom, font);
+        }
+        blocks.set(element, new DOMRect(0, top, width, bottom - top));
+        return bottom;
+    };
+
+    place(document.documentElement, 0, { size: rootPx, weight: 400 });
+    return { blocks, lines, fonts };
+};
+
+// Minimal 2D canvas context: axe measures text on a canvas to spot icon-font ligatures,
+// and JSDOM has no canvas without the native package. Every glyph renders the same
+// here, so no text is mistaken for an icon.
+const createCanvasContext = (canvas) => ({
+    canvas,
+    font: '',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    measureText: (text) => ({ width: text.length * 10 }),
+    fillText: () => {},
+    clearRect: () => {},
+    getImageData: (x, y, width, height) => ({
+        data: new Uint8ClampedArray(Math.max(1, Math.ceil(width) * Math.ceil(height)) * 4).fill(255)
+    })
+});
+
+/**
+ * Lays out the document in `window` (once its styles are final) and patches the
+ * geometry APIs axe reads: element and range rects, hit testing, fonts and canvas
+ * contexts.
+ */
+const installStaticLayout = (window) => {
+    const { DOMRect, document } = window;
+    const { blocks, lines, fonts } = computeLayout(window);
+    const emptyRect = () => new DOMRect(0, 0, 0, 0);
+
+    // Not in JSDOM at all; axe builds points from rect centers
+    if (!window.DOMPoint) {
+        window.DOMPoint = class DOMPoint {
+            constructor(x = 0, y = 0, z = 0, w = 1) {
+                Object.assign(this, { x, y, z, w });
+            }
+        };
+    }
+
+    window.Element.prototype.getBoundingClientRect = function getBoundingClientRect() {
+        return blocks.get(this) || emptyRect();
+    };
+    window.Element.prototype.getClientRects = function getClientRects() {
+        return blocks.has(this) ? [blocks.get(this)] : [];
+    };
+
+    const contains = (rect, x, y) => x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+    document.elementsFromPoint = (x, y) => [...blocks].filter(([, rect]) => contains(rect, x, y)).map(([element]) => element);
+    document.elementFromPoint = (x, y) => document.elementsFromPoint(x, y)[0] || null;
+
+    // Text ranges cover their parent element's text line
+    const rangeRects = (range) => {
+        const container = range.startContainer;
+        const element = container.nodeType === 3 ? container.parentElement : container;
+        return element && lines.has(element) ? [lines.get(element)] : [];
+    };
+    window.Range.prototype.getClientRects = function getClientRects() {
+        return rangeRects(this);
+    };
+    window.Range.prototype.getBoundingClientRect = function getBoundingClientRect() {
+        return rangeRects(this)[0] || emptyRect();
+    };
+
+    window.HTMLCanvasElement.prototype.getContext = function getContext(type) {
+        return type === '2d' ? createCanvasContext(this) : null;
+    };
+
+    // Computed styles carry the resolved fonts, initial values and colors axe can parse.
+    // JSDOM doesn't compute ::before/::after styles; those are treated as absent instead
+    // of failing.
+    const { getComputedStyle } = window;
+    const noPseudoElement = { content: 'none', getPropertyValue: (name) => (name === 'content' ? 'none' : '') };
+    const parentColor = (element, property, fallback) => (element.parentElement
+        ? window.getComputedStyle(element.parentElement).getPropertyValue(property)
+        : fallback);
+    const resolveColors = (element, style) => {
+        const color = style.getPropertyValue('color').toLowerCase();
+        if (Object.hasOwn(SYSTEM_COLORS, color)) {
+            style.setProperty('color', SYSTEM_COLORS[color]);
+        } else if (color === 'initial' || color === '') {
+            style.setProperty('color', BLACK);
+        } else if (['inherit', 'unset', 'currentcolor'].includes(color)) {
+            style.setProperty('color', parentColor(element, 'color', BLACK));
+        }
+
+        const background = style.getPropertyValue('background-color').toLowerCase();
+        if (Object.hasOwn(SYSTEM_COLORS, background)) {
+            style.setProperty('background-color', SYSTEM_COLORS[background]);
+        } else if (['initial', 'unset', ''].includes(background)) {
+            style.setProperty('background-color', TRANSPARENT);
+        } else if (background === 'inherit') {
+            style.setProperty('background-color', parentColor(element, 'background-color', TRANSPARENT));
+        } else if (background === 'currentcolor') {
+            style.setProperty('background-color', style.getPropertyValue('color'));
+        }
+    };
+
+    window.getComputedStyle = (element, pseudoElement) => {
+        if (pseudoElement) return noPseudoElement;
+        const style = getComputedStyle(element);
+        resolveColors(element, style);
+        Object.entries(INITIAL_VALUES).forEach(([property, value]) => {
+            if (!style.getPropertyValue(property)) style.setProperty(property, value);
+        });
+        const font = fonts.get(element);
+        if (font) {
+            style.setProperty('font-size', `${font.size}px`);
+            style.setProperty('font-weight', String(font.weight));
+        }
+        return style;
+    };
+};
+
+module.exports = {
+    installStaticLayout
+};
@@ -0,0 +1,133 @@
+// Linked stylesheets for checks that keep the page's styles: fetches the same-origin
+// <link rel="stylesheet"> targets of a page within a count and size budget, so their
+// CSS can be applied to the JSDOM document, and reports what was loaded or skipped.
+const { isPolicyError } = require('./network-policy');
+
+const CSS_CONTENT_TYPES = ['text/css'];
+
+// @import rules are never followed; they are reported as skipped
+const IMPORT_PATTERN = /@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1/gi;
+
+const mimeType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+// Missing Content-Type is accepted, like for pages
+const isCssContentType = (contentType) => !contentType || CSS_CONTENT_TYPES.includes(mimeType(contentType));
+
+const resolveHref = (href, baseUrl) => {
+    try {
+        const resolved = new URL(href, baseUrl);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// The redirect check's error ends up wrapped by follow-redirects and axios
+const isCrossOriginRedirect = (error) => {
+    for (let current = error; current; current = current.cause) {
+        if (current.code === 'CROSS_ORIGIN') return true;
+    }
+    return false;
+};
+
+// URLs of a style sheet's @import rules, as written
+const findImports = (css) => [...css.matchAll(IMPORT_PATTERN)].map(match => match[2]);
+
+/**
+ * Creates the loader. `httpClient` is the service's axios instance (network policy
+ * agents included), `networkPolicy` checks URLs and redirects; `maxCount` caps the
+ * sheets fetched per page, `maxBytes` the CSS downloaded per page in total, and
+ * `timeoutMs` each download.
+ */
+const createStylesheetLoader = ({ httpClient, networkPolicy, maxCount, maxBytes, timeoutMs }) => {
+    const skipped = (url, reason, details = null) => ({ url, status: 'skipped', reason, ...(details !== null ? { details } : {}) });
+
+    // Downloads one sheet with at most `budget` bytes; resolves with { css } or { skip }
+    const fetchStylesheet = async (url, { budget, headers, signal }) => {
+        const requestSignal = signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs);
+        const origin = new URL(url).origin;
+
+        try {
+            networkPolicy.checkUrl(url);
+            const response = await httpClient.get(url, {
+                signal: requestSignal,
+                timeout: timeoutMs,
+                headers: { Accept: 'text/css,*/*;q=0.1', ...headers },
+                maxContentLength: budget,
+                responseType: 'text',
+                responseEncoding: 'utf8',
+                beforeRedirect: (options) => {
+                    networkPolicy.beforeRedirect(options);
+                    if (`${options.protocol}//${options.host}` !== origin) {
+                        throw Object.assign(new Error('Redirected to another origin'), { code: 'CROSS_ORIGIN' });
+                    }
+                }
+            });
+
+            if (!isCssContentType(response.headers['content-type'])) {
+                return { skip: skipped(url, 'NOT_CSS', response.headers['content-type']) };
+            }
+            return { css: String(response.data) };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+
+            if (isPolicyError(error)) return { skip: skipped(url, 'URL_NOT_ALLOWED') };
+            if (isCrossOriginRedirect(error)) return { skip: skipped(url, 'CROSS_ORIGIN') };
+            if (error.response) return { skip: skipped(url, 'HTTP_ERROR', error.response.status) };
+            if (/maxContentLength/.test(error.message)) return { skip: skipped(url, 'SIZE_LIMIT') };
+            if (requestSignal.aborted || error.code === 'ECONNABORTED') return { skip: skipped(url, 'TIMEOUT') };
+            return { skip: skipped(url, 'NETWORK_ERROR', error.code || error.message) };
+        }
+    };
+
+    /**
+     * Loads the sheets linked from a page, one at a time in document order. `styles` is
+     * what the sanitizer found (see createHtmlSanitizer in lib/html-stream.js): the
+     * links' hrefs, the <base href> and the @import URLs of <style> elements. `pageUrl`
+     * resolves them and decides what is same-origin (nothing is without one);
+     * `headersFor(url)` returns extra request headers (the caller's credentials).
+     * Resolves with { stylesheets: [{ url, css }], report: [{ url, status, bytes | reason }] }.
+     */
+    const loadStylesheets = async ({ links, baseHref, imports }, { pageUrl, headersFor = () => ({}), signal = null }) => {
+        const baseUrl = pageUrl && baseHref ? resolveHref(baseHref, pageUrl) || pageUrl : pageUrl;
+        const stylesheets = [];
+        const report = imports.map(href => skipped((baseUrl && resolveHref(href, baseUrl)) || href, 'IMPORT_NOT_FOLLOWED'));
+        let remainingBytes = maxBytes;
+
+        for (const href of links) {
+            const url = baseUrl ? resolveHref(href, baseUrl) : null;
+
+            if (!pageUrl) {
+                report.push(skipped(href, 'NO_BASE_URL'));
+            } else if (!url) {
+                report.push(skipped(href, 'INVALID_URL'));
+            } else if (new URL(url).origin !== new URL(pageUrl).origin) {
+                report.push(skipped(url, 'CROSS_ORIGIN'));
+            } else if (stylesheets.length >= maxCount) {
+                report.push(skipped(url, 'COUNT_LIMIT'));
+            } else if (remainingBytes <= 0) {
+                report.push(skipped(url, 'SIZE_LIMIT'));
+            } else {
+                const { css, skip } = await fetchStylesheet(url, { budget: remainingBytes, headers: headersFor(url), signal });
+                if (skip) {
+                    report.push(skip);
+                } else {
+                    const bytes = Buffer.byteLength(css);
+                    remainingBytes -= bytes;
+                    stylesheets.push({ url, css });
+                    report.push({ url, status: 'loaded', bytes });
+                    findImports(css).forEach(importHref => report.push(skipped(resolveHref(importHref, url) || importHref, 'IMPORT_NOT_FOLLOWED')));
+                }
+            }
+        }
+
+        return { stylesheets, report };
+    };
+
+    return { loadStylesheets };
+};
+
+module.exports = {
+    createStylesheetLoader,
+    findImports
+};
@@ -0,0 +1,201 @@
+// WCAG reporting on top of axe results: maps rule tags (wcag143, wcag1412, ...) to
+// WCAG 2.x success criteria, groups the results by criterion and by impact, and
+// scores a check from the impacts and element counts of its violations. Everything
+// is computed from the full axe results, so the detail caps never change it.
+const { IMPACT_LEVELS } = require('./baseline');
+
+// Every WCAG 2.0-2.2 success criterion: number -> [name, level]. 4.1.1 is obsolete
+// in WCAG 2.2 but still tagged by axe (duplicate-id rules).
+const WCAG_CRITERIA = {
+    '1.1.1': ['Non-text Content', 'A'],
+    '1.2.1': ['Audio-only and Video-only (Prerecorded)', 'A'],
+    '1.2.2': ['Captions (Prerecorded)', 'A'],
+    '1.2.3': ['Audio Description or Media Alternative (Prerecorded)', 'A'],
+    '1.2.4': ['Captions (Live)', 'AA'],
+    '1.2.5': ['Audio Description (Prerecorded)', 'AA'],
+    '1.2.6': ['Sign Language (Prerecorded)', 'AAA'],
+    '1.2.7': ['Extended Audio Description (Prerecorded)', 'AAA'],
+    '1.2.8': ['Media Alternative (Prerecorded)', 'AAA'],
+    '1.2.9': ['Audio-only (Live)', 'AAA'],
+    '1.3.1': ['Info and Relationships', 'A'],
+    '1.3.2': ['Meaningful Sequence', 'A'],
+    '1.3.3': ['Sensory Characteristics', 'A'],
+    '1.3.4': ['Orientation', 'AA'],
+    '1.3.5': ['Identify Input Purpose', 'AA'],
+    '1.3.6': ['Identify Purpose', 'AAA'],
+    '1.4.1': ['Use of Color', 'A'],
+    '1.4.2': ['Audio Control', 'A'],
+    '1.4.3': ['Contrast (Minimum)', 'AA'],
+    '1.4.4': ['Resize Text', 'AA'],
+    '1.4.5': ['Images of Text', 'AA'],
+    '1.4.6': ['Contrast (Enhanced)', 'AAA'],
+    '1.4.7': ['Low or No Background Audio', 'AAA'],
+    '1.4.8': ['Visual Presentation', 'AAA'],
+    '1.4.9': ['Images of Text (No Exception)', 'AAA'],
+    '1.4.10': ['Reflow', 'AA'],
+    '1.4.11': ['Non-text Contrast', 'AA'],
+    '1.4.12': ['Text Spacing', 'AA'],
+    '1.4.13': ['Content on Hover or Focus', 'AA'],
+    '2.1.1': ['Keyboard', 'A'],
+    '2.1.2': ['No Keyboard Trap', 'A'],
+    '2.1.3': ['Keyboard (No Exception)', 'AAA'],
+    '2.1.4': ['Character Key Shortcuts', 'A'],
+    '2.2.1': ['Timing Adjustable', 'A'],
+    '2.2.2': ['Pause, Stop, Hide', 'A'],
+    '2.2.3': ['No Timing', 'AAA'],
+    '2.2.4': ['Interruptions', 'AAA'],
+    '2.2.5': ['Re-authenticating', 'AAA'],
+    '2.2.6': ['Timeouts', 'AAA'],
+    '2.3.1': ['Three Flashes or Below Threshold', 'A'],
+    '2.3.2': ['Three Flashes', 'AAA'],
+    '2.3.3': ['Animation from Interactions', 'AAA'],
+    '2.4.1': ['Bypass Blocks', 'A'],
+    '2.4.2': ['Page Titled', 'A'],
+    '2.4.3': ['Focus Order', 'A'],
+    '2.4.4': ['Link Purpose (In Context)', 'A'],
+    '2.4.5': ['Multiple Ways', 'AA'],
+    '2.4.6': ['Headings and Labels', 'AA'],
+    '2.4.7': ['Focus Visible', 'AA'],
+    '2.4.8': ['Location', 'AAA'],
+    '2.4.9': ['Link Purpose (Link Only)', 'AAA'],
+    '2.4.10': ['Section Headings', 'AAA'],
+    '2.4.11': ['Focus Not Obscured (Minimum)', 'AA'],
+    '2.4.12': ['Focus Not Obscured (Enhanced)', 'AAA'],
+    '2.4.13': ['Focus Appearance', 'AAA'],
+    '2.5.1': ['Pointer Gestures', 'A'],
+    '2.5.2': ['Pointer Cancellation', 'A'],
+    '2.5.3': ['Label in Name', 'A'],
+    '2.5.4': ['Motion Actuation', 'A'],
+    '2.5.5': ['Target Size (Enhanced)', 'AAA'],
+    '2.5.6': ['Concurrent Input Mechanisms', 'AAA'],
+    '2.5.7': ['Dragging Movements', 'AA'],
+    '2.5.8': ['Target Size (Minimum)', 'AA'],
+    '3.1.1': ['Language of Page', 'A'],
+    '3.1.2': ['Language of Parts', 'AA'],
+    '3.1.3': ['Unusual Words', 'AAA'],
+    '3.1.4': ['Abbreviations', 'AAA'],
+    '3.1.5': ['Reading Level', 'AAA'],
+    '3.1.6': ['Pronunciation', 'AAA'],
+    '3.2.1': ['On Focus', 'A'],
+    '3.2.2': ['On Input', 'A'],
+    '3.2.3': ['Consistent Navigation', 'AA'],
+    '3.2.4': ['Consistent Identification', 'AA'],
+    '3.2.5': ['Change on Request', 'AAA'],
+    '3.2.6': ['Consistent Help', 'A'],
+    '3.3.1': ['Error Identification', 'A'],
+    '3.3.2': ['Labels or Instructions', 'A'],
+    '3.3.3': ['Error Suggestion', 'AA'],
+    '3.3.4': ['Error Prevention (Legal, Financial, Data)', 'AA'],
+    '3.3.5': ['Help', 'AAA'],
+    '3.3.6': ['Error Prevention (All)', 'AAA'],
+    '3.3.7': ['Redundant Entry', 'A'],
+    '3.3.8': ['Accessible Authentication (Minimum)', 'AA'],
+    '3.3.9': ['Accessible Authentication (Enhanced)', 'AAA'],
+    '4.1.1': ['Parsing', 'A'],
+    '4.1.2': ['Name, Role, Value', 'A'],
+    '4.1.3': ['Status Messages', 'AA']
+};
+
+// Success criterion tags: principle and guideline are one digit each, the rest is
+// the criterion (wcag1412 is 1.4.12). Level tags (wcag2aa, wcag21a) don't match.
+const CRITERION_TAG = /^wcag(\d)(\d)(\d+)$/;
+
+// Score points one violated rule costs at each impact, before the element factor
+const IMPACT_WEIGHTS = { critical: 10, serious: 5, moderate: 2, minor: 1 };
+
+// Lowest score for each grade, best first
+const GRADES = [['A', 90], ['B', 80], ['C', 70], ['D', 60], ['F', 0]];
+
+const SCORE_VERSION = 1;
+
+const compareCriteria = (a, b) => {
+    const [x, y] = [a.split('.').map(Number), b.split('.').map(Number)];
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+};
+
+// The criteria a rule's tags map to, in WCAG order: [{ id, name, level }]
+const criteriaForTags = (tags = []) => [...new Set(tags.map(tag => CRITERION_TAG.exec(tag))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`))]
+    .sort(compareCriteria)
+    .map(id => ({ id, name: WCAG_CRITERIA[id]?.[0] ?? null, level: WCAG_CRITERIA[id]?.[1] ?? null }));
+
+// Violated rules and affected elements per impact level
+const countByImpact = (violations) => Object.fromEntries(IMPACT_LEVELS.map(impact => {
+    const matching = violations.filter(rule => rule.impact === impact);
+    return [impact, {
+        violations: matching.length,
+        nodes: matching.reduce((total, rule) => total + (rule.nodes || []).length, 0)
+    }];
+}));
+
+/**
+ * Groups axe results by the success criteria their rules are tagged with, in WCAG
+ * order. A criterion fails with any violation, is "incomplete" with results that
+ * need review and none that fail, and passes otherwise. Rules without a criterion
+ * (best practices) are left out; criteria no rule tested are not listed.
+ */
+const groupByCriterion = ({ violations, incomplete, passes }) => {
+    const criteria = new Map();
+    const add = (rule, outcome) => criteriaForTags(rule.tags).forEach((criterion) => {
+        if (!criteria.has(criterion.id)) {
+            criteria.set(criterion.id, { ...criterion, status: null, impact: null, nodeCount: 0, violations: [], incomplete: [], passes: [] });
+        }
+        const entry = criteria.get(criterion.id);
+        entry[outcome].push(rule.id);
+        if (outcome === 'violations') {
+            entry.nodeCount += (rule.nodes || []).length;
+            if (IMPACT_LEVELS.indexOf(rule.impact) > IMPACT_LEVELS.indexOf(entry.impact)) entry.impact = rule.impact;
+        }
+    });
+
+    violations.forEach(rule => add(rule, 'violations'));
+    incomplete.forEach(rule => add(rule, 'incomplete'));
+    passes.forEach(rule => add(rule, 'passes'));
+
+    return [...criteria.values()]
+        .sort((a, b) => compareCriteria(a.id, b.id))
+        .map((entry) => {
+            if (entry.violations.length > 0) entry.status = 'failed';
+            else if (entry.incomplete.length > 0) entry.status = 'incomplete';
+            else entry.status = 'passed';
+            return entry;
+        });
+};
+
+/**
+ * Scores a check from 0 to 100. Each violated rule costs its impact weight
+ * (critical 10, serious 5, moderate 2, minor 1) times 1 + log10 of the elements
+ * it affects, so 1 element costs the weight, 10 elements twice and 100 three
+ * times the weight. The score is 100 minus all costs, rounded and floored at 0;
+ * grades are A from 90, B from 80, C from 70, D from 60 and F below. Results that
+ * need review don't count.
+ */
+const scoreViolations = (violations) => {
+    const penalty = violations.reduce((total, rule) => {
+        const nodes = Math.max(1, (rule.nodes || []).length);
+        return total + (IMPACT_WEIGHTS[rule.impact] ?? IMPACT_WEIGHTS.minor) * (1 + Math.log10(nodes));
+    }, 0);
+    const value = Math.max(0, Math.round(100 - penalty));
+
+    return {
+        value,
+        grade: GRADES.find(([, minimum]) => value >= minimum)[0],
+        penalty: Number(penalty.toFixed(2)),
+        version: SCORE_VERSION
+    };
+};
+
+// The WCAG part of a check's summary, from untrimmed axe results
+const summarizeWcag = ({ violations = [], incomplete = [], passes = [] }) => ({
+    byImpact: countByImpact(violations),
+    byCriterion: groupByCriterion({ violations, incomplete, passes }),
+    score: scoreViolations(violations)
+});
+
+module.exports = {
+    WCAG_CRITERIA,
+    IMPACT_WEIGHTS,
+    criteriaForTags,
+    summarizeWcag
+};
@@ -0,0 +1,122 @@
+// Webhook delivery for finished checks: POSTs the check response body to the
+// caller's callback URL, signed with HMAC-SHA256 when a secret is configured,
+// retrying failed deliveries with exponential backoff. The signature covers a
+// timestamp, so receivers can refuse old (replayed) deliveries.
+const crypto = require('node:crypto');
+const axios = require('axios');
+
+const SIGNATURE_HEADER = 'X-Accessibility-Signature-256';
+
+// Receivers should refuse signatures older (or newer) than this
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const hmac = (timestamp, body, secret) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Signature over the Unix timestamp (seconds) and the exact request body: "t=<timestamp>,v1=<hex digest>"
+const signPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${hmac(timestamp, body, secret)}`;
+
+/**
+ * Checks a signature header against the raw request body, for receivers written in
+ * Node. False when it doesn't match or its timestamp is more than `toleranceSeconds`
+ * away from `now` (milliseconds).
+ */
+const verifySignature = (header, body, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+    const fields = Object.fromEntries(String(header || '').split(',').map(field => field.trim().split('=')));
+    const timestamp = Number(fields.t);
+    if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(fields.v1 || '')) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+    return crypto.timingSafeEqual(Buffer.from(fields.v1, 'hex'), Buffer.from(hmac(timestamp, body, secret), 'hex'));
+};
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another try; other 4xx are not
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delivers `payload` to `url`, retrying up to `maxAttempts` times with delays of
+ * baseDelayMs, 2x, 4x, ... between attempts. `onAttempt(attempt)` is called after
+ * every attempt so deliveries can be recorded. `httpClient` is the axios instance
+ * to send with (its agents apply the network policy). Never rejects; resolves with
+ * { delivered, attempts }.
+ */
+const deliverWebhook = async ({
+    url,
+    secret = null,
+    event,
+    payload,
+    maxAttempts = 5,
+    baseDelayMs = 1000,
+    timeoutMs = 10000,
+    httpClient = axios,
+    onAttempt = () => {}
+}) => {
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AccessibilityBot/1.0 (webhook)',
+        'X-Accessibility-Event': event,
+        'X-Accessibility-Delivery': deliveryId
+    };
+
+    const attempts = [];
+    for (let attemptNumber = 1; attemptNumber <= maxAttempts; attemptNumber++) {
+        const startTime = Date.now();
+        let status = null;
+        let error = null;
+
+        // Signed again for every attempt, so a retry after a long backoff is still fresh
+        if (secret) {
+            headers[SIGNATURE_HEADER] = signPayload(body, secret, Math.floor(startTime / 1000));
+        }
+
+        try {
+            const response = await httpClient.post(url, body, {
+                headers: { ...headers },
+                timeout: timeoutMs,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                transformRequest: [(data) => data] // send the signed string untouched
+            });
+            status = response.status;
+            if (status < 200 || status >= 300) {
+                error = `Callback responded with ${status}`;
+            }
+        } catch (requestError) {
+            error = requestError.code || requestError.message;
+        }
+
+        const attempt = {
+            attempt: attemptNumber,
+            deliveryId,
+            timestamp: new Date(startTime).toISOString(),
+            durationMs: Date.now() - startTime,
+            status,
+            success: error === null,
+            error
+        };
+        attempts.push(attempt);
+        onAttempt(attempt);
+
+        if (attempt.success) {
+            return { delivered: true, attempts };
+        }
+        if (!isRetryable(status) || attemptNumber === maxAttempts) {
+            break;
+        }
+
+        await wait(baseDelayMs * 2 ** (attemptNumber - 1));
+    }
+
+    return { delivered: false, attempts };
+};
+
+module.exports = {
+    deliverWebhook,
+    signPayload,
+    verifySignature,
+    SIGNATURE_HEADER,
+    DEFAULT_TOLERANCE_SECONDS
+};
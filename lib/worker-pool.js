@@ -0,0 +1,155 @@
+// Fixed-size pool of worker_threads workers. Each task runs on its own worker;
+// a task that is aborted (timeout, cancellation) terminates its worker, which is
+// replaced on demand, so runaway synchronous work never blocks the main thread.
+const { Worker } = require('node:worker_threads');
+const { AsyncResource } = require('node:async_hooks');
+
+/**
+ * Workers receive `{ taskId, ...task }` and answer with messages carrying the same
+ * taskId: `{ type: 'result', result }`, `{ type: 'error', message }`, or any other
+ * type, which is passed to the task's `onMessage`. `onMessage` runs in the async
+ * context of the `run` call, so request-scoped log fields carry over.
+ */
+const createWorkerPool = ({ filename, size = 1, workerData = {}, resourceLimits = {} }) => {
+    const workers = new Set();
+    const idle = [];
+    const pending = []; // tasks waiting for a free worker
+    let nextTaskId = 1;
+    let destroyed = false;
+
+    const spawn = () => {
+        const worker = new Worker(filename, { workerData, resourceLimits });
+        workers.add(worker);
+        worker.current = null;
+
+        worker.on('message', (message) => {
+            const entry = worker.current;
+            if (!entry || message.taskId !== entry.taskId) return;
+
+            if (message.type === 'result') {
+                finish(worker, entry, null, message.result);
+            } else if (message.type === 'error') {
+                finish(worker, entry, Object.assign(new Error(message.message), message.code ? { code: message.code } : {}));
+            } else {
+                entry.onMessage(message);
+            }
+        });
+
+        // A worker that crashes (uncaught error, heap limit) takes down its task, not the process
+        worker.on('error', (error) => {
+            retire(worker);
+            if (worker.current) {
+                finish(worker, worker.current, error);
+            }
+        });
+
+        worker.on('exit', (code) => {
+            retire(worker);
+            if (worker.current) {
+                finish(worker, worker.current, new Error(`Worker exited unexpectedly with code ${code}`));
+            }
+        });
+
+        return worker;
+    };
+
+    // Forgets a worker that has exited or is being terminated; safe to call twice
+    const retire = (worker) => {
+        if (worker.retired) return;
+        worker.retired = true;
+        workers.delete(worker);
+
+        const idleIndex = idle.indexOf(worker);
+        if (idleIndex !== -1) idle.splice(idleIndex, 1);
+    };
+
+    const finish = (worker, entry, error, result) => {
+        worker.current = null;
+        entry.cleanup();
+
+        if (!worker.retired) {
+            // Idle workers don't keep the process alive; scripts can exit between checks
+            worker.unref();
+            idle.push(worker);
+        }
+        dispatch();
+
+        if (error) entry.reject(error);
+        else entry.resolve(result);
+    };
+
+    const dispatch = () => {
+        while (pending.length > 0 && !destroyed) {
+            const worker = idle.pop() || (workers.size < size ? spawn() : null);
+            if (!worker) return;
+
+            const entry = pending.shift();
+            worker.ref();
+            worker.current = entry;
+            entry.worker = worker;
+            worker.postMessage({ taskId: entry.taskId, ...entry.task });
+        }
+    };
+
+    return {
+        // Runs `task` on the next free worker. Aborting `signal` rejects with its reason
+        // and terminates the worker if the task had already started.
+        run(task, { signal = null, onMessage = () => {} } = {}) {
+            if (destroyed) {
+                return Promise.reject(new Error('Worker pool has been shut down'));
+            }
+            if (signal?.aborted) {
+                return Promise.reject(signal.reason);
+            }
+
+            return new Promise((resolve, reject) => {
+                const entry = { taskId: nextTaskId++, task, onMessage: AsyncResource.bind(onMessage), resolve, reject, worker: null };
+
+                const onAbort = () => {
+                    const { worker } = entry;
+                    if (!worker) {
+                        pending.splice(pending.indexOf(entry), 1);
+                        entry.cleanup();
+                        return reject(signal.reason);
+                    }
+
+                    retire(worker);
+                    worker.current = null;
+                    worker.terminate().catch(() => {});
+                    entry.cleanup();
+                    reject(signal.reason);
+                    dispatch();
+                };
+
+                entry.cleanup = () => signal?.removeEventListener('abort', onAbort);
+                signal?.addEventListener('abort', onAbort, { once: true });
+
+                pending.push(entry);
+                dispatch();
+            });
+        },
+
+        stats() {
+            return {
+                size,
+                workers: workers.size,
+                busy: workers.size - idle.length,
+                queued: pending.length
+            };
+        },
+
+        // Rejects waiting tasks and terminates every worker, including busy ones
+        async destroy() {
+            destroyed = true;
+            pending.splice(0).forEach(entry => {
+                entry.cleanup();
+                entry.reject(new Error('Worker pool has been shut down'));
+            });
+            await Promise.all([...workers].map(worker => worker.terminate()));
+        }
+    };
+};
+
+module.exports = {
+    createWorkerPool
+};
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAdmissionController } = require('../lib/admission');
+
+const createController = (options = {}) => createAdmissionController({ maxConcurrent: 1, maxQueueLength: 1, queueTimeoutMs: 1000, ...options });
+
+test('admits up to maxConcurrent at once and hands freed slots on in order', async () => {
+    const admission = createController({ maxConcurrent: 2, maxQueueLength: 2 });
+    const first = await admission.acquire();
+    const second = await admission.acquire();
+
+    const order = [];
+    const third = admission.acquire().then((release) => { order.push('third'); return release; });
+    const fourth = admission.acquire().then((release) => { order.push('fourth'); return release; });
+    assert.deepEqual(admission.stats(), { active: 2, queued: 2, maxConcurrent: 2, maxQueueLength: 2, saturated: true });
+
+    first();
+    first(); // releasing twice gives back one slot
+    await third;
+    assert.deepEqual(order, ['third']);
+    assert.equal(admission.stats().active, 2);
+    assert.equal(admission.stats().queued, 1);
+
+    second();
+    (await fourth)();
+    (await third)();
+    assert.deepEqual(order, ['third', 'fourth']);
+    assert.equal(admission.stats().active, 0);
+});
+
+test('refuses bounded requests once the queue is full', async () => {
+    const admission = createController();
+    const release = await admission.acquire();
+    const queued = admission.acquire();
+
+    await assert.rejects(admission.acquire(), { status: 503, code: 'OVERLOADED', reason: 'QUEUE_FULL' });
+
+    // Unbounded waits (jobs, monitor runs) don't count against the queue length
+    const unbounded = admission.acquire({ bounded: false });
+    assert.equal(admission.stats().queued, 2);
+
+    release();
+    (await queued)();
+    (await unbounded)();
+    assert.equal(admission.stats().active, 0);
+});
+
+test('gives up a bounded wait after queueTimeoutMs', async () => {
+    const admission = createController({ queueTimeoutMs: 20 });
+    const release = await admission.acquire();
+
+    await assert.rejects(admission.acquire(), (error) => {
+        assert.equal(error.code, 'OVERLOADED');
+        assert.equal(error.reason, 'QUEUE_TIMEOUT');
+        assert.deepEqual(error.details, { active: 1, queued: 1, maxConcurrent: 1, maxQueueLength: 1 });
+        return true;
+    });
+    assert.equal(admission.stats().queued, 0);
+    release();
+});
+
+test('leaves the queue with CANCELLED when the signal aborts', async () => {
+    const admission = createController({ maxQueueLength: 5 });
+    const release = await admission.acquire();
+    const controller = new AbortController();
+
+    const waiting = admission.acquire({ signal: controller.signal, bounded: false });
+    controller.abort();
+    await assert.rejects(waiting, { code: 'CANCELLED' });
+    assert.equal(admission.stats().queued, 0);
+
+    await assert.rejects(admission.acquire({ signal: controller.signal }), { code: 'CANCELLED' });
+    release();
+});
+
+test('a zero-length queue refuses as soon as every slot is taken', async () => {
+    const admission = createController({ maxQueueLength: 0 });
+    const release = await admission.acquire();
+
+    assert.equal(admission.stats().saturated, true);
+    await assert.rejects(admission.acquire(), { reason: 'QUEUE_FULL' });
+    release();
+});
+
+test('draining refuses new requests but lets waiting analyses and jobs finish', async () => {
+    const admission = createController();
+    const release = await admission.acquire();
+    const waitingRequest = admission.acquire();
+
+    let drained = false;
+    const drain = admission.drain().then(() => { drained = true; });
+    assert.equal(admission.isClosed(), true);
+
+    await assert.rejects(admission.acquire(), { status: 503, code: 'SHUTTING_DOWN' });
+    const job = admission.acquire({ bounded: false }); // accepted before the shutdown
+
+    release();
+    (await waitingRequest)();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(drained, false);
+
+    (await job)();
+    await drain;
+    assert.equal(drained, true);
+});
+
+test('drain resolves at once when nothing runs', async () => {
+    await createController().drain();
+});
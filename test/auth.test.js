@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const { loadApiKeys, hashKey } = require('../lib/auth');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+test('loads named and bare keys from the list as hashes', () => {
+    assert.deepEqual(loadApiKeys({ keys: 'ci:abc, def' }), [
+        { name: 'ci', keySha256: hashKey('abc'), rateLimit: null, dailyQuota: null },
+        { name: 'key-2', keySha256: hashKey('def'), rateLimit: null, dailyQuota: null }
+    ]);
+    assert.deepEqual(loadApiKeys(), []);
+});
+
+test('loads keys with their own limits from a file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify([
+        { name: 'partner', keySha256: hashKey('partner-key').toUpperCase(), rateLimit: { windowMs: 1000, max: 5 }, dailyQuota: 100 }
+    ]));
+
+    assert.deepEqual(loadApiKeys({ keys: 'ci:abc', file }), [
+        { name: 'ci', keySha256: hashKey('abc'), rateLimit: null, dailyQuota: null },
+        { name: 'partner', keySha256: hashKey('partner-key'), rateLimit: { windowMs: 1000, max: 5 }, dailyQuota: 100 }
+    ]);
+    assert.throws(() => loadApiKeys({ file: path.join(dir, 'missing.json') }), /could not read/);
+});
+
+test('refuses malformed key configurations', () => {
+    assert.throws(() => loadApiKeys({ keys: 'ci:a,ci:b' }), /duplicate key name "ci"/);
+    assert.throws(() => loadApiKeys({ keys: 'ci:' }), /needs a non-empty "key"/);
+    assert.throws(() => loadApiKeys({ keys: ':abc' }), /every key needs a "name"/);
+});
+
+let service;
+let server;
+let baseUrl;
+
+before(async () => {
+    service = createService({
+        env: { API_KEYS: 'ci:secret-key,other:other-key', RATE_LIMIT_MAX: '2' },
+        logger: createLogger({ level: 'silent' })
+    });
+    server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    await service.close();
+});
+
+const get = async (urlPath, key) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+test('refuses requests without a valid key', async () => {
+    const missing = await get('/jobs/unknown');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.deepEqual([missing.body.error, missing.body.message], ['UNAUTHORIZED', 'Missing API key']);
+
+    const invalid = await get('/jobs/unknown', 'wrong-key');
+    assert.deepEqual([invalid.status, invalid.body.message], [401, 'Invalid API key']);
+});
+
+test('lets health checks through without a key', async () => {
+    assert.equal((await get('/health/live')).status, 200);
+});
+
+test('limits each key separately', async () => {
+    assert.equal((await get('/jobs/unknown', 'secret-key')).status, 404);
+    assert.equal((await get('/jobs/unknown', 'secret-key')).status, 404);
+
+    const limited = await get('/jobs/unknown', 'secret-key');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'RATE_LIMITED');
+    assert.deepEqual(limited.body.details, { reason: 'rate', limit: 2, windowSec: 60 });
+
+    assert.equal((await get('/jobs/unknown', 'other-key')).status, 404);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { trimAxeResults, buildAxeOptions } = require('../lib/axe-results');
+const { createCheckOptions } = require('../lib/check-options');
+const { loadConfig } = require('../lib/config');
+
+const node = (index) => ({
+    html: `<img src="${index}.png">`,
+    target: [`img:nth-child(${index})`],
+    ancestry: [`html > body > img:nth-child(${index})`],
+    impact: 'critical',
+    failureSummary: 'Fix any of the following: Element does not have an alt attribute',
+    any: [{ id: 'has-alt', impact: 'critical', message: 'No alt', data: null, relatedNodes: [{ html: '<p>', target: ['p'] }, { html: '<div>', target: ['div'] }] }],
+    all: [],
+    none: []
+});
+
+const rule = (id, nodeCount, tags = ['wcag2a', 'wcag111']) => ({
+    id,
+    impact: 'critical',
+    tags,
+    help: `${id} help`,
+    helpUrl: `https://dequeuniversity.com/rules/axe/4.10/${id}`,
+    nodes: Array.from({ length: nodeCount }, (_, index) => node(index + 1))
+});
+
+const RAW = {
+    violations: [rule('image-alt', 4), rule('input-image-alt', 1), rule('area-alt', 2)],
+    incomplete: [rule('video-caption', 1, ['wcag2a', 'wcag122'])],
+    passes: [{ id: 'document-title', help: 'Documents must have a title', tags: ['wcag2a', 'wcag242'], nodes: [] }]
+};
+
+test('caps rules and nodes and counts exactly what was left out', () => {
+    const results = trimAxeResults(RAW, { level: 'standard', maxViolations: 2, maxNodesPerViolation: 2 });
+
+    assert.deepEqual(results.violations.map(({ id, nodeCount, nodesOmitted, nodes }) => [id, nodeCount, nodesOmitted, nodes.length]), [
+        ['image-alt', 4, 2, 2],
+        ['input-image-alt', 1, 0, 1]
+    ]);
+    assert.deepEqual(results.totals, { violations: 3, incomplete: 1, passes: 1 });
+    assert.deepEqual(results.omitted, { violations: { rules: 1, nodes: 4 }, incomplete: { rules: 0, nodes: 0 } });
+});
+
+test('standard detail keeps the full node HTML, selectors and failure summary', () => {
+    const [imageAlt] = trimAxeResults(RAW, { level: 'standard', maxViolations: 10, maxNodesPerViolation: 10 }).violations;
+    const [first] = imageAlt.nodes;
+
+    assert.equal(first.html, '<img src="1.png">');
+    assert.deepEqual(first.target, ['img:nth-child(1)']);
+    assert.match(first.failureSummary, /alt attribute/);
+    assert.match(first.fingerprint, /^[a-f0-9]+$/);
+    assert.equal(first.ancestry, undefined);
+    assert.equal(first.any, undefined);
+});
+
+test('full detail adds the ancestry and the checks with their related nodes', () => {
+    const [imageAlt] = trimAxeResults(RAW, { level: 'full', maxViolations: 10, maxNodesPerViolation: 1 }).violations;
+    const [first] = imageAlt.nodes;
+
+    assert.deepEqual(first.ancestry, ['html > body > img:nth-child(1)']);
+    assert.deepEqual(first.any, [{
+        id: 'has-alt',
+        impact: 'critical',
+        message: 'No alt',
+        data: null,
+        relatedNodes: [{ html: '<p>', target: ['p'] }],
+        relatedNodesOmitted: 1
+    }]);
+    assert.deepEqual(first.all, []);
+});
+
+test('summary detail lists rules without nodes', () => {
+    const results = trimAxeResults(RAW, { level: 'summary', maxViolations: 10, maxNodesPerViolation: 5 });
+
+    assert.ok(results.violations.every(({ nodes }) => nodes.length === 0));
+    assert.equal(results.violations[0].nodesOmitted, 4);
+    assert.equal(results.omitted.violations.nodes, 7);
+});
+
+test('asks axe for selectors and ancestry only when the detail level needs them', () => {
+    const ruleConfig = { tags: ['wcag2a'], enabledRules: ['bypass'], disabledRules: ['color-contrast'] };
+
+    assert.equal(buildAxeOptions(ruleConfig, { level: 'summary' }).selectors, false);
+    assert.equal(buildAxeOptions(ruleConfig, { level: 'standard' }).ancestry, false);
+    assert.equal(buildAxeOptions(ruleConfig, { level: 'full' }).ancestry, true);
+    assert.deepEqual(buildAxeOptions(ruleConfig, { level: 'full' }).rules, { bypass: { enabled: true }, 'color-contrast': { enabled: false } });
+});
+
+test('resolves detail levels and caps within the configured limits', () => {
+    const { config } = loadConfig({ env: {} });
+    const { resolveDetail } = createCheckOptions({ config, browserEngine: { isAvailable: () => false } });
+
+    assert.deepEqual(resolveDetail({}), { level: 'standard', maxViolations: config.MAX_VIOLATIONS_TO_PROCESS, maxNodesPerViolation: config.MAX_NODES_PER_VIOLATION });
+    assert.equal(resolveDetail({ detail: 'full' }).maxNodesPerViolation, config.MAX_NODES_LIMIT);
+    assert.equal(resolveDetail({ maxViolations: '0' }).maxViolations, 0);
+    assert.throws(() => resolveDetail({ detail: 'everything' }), { code: 'INVALID_DETAIL_OPTIONS' });
+    assert.throws(() => resolveDetail({ maxNodesPerViolation: config.MAX_NODES_LIMIT + 1 }), { code: 'INVALID_DETAIL_OPTIONS' });
+});
@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { fingerprintNode, extractIssues, diffIssues, evaluateGate } = require('../lib/baseline');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const violation = (id, impact, nodes) => ({ id, impact, help: `${id} help`, nodes });
+const node = (target, html, impact) => ({ target: [target], html, ...(impact ? { impact } : {}) });
+
+const PREVIOUS = {
+    violations: [
+        violation('image-alt', 'critical', [node('img.logo', '<img class="logo">'), node('img.hero', '<img class="hero">')]),
+        violation('region', 'moderate', [])
+    ]
+};
+
+const CURRENT = {
+    violations: [
+        violation('image-alt', 'critical', [node('img.logo', '<img   class="logo">')]),
+        violation('color-contrast', 'serious', [node('p', '<p>Grey</p>'), node('a', '<a>Link</a>', 'minor')]),
+        violation('region', 'moderate', [])
+    ]
+};
+
+test('fingerprints ignore whitespace in the markup but not the selector', () => {
+    const fingerprint = fingerprintNode('image-alt', node('img', '<img  src="a.png">'));
+
+    assert.equal(fingerprint, fingerprintNode('image-alt', node('img', '<img src="a.png">')));
+    assert.notEqual(fingerprint, fingerprintNode('image-alt', node('main img', '<img src="a.png">')));
+    assert.notEqual(fingerprint, fingerprintNode('input-image-alt', node('img', '<img src="a.png">')));
+});
+
+test('extracts one issue per node, and one per rule reported without nodes', () => {
+    const issues = extractIssues({ success: true, data: CURRENT });
+
+    assert.deepEqual(issues.map(({ ruleId, impact, url }) => [ruleId, impact, url]), [
+        ['image-alt', 'critical', null],
+        ['color-contrast', 'serious', null],
+        ['color-contrast', 'minor', null],
+        ['region', 'moderate', null]
+    ]);
+    assert.equal(issues[3].fingerprint, null);
+});
+
+test('extracts scan issues per successful page', () => {
+    const issues = extractIssues({
+        pages: [
+            { url: 'https://example.com/', success: true, data: PREVIOUS },
+            { url: 'https://example.com/missing', success: false, error: 'HTTP_ERROR' }
+        ]
+    });
+
+    assert.equal(issues.length, 3);
+    assert.ok(issues.every(issue => issue.url === 'https://example.com/'));
+});
+
+test('diffs new, resolved and unchanged issues', () => {
+    const diff = diffIssues(extractIssues(PREVIOUS), extractIssues(CURRENT));
+
+    assert.deepEqual(diff.summary, {
+        newCount: 2,
+        resolvedCount: 1,
+        unchangedCount: 2,
+        newByImpact: { minor: 1, moderate: 0, serious: 1, critical: 0 },
+        hasNewIssues: true
+    });
+    assert.deepEqual(diff.resolved.map(issue => issue.target), [['img.hero']]);
+    assert.deepEqual(diff.unchanged.map(issue => issue.ruleId), ['image-alt', 'region']);
+});
+
+test('the same issue on another scan page counts as new', () => {
+    const onPage = url => extractIssues({ pages: [{ url, success: true, data: PREVIOUS }] });
+
+    assert.equal(diffIssues(onPage('https://example.com/a'), onPage('https://example.com/b')).summary.newCount, 3);
+});
+
+test('the gate counts every issue, or only new ones with failOnNew', () => {
+    const issues = extractIssues(CURRENT);
+    const diff = diffIssues(extractIssues(PREVIOUS), issues);
+
+    assert.equal(evaluateGate({ issues }).failingCount, 4);
+    assert.equal(evaluateGate({ issues: [] }).passed, true);
+
+    const critical = evaluateGate({ issues, failOn: 'critical' });
+    assert.deepEqual([critical.passed, critical.failingCount], [false, 1]);
+
+    const newSerious = evaluateGate({ issues, diff, failOn: 'serious', failOnNew: true });
+    assert.deepEqual([newSerious.passed, newSerious.failOnNew, newSerious.failingCount], [false, true, 1]);
+
+    const newCritical = evaluateGate({ issues, diff, failOn: 'critical', failOnNew: true });
+    assert.equal(newCritical.passed, true);
+});
+
+test('failOnNew without a baseline falls back to every issue', () => {
+    const gate = evaluateGate({ issues: extractIssues(CURRENT), failOnNew: true });
+
+    assert.deepEqual([gate.passed, gate.failOnNew, gate.failingCount], [false, false, 4]);
+});
+
+test('prefers the uncapped issue list over the nodes left in the response', () => {
+    const issues = extractIssues({
+        violations: [violation('image-alt', 'critical', [{ ...node('img.logo', '<img class="logo">'), fingerprint: 'logo' }])],
+        issues: [
+            { ruleId: 'image-alt', impact: 'critical', fingerprint: 'logo' },
+            { ruleId: 'image-alt', impact: 'critical', fingerprint: 'hero' },
+            { ruleId: 'label', impact: 'serious', fingerprint: 'input' }
+        ]
+    });
+
+    assert.deepEqual(issues.map(({ ruleId, help, fingerprint, target }) => [ruleId, help, fingerprint, target]), [
+        ['image-alt', 'image-alt help', 'logo', ['img.logo']],
+        ['image-alt', 'image-alt help', 'hero', null],
+        ['label', null, 'input', null]
+    ]);
+});
+
+test('the gate and diff count the violations the detail caps leave out', async (t) => {
+    const service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    t.after(() => service.close());
+    const html = '<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><img src="a.png"><img src="b.png"><button></button></main></body></html>';
+
+    const capped = await service.checkHtml(html, { maxViolations: 0, failOn: 'serious' });
+    assert.deepEqual(capped.violations, []);
+    assert.deepEqual([capped.gate.passed, capped.gate.failingCount], [false, 3]);
+
+    const baseline = await service.checkHtml(html, { maxNodesPerViolation: 1 });
+    const compared = await service.checkHtml(html, { baseline, maxViolations: 0 });
+    assert.deepEqual([compared.diff.summary.newCount, compared.diff.summary.unchangedCount], [0, 3]);
+});
+
+test('the service compares against a stored baseline and reports the gate', async (t) => {
+    const service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        await service.close();
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const check = (query, html) => fetch(`${baseUrl}/check-accessibility-html${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/html' },
+        body: `<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main>${html}</main></body></html>`
+    });
+
+    const first = await (await check('', '<img src="a.png">')).json();
+    const stored = await fetch(`${baseUrl}/baselines`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ result: first })
+    });
+    assert.equal(stored.status, 201);
+    const { baselineId } = (await stored.json()).data;
+
+    const unchanged = await check(`?baselineId=${baselineId}&failOnNew=true`, '<img src="a.png">');
+    const unchangedBody = await unchanged.json();
+    assert.equal(unchanged.headers.get('x-accessibility-gate'), 'passed');
+    assert.equal(unchangedBody.data.diff.summary.newCount, 0);
+
+    const regressed = await check(`?baselineId=${baselineId}&failOnNew=true`, '<img src="a.png"><button></button>');
+    const regressedBody = await regressed.json();
+    assert.equal(regressed.headers.get('x-accessibility-gate'), 'failed');
+    assert.equal(regressedBody.data.diff.summary.newCount, 1);
+    assert.equal(regressedBody.data.gate.passed, false);
+
+    const invalid = await check('?failOn=severe', '<p>Text</p>');
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'INVALID_BASELINE');
+
+    const missing = await check('?baselineId=unknown', '<p>Text</p>');
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error, 'BASELINE_NOT_FOUND');
+});
@@ -0,0 +1,181 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+// No Chromium here: a fake Puppeteer whose page runs evaluate() against a JSDOM
+// document, with axe replaced by a stub that records what it was run on
+const calls = { axeContexts: [], contextsClosed: 0 };
+
+const createFakePage = (html) => {
+    const dom = new JSDOM(html);
+    return {
+        setDefaultTimeout() {},
+        async setBypassCSP() {},
+        async setUserAgent(userAgent) { calls.userAgent = userAgent; },
+        async setRequestInterception() {},
+        on() {},
+        async setContent() {},
+        async goto() { return { status: () => 200, statusText: () => 'OK' }; },
+        async waitForSelector() {},
+        async click() {},
+        async addScriptTag() {},
+        url: () => 'https://example.com/',
+        async evaluate(fn, ...args) {
+            const previous = { window: global.window, document: global.document };
+            global.document = dom.window.document;
+            global.window = {
+                axe: {
+                    run: async (context) => {
+                        calls.axeContexts.push(context === dom.window.document ? 'document' : context);
+                        return { violations: [], incomplete: [], passes: [] };
+                    }
+                }
+            };
+            try {
+                return await fn(...args);
+            } finally {
+                Object.assign(global, previous);
+            }
+        }
+    };
+};
+
+const fakePuppeteer = {
+    launch: async () => ({
+        on() {},
+        async close() {},
+        createBrowserContext: async () => ({
+            newPage: async () => createFakePage('<main><h1>Title</h1><div class="ad"><a href="https://example.com/about">Ad</a><a href="mailto:hi@example.com">Mail</a></div></main>'),
+            close: async () => { calls.contextsClosed++; }
+        })
+    })
+};
+require.cache[require.resolve('puppeteer')] = { id: 'puppeteer', loaded: true, exports: fakePuppeteer };
+
+const { createBrowserEngine } = require('../lib/browser-engine');
+
+const ruleConfig = { tags: ['wcag2a'], enabledRules: [], disabledRules: [] };
+const detail = { level: 'summary', maxViolations: 10, maxNodesPerViolation: 5 };
+
+let engine;
+
+beforeEach(() => {
+    calls.axeContexts = [];
+    calls.contextsClosed = 0;
+    calls.userAgent = undefined;
+    engine = createBrowserEngine({
+        enabled: true,
+        networkPolicy: { resolveAndCheck: async () => {} },
+        axeSource: '',
+        userAgent: 'AccessibilityChecker/1.0'
+    });
+});
+
+afterEach(() => engine.close());
+
+test('runs axe on the whole document without a scope', async () => {
+    const result = await engine.analyze({ url: 'https://example.com/', ruleConfig, detail, timeoutMs: 5000 });
+
+    assert.deepEqual(calls.axeContexts, ['document']);
+    assert.equal(result.scope.includeMatches, null);
+    assert.equal(result.finalUrl, 'https://example.com/');
+    assert.equal(calls.contextsClosed, 1);
+    assert.equal(calls.userAgent, 'AccessibilityChecker/1.0');
+});
+
+test('reports the page links and size with the trimmed results', async () => {
+    const result = await engine.analyze({ html: '<main></main>', ruleConfig, detail, timeoutMs: 5000 });
+
+    assert.equal(result.finalUrl, null);
+    assert.equal(result.elementCount, 8);
+    assert.deepEqual(result.links, ['https://example.com/about']);
+    assert.deepEqual(result.violations, []);
+});
+
+test('passes include and exclude selectors to axe', async () => {
+    const result = await engine.analyze({
+        html: '<main></main>',
+        ruleConfig,
+        detail,
+        scope: { include: ['main'], exclude: ['.ad'] },
+        timeoutMs: 5000
+    });
+
+    assert.deepEqual(calls.axeContexts, [{ include: ['main'], exclude: ['.ad'] }]);
+    assert.equal(result.scope.includeMatches, 1);
+    assert.equal(result.scope.excludeMatches, 1);
+    assert.equal(result.elementCount, 2);
+    assert.equal(calls.contextsClosed, 1);
+});
+
+test('passes exclude-only scopes without an include list', async () => {
+    await engine.analyze({ url: 'https://example.com/', ruleConfig, detail, scope: { include: [], exclude: ['.ad'] }, timeoutMs: 5000 });
+
+    assert.deepEqual(calls.axeContexts, [{ exclude: ['.ad'] }]);
+});
+
+test('refuses scopes that match nothing and still closes the context', async () => {
+    await assert.rejects(
+        engine.analyze({ url: 'https://example.com/', ruleConfig, detail, scope: { include: ['#missing'], exclude: [] }, timeoutMs: 5000 }),
+        { code: 'SCOPE_NOT_FOUND' }
+    );
+    assert.equal(calls.contextsClosed, 1);
+});
+
+test('refuses pages with more elements in scope than the limit', async () => {
+    const limited = createBrowserEngine({ enabled: true, maxDomElements: 5, networkPolicy: { resolveAndCheck: async () => {} }, axeSource: '' });
+
+    try {
+        await assert.rejects(limited.analyze({ url: 'https://example.com/', ruleConfig, detail, timeoutMs: 5000 }), { code: 'DOM_TOO_COMPLEX' });
+        assert.deepEqual(calls.axeContexts, []);
+        assert.equal(calls.contextsClosed, 1);
+
+        await limited.analyze({ url: 'https://example.com/', ruleConfig, detail, scope: { include: ['main'], exclude: ['.ad'] }, timeoutMs: 5000 });
+        assert.equal(calls.axeContexts.length, 1);
+    } finally {
+        await limited.close();
+    }
+});
+
+test('a check cancelled while waiting for a page slot leaves the queue', async () => {
+    const running = engine.analyze({ url: 'https://example.com/', ruleConfig, detail, wait: { delayMs: 200 }, timeoutMs: 5000 });
+    const controller = new AbortController();
+    const queued = engine.analyze({ url: 'https://example.com/', ruleConfig, detail, timeoutMs: 5000, signal: controller.signal });
+    assert.equal(engine.stats().queued, 1);
+
+    controller.abort();
+    await assert.rejects(queued, { code: 'CANCELLED' });
+    assert.equal(engine.stats().queued, 0);
+
+    await running;
+    assert.deepEqual([engine.stats().activePages, calls.axeContexts.length], [0, 1]);
+});
+
+test('refuses checks when the engine is disabled', async () => {
+    const disabled = createBrowserEngine({ enabled: false, networkPolicy: {}, axeSource: '' });
+
+    await assert.rejects(disabled.analyze({ url: 'https://example.com/', ruleConfig, detail, timeoutMs: 5000 }), { code: 'ENGINE_UNAVAILABLE' });
+    assert.equal(disabled.isAvailable(), false);
+});
+
+test('prefers the per-check user agent', async () => {
+    await engine.analyze({ url: 'https://example.com/', ruleConfig, detail, fetchOptions: { userAgent: 'Custom/2.0', maxRedirects: 5 }, timeoutMs: 5000 });
+
+    assert.equal(calls.userAgent, 'Custom/2.0');
+});
+
+test('the service sends the configured User-Agent from the browser', async () => {
+    const { createService } = require('../lib/service');
+    const { createLogger } = require('../lib/logger');
+    const service = createService({
+        env: { BROWSER_ENGINE: 'true', USER_AGENT: 'ConfiguredBot/3.0', API_KEYS: '', HISTORY_ENABLED: 'false' },
+        logger: createLogger({ level: 'silent' })
+    });
+
+    try {
+        await service.checkHtml('<main><h1>Title</h1></main>', { engine: 'browser' });
+    } finally {
+        await service.close();
+    }
+    assert.equal(calls.userAgent, 'ConfiguredBot/3.0');
+});
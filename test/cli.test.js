@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+
+const { createLogger } = require('../lib/logger');
+
+const CLI = path.join(__dirname, '..', 'bin', 'accessibility-check.js');
+
+const PAGE = (body) => `<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main>${body}</main></body></html>`;
+
+let dir;
+const file = name => path.join(dir, name);
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accessibility-cli-'));
+    fs.writeFileSync(file('clean.html'), PAGE('<h1>Clean</h1>'));
+    fs.writeFileSync(file('images.html'), PAGE('<h1>Images</h1><img src="a.png"><img src="b.png">'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Resolves with { code, stdout, stderr } whatever the exit status
+const runCli = (args) => new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], {
+        cwd: dir,
+        timeout: 60000,
+        env: { PATH: process.env.PATH, HISTORY_ENABLED: 'false', MONITORS_ENABLED: 'false' }
+    }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+});
+
+test('exits 0 when no violations exceed the threshold', async () => {
+    const { code, stdout } = await runCli([file('clean.html')]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /clean\.html {2}no violations/);
+    assert.match(stdout, /1 checked, 0 failed\. 0 violating elements \(threshold 0\): passed/);
+});
+
+test('exits 1 when violations exceed the threshold, 0 when they are within it', async () => {
+    const failed = await runCli([file('images.html')]);
+    assert.equal(failed.code, 1);
+    assert.match(failed.stdout, /critical {2}image-alt {2}\s+2 elements {2}Images must have alternative text/);
+    assert.match(failed.stdout, /2 violating elements \(threshold 0\): failed/);
+
+    const withinThreshold = await runCli([file('images.html'), '--threshold', '2', '--fail-on', 'serious']);
+    assert.equal(withinThreshold.code, 0);
+    assert.match(withinThreshold.stdout, /2 violating elements of serious impact or worse \(threshold 2\): passed/);
+});
+
+test('counts every violating element, not just those listed in the report', async () => {
+    // Seven images: more than the report lists per rule
+    fs.writeFileSync(file('gallery.html'), PAGE(`<h1>Gallery</h1>${'<img src="a.png">'.repeat(7)}`));
+
+    const standard = await runCli([file('gallery.html'), '--threshold', '5']);
+    assert.equal(standard.code, 1);
+    assert.match(standard.stdout, /7 violating elements \(threshold 5\): failed/);
+
+    const summary = await runCli([file('gallery.html'), '--threshold', '7', '--detail', 'summary']);
+    assert.equal(summary.code, 0);
+    assert.match(summary.stdout, /7 violating elements \(threshold 7\): passed/);
+});
+
+test('with a baseline only new violations count', async () => {
+    fs.writeFileSync(file('site.html'), PAGE('<h1>Images</h1><img src="a.png"><img src="b.png">'));
+    const written = await runCli([file('site.html'), '--format', 'json', '--output', file('baseline.json')]);
+    assert.equal(written.code, 1);
+    assert.equal(written.stdout, '');
+
+    const unchanged = await runCli([file('site.html'), '--baseline', file('baseline.json'), '--format', 'json']);
+    assert.equal(unchanged.code, 0);
+    assert.equal(JSON.parse(unchanged.stdout).diff.summary.unchangedCount, 2);
+
+    fs.writeFileSync(file('site.html'), PAGE('<h1>Images</h1><img src="a.png"><img src="b.png"><button></button>'));
+    const regressed = await runCli([file('site.html'), '--baseline', file('baseline.json')]);
+    assert.equal(regressed.code, 1);
+    assert.match(regressed.stdout, /1 new violating element \(threshold 0\): failed/);
+
+    const badBaseline = await runCli([file('site.html'), '--baseline', file('clean.html')]);
+    assert.equal(badBaseline.code, 2);
+    assert.match(badBaseline.stderr, /Could not read baseline/);
+});
+
+test('exits 2 when a check fails or the command line is invalid', async () => {
+    const missing = await runCli([file('clean.html'), file('missing.html')]);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stdout, /missing\.html {2}failed: READ_ERROR/);
+
+    const badFormat = await runCli(['--format', 'pdf', file('clean.html')]);
+    assert.equal(badFormat.code, 2);
+    assert.match(badFormat.stderr, /--format must be one of: table, json, sarif/);
+
+    const noTargets = await runCli([]);
+    assert.equal(noTargets.code, 2);
+    assert.match(noTargets.stderr, /Give at least one URL or HTML file to check\n\nRun with --help for usage\./);
+
+    const unknownFlag = await runCli(['--no-such-flag', file('clean.html')]);
+    assert.equal(unknownFlag.code, 2);
+});
+
+test('writes other report formats', async () => {
+    const { code, stdout } = await runCli([file('images.html'), '--format', 'junit']);
+
+    assert.equal(code, 1);
+    assert.match(stdout, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="accessibility" tests="\d+" failures="1"/);
+});
+
+test('requiring the package exposes the API without starting the server', async (t) => {
+    const library = require('..');
+    const app = library.createApp({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    t.after(() => app.locals.service.close());
+
+    assert.equal(typeof library.checkUrl, 'function');
+    assert.equal(typeof library.checkHtml, 'function');
+    const data = await app.locals.service.checkHtml(PAGE('<img src="a.png">'));
+    assert.deepEqual(data.violations.map(violation => violation.id), ['image-alt']);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const { CONFIG_SCHEMA, loadConfig } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const writeConfigFile = (t, contents) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return file;
+};
+
+test('defaults are valid and every setting is documented', () => {
+    const { config, sources } = loadConfig({ env: {} });
+
+    assert.equal(config.PORT, 3001);
+    assert.equal(config.MAX_HTML_SIZE, 3 * 1024 * 1024);
+    assert.equal(config.TRUST_PROXY, false);
+    assert.equal(config.TLS_REJECT_UNAUTHORIZED, true);
+    assert.ok(Object.values(sources).every(source => source === 'default'));
+    assert.ok(CONFIG_SCHEMA.every(setting => setting.description));
+});
+
+test('parses environment values and converts them to code units', () => {
+    const { config, sources } = loadConfig({
+        env: {
+            PORT: ' 8080 ',
+            MAX_HTML_SIZE_MB: '1.5',
+            ALLOW_INSECURE_TLS: 'true',
+            CORS_ORIGINS: 'https://a.example, ,https://b.example',
+            JSON_BODY_LIMIT: '1 MB',
+            TRUST_PROXY: '2',
+            LOG_LEVEL: 'warn',
+            HISTORY_RETENTION_DAYS: '7',
+            USER_AGENT: ''
+        }
+    });
+
+    assert.equal(config.PORT, 8080);
+    assert.equal(config.MAX_HTML_SIZE, Math.round(1.5 * 1024 * 1024));
+    assert.equal(config.TLS_REJECT_UNAUTHORIZED, false);
+    assert.deepEqual(config.CORS_ORIGINS, ['https://a.example', 'https://b.example']);
+    assert.equal(config.JSON_BODY_LIMIT, '1mb');
+    assert.equal(config.TRUST_PROXY, 2);
+    assert.equal(config.HISTORY_RETENTION_MS, 7 * 24 * 60 * 60 * 1000);
+    assert.equal(sources.USER_AGENT, 'default'); // empty counts as unset
+    assert.equal(sources.PORT, 'env');
+});
+
+test('reads a config file, with the environment taking precedence', (t) => {
+    const file = writeConfigFile(t, { PORT: 4000, LOG_LEVEL: 'debug', CORS_ORIGINS: ['https://a.example'] });
+    const { config, sources } = loadConfig({ env: { CONFIG_FILE: file, PORT: '5000' } });
+
+    assert.deepEqual([config.PORT, sources.PORT], [5000, 'env']);
+    assert.deepEqual([config.LOG_LEVEL, sources.LOG_LEVEL], ['debug', 'file']);
+    assert.deepEqual(config.CORS_ORIGINS, ['https://a.example']);
+});
+
+test('reports every problem at once', (t) => {
+    const file = writeConfigFile(t, { MAX_REDIRECTS: 'many', UNKNOWN_SETTING: 1 });
+
+    assert.throws(() => loadConfig({ env: { PORT: '70000', METRICS_PUBLIC: 'yes', LOG_LEVEL: 'loud' }, file }), (error) => {
+        assert.equal(error.code, 'INVALID_CONFIG');
+        assert.deepEqual(error.problems, [
+            `UNKNOWN_SETTING in ${file} is not a known setting`,
+            'PORT must be an integer between 0 and 65535 (got "70000")',
+            'LOG_LEVEL must be one of: debug, info, warn, error, silent (got "loud")',
+            'METRICS_PUBLIC must be "true" or "false" (got "yes")',
+            `MAX_REDIRECTS must be an integer between 0 and 20 (got "many" in ${file})`
+        ]);
+        assert.match(error.message, /^Invalid configuration:\n {2}- UNKNOWN_SETTING/);
+        return true;
+    });
+});
+
+test('checks settings that depend on each other', () => {
+    assert.throws(() => loadConfig({ env: { MAX_REDIRECTS: '6' } }), {
+        code: 'INVALID_CONFIG',
+        problems: ['MAX_REDIRECTS must not exceed MAX_REDIRECTS_LIMIT']
+    });
+});
+
+test('refuses unreadable or non-object config files', (t) => {
+    assert.throws(() => loadConfig({ env: {}, file: writeConfigFile(t, '{ not json') }), /could not be read/);
+    assert.throws(() => loadConfig({ env: {}, file: writeConfigFile(t, '[1, 2]') }), /must contain a JSON object of settings/);
+});
+
+test('the service fails at startup on invalid settings and shows them to admins', async (t) => {
+    const logger = createLogger({ level: 'silent' });
+    assert.throws(() => createService({ env: { ANALYSIS_WORKERS: '0' }, logger }), { code: 'INVALID_CONFIG' });
+
+    const service = createService({ env: { API_KEYS: 'ops:ops-key,ci:ci-key', ADMIN_KEYS: 'ops', PORT: '4321' }, logger });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        await service.close();
+    });
+
+    const get = key => fetch(`http://127.0.0.1:${server.address().port}/admin/config`, { headers: { Authorization: `Bearer ${key}` } });
+
+    const admin = await get('ops-key');
+    assert.equal(admin.status, 200);
+    const { settings } = (await admin.json()).data;
+    assert.deepEqual(settings.PORT, { value: 4321, env: 'PORT', source: 'env', description: 'HTTP port' });
+
+    const other = await get('ci-key');
+    assert.equal(other.status, 403);
+    await other.body.cancel();
+});
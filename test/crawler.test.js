@@ -0,0 +1,198 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { crawlSite, summarizeSite, extractLinks, compilePathPatterns } = require('../lib/crawler');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+// A small site: each page links to the paths listed for it
+const SITE = {
+    '/': ['/about', '/blog/', '/report.pdf', 'https://other.example/'],
+    '/about': ['/', '/about#team', '/contact'],
+    '/blog/': ['/blog/first', '/blog/second'],
+    '/blog/first': [],
+    '/blog/second': [],
+    '/contact': []
+};
+
+const checkSitePage = (visited = []) => async (url) => {
+    const { pathname } = new URL(url);
+    visited.push(pathname);
+    if (!SITE[pathname]) throw Object.assign(new Error('Not found'), { code: 'HTTP_ERROR' });
+    const html = SITE[pathname].map(href => `<a href="${href}">link</a>`).join('');
+    return { data: { pathname }, links: extractLinks(html, url) };
+};
+
+test('extracts absolute page links and skips anchors, other schemes and files', () => {
+    const html = `
+        <a href="/about#team">About</a>
+        <a class="nav" href='contact'>Contact</a>
+        <a href=https://other.example/x>Other</a>
+        <a href="#top">Top</a>
+        <a href="mailto:hi@example.com">Mail</a>
+        <a href="/files/report.PDF">Report</a>
+        <a href="http://[invalid">Broken</a>`;
+
+    assert.deepEqual(extractLinks(html, 'https://example.com/docs/'), [
+        'https://example.com/about',
+        'https://example.com/docs/contact',
+        'https://other.example/x'
+    ]);
+});
+
+test('compiles path globs to anchored patterns', () => {
+    const [blog] = compilePathPatterns(['/blog/*']);
+
+    assert.ok(blog.test('/blog/first'));
+    assert.ok(!blog.test('/en/blog/first'));
+});
+
+test('crawls breadth-first within the origin, depth and page limits', async () => {
+    const visited = [];
+    const result = await crawlSite({ startUrl: 'https://example.com/', maxPages: 10, maxDepth: 1, checkPage: checkSitePage(visited) });
+
+    assert.deepEqual(visited, ['/', '/about', '/blog/']);
+    assert.equal(result.stoppedReason, null);
+    assert.equal(result.skippedLinks, 1); // the other origin
+    assert.ok(result.pages.every(page => page.success));
+});
+
+test('stops at maxPages and reports what was left', async () => {
+    const result = await crawlSite({ startUrl: 'https://example.com/', maxPages: 2, maxDepth: 5, checkPage: checkSitePage() });
+
+    assert.equal(result.pages.length, 2);
+    assert.equal(result.stoppedReason, 'MAX_PAGES_REACHED');
+    assert.equal(result.unvisitedUrls, 2); // /blog/ and /contact
+});
+
+test('applies include and exclude path patterns to discovered links', async () => {
+    const visited = [];
+    await crawlSite({
+        startUrl: 'https://example.com/',
+        maxPages: 10,
+        maxDepth: 3,
+        include: ['/blog/*'],
+        exclude: ['/blog/second'],
+        checkPage: checkSitePage(visited)
+    });
+
+    assert.deepEqual(visited, ['/', '/blog/', '/blog/first']);
+});
+
+test('checks a URL list without following links and records failures', async () => {
+    const visited = [];
+    const result = await crawlSite({
+        urls: ['https://example.com/about', 'https://example.com/missing', 'https://example.com/about#again'],
+        maxPages: 10,
+        maxDepth: 0,
+        checkPage: checkSitePage(visited)
+    });
+
+    assert.deepEqual(visited, ['/about', '/missing']);
+    assert.deepEqual(result.pages[1], {
+        url: 'https://example.com/missing',
+        depth: 0,
+        success: false,
+        error: 'HTTP_ERROR',
+        message: 'Not found',
+        details: null
+    });
+});
+
+test('stops early when canContinue gives a reason', async () => {
+    let calls = 0;
+    const result = await crawlSite({
+        startUrl: 'https://example.com/',
+        maxPages: 10,
+        maxDepth: 3,
+        checkPage: checkSitePage(),
+        canContinue: () => (++calls > 1 ? 'MEMORY_EXHAUSTED' : null)
+    });
+
+    assert.equal(result.pages.length, 1);
+    assert.equal(result.stoppedReason, 'MEMORY_EXHAUSTED');
+});
+
+test('summarizes violations by rule across pages', () => {
+    const page = (url, violations) => ({
+        url,
+        success: true,
+        data: { summary: { totalViolations: violations.length, totalIncomplete: 0 }, violations }
+    });
+    const summary = summarizeSite([
+        page('https://example.com/', [{ id: 'region', impact: 'moderate', nodeCount: 2 }, { id: 'image-alt', impact: 'critical', nodeCount: 1 }]),
+        page('https://example.com/about', [{ id: 'region', impact: 'moderate', nodeCount: 3 }]),
+        { url: 'https://example.com/missing', success: false }
+    ]);
+
+    assert.equal(summary.pagesScanned, 3);
+    assert.equal(summary.pagesFailed, 1);
+    assert.equal(summary.totalViolations, 3);
+    assert.deepEqual(summary.rulesByImpact, { critical: 1, serious: 0, moderate: 1, minor: 0 });
+    assert.deepEqual(summary.violationsByRule.map(rule => [rule.id, rule.pageCount, rule.nodeCount]), [
+        ['image-alt', 1, 1],
+        ['region', 2, 5]
+    ]);
+});
+
+test('counts the rules and nodes the detail caps left out of a page', () => {
+    const summary = summarizeSite([{
+        url: 'https://example.com/',
+        success: true,
+        data: {
+            summary: { totalViolations: 2, totalIncomplete: 0 },
+            violations: [{ id: 'region', impact: 'moderate', help: 'Landmarks', helpUrl: null, nodeCount: 3, nodes: [] }],
+            issues: [
+                { ruleId: 'region', impact: 'moderate', fingerprint: 'a' },
+                { ruleId: 'region', impact: 'moderate', fingerprint: 'b' },
+                { ruleId: 'region', impact: 'moderate', fingerprint: 'c' },
+                { ruleId: 'label', impact: 'serious', fingerprint: 'd' },
+                { ruleId: 'label', impact: 'critical', fingerprint: 'e' }
+            ]
+        }
+    }]);
+
+    assert.deepEqual(summary.rulesByImpact, { critical: 1, serious: 0, moderate: 1, minor: 0 });
+    assert.deepEqual(summary.violationsByRule.map(rule => [rule.id, rule.impact, rule.help, rule.nodeCount]), [
+        ['label', 'critical', null, 2],
+        ['region', 'moderate', 'Landmarks', 3]
+    ]);
+});
+
+test('a crawl follows relative links from the page a redirect ended on', async (t) => {
+    const PAGE = body => `<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main>${body}</main></body></html>`;
+    const site = http.createServer((req, res) => {
+        if (req.url === '/') {
+            res.writeHead(302, { Location: '/docs/' }).end();
+        } else if (req.url === '/docs/') {
+            res.writeHead(200, { 'Content-Type': 'text/html' }).end(PAGE('<h1>Docs</h1><a href="guide">Guide</a>'));
+        } else if (req.url === '/docs/guide') {
+            res.writeHead(200, { 'Content-Type': 'text/html' }).end(PAGE('<h1>Guide</h1><img src="a.png"><img src="b.png">'));
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${site.address().port}`;
+
+    const service = createService({ env: { API_KEYS: '', BLOCK_PRIVATE_NETWORKS: 'false', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        site.close();
+        await service.close();
+    });
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ startUrl: `${origin}/`, maxPages: 5, maxDepth: 1, maxViolations: 0 })
+    });
+    const { data } = await response.json();
+
+    assert.deepEqual(data.pages.map(page => [page.url, page.success]), [[`${origin}/`, true], [`${origin}/docs/guide`, true]]);
+    const imageAlt = data.summary.violationsByRule.find(rule => rule.id === 'image-alt');
+    assert.deepEqual([imageAlt.pageCount, imageAlt.nodeCount], [1, 2]);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, nextCronTime } = require('../lib/cron');
+
+const next = (expression, after) => {
+    const time = nextCronTime(parseCron(expression), Date.parse(after));
+    return time === null ? null : new Date(time).toISOString();
+};
+
+test('finds the next matching minute strictly after the given time, in UTC', () => {
+    assert.equal(next('*/15 * * * *', '2026-01-01T10:07:30Z'), '2026-01-01T10:15:00.000Z');
+    assert.equal(next('*/15 * * * *', '2026-01-01T10:15:00Z'), '2026-01-01T10:30:00.000Z');
+    assert.equal(next('30 2 * * *', '2026-01-01T23:59:00Z'), '2026-01-02T02:30:00.000Z');
+    assert.equal(next('0 0 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('understands ranges, lists, steps and names', () => {
+    // 2026-01-02 is a Friday
+    assert.equal(next('0 9 * * mon-fri', '2026-01-02T10:00:00Z'), '2026-01-05T09:00:00.000Z');
+    assert.equal(next('0 9 * * MON,wed', '2026-01-05T09:00:00Z'), '2026-01-07T09:00:00.000Z');
+    assert.equal(next('0 0 1 jun *', '2026-01-01T00:00:00Z'), '2026-06-01T00:00:00.000Z');
+    assert.equal(next('0 0 * * 7', '2026-01-01T00:00:00Z'), '2026-01-04T00:00:00.000Z');
+    assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+    assert.deepEqual([...parseCron('1-10/3,30 * * * *').minutes], [1, 4, 7, 10, 30]);
+});
+
+test('matches either day field when both are restricted', () => {
+    assert.equal(next('0 0 13 * fri', '2026-01-01T00:00:00Z'), '2026-01-02T00:00:00.000Z');
+    assert.equal(next('0 0 13 * *', '2026-01-01T00:00:00Z'), '2026-01-13T00:00:00.000Z');
+});
+
+test('expands the shorthands', () => {
+    assert.equal(next('@daily', '2026-01-01T10:00:00Z'), '2026-01-02T00:00:00.000Z');
+    assert.equal(next(' @Weekly ', '2026-01-01T10:00:00Z'), '2026-01-04T00:00:00.000Z');
+    assert.equal(next('@yearly', '2026-01-01T10:00:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('finds rare dates and gives up on impossible ones', () => {
+    assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.equal(next('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+});
+
+test('refuses malformed expressions with INVALID_CRON', () => {
+    const invalid = [
+        ['', /non-empty string/],
+        ['* * *', /has 5 fields .* got 3/],
+        ['60 * * * *', /Invalid minute "60" \(allowed: 0-59\)/],
+        ['* * * 13 *', /Invalid month "13"/],
+        ['* * * * funday', /Invalid day of week "funday"/],
+        ['5-1 * * * *', /Invalid minute range "5-1"/],
+        ['*/0 * * * *', /Invalid minute "0"/],
+        ['1/2/3 * * * *', /Invalid minute "1\/2\/3"/],
+        ['1,,2 * * * *', /Invalid minute ""/]
+    ];
+    invalid.forEach(([expression, message]) => {
+        assert.throws(() => parseCron(expression), { code: 'INVALID_CRON', message }, expression);
+    });
+    assert.throws(() => parseCron(null), { code: 'INVALID_CRON' });
+});
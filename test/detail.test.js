@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+// Four images without alt text plus an unlabelled button
+const HTML = `<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main>${'<img src="a.png">'.repeat(4)}<button></button></main></body></html>`;
+
+let service;
+
+before(() => {
+    service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+});
+
+after(() => service.close());
+
+const check = options => service.checkHtml(HTML, options);
+
+test('caps nodes per rule and counts exactly what was left out', async () => {
+    const data = await check({ maxNodesPerViolation: 2 });
+    const imageAlt = data.violations.find(({ id }) => id === 'image-alt');
+
+    assert.deepEqual([imageAlt.nodeCount, imageAlt.nodesOmitted, imageAlt.nodes.length], [4, 2, 2]);
+    assert.equal(data.summary.totalViolations, 2);
+    assert.equal(data.summary.resultsTruncated, true);
+    assert.deepEqual(data.metadata.detail, { level: 'standard', maxViolations: 30, maxNodesPerViolation: 2 });
+});
+
+test('counts every rule when maxViolations leaves them all out', async () => {
+    const data = await check({ maxViolations: 0 });
+
+    assert.deepEqual(data.violations, []);
+    assert.equal(data.summary.totalViolations, 2);
+    assert.deepEqual(data.summary.omitted.violations, { rules: 2, nodes: 5 });
+});
+
+test('summary detail lists rules without nodes and full detail adds the ancestry', async () => {
+    const summary = await check({ detail: 'summary' });
+    assert.ok(summary.violations.every(({ nodes }) => nodes.length === 0));
+
+    const full = await check({ detail: 'full' });
+    const [first] = full.violations.find(({ id }) => id === 'image-alt').nodes;
+    assert.ok(Array.isArray(first.ancestry));
+    assert.ok(Array.isArray(first.any));
+});
+
+test('refuses unknown detail levels and caps beyond the server maximum', async () => {
+    await assert.rejects(check({ detail: 'everything' }), { status: 400, code: 'INVALID_DETAIL_OPTIONS' });
+    await assert.rejects(check({ maxNodesPerViolation: 51 }), { message: '"maxNodesPerViolation" must be an integer between 0 and 50' });
+});
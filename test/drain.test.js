@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createJobQueue } = require('../lib/job-queue');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const silentLogger = createLogger({ level: 'silent' });
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+// A job whose run() finishes when finish() is called
+const createControlledJob = () => {
+    let finish;
+    const done = new Promise((resolve) => { finish = resolve; });
+    return { run: () => done, finish };
+};
+
+test('a closed job queue runs its queued jobs and refuses new ones', async () => {
+    const queue = createJobQueue({ concurrency: 1, logger: silentLogger });
+    const first = createControlledJob();
+    const second = createControlledJob();
+    const finished = [];
+
+    const runningJob = await queue.submit({ type: 'check', run: first.run });
+    const queuedJob = await queue.submit({ type: 'check', run: second.run, onFinish: job => finished.push(job.id) });
+    assert.deepEqual(queue.stats(), { queued: 1, running: 1, concurrency: 1, maxQueueLength: 20 });
+
+    let closed = false;
+    const closing = queue.close().then(() => { closed = true; });
+    await assert.rejects(queue.submit({ type: 'check', run: async () => {} }), { code: 'SHUTTING_DOWN' });
+
+    first.finish('first');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(closed, false);
+    assert.equal((await queue.get(queuedJob.id)).status, 'running');
+
+    second.finish('second');
+    await closing;
+    assert.equal((await queue.get(runningJob.id)).status, 'completed');
+    assert.equal((await queue.get(queuedJob.id)).result, 'second');
+    assert.deepEqual(finished, [queuedJob.id]);
+});
+
+test('draining the service completes the running and the queued job', async () => {
+    // Pages take a moment, so the second job is still queued when the drain starts
+    const target = http.createServer((req, res) => setTimeout(() => {
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><h1>Page</h1></main></body></html>');
+    }, 200));
+    const targetUrl = await listen(target);
+
+    const service = createService({
+        env: { BLOCK_PRIVATE_NETWORKS: 'false', JOB_CONCURRENCY: '1', API_KEYS: '', HISTORY_ENABLED: 'false' },
+        logger: silentLogger
+    });
+    const server = http.createServer(service.app);
+    const baseUrl = await listen(server);
+
+    const submit = path => fetch(`${baseUrl}/check-accessibility-static`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: `${targetUrl}${path}`, async: true })
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+    const getJob = id => fetch(`${baseUrl}/jobs/${id}`).then(response => response.json()).then(body => body.data);
+
+    try {
+        const running = await submit('/first');
+        const queued = await submit('/second');
+        assert.equal(running.status, 202);
+        assert.equal(queued.body.data.status, 'queued');
+
+        const drained = service.drain();
+
+        const refused = await submit('/third');
+        assert.equal(refused.status, 503);
+        assert.equal(refused.body.error, 'SHUTTING_DOWN');
+
+        await drained;
+        const jobs = await Promise.all([getJob(running.body.data.jobId), getJob(queued.body.data.jobId)]);
+        assert.deepEqual(jobs.map(job => job.status), ['completed', 'completed']);
+    } finally {
+        await service.close();
+        server.close();
+        target.close();
+    }
+});
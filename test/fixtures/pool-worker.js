@@ -0,0 +1,17 @@
+// Worker for the worker pool tests: each task's `kind` picks a behaviour
+const { parentPort, workerData } = require('node:worker_threads');
+
+parentPort.on('message', ({ taskId, kind, value }) => {
+    if (kind === 'echo') {
+        parentPort.postMessage({ taskId, type: 'result', result: { value, label: workerData.label } });
+    } else if (kind === 'progress') {
+        parentPort.postMessage({ taskId, type: 'progress', stage: 'halfway' });
+        parentPort.postMessage({ taskId, type: 'result', result: 'done' });
+    } else if (kind === 'fail') {
+        parentPort.postMessage({ taskId, type: 'error', message: 'Analysis failed', code: 'ANALYSIS_ERROR' });
+    } else if (kind === 'spin') {
+        for (;;); // runaway synchronous work
+    } else if (kind === 'exit') {
+        process.exit(3);
+    }
+});
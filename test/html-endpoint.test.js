@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const PAGE = '<html><body><a href="next">Next</a><img src="logo.png"></body></html>';
+
+let service;
+let server;
+let baseUrl;
+
+before(async () => {
+    service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    await service.close();
+});
+
+const post = async (path, body, contentType = 'application/json') => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: contentType === 'application/json' ? JSON.stringify(body) : body
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('checks HTML sent as JSON', async () => {
+    const { status, body } = await post('/check-accessibility-html', { html: PAGE, baseUrl: 'https://example.com/app/' });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.data.url, 'https://example.com/app/');
+    assert.equal(body.data.metadata.source, 'html');
+    assert.ok(body.data.violations.some(rule => rule.id === 'image-alt'));
+});
+
+test('checks a raw text/html body with the base URL in the query', async () => {
+    const { status, body } = await post('/check-accessibility-html?baseUrl=https://example.com/', PAGE, 'text/html');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.url, 'https://example.com/');
+    assert.equal(body.data.metadata.source, 'html');
+});
+
+test('checks HTML without a base URL', async () => {
+    const { status, body } = await post('/check-accessibility-html', { html: PAGE });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.url, null);
+});
+
+test('refuses empty documents', async () => {
+    assert.deepEqual(await post('/check-accessibility-html', { html: '   ' }), {
+        status: 400,
+        body: { success: false, message: 'HTML content is required', error: 'MISSING_HTML' }
+    });
+    assert.equal((await post('/check-accessibility-html', '', 'text/html')).body.error, 'MISSING_HTML');
+});
+
+test('refuses base URLs that are not HTTP(S)', async () => {
+    const { status, body } = await post('/check-accessibility-html', { html: PAGE, baseUrl: 'ftp://example.com/' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'INVALID_PROTOCOL');
+});
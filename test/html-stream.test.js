@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+
+const { isHtmlContentType, detectEncoding, sanitizeHtml, readHtmlStream } = require('../lib/html-stream');
+
+const LIMITS = { maxBytes: 1024 * 1024, maxDownloadBytes: 1024 * 1024 };
+
+test('accepts HTML content types and a missing Content-Type', () => {
+    assert.equal(isHtmlContentType('text/html; charset=utf-8'), true);
+    assert.equal(isHtmlContentType('Application/XHTML+XML'), true);
+    assert.equal(isHtmlContentType(undefined), true);
+    assert.equal(isHtmlContentType('application/json'), false);
+});
+
+test('detects the encoding from the BOM, the header, then <meta charset>', () => {
+    const meta = Buffer.from('<html><head><meta charset="iso-8859-2"></head></html>');
+
+    assert.deepEqual(detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x3C]), 'text/html; charset=windows-1252'), { encoding: 'UTF-8', source: 'bom' });
+    assert.deepEqual(detectEncoding(meta, 'text/html; charset="Shift_JIS"'), { encoding: 'Shift_JIS', source: 'header' });
+    assert.deepEqual(detectEncoding(meta, 'text/html'), { encoding: 'ISO-8859-2', source: 'meta' });
+    assert.deepEqual(detectEncoding(Buffer.from('<p>plain</p>'), 'text/html'), { encoding: 'UTF-8', source: 'default' });
+});
+
+test('drops scripts, embedded media, handlers and inline styles', async () => {
+    const source = '<!DOCTYPE html><html><head><meta charset="utf-8"><style>p { color: red }</style><script>alert(1)</script></head>'
+        + '<body><p onclick="steal()" style="color: red" class="intro">Hi &amp; bye</p><object data="x"><object data="y"><p>Fallback</p></object></object>'
+        + '<!-- note --><img src="a.png" alt="A"></body></html>';
+    const result = await sanitizeHtml(source, LIMITS);
+
+    assert.equal(result.html, '<!DOCTYPE html><html><head></head><body><p class="intro">Hi &amp; bye</p><img src="a.png" alt="A"></body></html>');
+    assert.equal(result.truncated, false);
+    assert.equal(result.documentBytes, Buffer.byteLength(source));
+    assert.equal(result.analyzedBytes + result.removedBytes, result.documentBytes);
+    assert.equal(result.discardedBytes, 0);
+});
+
+test('keeps styles and lists stylesheet links, <base href> and @imports when asked', async () => {
+    const source = '<html><head><base href="https://cdn.example.com/"><link rel="stylesheet" href=" site.css ">'
+        + '<link rel="icon" href="favicon.ico"><style>@import url("print.css"); p { color: red }</style></head>'
+        + '<body><p style="color: grey" onmouseover="x()">Text</p></body></html>';
+    const result = await sanitizeHtml(source, { ...LIMITS, keepStyles: true });
+
+    assert.match(result.html, /<style>@import url\("print.css"\); p \{ color: red \}<\/style>/);
+    assert.match(result.html, /<p style="color: grey">Text<\/p>/);
+    assert.doesNotMatch(result.html, /favicon/);
+    assert.deepEqual(result.styles, { links: ['site.css'], baseHref: 'https://cdn.example.com/', imports: ['print.css'] });
+});
+
+test('truncates at the last element boundary and accounts for every byte', async () => {
+    const items = Array.from({ length: 50 }, (_, index) => `<li>Item ${index}</li>`).join('');
+    const source = `<html><body><ul>${items}</ul><script>var x = 1;</script></body></html>`;
+    const result = await sanitizeHtml(source, { maxBytes: 200 });
+
+    assert.equal(result.truncated, true);
+    assert.ok(result.analyzedBytes <= 200);
+    assert.match(result.html, /<\/li>$/);
+    assert.equal(result.analyzedBytes + result.removedBytes + result.discardedBytes, result.documentBytes);
+    assert.ok(result.discardedBytes > 0);
+});
+
+test('decodes a streamed body split inside a multi-byte character', async () => {
+    const body = Buffer.from('<html><body><p>Grüße</p></body></html>');
+    const split = body.indexOf(0xC3) + 1;
+    const result = await readHtmlStream(Readable.from([body.subarray(0, split), body.subarray(split)]), { contentType: 'text/html', ...LIMITS });
+
+    assert.equal(result.html, '<html><body><p>Grüße</p></body></html>');
+    assert.deepEqual([result.encoding, result.encodingSource], ['UTF-8', 'default']);
+    assert.deepEqual([result.receivedBytes, result.downloadComplete], [body.length, true]);
+});
+
+test('decodes legacy encodings named by the Content-Type', async () => {
+    const body = Buffer.from([...Buffer.from('<p>caf'), 0xE9, ...Buffer.from('</p>')]);
+    const result = await readHtmlStream(Readable.from([body]), { contentType: 'text/html; charset=windows-1252', ...LIMITS });
+
+    assert.equal(result.html, '<p>café</p>');
+    assert.equal(result.encoding, 'windows-1252');
+});
+
+test('stops downloading after maxDownloadBytes', async () => {
+    const chunks = Array.from({ length: 10 }, () => Buffer.from(`<p>${'x'.repeat(200)}</p>`));
+    const result = await readHtmlStream(Readable.from(chunks), { contentType: 'text/html', maxBytes: 1024 * 1024, maxDownloadBytes: 500 });
+
+    assert.deepEqual([result.receivedBytes, result.downloadComplete], [500, false]);
+    assert.equal(result.documentBytes, 500);
+});
+
+test('rejects with the abort reason and wraps read errors', async () => {
+    const controller = new AbortController();
+    const stalled = new Readable({ read() {} });
+    const reading = readHtmlStream(stalled, { contentType: 'text/html', ...LIMITS, signal: controller.signal });
+    setImmediate(() => controller.abort(new Error('Timed out')));
+    await assert.rejects(reading, { message: 'Timed out' });
+
+    const broken = new Readable({ read() { this.destroy(new Error('socket hang up')); } });
+    await assert.rejects(readHtmlStream(broken, { contentType: 'text/html', ...LIMITS }), {
+        code: 'READ_ERROR',
+        message: 'Failed to read the response body: socket hang up'
+    });
+});
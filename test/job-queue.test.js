@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJobQueue, createMemoryJobStore, isFinished } = require('../lib/job-queue');
+const { createLogger } = require('../lib/logger');
+
+const logger = createLogger({ level: 'silent' });
+
+// Resolves once `predicate(job)` holds for the stored job
+const waitForJob = async (queue, id, predicate) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = await queue.get(id);
+        if (predicate(job)) return job;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${id} never reached the expected state`);
+};
+
+// A run() that waits for its signal to abort, as a cancellable check does
+const runUntilAborted = ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('Analysis cancelled'), { code: 'CANCELLED' })), { once: true });
+});
+
+test('runs a job and records its progress and result', async () => {
+    const queue = createJobQueue({ logger });
+    const job = await queue.submit({
+        type: 'check',
+        url: 'https://example.com/',
+        fields: { owner: 'ci' },
+        run: async ({ jobId, onProgress }) => {
+            onProgress({ stage: 'analyzing', percent: 50 });
+            return { jobId };
+        }
+    });
+
+    assert.equal(job.owner, 'ci');
+    const finished = await waitForJob(queue, job.id, isFinished);
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual(finished.result, { jobId: job.id });
+    assert.deepEqual(finished.progress, { stage: 'done', percent: 100 });
+    assert.ok(finished.startedAt && finished.finishedAt);
+});
+
+test('records failures with the error code and status', async () => {
+    const queue = createJobQueue({ logger });
+    const job = await queue.submit({
+        type: 'check',
+        run: async () => { throw Object.assign(new Error('Server responded with 404'), { status: 400, code: 'HTTP_ERROR' }); }
+    });
+
+    const failed = await waitForJob(queue, job.id, isFinished);
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.error, { status: 400, code: 'HTTP_ERROR', message: 'Server responded with 404', details: null, suggestion: null });
+});
+
+test('runs at most `concurrency` jobs and refuses submissions beyond the queue length', async () => {
+    const queue = createJobQueue({ concurrency: 1, maxQueueLength: 1, logger });
+    const running = await queue.submit({ type: 'check', run: runUntilAborted });
+    const queued = await queue.submit({ type: 'check', run: runUntilAborted });
+
+    assert.equal(queued.status, 'queued');
+    assert.deepEqual(queue.stats(), { queued: 1, running: 1, concurrency: 1, maxQueueLength: 1 });
+    await assert.rejects(queue.submit({ type: 'check', run: runUntilAborted }), { code: 'QUEUE_FULL' });
+
+    await queue.cancel(queued.id);
+    await queue.cancel(running.id);
+});
+
+test('cancels queued jobs at once and running jobs through their signal', async () => {
+    const queue = createJobQueue({ concurrency: 1, logger });
+    const running = await queue.submit({ type: 'check', run: runUntilAborted });
+    const queued = await queue.submit({ type: 'check', run: runUntilAborted });
+
+    assert.equal((await queue.cancel(queued.id)).status, 'cancelled');
+    assert.equal((await queue.cancel(running.id)).progress.stage, 'cancelling');
+    assert.equal((await waitForJob(queue, running.id, isFinished)).status, 'cancelled');
+
+    assert.equal(await queue.cancel('unknown'), null);
+    assert.equal((await queue.cancel(running.id)).status, 'cancelled'); // already finished
+});
+
+test('calls onFinish once the job has finished', async () => {
+    const queue = createJobQueue({ logger });
+    const finished = new Promise((resolve) => {
+        queue.submit({ type: 'check', run: async () => 'done', onFinish: resolve });
+    });
+
+    const job = await finished;
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result, 'done');
+});
+
+test('prunes finished jobs older than the TTL on the next submission', async () => {
+    const store = createMemoryJobStore();
+    await store.save({ id: 'old', status: 'completed', finishedAt: new Date(Date.now() - 10000).toISOString() });
+    await store.save({ id: 'stale-running', status: 'running', finishedAt: null });
+    const queue = createJobQueue({ jobTtlMs: 1000, store, logger });
+
+    await queue.submit({ type: 'check', run: async () => null });
+
+    assert.equal(await queue.get('old'), null);
+    assert.ok(await queue.get('stale-running'));
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveLocale } = require('../lib/locales');
+const { translateMessage } = require('../lib/messages');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+test('matches language tags loosely to axe locales', () => {
+    assert.deepEqual(resolveLocale({ locale: 'de-AT' }), { requested: 'de-AT', used: 'de', fallback: false });
+    assert.deepEqual(resolveLocale({ locale: 'pt' }), { requested: 'pt', used: 'pt_BR', fallback: false });
+    assert.deepEqual(resolveLocale({ acceptLanguage: 'nb;q=0.9, sv' }), { requested: 'nb', used: 'no_NB', fallback: false });
+    assert.deepEqual(resolveLocale({ locale: 'fr', acceptLanguage: 'de' }).used, 'fr');
+});
+
+test('falls back to English for languages axe has no translation for', () => {
+    assert.deepEqual(resolveLocale({ acceptLanguage: 'sv' }), { requested: 'sv', used: 'en', fallback: true });
+    assert.deepEqual(resolveLocale(), { requested: null, used: 'en', fallback: false });
+});
+
+test('refuses a locale that is not a language tag', () => {
+    assert.throws(() => resolveLocale({ locale: '12 x' }), { status: 400, code: 'INVALID_LOCALE' });
+});
+
+test('translates service messages where a catalog exists', () => {
+    assert.equal(translateMessage('URL is required', 'de'), 'Eine URL ist erforderlich');
+    assert.equal(translateMessage('URL is required', 'it'), 'URL is required');
+});
+
+test('localizes results but reports the remediation guidance as English', async () => {
+    const service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+
+    try {
+        const html = '<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><img src="a.png"></body></html>';
+        const [english, german] = [
+            await service.checkHtml(html, { tags: ['wcag2a'] }),
+            await service.checkHtml(html, { tags: ['wcag2a'], locale: 'de' })
+        ];
+        const imageAlt = data => data.violations.find(rule => rule.id === 'image-alt');
+
+        assert.equal(german.metadata.locale.used, 'de');
+        assert.equal(german.metadata.remediationLocale, 'en');
+        assert.equal(english.metadata.remediationLocale, 'en');
+        assert.notEqual(imageAlt(german).help, imageAlt(english).help);
+        assert.deepEqual(imageAlt(german).remediation, imageAlt(english).remediation);
+    } finally {
+        await service.close();
+    }
+});
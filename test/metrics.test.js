@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createMetrics } = require('../lib/metrics');
+const { createLogger, runWithLogContext } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+test('logs JSON lines at or above the level, with context and child fields', async () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', fields: { service: 'test' }, write: line => lines.push(JSON.parse(line)) });
+
+    logger.debug('hidden');
+    await runWithLogContext({ requestId: 'req-1' }, async () => {
+        await Promise.resolve();
+        logger.child({ component: 'queue' }).warn('Slow', { durationMs: 12 });
+    });
+    logger.error('Failed', { error: Object.assign(new Error('boom'), { code: 'FETCH_ERROR' }) });
+
+    assert.equal(lines.length, 2);
+    assert.deepEqual(
+        { ...lines[0], time: undefined },
+        { time: undefined, level: 'warn', msg: 'Slow', service: 'test', requestId: 'req-1', component: 'queue', durationMs: 12 }
+    );
+    assert.deepEqual([lines[1].error.message, lines[1].error.code], ['boom', 'FETCH_ERROR']);
+    assert.equal(lines[1].requestId, undefined);
+    assert.equal(logger.isLevelEnabled('debug'), false);
+    assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
+
+test('a line that cannot be serialized is still logged', () => {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+
+    logger.info('Odd', { size: 1n });
+    assert.equal(lines[0].msg, 'Odd');
+    assert.match(lines[0].logError, /BigInt/);
+});
+
+test('renders counters, stage histograms and gauges', async () => {
+    const metrics = createMetrics({ getPeakHeapBytes: () => Number.MAX_SAFE_INTEGER, getAdmissionStats: () => ({ active: 2, queued: 5 }) });
+
+    metrics.countRequest({ method: 'POST', route: '/check-accessibility', status: 200 });
+    metrics.observeStages({ fetch: 120, axe: 2500, browser: undefined });
+    metrics.countViolations({ minor: { violations: 1, nodes: 4 }, moderate: { violations: 0, nodes: 0 }, critical: { violations: 2, nodes: 2 } });
+    metrics.countRejection('ANALYSIS_FAILED', 'DOM_TOO_COMPLEX');
+    metrics.countRejection(undefined);
+
+    const text = await metrics.render();
+    assert.match(text, /accessibility_http_requests_total\{method="POST",route="\/check-accessibility",status="200"\} 1/);
+    assert.match(text, /accessibility_analysis_stage_duration_seconds_sum\{stage="axe"\} 2.5/);
+    assert.doesNotMatch(text, /stage="browser"/);
+    assert.match(text, /accessibility_violations_found_total\{impact="critical"\} 2/);
+    assert.match(text, /accessibility_violations_found_total\{impact="minor"\} 1/);
+    assert.doesNotMatch(text, /impact="moderate"/);
+    assert.match(text, /accessibility_rejections_total\{code="ANALYSIS_FAILED",reason="DOM_TOO_COMPLEX"\} 1/);
+    assert.match(text, /accessibility_rejections_total\{code="SERVER_ERROR",reason=""\} 1/);
+    assert.match(text, /accessibility_heap_bytes\{type="peak"\} 9007199254740991/);
+    assert.match(text, /accessibility_analyses\{state="queued"\} 5/);
+    assert.match(text, /process_cpu_user_seconds_total/);
+});
+
+test('each instance has its own registry', async () => {
+    const first = createMetrics();
+    first.countRejection('RATE_LIMITED');
+
+    assert.doesNotMatch(await createMetrics().render(), /RATE_LIMITED/);
+});
+
+test('the service echoes request IDs, logs them and counts requests', async (t) => {
+    const lines = [];
+    const service = createService({
+        env: { API_KEYS: '', HISTORY_ENABLED: 'false' },
+        logger: createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) })
+    });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        await service.close();
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const kept = await fetch(`${baseUrl}/jobs/unknown`, { headers: { 'X-Request-Id': 'ci-run-42' } });
+    assert.equal(kept.headers.get('x-request-id'), 'ci-run-42');
+    await kept.body.cancel();
+
+    const replaced = await fetch(`${baseUrl}/jobs/unknown`, { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    await replaced.body.cancel();
+
+    const completed = lines.find(line => line.msg === 'Request completed' && line.requestId === 'ci-run-42');
+    assert.deepEqual([completed.route, completed.status], ['/jobs/:id', 404]);
+    assert.ok(lines.some(line => line.msg === 'Error response' && line.requestId === 'ci-run-42'));
+
+    // Counted even though the response lists no rules
+    const checked = await fetch(`${baseUrl}/check-accessibility-html`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ html: '<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><img src="a.png"></main></body></html>', maxViolations: 0 })
+    });
+    assert.deepEqual((await checked.json()).data.violations, []);
+
+    const scrape = await fetch(`${baseUrl}/metrics`);
+    assert.match(scrape.headers.get('content-type'), /^text\/plain/);
+    const text = await scrape.text();
+    assert.match(text, /accessibility_http_requests_total\{method="GET",route="\/jobs\/:id",status="404"\} 2/);
+    assert.match(text, /accessibility_rejections_total\{code="JOB_NOT_FOUND",reason=""\} 2/);
+    assert.match(text, /accessibility_violations_found_total\{impact="critical"\} 1/);
+});
@@ -0,0 +1,225 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const { createJsonFileMonitorStore, createMonitorScheduler, resolveSchedule, resolveAlert, evaluateAlert } = require('../lib/monitors');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const MINUTE_MS = 60 * 1000;
+const logger = createLogger({ level: 'silent' });
+
+const tempFile = (t, name) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitors-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+};
+
+// The scheduler's timers don't keep the process alive, so tests waiting on it need one that does
+const keepAlive = (t) => {
+    const timer = setInterval(() => {}, 1000);
+    t.after(() => clearInterval(timer));
+};
+
+const issue = (ruleId, impact, fingerprint) => ({ url: null, ruleId, impact, fingerprint });
+
+test('validates schedules against the minimum interval', () => {
+    assert.deepEqual(resolveSchedule({ cron: ' */30 * * * * ' }, 5 * MINUTE_MS), { cron: '*/30 * * * *' });
+    assert.deepEqual(resolveSchedule({ intervalMinutes: 60 }, 5 * MINUTE_MS), { intervalMinutes: 60 });
+
+    const invalid = (schedule, message) => assert.throws(() => resolveSchedule(schedule, 5 * MINUTE_MS), { code: 'INVALID_SCHEDULE', status: 400, message });
+    invalid(null, /must be \{ "cron": expression \}/);
+    invalid({ cron: '@daily', intervalMinutes: 60 }, /either a "cron" expression or "intervalMinutes"/);
+    invalid({ cron: '61 * * * *' }, /Invalid minute "61"/);
+    invalid({ cron: '0 0 31 2 *' }, /never matches/);
+    invalid({ intervalMinutes: 4 }, /between 5 and 44640/);
+});
+
+test('validates alert settings', () => {
+    assert.deepEqual(resolveAlert(), { newViolations: true, failOn: null, webhookUrl: null, webhookSecret: null });
+
+    const invalid = (alert, message) => assert.throws(() => resolveAlert(alert), { code: 'INVALID_ALERT', message });
+    invalid([], /must be an object/);
+    invalid({ newViolations: 'yes' }, /must be true or false/);
+    invalid({ failOn: 'severe' }, /must be one of: minor, moderate, serious, critical/);
+    invalid({ webhookSecret: 's3cret' }, /needs an "alert.webhookUrl"/);
+});
+
+test('alerts on new violations and when the failOn gate starts failing', () => {
+    const previous = [issue('region', 'moderate', 'a')];
+    const current = [issue('region', 'moderate', 'a'), issue('image-alt', 'critical', 'b'), issue('list', 'minor', 'c')];
+
+    const firstRun = evaluateAlert({ newViolations: true, failOn: 'serious' }, null, current);
+    assert.deepEqual([firstRun.reasons, firstRun.diff, firstRun.newIssues], [['threshold'], null, []]);
+
+    const regression = evaluateAlert({ newViolations: true, failOn: 'serious' }, previous, current);
+    assert.deepEqual(regression.reasons, ['new-violations', 'threshold']);
+    assert.deepEqual(regression.newIssues.map(({ ruleId }) => ruleId), ['image-alt']);
+
+    const stillFailing = evaluateAlert({ newViolations: true, failOn: 'serious' }, current, current);
+    assert.deepEqual(stillFailing.reasons, []);
+
+    const minorOnly = evaluateAlert({ newViolations: true, failOn: null }, previous, [...previous, issue('list', 'minor', 'c')]);
+    assert.deepEqual(minorOnly.reasons, ['new-violations']);
+
+    assert.deepEqual(evaluateAlert({ newViolations: false, failOn: null }, previous, current).reasons, []);
+});
+
+test('schedules the next run from the last start and the minimum interval', () => {
+    const scheduler = createMonitorScheduler({ store: null, runMonitor: null, minIntervalMs: 5 * MINUTE_MS, logger });
+    const lastRun = { startedAt: new Date(Date.now() - 10 * MINUTE_MS).toISOString() };
+    const at = iso => Date.parse(iso);
+
+    const fresh = at(scheduler.computeNextRun({ schedule: { intervalMinutes: 60 }, lastRun: null }));
+    assert.ok(Math.abs(fresh - Date.now()) < 1000);
+    assert.equal(at(scheduler.computeNextRun({ schedule: { intervalMinutes: 60 }, lastRun })), at(lastRun.startedAt) + 60 * MINUTE_MS);
+    assert.ok(Math.abs(at(scheduler.computeNextRun({ schedule: { intervalMinutes: 5 }, lastRun })) - Date.now()) < 1000);
+
+    // Every minute by cron, but never sooner than 5 minutes after the last start
+    const recent = { startedAt: new Date(Date.now() - MINUTE_MS).toISOString() };
+    const cronNext = at(scheduler.computeNextRun({ schedule: { cron: '* * * * *' }, lastRun: recent }));
+    const earliest = at(recent.startedAt) + 5 * MINUTE_MS;
+    assert.ok(cronNext >= earliest && cronNext < earliest + MINUTE_MS);
+    assert.equal(cronNext % MINUTE_MS, 0);
+
+    assert.equal(scheduler.computeNextRun({ schedule: { intervalMinutes: 60 }, paused: true }), null);
+});
+
+test('runs due monitors one at a time and reschedules them', async (t) => {
+    const store = createJsonFileMonitorStore({ filePath: tempFile(t, 'monitors.json'), logger });
+    const past = new Date(Date.now() - MINUTE_MS).toISOString();
+    await store.save({ id: 'later', schedule: { intervalMinutes: 60 }, paused: false, nextRunAt: new Date(Date.now() - 1000).toISOString() });
+    await store.save({ id: 'first', schedule: { intervalMinutes: 60 }, paused: false, nextRunAt: past });
+    await store.save({ id: 'paused', schedule: { intervalMinutes: 60 }, paused: true, nextRunAt: past });
+
+    const order = [];
+    let running = 0;
+    let finished;
+    const allDone = new Promise((resolve) => { finished = resolve; });
+    const scheduler = createMonitorScheduler({
+        store,
+        minIntervalMs: 5 * MINUTE_MS,
+        logger,
+        runMonitor: async (monitor) => {
+            running++;
+            assert.equal(running, 1);
+            order.push(monitor.id);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+            if (order.length === 2) setImmediate(finished);
+            return { lastRun: { startedAt: new Date().toISOString(), status: 'completed' } };
+        }
+    });
+    t.after(() => scheduler.stop());
+    keepAlive(t);
+
+    await scheduler.start();
+    await allDone;
+    await scheduler.stop();
+
+    assert.deepEqual(order, ['first', 'later']);
+    const first = await store.get('first');
+    assert.equal(first.lastRun.status, 'completed');
+    assert.ok(Date.parse(first.nextRunAt) > Date.now() + 59 * MINUTE_MS);
+    assert.equal((await store.get('paused')).lastRun, undefined);
+});
+
+test('stop() cancels a running monitor and leaves it due', async (t) => {
+    const store = createJsonFileMonitorStore({ filePath: tempFile(t, 'monitors.json'), logger });
+    const due = new Date(Date.now() - 1000).toISOString();
+    await store.save({ id: 'slow', schedule: { intervalMinutes: 60 }, paused: false, nextRunAt: due });
+
+    let started;
+    const runStarted = new Promise((resolve) => { started = resolve; });
+    const scheduler = createMonitorScheduler({
+        store,
+        minIntervalMs: 5 * MINUTE_MS,
+        logger,
+        runMonitor: (monitor, { signal }) => new Promise((resolve) => {
+            started();
+            signal.addEventListener('abort', () => resolve({ lastRun: { status: 'cancelled' } }));
+        })
+    });
+
+    keepAlive(t);
+
+    await scheduler.start();
+    await runStarted;
+    assert.equal(scheduler.isRunning('slow'), true);
+    await scheduler.stop();
+
+    const slow = await store.get('slow');
+    assert.deepEqual([slow.lastRun.status, slow.nextRunAt], ['cancelled', due]);
+});
+
+test('the service runs a new monitor right away and sends its alert', async (t) => {
+    const alerts = [];
+    let alertReceived;
+    const received = new Promise((resolve) => { alertReceived = resolve; });
+    const target = http.createServer((req, res) => {
+        if (req.method === 'POST') {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                alerts.push({ event: req.headers['x-accessibility-event'], body: JSON.parse(body) });
+                res.writeHead(204).end();
+                alertReceived();
+            });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><img src="a.png"></main></body></html>');
+    });
+    await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${target.address().port}`;
+
+    const service = createService({
+        env: { API_KEYS: '', BLOCK_PRIVATE_NETWORKS: 'false', HISTORY_ENABLED: 'false', MONITOR_FILE: tempFile(t, 'monitors.json') },
+        logger
+    });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        target.close();
+        await service.close();
+    });
+    await service.startMonitors();
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const created = await fetch(`${baseUrl}/monitors`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            url: `${origin}/`,
+            schedule: { intervalMinutes: 60 },
+            // The result lists no rules, but the alert still sees the violation
+            options: { maxViolations: 0 },
+            alert: { failOn: 'critical', webhookUrl: `${origin}/alerts`, webhookSecret: 's3cret' }
+        })
+    });
+    assert.equal(created.status, 201);
+    const { monitorId, alert } = (await created.json()).data;
+    assert.equal(alert.hasWebhookSecret, true);
+    assert.equal(alert.webhookSecret, undefined);
+
+    await received;
+    assert.equal(alerts[0].event, 'monitor.alert');
+    assert.deepEqual([alerts[0].body.monitorId, alerts[0].body.reasons], [monitorId, ['threshold']]);
+    assert.equal(alerts[0].body.summary.totalViolations, 1);
+
+    const monitor = (await (await fetch(`${baseUrl}/monitors/${monitorId}`)).json()).data;
+    assert.equal(monitor.lastRun.status, 'completed');
+    assert.equal(monitor.lastResult.issueCount, 1);
+    assert.ok(Date.parse(monitor.nextRunAt) > Date.now() + 59 * MINUTE_MS);
+
+    const invalid = await fetch(`${baseUrl}/monitors`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: `${origin}/`, schedule: { cron: '0 0 31 2 *' } })
+    });
+    assert.equal((await invalid.json()).error, 'INVALID_SCHEDULE');
+});
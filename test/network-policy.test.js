@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createNetworkPolicy, isPolicyError } = require('../lib/network-policy');
+
+const refused = (policy, url, message) => assert.throws(() => policy.checkUrl(url), (error) => {
+    assert.equal(error.code, 'URL_NOT_ALLOWED');
+    if (message) assert.match(error.message, message);
+    return true;
+}, url);
+
+test('refuses private, loopback, link-local and reserved IPv4 addresses', () => {
+    const policy = createNetworkPolicy();
+
+    ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://172.16.0.1/', 'http://192.168.1.1/', 'http://100.64.0.1/',
+        'http://0.0.0.0/', 'http://224.0.0.1/', 'http://255.255.255.255/']
+        .forEach(url => refused(policy, url, /private or reserved/));
+    policy.checkUrl('http://93.184.216.34/');
+    policy.checkUrl('https://example.com/');
+});
+
+test('refuses short-form, decimal and hex IPv4 literals', () => {
+    const policy = createNetworkPolicy();
+
+    ['http://127.1/', 'http://2130706433/', 'http://0x7f.0.0.1/', 'http://0/', 'http://10.1/', 'http://0300.0250.0.1/']
+        .forEach(url => refused(policy, url, /private or reserved/));
+});
+
+test('refuses private IPv6 addresses and IPv6 addresses embedding private IPv4', () => {
+    const policy = createNetworkPolicy();
+
+    [
+        'http://[::1]/', 'http://[::]/', 'http://[fe80::1]/', 'http://[fd12:3456::1]/', 'http://[ff02::1]/',
+        'http://[::ffff:127.0.0.1]/', // IPv4-mapped
+        'http://[0:0:0:0:0:ffff:7f00:1]/',
+        'http://[::ffff:10.0.0.1]/',
+        'http://[::127.0.0.1]/', // IPv4-compatible
+        'http://[64:ff9b::192.168.0.1]/', // NAT64
+        'http://[2002:7f00:1::]/' // 6to4
+    ].forEach(url => refused(policy, url, /private or reserved/));
+
+    ['http://[2606:4700::1111]/', 'http://[::ffff:8.8.8.8]/', 'http://[64:ff9b::808:808]/', 'http://[2002:808:808::]/']
+        .forEach(url => policy.checkUrl(url));
+});
+
+test('always refuses cloud metadata addresses, in any notation', () => {
+    const policy = createNetworkPolicy({ blockPrivateNetworks: false, allowedHosts: ['169.254.169.254', '::ffff:a9fe:a9fe', 'fd00:ec2::254', '100.100.100.200'] });
+
+    ['http://169.254.169.254/latest/meta-data/', 'http://[::ffff:169.254.169.254]/', 'http://[fd00:ec2:0:0:0:0:0:254]/', 'http://100.100.100.200/']
+        .forEach(url => refused(policy, url, /cloud metadata/));
+});
+
+test('applies allow and deny lists with subdomain wildcards', () => {
+    const policy = createNetworkPolicy({ allowedHosts: ['example.com', '*.example.org'], deniedHosts: ['admin.example.org'] });
+
+    policy.checkUrl('https://example.com/');
+    policy.checkUrl('https://www.example.org/');
+    policy.checkUrl('https://EXAMPLE.com./');
+    refused(policy, 'https://sub.example.com/', /not on the allow list/);
+    refused(policy, 'https://example.org/', /not on the allow list/);
+    refused(policy, 'https://admin.example.org/', /deny list/);
+});
+
+test('allowed hosts may be private, and the check can be switched off', () => {
+    createNetworkPolicy({ allowedHosts: ['10.0.0.5'] }).checkUrl('http://10.0.0.5/');
+    createNetworkPolicy({ blockPrivateNetworks: false }).checkUrl('http://127.0.0.1:3000/');
+});
+
+test('refuses protocols other than HTTP(S)', () => {
+    refused(createNetworkPolicy(), 'file:///etc/passwd', /Protocol file: is not allowed/);
+});
+
+test('checks resolved addresses of hostnames', async () => {
+    const policy = createNetworkPolicy();
+
+    await assert.rejects(policy.resolveAndCheck('http://localhost/'), { code: 'URL_NOT_ALLOWED', message: /localhost \(.+\) is a private or reserved address/ });
+    await createNetworkPolicy({ allowedHosts: ['localhost'] }).resolveAndCheck('http://localhost/');
+});
+
+test('lookup refuses private addresses at connection time', async () => {
+    const lookup = (policy, options) => new Promise((resolve, reject) => {
+        policy.lookup('localhost', options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+    });
+
+    await assert.rejects(lookup(createNetworkPolicy(), {}), { code: 'URL_NOT_ALLOWED' });
+    const { address } = await lookup(createNetworkPolicy({ blockPrivateNetworks: false }), { family: 4 });
+    assert.equal(address, '127.0.0.1');
+});
+
+test('checks every redirect hop', () => {
+    assert.throws(() => createNetworkPolicy().beforeRedirect({ hostname: '127.0.0.1' }), { code: 'URL_NOT_ALLOWED' });
+});
+
+test('finds policy errors wrapped by HTTP clients', () => {
+    const policyError = Object.assign(new Error('blocked'), { code: 'URL_NOT_ALLOWED' });
+    const wrapped = new Error('request failed', { cause: new Error('redirect failed', { cause: policyError }) });
+
+    assert.equal(isPolicyError(wrapped), policyError);
+    assert.equal(isPolicyError(new Error('other')), null);
+});
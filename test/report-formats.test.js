@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { renderSarif, renderJunit, renderHtml, renderCsv } = require('../lib/report-formats');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const engine = { name: 'axe-core', version: '4.10.3' };
+
+const imageAlt = {
+    id: 'image-alt',
+    impact: 'critical',
+    tags: ['wcag2a', 'wcag111'],
+    description: 'Ensures <img> elements have alternate text',
+    help: 'Images must have alternate text',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/image-alt',
+    criteria: [{ id: '1.1.1', name: 'Non-text Content', level: 'A' }],
+    remediation: { fix: 'Add an alt attribute.', helpUrl: null, example: { before: '<img src="a.png">', after: '<img src="a.png" alt="Logo">' } },
+    nodeCount: 2,
+    nodesOmitted: 0,
+    nodes: [
+        { html: '<img src="a.png">', target: ['img'], impact: 'critical', failureSummary: 'Fix any of the following:\n  Element does not have an alt attribute' },
+        { html: '<img src="=HYPERLINK(&quot;x&quot;)">', target: ['=cmd|\' /C calc\'!A0'], impact: 'critical', failureSummary: '@SUM(1,2)' }
+    ]
+};
+
+const region = {
+    id: 'region',
+    impact: 'moderate',
+    tags: ['best-practice'],
+    description: 'Ensures all page content is contained by landmarks',
+    help: 'All page content should be contained by landmarks',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/region',
+    criteria: [],
+    nodeCount: 3,
+    nodesOmitted: 3,
+    nodes: [] // detail "summary"
+};
+
+const CHECK = {
+    url: 'https://example.com/',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    processingTimeMs: 1500,
+    summary: { totalViolations: 2, totalIncomplete: 1, totalPasses: 10, resultsTruncated: true, score: { value: 72, grade: 'C' }, byCriterion: [] },
+    violations: [imageAlt, region],
+    incomplete: [{ ...imageAlt, id: 'video-caption', help: 'Videos need captions', nodeCount: 1, nodes: [imageAlt.nodes[0]] }]
+};
+
+const SCAN = {
+    startUrl: 'https://example.com/',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    pages: [
+        { url: 'https://example.com/', success: true, data: CHECK },
+        { url: 'https://example.com/missing', success: false, error: 'HTTP_ERROR', message: 'Server responded with 404 <Not Found>' }
+    ]
+};
+
+test('SARIF lists each rule once and one result per element', () => {
+    const sarif = JSON.parse(renderSarif(CHECK, { engine }));
+    const [run] = sarif.runs;
+
+    assert.equal(sarif.version, '2.1.0');
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['image-alt', 'region', 'video-caption']);
+    assert.equal(run.tool.driver.rules[0].help.text, 'Add an alt attribute. (https://dequeuniversity.com/rules/axe/4.10/image-alt)');
+    assert.deepEqual(run.tool.driver.rules[0].properties.wcag, ['1.1.1']);
+    assert.deepEqual(run.results.map(({ ruleId, kind, level }) => [ruleId, kind, level]), [
+        ['image-alt', 'fail', 'error'],
+        ['image-alt', 'fail', 'error'],
+        ['region', 'fail', 'warning'],
+        ['video-caption', 'review', 'none']
+    ]);
+    assert.deepEqual(run.results[0].locations[0], {
+        physicalLocation: { artifactLocation: { uri: 'https://example.com/' }, region: { snippet: { text: '<img src="a.png">' } } },
+        logicalLocations: [{ fullyQualifiedName: 'img', kind: 'element' }]
+    });
+    assert.equal(run.results[2].message.text, 'All page content should be contained by landmarks');
+});
+
+test('SARIF reports failed scan pages as tool notifications', () => {
+    const [run] = JSON.parse(renderSarif(SCAN, { engine })).runs;
+
+    assert.equal(run.invocations[0].executionSuccessful, false);
+    assert.deepEqual(run.invocations[0].toolExecutionNotifications[0].descriptor, { id: 'HTTP_ERROR' });
+});
+
+test('JUnit fails violations, skips rules needing review and errors failed pages', () => {
+    const xml = renderJunit(SCAN);
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="accessibility" tests="4" failures="2" errors="1">/);
+    assert.match(xml, /<testsuite name="https:\/\/example.com\/" tests="3" failures="2" errors="0" skipped="1" timestamp="2026-01-01T00:00:00.000Z" time="1.5">/);
+    assert.match(xml, /<property name="score" value="72"\/>/);
+    assert.match(xml, /<failure type="critical" message="Images must have alternate text \(2 elements\)">/);
+    assert.match(xml, /<skipped message="Needs review \(1 elements\)"\/>/);
+    assert.match(xml, /<error type="HTTP_ERROR" message="Server responded with 404 &lt;Not Found&gt;"\/>/);
+    assert.doesNotMatch(xml, /<img/);
+});
+
+test('JUnit drops control characters XML cannot carry', () => {
+    const xml = renderJunit({ ...CHECK, violations: [{ ...region, help: 'Bad\u0001 text\u001F' }], incomplete: [] });
+
+    assert.match(xml, /name="region: Bad text"/);
+});
+
+test('CSV has one row per element and escapes quotes, commas and newlines', () => {
+    const rows = renderCsv(CHECK).split('\r\n');
+
+    assert.equal(rows[0], 'url,result,ruleId,impact,help,helpUrl,tags,criteria,target,html,failureSummary');
+    assert.equal(rows.length, 6); // header, two image-alt elements, region without nodes, video-caption, final line break
+    assert.equal(rows[1], 'https://example.com/,violation,image-alt,critical,Images must have alternate text,https://dequeuniversity.com/rules/axe/4.10/image-alt,wcag2a wcag111,1.1.1,img,"<img src=""a.png"">","Fix any of the following:\n  Element does not have an alt attribute"');
+    assert.equal(rows[3], 'https://example.com/,violation,region,moderate,All page content should be contained by landmarks,https://dequeuniversity.com/rules/axe/4.10/region,best-practice,,,,');
+    assert.equal(rows.at(-1), '');
+});
+
+test('CSV neutralizes cells that a spreadsheet would run as formulas', () => {
+    const csv = renderCsv(CHECK);
+
+    assert.ok(csv.includes(`,'=cmd|' /C calc'!A0,`));
+    assert.ok(csv.includes(`,"'@SUM(1,2)"`));
+    ['+1', '-1', '\tx', '\rx'].forEach((value) => {
+        const row = renderCsv({ ...CHECK, violations: [{ ...region, help: value }], incomplete: [] }).split('\r\n')[1];
+        assert.ok(row.includes(`,'${value}`) || row.includes(`,"'${value}`), JSON.stringify(value));
+    });
+});
+
+test('HTML report escapes page content', () => {
+    const html = renderHtml({ ...CHECK, violations: [{ ...imageAlt, help: '<script>alert(1)</script>' }, region] }, { engine });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Accessibility report: https:\/\/example.com\/<\/title>/);
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /Score 72\/100 \(grade C\)/);
+    assert.match(html, /3 more elements not shown/);
+});
+
+test('the service negotiates the format from the Accept header or "format"', async (t) => {
+    const service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        await service.close();
+    });
+
+    const post = (query, accept) => fetch(`http://127.0.0.1:${server.address().port}/check-accessibility-html${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/html', ...(accept ? { Accept: accept } : {}) },
+        body: '<html><body><img src="a.png"></body></html>'
+    });
+
+    const csv = await post('', 'text/csv');
+    assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(await csv.text(), /^url,result,ruleId/);
+
+    const sarif = await post('?format=sarif', 'text/csv');
+    assert.equal(sarif.headers.get('content-type'), 'application/sarif+json; charset=utf-8');
+    assert.equal(JSON.parse(await sarif.text()).version, '2.1.0');
+
+    const json = await post('', null);
+    assert.equal((await json.json()).success, true);
+
+    const invalid = await post('?format=pdf', null);
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'INVALID_FORMAT');
+});
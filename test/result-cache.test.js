@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createResultCache, createLruStore } = require('../lib/result-cache');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+test('evicts the least recently used entries beyond maxEntries', async () => {
+    const store = createLruStore({ maxEntries: 2 });
+    await store.set('a', 1, 60000);
+    await store.set('b', 2, 60000);
+    await store.get('a');
+    await store.set('c', 3, 60000);
+
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('b'), undefined);
+    assert.equal((await store.stats()).entries, 2);
+});
+
+test('evicts by size and skips values larger than the whole cache', async () => {
+    const store = createLruStore({ maxSizeBytes: 20 }); // each value is 12 bytes as JSON
+    await store.set('a', 'x'.repeat(10), 60000);
+    await store.set('b', 'y'.repeat(10), 60000);
+    await store.set('huge', 'z'.repeat(100), 60000);
+
+    assert.equal(await store.get('a'), undefined);
+    assert.equal(await store.get('b'), 'y'.repeat(10));
+    assert.equal(await store.get('huge'), undefined);
+    assert.equal((await store.stats()).sizeBytes, 12);
+});
+
+test('expires entries after their TTL', async () => {
+    const store = createLruStore();
+    await store.set('a', 1, 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(await store.get('a'), undefined);
+});
+
+test('keys results by URL, content, options and engine version', async () => {
+    const cache = createResultCache({ engineVersion: '4.10.3' });
+    const hash = cache.hashContent('<p>page</p>');
+    await cache.setResult('https://example.com/', hash, { detail: 'standard' }, { ok: true });
+
+    assert.deepEqual(await cache.getResult('https://example.com/', hash, { detail: 'standard' }), { ok: true });
+    assert.equal(await cache.getResult('https://example.com/', hash, { detail: 'full' }), undefined);
+    assert.equal(await cache.getResult('https://example.com/', cache.hashContent('<p>changed</p>'), { detail: 'standard' }), undefined);
+    assert.equal(await cache.getResult('https://example.com/other', hash, { detail: 'standard' }), undefined);
+
+    const newerEngine = createResultCache({ store: createLruStore(), engineVersion: '4.11.0' });
+    assert.equal(await newerEngine.getResult('https://example.com/', hash, { detail: 'standard' }), undefined);
+});
+
+test('serves unchanged pages from the cache and revalidates with the ETag', async (t) => {
+    let conditionalRequests = 0;
+    const target = http.createServer((req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+            conditionalRequests++;
+            res.writeHead(304).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' });
+        res.end('<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><h1>Page</h1></main></body></html>');
+    });
+    await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${target.address().port}/`;
+
+    const service = createService({ env: { BLOCK_PRIVATE_NETWORKS: 'false', API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    t.after(async () => {
+        await service.close();
+        target.close();
+    });
+
+    const cacheStatus = async options => (await service.checkUrl(url, options)).metadata.cacheStatus;
+
+    assert.equal(await cacheStatus(), 'miss');
+    assert.equal(await cacheStatus(), 'revalidated');
+    assert.equal(conditionalRequests, 1);
+    assert.equal(await cacheStatus({ detail: 'full' }), 'miss');
+    assert.equal(await cacheStatus({ cache: 'bypass' }), 'bypass');
+    assert.equal(await cacheStatus({ request: { headers: { 'X-Tenant': 'acme' } } }), 'private');
+});
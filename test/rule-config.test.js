@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AXE_PRESETS, DEFAULT_RULE_CONFIG, parseList, resolveRuleConfig } = require('../lib/check-options');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+test('uses the default preset without tags or a preset', () => {
+    assert.deepEqual(resolveRuleConfig(), {
+        preset: 'wcag2aa',
+        tags: AXE_PRESETS.wcag2aa,
+        enabledRules: ['bypass'],
+        disabledRules: DEFAULT_RULE_CONFIG.disabledRules
+    });
+});
+
+test('explicit tags replace the default preset but extend a named one', () => {
+    assert.deepEqual(resolveRuleConfig({ tags: ['best-practice'] }).tags, ['best-practice']);
+    assert.equal(resolveRuleConfig({ tags: ['best-practice'] }).preset, null);
+    assert.deepEqual(resolveRuleConfig({ preset: 'wcag2a', tags: 'best-practice, wcag2a' }).tags, ['wcag2a', 'best-practice']);
+});
+
+test('caller rule overrides win over the defaults', () => {
+    const ruleConfig = resolveRuleConfig({ enableRules: ['color-contrast'], disableRules: ['bypass', 'region'] });
+
+    assert.deepEqual(ruleConfig.enabledRules, ['color-contrast']);
+    assert.ok(!ruleConfig.disabledRules.includes('color-contrast'));
+    assert.ok(ruleConfig.disabledRules.includes('bypass'));
+    assert.ok(ruleConfig.disabledRules.includes('region'));
+});
+
+test('the browser engine and kept styles drop the JSDOM workarounds', () => {
+    assert.deepEqual(resolveRuleConfig({}, 'browser').disabledRules, []);
+    assert.ok(!resolveRuleConfig({}, 'jsdom', true).disabledRules.includes('color-contrast'));
+    assert.ok(resolveRuleConfig({}, 'jsdom', true).disabledRules.includes('css-orientation-lock'));
+});
+
+test('refuses unknown presets, tags and rules and conflicting overrides', () => {
+    const refuses = (input, details) => assert.throws(() => resolveRuleConfig(input), (error) => {
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'INVALID_RULE_CONFIG');
+        assert.deepEqual(error.details, details);
+        return true;
+    });
+
+    refuses({ preset: 'wcag3' }, { availablePresets: Object.keys(AXE_PRESETS) });
+    refuses({ tags: ['wcag2a', 'made-up'] }, { unknownTags: ['made-up'] });
+    refuses({ enableRules: ['no-such-rule'] }, { unknownRules: ['no-such-rule'] });
+    refuses({ enableRules: ['region'], disableRules: ['region'] }, { conflictingRules: ['region'] });
+});
+
+test('parses lists from arrays and comma-separated query values', () => {
+    assert.deepEqual(parseList(' a, b,,a '), ['a', 'b']);
+    assert.deepEqual(parseList(undefined), []);
+    assert.throws(() => parseList([1], 'tags'), { code: 'INVALID_RULE_CONFIG', message: '"tags" must be an array of strings' });
+});
+
+test('checks run with the resolved configuration', async () => {
+    const service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    const html = '<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><img src="a.png"></main></body></html>';
+
+    try {
+        const defaults = await service.checkHtml(html);
+        const withoutImageAlt = await service.checkHtml(html, { disableRules: ['image-alt'] });
+
+        assert.ok(defaults.violations.some(rule => rule.id === 'image-alt'));
+        assert.ok(!withoutImageAlt.violations.some(rule => rule.id === 'image-alt'));
+        assert.ok(withoutImageAlt.metadata.ruleConfig.disabledRules.includes('image-alt'));
+    } finally {
+        await service.close();
+    }
+});
@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const { createJsonFileHistoryStore, createScanHistory } = require('../lib/scan-history');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const logger = createLogger({ level: 'silent' });
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'nested', 'history.json');
+};
+
+const checkData = (url, timestamp, violations) => ({
+    url,
+    timestamp,
+    processingTimeMs: 100,
+    summary: { totalViolations: violations.length, totalIncomplete: 0, totalPasses: 5, resultsTruncated: false },
+    violations,
+    metadata: { source: 'url', engine: { name: 'axe-core' }, detail: { level: 'standard' } }
+});
+
+const violation = (id, impact, nodeCount) => ({ id, impact, nodeCount, nodes: [] });
+
+test('the JSON file store persists records and reloads them', async (t) => {
+    const filePath = tempFile(t);
+    const store = createJsonFileHistoryStore({ filePath, logger });
+    await store.insert({ id: 'a', owner: null, url: 'https://example.com/', timestamp: '2026-01-01T00:00:00.000Z' });
+    await store.insert({ id: 'b', owner: 'ci', url: 'https://example.com/', timestamp: '2026-01-02T00:00:00.000Z' });
+
+    const reloaded = createJsonFileHistoryStore({ filePath, logger });
+    assert.equal((await reloaded.get('a')).url, 'https://example.com/');
+    assert.equal(await reloaded.delete('a'), true);
+    assert.equal(await reloaded.delete('a'), false);
+    assert.equal(await createJsonFileHistoryStore({ filePath, logger }).get('a'), null);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('the JSON file store filters by owner, URL and time, newest first', async (t) => {
+    const store = createJsonFileHistoryStore({ filePath: tempFile(t), logger });
+    for (const [id, owner, url, day] of [['1', null, 'a', '01'], ['2', null, 'b', '02'], ['3', null, 'a', '03'], ['4', 'ci', 'a', '04']]) {
+        await store.insert({ id, owner, url, timestamp: `2026-01-${day}T00:00:00.000Z` });
+    }
+
+    const ids = ({ records }) => records.map(record => record.id);
+    assert.deepEqual(ids(await store.query({})), ['3', '2', '1']);
+    assert.deepEqual(ids(await store.query({ owner: 'ci' })), ['4']);
+    assert.deepEqual(ids(await store.query({ url: 'a', from: Date.parse('2026-01-02') })), ['3']);
+    assert.deepEqual(ids(await store.query({ to: Date.parse('2026-01-02') })), ['2', '1']);
+
+    const page = await store.query({}, { offset: 1, limit: 1 });
+    assert.deepEqual([ids(page), page.total], [['2'], 3]);
+});
+
+test('saves check summaries and drops records past retention or the record cap', async (t) => {
+    const store = createJsonFileHistoryStore({ filePath: tempFile(t), logger });
+    const history = createScanHistory({ store, retentionMs: 30 * DAY_MS, maxRecords: 2 });
+    const now = Date.now();
+
+    await store.insert({ id: 'old', owner: null, url: 'https://example.com/', timestamp: new Date(now - 31 * DAY_MS).toISOString() });
+    const first = await history.save({
+        data: checkData('https://example.com/', new Date(now - 2000).toISOString(), [violation('image-alt', 'critical', 2), violation('region', 'moderate', 3)]),
+        owner: 'ci'
+    });
+
+    assert.equal(await history.get('old'), null);
+    assert.deepEqual(first.summary.byImpact, {
+        minor: { violations: 0, nodes: 0 },
+        moderate: { violations: 1, nodes: 3 },
+        serious: { violations: 0, nodes: 0 },
+        critical: { violations: 1, nodes: 2 }
+    });
+    assert.deepEqual(first.config.detail, { level: 'standard' });
+
+    await history.save({ data: checkData('https://example.com/', new Date(now - 1000).toISOString(), [violation('region', 'moderate', 1)]), owner: 'ci' });
+    await history.save({ data: checkData('https://example.com/', new Date(now).toISOString(), []), owner: 'ci' });
+
+    assert.equal(await history.get(first.id), null);
+    const trend = await history.trend({ owner: 'ci', url: 'https://example.com/' });
+    assert.deepEqual(trend.map(point => [point.totalViolations, point.byImpact.moderate, point.nodesByImpact.moderate]), [[1, 1, 1], [0, 0, 0]]);
+});
+
+test('the service saves completed checks and serves them per API key', async (t) => {
+    const historyFile = tempFile(t);
+    const target = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><img src="a.png"></main></body></html>');
+    });
+    await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+
+    const service = createService({
+        env: { API_KEYS: 'ci:ci-key,other:other-key', BLOCK_PRIVATE_NETWORKS: 'false', HISTORY_FILE: historyFile },
+        logger
+    });
+    const server = http.createServer(service.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        target.close();
+        await service.close();
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const pageUrl = `http://127.0.0.1:${target.address().port}/`;
+    const request = async (method, urlPath, key, body) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: { Authorization: `Bearer ${key}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    assert.equal((await request('POST', '/check-accessibility-static', 'ci-key', { url: pageUrl })).status, 200);
+
+    // Saving happens after the response is sent
+    let listed;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        listed = await request('GET', `/history?url=${encodeURIComponent(pageUrl)}`, 'ci-key');
+        if (listed.body.data.checks.length > 0) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const [saved] = listed.body.data.checks;
+    assert.equal(saved.url, pageUrl);
+    assert.equal(saved.violations, undefined);
+    assert.deepEqual(listed.body.data.pagination, { page: 1, pageSize: 20, total: 1, totalPages: 1 });
+
+    const record = await request('GET', `/history/${saved.id}`, 'ci-key');
+    assert.ok(record.body.data.violations.some(({ id }) => id === 'image-alt'));
+    assert.equal((await request('GET', `/history/${saved.id}`, 'other-key')).status, 404);
+    assert.equal((await request('GET', '/history', 'other-key')).body.data.pagination.total, 0);
+
+    const trends = await request('GET', `/history/trends?url=${encodeURIComponent(pageUrl)}`, 'ci-key');
+    assert.equal(trends.body.data.points.length, 1);
+    assert.equal(trends.body.data.points[0].byImpact.critical, 1);
+
+    assert.equal((await request('GET', '/history/trends', 'ci-key')).body.error, 'INVALID_HISTORY_QUERY');
+    assert.equal((await request('GET', '/history?from=2026-02-01&to=2026-01-01', 'ci-key')).status, 400);
+    assert.equal((await request('GET', '/history?pageSize=1000', 'ci-key')).status, 400);
+
+    assert.equal((await request('DELETE', `/history/${saved.id}`, 'ci-key')).status, 200);
+    assert.equal((await request('GET', `/history/${saved.id}`, 'ci-key')).status, 404);
+});
@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const HTML = '<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main><img src="a.png"><p>Text</p></main><aside class="ad"><img src="ad.png"></aside></body></html>';
+
+let service;
+
+before(() => {
+    service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+});
+
+after(() => service.close());
+
+const check = options => service.checkHtml(HTML, options);
+
+test('checks only the included elements, minus the excluded ones', async () => {
+    const data = await check({ include: 'main' });
+
+    assert.deepEqual(data.metadata.scope, { include: ['main'], exclude: [], includeMatches: 1, excludeMatches: 0, elementCount: 3 });
+    assert.equal(data.violations.find(({ id }) => id === 'image-alt').nodeCount, 1);
+
+    const excluded = await check({ exclude: ['.ad'] });
+    assert.equal(excluded.metadata.scope.excludeMatches, 1);
+    assert.equal(excluded.violations.find(({ id }) => id === 'image-alt').nodeCount, 1);
+});
+
+test('refuses invalid selectors and scopes that match nothing', async () => {
+    await assert.rejects(check({ include: ['main >'] }), (error) => {
+        assert.deepEqual([error.status, error.code], [400, 'INVALID_SCOPE']);
+        assert.equal(error.details.invalidSelectors[0].selector, 'main >');
+        return true;
+    });
+    await assert.rejects(check({ include: '#missing' }), { code: 'SCOPE_NOT_FOUND' });
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const axios = require('axios');
+
+const { createStylesheetLoader, findImports } = require('../lib/stylesheets');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const SITE_CSS = 'body { background: #ffffff } .faint { color: #cccccc }';
+
+let target;
+let origin;
+
+before(async () => {
+    target = http.createServer((req, res) => {
+        if (req.url === '/site.css') {
+            res.writeHead(200, { 'Content-Type': 'text/css' }).end(SITE_CSS);
+        } else if (req.url === '/big.css') {
+            res.writeHead(200, { 'Content-Type': 'text/css' }).end(`/* ${'x'.repeat(5000)} */`);
+        } else if (req.url === '/script.css') {
+            res.writeHead(200, { 'Content-Type': 'application/javascript' }).end('alert(1)');
+        } else if (req.url === '/elsewhere.css') {
+            res.writeHead(302, { Location: 'http://localhost:1/elsewhere.css' }).end();
+        } else if (req.url === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html' }).end('<!DOCTYPE html><html lang="en"><head><title>Styled</title>'
+                + '<link rel="stylesheet" href="/site.css"><link rel="stylesheet" href="https://fonts.example.net/f.css">'
+                + '<style>@import "print.css"; .ok { color: #000000 }</style></head>'
+                + '<body><main><h1 class="ok">Heading</h1><p class="faint">Hard to read</p><p style="color: #595959">Fine</p></main></body></html>');
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${target.address().port}`;
+});
+
+after(() => target.close());
+
+const allowAll = { checkUrl: () => {}, beforeRedirect: () => {} };
+
+test('finds @import URLs in any notation', () => {
+    assert.deepEqual(findImports('@import "a.css"; @import url(b.css) print; @import url( \'c.css\' );'), ['a.css', 'b.css', 'c.css']);
+});
+
+test('loads same-origin sheets in order and reports what it skipped', async () => {
+    const loader = createStylesheetLoader({ httpClient: axios.create(), networkPolicy: allowAll, maxCount: 2, maxBytes: 4096, timeoutMs: 5000 });
+    const { stylesheets, report } = await loader.loadStylesheets({
+        links: ['site.css', 'https://cdn.example.com/x.css', 'missing.css', 'script.css', 'big.css', 'elsewhere.css', 'site.css', 'http://[bad'],
+        baseHref: '/assets/../',
+        imports: ['print.css']
+    }, { pageUrl: `${origin}/pages/index.html` });
+
+    assert.deepEqual(stylesheets, [{ url: `${origin}/site.css`, css: SITE_CSS }, { url: `${origin}/site.css`, css: SITE_CSS }]);
+    assert.deepEqual(report.map(({ status, reason, details }) => [status, reason, details]), [
+        ['skipped', 'IMPORT_NOT_FOLLOWED', undefined],
+        ['loaded', undefined, undefined],
+        ['skipped', 'CROSS_ORIGIN', undefined],
+        ['skipped', 'HTTP_ERROR', 404],
+        ['skipped', 'NOT_CSS', 'application/javascript'],
+        ['skipped', 'SIZE_LIMIT', undefined],
+        ['skipped', 'CROSS_ORIGIN', undefined],
+        ['loaded', undefined, undefined],
+        ['skipped', 'INVALID_URL', undefined]
+    ]);
+    assert.equal(report[0].url, `${origin}/print.css`);
+});
+
+test('stops at the count limit and needs a page URL', async () => {
+    const loader = createStylesheetLoader({ httpClient: axios.create(), networkPolicy: allowAll, maxCount: 1, maxBytes: 4096, timeoutMs: 5000 });
+
+    const limited = await loader.loadStylesheets({ links: ['/site.css', '/site.css'], baseHref: null, imports: [] }, { pageUrl: `${origin}/` });
+    assert.deepEqual(limited.report.map(({ status, reason }) => reason || status), ['loaded', 'COUNT_LIMIT']);
+
+    const submitted = await loader.loadStylesheets({ links: ['/site.css'], baseHref: null, imports: [] }, { pageUrl: null });
+    assert.deepEqual(submitted.report, [{ url: '/site.css', status: 'skipped', reason: 'NO_BASE_URL' }]);
+});
+
+test('checks color contrast with the page styles kept', async (t) => {
+    const service = createService({ env: { API_KEYS: '', BLOCK_PRIVATE_NETWORKS: 'false', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    t.after(() => service.close());
+
+    const styled = await service.checkUrl(`${origin}/`, { styles: true, cache: 'bypass' });
+    const contrast = styled.violations.find(violation => violation.id === 'color-contrast');
+    assert.ok(contrast, 'color-contrast is reported');
+    assert.deepEqual(contrast.nodes.map(node => node.html), ['<p class="faint">Hard to read</p>']);
+    assert.deepEqual(styled.metadata.styles.stylesheets.map(({ url, status, reason }) => [url, reason || status]), [
+        [`${origin}/print.css`, 'IMPORT_NOT_FOLLOWED'],
+        [`${origin}/site.css`, 'loaded'],
+        ['https://fonts.example.net/f.css', 'CROSS_ORIGIN']
+    ]);
+
+    const unstyled = await service.checkUrl(`${origin}/`, { cache: 'bypass' });
+    assert.equal(unstyled.violations.some(violation => violation.id === 'color-contrast'), false);
+});
+
+test('submitted HTML keeps inline styles and resolves links against baseUrl', async (t) => {
+    const service = createService({ env: { API_KEYS: '', BLOCK_PRIVATE_NETWORKS: 'false', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    t.after(() => service.close());
+    const html = '<!DOCTYPE html><html lang="en"><head><title>Inline</title><link rel="stylesheet" href="site.css"></head>'
+        + '<body><main><p style="color: #eeeeee; background: #ffffff">Pale</p><p class="faint">Linked</p></main></body></html>';
+
+    const inline = await service.checkHtml(html, { styles: true });
+    assert.equal(inline.violations.find(violation => violation.id === 'color-contrast').nodes.length, 1);
+    assert.equal(inline.metadata.styles.stylesheets[0].reason, 'NO_BASE_URL');
+
+    const linked = await service.checkHtml(html, { styles: true, baseUrl: `${origin}/` });
+    assert.equal(linked.violations.find(violation => violation.id === 'color-contrast').nodes.length, 2);
+});
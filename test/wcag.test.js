@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+
+const { WCAG_CRITERIA, criteriaForTags, summarizeWcag } = require('../lib/wcag');
+const { remediationFor } = require('../lib/remediation');
+const { createLogger } = require('../lib/logger');
+const { createService } = require('../lib/service');
+
+const rule = (id, impact, nodeCount, tags = []) => ({ id, impact, tags, nodes: Array.from({ length: nodeCount }, () => ({})) });
+
+test('maps criterion tags to WCAG success criteria in order', () => {
+    assert.deepEqual(criteriaForTags(['wcag2aa', 'wcag1412', 'wcag143', 'cat.color', 'wcag143', 'wcag412']), [
+        { id: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+        { id: '1.4.12', name: 'Text Spacing', level: 'AA' },
+        { id: '4.1.2', name: 'Name, Role, Value', level: 'A' }
+    ]);
+    assert.deepEqual(criteriaForTags(['wcag999']), [{ id: '9.9.9', name: null, level: null }]);
+    assert.deepEqual(criteriaForTags(), []);
+});
+
+test('knows every criterion axe tags its rules with', () => {
+    const tagged = axe.getRules().flatMap(({ tags }) => criteriaForTags(tags));
+
+    assert.ok(tagged.length > 0);
+    assert.deepEqual(tagged.filter(({ id }) => !WCAG_CRITERIA[id]).map(({ id }) => id), []);
+});
+
+test('scores violations by impact and the log of their element count', () => {
+    const { score } = summarizeWcag({
+        violations: [rule('image-alt', 'critical', 1), rule('color-contrast', 'serious', 10), rule('region', 'moderate', 100)]
+    });
+
+    assert.deepEqual(score, { value: 74, grade: 'C', penalty: 26, version: 1 });
+    assert.deepEqual(summarizeWcag({}).score, { value: 100, grade: 'A', penalty: 0, version: 1 });
+    assert.equal(summarizeWcag({ violations: [rule('list', 'minor', 0), rule('x', undefined, 1)] }).score.penalty, 2);
+});
+
+test('grades at the boundaries and floors the score at 0', () => {
+    const gradeFor = (criticalRules) => summarizeWcag({ violations: Array.from({ length: criticalRules }, (_, index) => rule(`r${index}`, 'critical', 1)) }).score;
+
+    assert.deepEqual([gradeFor(1).value, gradeFor(1).grade], [90, 'A']);
+    assert.deepEqual([gradeFor(2).value, gradeFor(2).grade], [80, 'B']);
+    assert.deepEqual([gradeFor(4).value, gradeFor(4).grade], [60, 'D']);
+    assert.deepEqual([gradeFor(5).value, gradeFor(5).grade], [50, 'F']);
+    assert.equal(gradeFor(12).value, 0);
+});
+
+test('groups results by criterion with the worst impact', () => {
+    const { byCriterion, byImpact } = summarizeWcag({
+        violations: [rule('image-alt', 'critical', 2, ['wcag2a', 'wcag111']), rule('role-img-alt', 'serious', 1, ['wcag111']), rule('region', 'moderate', 3, ['best-practice'])],
+        incomplete: [rule('color-contrast', 'serious', 1, ['wcag143'])],
+        passes: [rule('document-title', null, 1, ['wcag242']), rule('image-redundant-alt', null, 1, ['wcag111'])]
+    });
+
+    assert.deepEqual(byCriterion.map(({ id, status, impact, nodeCount }) => [id, status, impact, nodeCount]), [
+        ['1.1.1', 'failed', 'critical', 3],
+        ['1.4.3', 'incomplete', null, 0],
+        ['2.4.2', 'passed', null, 0]
+    ]);
+    assert.deepEqual(byCriterion[0].passes, ['image-redundant-alt']);
+    assert.deepEqual(byImpact.moderate, { violations: 1, nodes: 3 });
+});
+
+test('remediation falls back to the axe help for rules without guidance', () => {
+    assert.deepEqual(remediationFor({ id: 'unknown-rule', help: 'Fix it', helpUrl: undefined }), { fix: 'Fix it', helpUrl: null, example: null });
+    assert.match(remediationFor({ id: 'image-alt', help: 'Images must have alternative text' }).example.after, /alt=/);
+    assert.deepEqual(axe.getRules().map(({ ruleId }) => ruleId).filter(id => remediationFor({ id }).example === null), []);
+});
+
+test('check results carry criteria, remediation and a score the detail caps do not change', async (t) => {
+    const service = createService({ env: { API_KEYS: '', HISTORY_ENABLED: 'false' }, logger: createLogger({ level: 'silent' }) });
+    t.after(() => service.close());
+    const html = `<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main>${'<img src="a.png">'.repeat(10)}</main></body></html>`;
+
+    const full = await service.checkHtml(html);
+    const [imageAlt] = full.violations;
+    assert.deepEqual(imageAlt.criteria, [{ id: '1.1.1', name: 'Non-text Content', level: 'A' }]);
+    assert.match(imageAlt.remediation.fix, /alt/);
+    assert.deepEqual(full.summary.score, { value: 80, grade: 'B', penalty: 20, version: 1 });
+    assert.equal(full.summary.byCriterion.find(({ id }) => id === '1.1.1').status, 'failed');
+
+    const capped = await service.checkHtml(html, { detail: 'summary', maxViolations: 0 });
+    assert.deepEqual(capped.summary.score, full.summary.score);
+    assert.deepEqual(capped.summary.byImpact, full.summary.byImpact);
+});
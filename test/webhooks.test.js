@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { deliverWebhook, signPayload, verifySignature, SIGNATURE_HEADER } = require('../lib/webhooks');
+
+// An axios stand-in answering each POST with the next status (or throwing an error)
+const createHttpClient = (responses) => {
+    const requests = [];
+    return {
+        requests,
+        async post(url, body, options) {
+            requests.push({ url, body, headers: options.headers });
+            const next = responses[requests.length - 1];
+            if (next instanceof Error) throw next;
+            return { status: next };
+        }
+    };
+};
+
+const deliver = (httpClient, options = {}) => deliverWebhook({
+    url: 'https://hooks.example.com/done',
+    event: 'job.completed',
+    payload: { success: true, data: { jobId: 'job-1' } },
+    baseDelayMs: 1,
+    httpClient,
+    ...options
+});
+
+test('signs the timestamp and the exact body with HMAC-SHA256', async () => {
+    const httpClient = createHttpClient([204]);
+    const result = await deliver(httpClient, { secret: 'shh' });
+
+    const [{ body, headers }] = httpClient.requests;
+    const [, timestamp] = headers[SIGNATURE_HEADER].match(/^t=(\d+),v1=[0-9a-f]{64}$/);
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    const expected = `t=${timestamp},v1=${crypto.createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex')}`;
+    assert.equal(headers[SIGNATURE_HEADER], expected);
+    assert.equal(signPayload(body, 'shh', Number(timestamp)), expected);
+    assert.equal(headers['X-Accessibility-Event'], 'job.completed');
+    assert.deepEqual(JSON.parse(body), { success: true, data: { jobId: 'job-1' } });
+    assert.equal(result.delivered, true);
+    assert.equal(result.attempts.length, 1);
+});
+
+test('verifies signatures within the tolerance window only', () => {
+    const body = '{"success":true}';
+    const now = Date.UTC(2026, 0, 1);
+    const header = signPayload(body, 'shh', now / 1000 - 60);
+
+    assert.equal(verifySignature(header, body, 'shh', { now }), true);
+    assert.equal(verifySignature(header, body.replace('true', 'false'), 'shh', { now }), false);
+    assert.equal(verifySignature(header, body, 'other', { now }), false);
+    assert.equal(verifySignature(header, body, 'shh', { now: now + 300 * 1000 }), false);
+    assert.equal(verifySignature(header, body, 'shh', { now: now + 300 * 1000, toleranceSeconds: 600 }), true);
+    assert.equal(verifySignature(`sha256=${'0'.repeat(64)}`, body, 'shh', { now }), false);
+    assert.equal(verifySignature(undefined, body, 'shh', { now }), false);
+});
+
+test('sends no signature without a secret', async () => {
+    const httpClient = createHttpClient([200]);
+    await deliver(httpClient);
+
+    assert.equal(httpClient.requests[0].headers[SIGNATURE_HEADER], undefined);
+});
+
+test('retries network errors, 429 and 5xx with one delivery ID', async () => {
+    const httpClient = createHttpClient([Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' }), 503, 429, 200]);
+    const recorded = [];
+    const result = await deliver(httpClient, { onAttempt: attempt => recorded.push(attempt) });
+
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.attempts.map(({ status, error }) => [status, error]), [
+        [null, 'ECONNREFUSED'],
+        [503, 'Callback responded with 503'],
+        [429, 'Callback responded with 429'],
+        [200, null]
+    ]);
+    assert.deepEqual(recorded, result.attempts);
+    assert.equal(new Set(httpClient.requests.map(({ headers }) => headers['X-Accessibility-Delivery'])).size, 1);
+});
+
+test('gives up on other 4xx answers at once', async () => {
+    const result = await deliver(createHttpClient([404]));
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts.length, 1);
+});
+
+test('stops after maxAttempts', async () => {
+    const result = await deliver(createHttpClient([500, 500, 500]), { maxAttempts: 3 });
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts.length, 3);
+});
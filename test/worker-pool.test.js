@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const { createWorkerPool } = require('../lib/worker-pool');
+
+const createPool = (options = {}) => createWorkerPool({
+    filename: path.join(__dirname, 'fixtures', 'pool-worker.js'),
+    workerData: { label: 'pool' },
+    ...options
+});
+
+test('runs tasks on workers and passes other messages to onMessage', async (t) => {
+    const pool = createPool();
+    t.after(() => pool.destroy());
+    const messages = [];
+
+    assert.deepEqual(await pool.run({ kind: 'echo', value: 42 }), { value: 42, label: 'pool' });
+    assert.equal(await pool.run({ kind: 'progress' }, { onMessage: message => messages.push(message.stage) }), 'done');
+    assert.deepEqual(messages, ['halfway']);
+    assert.deepEqual(pool.stats(), { size: 1, workers: 1, busy: 0, queued: 0 });
+});
+
+test('rejects with the error a worker reports, keeping the worker', async (t) => {
+    const pool = createPool();
+    t.after(() => pool.destroy());
+
+    await assert.rejects(pool.run({ kind: 'fail' }), { message: 'Analysis failed', code: 'ANALYSIS_ERROR' });
+    assert.equal(pool.stats().workers, 1);
+});
+
+test('queues tasks beyond the pool size', async (t) => {
+    const pool = createPool({ size: 2 });
+    t.after(() => pool.destroy());
+
+    const results = await Promise.all([1, 2, 3, 4].map(value => pool.run({ kind: 'echo', value })));
+    assert.deepEqual(results.map(({ value }) => value), [1, 2, 3, 4]);
+    assert.equal(pool.stats().workers, 2);
+});
+
+test('terminates a runaway task on abort and replaces its worker', async (t) => {
+    const pool = createPool();
+    t.after(() => pool.destroy());
+
+    await assert.rejects(pool.run({ kind: 'spin' }, { signal: AbortSignal.timeout(100) }), { name: 'TimeoutError' });
+    assert.equal(pool.stats().workers, 0);
+    assert.equal((await pool.run({ kind: 'echo', value: 'next' })).value, 'next');
+});
+
+test('cancels a task still waiting for a worker', async (t) => {
+    const pool = createPool();
+    t.after(() => pool.destroy());
+    const controller = new AbortController();
+
+    const busy = pool.run({ kind: 'spin' }, { signal: AbortSignal.timeout(200) });
+    const waiting = pool.run({ kind: 'echo' }, { signal: controller.signal });
+    assert.equal(pool.stats().queued, 1);
+
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(waiting, { message: 'cancelled' });
+    await assert.rejects(busy);
+});
+
+test('a worker that exits takes down its task, not the pool', async (t) => {
+    const pool = createPool();
+    t.after(() => pool.destroy());
+
+    await assert.rejects(pool.run({ kind: 'exit' }), { message: 'Worker exited unexpectedly with code 3' });
+    assert.equal((await pool.run({ kind: 'echo', value: 1 })).value, 1);
+});
+
+test('refuses tasks once destroyed', async () => {
+    const pool = createPool();
+    await pool.destroy();
+
+    await assert.rejects(pool.run({ kind: 'echo' }), { message: 'Worker pool has been shut down' });
+});